@@ -0,0 +1,1334 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Users, User, Search, ClipboardCheck, Heart, BarChart3, LogOut, ChevronLeft, ChevronRight,
+  Download, Save, AlertCircle, Lock, RefreshCw, UserCheck, MessageSquare, CheckCircle,
+  Inbox, XCircle
+} from 'lucide-react';
+
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
+const TOKEN_KEY = 'churchAdminToken';
+
+const views = [
+  { id: 'members', title: 'Members', icon: Users },
+  { id: 'check-in', title: 'Check-In', icon: ClipboardCheck },
+  { id: 'prayer', title: 'Prayer Requests', icon: Heart },
+  { id: 'requests', title: 'Change Requests', icon: Inbox },
+  { id: 'stats', title: 'Statistics', icon: BarChart3 }
+];
+
+// Values must match the members.membership_type ENUM
+const membershipTypes = [
+  { id: 'visitor', name: 'Visitor' },
+  { id: 'member', name: 'Member' },
+  { id: 'volunteer', name: 'Volunteer' }
+];
+
+const languageOptions = [
+  { id: 'vi', name: 'Tiếng Việt' },
+  { id: 'en', name: 'English' }
+];
+
+// Editable member fields: request body name (as in PATCH /api/members/:id) and members column
+const memberFields = [
+  { name: 'title', column: 'title', label: 'Title' },
+  { name: 'lastName', column: 'last_name', label: 'Surname / Tên Họ' },
+  { name: 'firstName', column: 'first_name', label: 'First Name / Tên Riêng' },
+  { name: 'preferredName', column: 'preferred_name', label: 'Tên thường gọi' },
+  { name: 'email', column: 'email', label: 'Email', type: 'email' },
+  { name: 'phone', column: 'phone', label: 'Phone', type: 'tel' },
+  { name: 'address', column: 'address', label: 'Street Address' },
+  { name: 'city', column: 'city', label: 'City' },
+  { name: 'state', column: 'state', label: 'State' },
+  { name: 'zipCode', column: 'zip_code', label: 'ZIP Code' },
+  { name: 'birthDate', column: 'birth_date', label: 'Birth Date', type: 'date' },
+  { name: 'membershipType', column: 'membership_type', label: 'Membership Type', options: membershipTypes },
+  { name: 'preferredLanguage', column: 'preferred_language', label: 'Email Language', options: languageOptions },
+  { name: 'baptized', column: 'baptized', label: 'Baptized' },
+  { name: 'salvation', column: 'salvation', label: 'Salvation' },
+  { name: 'emergencyContactName', column: 'emergency_contact_name', label: 'Emergency Contact' },
+  { name: 'emergencyContactPhone', column: 'emergency_contact_phone', label: 'Emergency Phone', type: 'tel' },
+  { name: 'prayer', column: 'prayer_request', label: 'Prayer Request', multiline: true }
+];
+
+// Consent flags; NULL in the database means the member was never asked
+const consentFields = [
+  { name: 'consentPhotos', column: 'consent_photos', label: 'Photos may be used' },
+  { name: 'consentDirectory', column: 'consent_directory', label: 'Listed in the directory' },
+  { name: 'consentEmails', column: 'consent_emails', label: 'Receives emails' }
+];
+
+const consentValue = (value) => (value === null || value === undefined ? null : Boolean(value));
+
+const chartColors = ['#2563eb', '#16a34a', '#ea580c', '#9333ea', '#0891b2', '#dc2626'];
+
+const inputClass = (hasError) =>
+  `w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+    hasError ? 'border-red-500' : 'border-gray-300'
+  }`;
+
+const buttonClass = (primary = true) =>
+  `inline-flex items-center justify-center px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-50 ${
+    primary ? 'bg-blue-600 hover:bg-blue-700 text-white' : 'border border-gray-300 text-gray-700 hover:bg-gray-50'
+  }`;
+
+// DATE columns arrive as ISO strings; the roll books only care about the day
+const dateOnly = (value) => (value ? String(value).slice(0, 10) : '');
+
+const todayString = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+const fullName = (m) => [m.title, m.last_name, m.first_name].filter(Boolean).join(' ');
+
+// Views live in the URL hash (#/members/12) so the tablet's back button works
+const readRoute = () => {
+  const [view = 'members', id] = window.location.hash.replace(/^#\/?/, '').split('/');
+  return { view: views.some(v => v.id === view) ? view : 'members', id: id || null };
+};
+
+const navigate = (view, id) => {
+  window.location.hash = id ? `/${view}/${id}` : `/${view}`;
+};
+
+const ErrorMessage = ({ message }) =>
+  message ? (
+    <div className="flex items-center p-3 mb-4 rounded-lg bg-red-50 text-red-700 text-sm">
+      <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" /> {message}
+    </div>
+  ) : null;
+
+// Log in with a staff account
+const LoginScreen = ({ onLogin }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSubmitting(true);
+    setError('');
+
+    try {
+      const response = await fetch(`${API_URL}/api/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+      });
+      const body = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        setError(body.error || 'Login failed');
+        return;
+      }
+
+      onLogin(body.token, body.user);
+    } catch (err) {
+      setError('Could not reach the server. Please check your connection and try again.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <form onSubmit={handleSubmit} className="bg-white rounded-2xl shadow-xl p-8 w-full max-w-sm space-y-4">
+        <div className="text-center">
+          <Lock className="w-10 h-10 mx-auto text-blue-600 mb-2" />
+          <h1 className="text-2xl font-bold text-gray-800">Church Admin</h1>
+        </div>
+        <ErrorMessage message={error} />
+        <input
+          className={inputClass(false)}
+          placeholder="Username"
+          autoCapitalize="none"
+          value={username}
+          onChange={(e) => setUsername(e.target.value)}
+        />
+        <input
+          className={inputClass(false)}
+          type="password"
+          placeholder="Password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+        <button type="submit" disabled={isSubmitting || !username || !password} className={`${buttonClass()} w-full py-3`}>
+          {isSubmitting ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+// Searchable, paged member table
+const MemberList = ({ api, download }) => {
+  const [filters, setFilters] = useState({ q: '', membershipType: '', status: 'active', group: '' });
+  const [query, setQuery] = useState(filters);
+  const [offset, setOffset] = useState(0);
+  const [result, setResult] = useState({ members: [], total: 0, nextOffset: null });
+  const [groups, setGroups] = useState([]);
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const limit = 50;
+
+  useEffect(() => {
+    api('/api/groups').then(body => setGroups(body.groups)).catch(() => {});
+  }, [api]);
+
+  // Wait until typing pauses before searching
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setQuery(filters);
+      setOffset(0);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [filters]);
+
+  const params = new URLSearchParams(Object.entries(query).filter(([, value]) => value)).toString();
+
+  useEffect(() => {
+    setIsLoading(true);
+    api(`/api/members?${params}&limit=${limit}&offset=${offset}`)
+      .then(body => {
+        setResult(body);
+        setError('');
+      })
+      .catch(err => setError(err.message))
+      .finally(() => setIsLoading(false));
+  }, [api, params, offset]);
+
+  const setFilter = (name, value) => setFilters(prev => ({ ...prev, [name]: value }));
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-xl shadow p-4 grid gap-3 md:grid-cols-5">
+        <div className="relative md:col-span-2">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+          <input
+            className={`${inputClass(false)} pl-10`}
+            placeholder="Name, email or phone"
+            value={filters.q}
+            onChange={(e) => setFilter('q', e.target.value)}
+          />
+        </div>
+        <select className={inputClass(false)} value={filters.membershipType} onChange={(e) => setFilter('membershipType', e.target.value)}>
+          <option value="">All types</option>
+          {membershipTypes.map(type => <option key={type.id} value={type.id}>{type.name}</option>)}
+        </select>
+        <select className={inputClass(false)} value={filters.group} onChange={(e) => setFilter('group', e.target.value)}>
+          <option value="">All groups</option>
+          {groups.map(group => <option key={group.id} value={group.code}>{group.name}</option>)}
+        </select>
+        <select className={inputClass(false)} value={filters.status} onChange={(e) => setFilter('status', e.target.value)}>
+          <option value="active">Active</option>
+          <option value="inactive">Inactive</option>
+          <option value="all">All</option>
+        </select>
+      </div>
+
+      <ErrorMessage message={error} />
+
+      <div className="bg-white rounded-xl shadow overflow-x-auto">
+        <div className="flex items-center justify-between p-4 border-b">
+          <span className="text-sm text-gray-600">
+            {isLoading ? 'Loading...' : `${result.total} member${result.total === 1 ? '' : 's'}`}
+          </span>
+          <div className="flex gap-2">
+            <button className={buttonClass(false)} onClick={() => download(`/api/exports/members?${params}&format=csv`, 'members.csv')}>
+              <Download className="w-4 h-4 mr-1" /> CSV
+            </button>
+            <button className={buttonClass(false)} onClick={() => download(`/api/exports/members?${params}&format=xlsx`, 'members.xlsx')}>
+              <Download className="w-4 h-4 mr-1" /> Excel
+            </button>
+            <button
+              className={buttonClass(false)}
+              onClick={() => download('/api/exports/directory', 'directory.pdf')}
+              title="Printed directory of members who agreed to be listed"
+            >
+              <Download className="w-4 h-4 mr-1" /> Directory
+            </button>
+          </div>
+        </div>
+        <table className="w-full text-sm">
+          <thead className="bg-gray-50 text-left text-gray-600">
+            <tr>
+              <th className="px-4 py-3">Name</th>
+              <th className="px-4 py-3">Phone</th>
+              <th className="px-4 py-3 hidden md:table-cell">Email</th>
+              <th className="px-4 py-3">Type</th>
+              <th className="px-4 py-3 hidden lg:table-cell">Ministries</th>
+            </tr>
+          </thead>
+          <tbody>
+            {result.members.map(member => (
+              <tr
+                key={member.id}
+                onClick={() => navigate('members', member.id)}
+                className="border-t cursor-pointer hover:bg-blue-50"
+              >
+                <td className="px-4 py-3 font-medium text-gray-800">
+                  {fullName(member)}
+                  {member.status === 'inactive' && <span className="ml-2 text-xs text-gray-500">(inactive)</span>}
+                </td>
+                <td className="px-4 py-3">{member.phone}</td>
+                <td className="px-4 py-3 hidden md:table-cell">{member.email}</td>
+                <td className="px-4 py-3 capitalize">{member.membership_type}</td>
+                <td className="px-4 py-3 hidden lg:table-cell text-gray-600">{member.ministries}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="flex justify-between p-4 border-t">
+          <button className={buttonClass(false)} disabled={offset === 0} onClick={() => setOffset(Math.max(offset - limit, 0))}>
+            <ChevronLeft className="w-4 h-4 mr-1" /> Previous
+          </button>
+          <button className={buttonClass(false)} disabled={result.nextOffset === null} onClick={() => setOffset(result.nextOffset)}>
+            Next <ChevronRight className="w-4 h-4 ml-1" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Member detail: edit fields and ministries, deactivate, and see the change history
+const MemberDetail = ({ api, download, memberId, isAdmin }) => {
+  const [member, setMember] = useState(null);
+  const [form, setForm] = useState({});
+  const [consent, setConsent] = useState({});
+  const [hiddenFields, setHiddenFields] = useState([]);
+  const [ministries, setMinistries] = useState([]);
+  const [catalog, setCatalog] = useState([]);
+  const [newMinistry, setNewMinistry] = useState('');
+  const [history, setHistory] = useState([]);
+  const [journey, setJourney] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    try {
+      const [detail, changes, available, steps] = await Promise.all([
+        api(`/api/members/${memberId}`),
+        api(`/api/members/${memberId}/history`),
+        api('/api/ministries'),
+        api(`/api/members/${memberId}/journey`)
+      ]);
+      setCatalog(available.ministries);
+      setJourney(steps);
+      setMember(detail.member);
+      setHiddenFields(detail.hiddenFields || []);
+      setForm(Object.fromEntries(memberFields.map(field => [
+        field.name,
+        field.type === 'date' ? dateOnly(detail.member[field.column]) : detail.member[field.column] || ''
+      ])));
+      setConsent(Object.fromEntries(consentFields.map(field => [field.name, consentValue(detail.member[field.column])])));
+      setMinistries(detail.member.ministries ? detail.member.ministries.split(',') : []);
+      setHistory(changes.history);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [api, memberId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  if (!member) {
+    return error ? <ErrorMessage message={error} /> : <p className="text-gray-500">Loading...</p>;
+  }
+
+  const originalMinistries = member.ministries ? member.ministries.split(',') : [];
+  // Columns restricted by the field visibility settings are left out of the form and the PATCH
+  const visibleFields = memberFields.filter(field => !hiddenFields.includes(field.column));
+
+  const handleSave = async () => {
+    const changes = {};
+    visibleFields.forEach(field => {
+      const original = field.type === 'date' ? dateOnly(member[field.column]) : member[field.column] || '';
+      if (form[field.name] !== original) changes[field.name] = form[field.name] || null;
+    });
+    consentFields.forEach(field => {
+      if (consent[field.name] !== consentValue(member[field.column])) changes[field.name] = consent[field.name];
+    });
+    if ([...ministries].sort().join(',') !== [...originalMinistries].sort().join(',')) {
+      changes.ministry = ministries;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      setMessage('No changes to save');
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      await api(`/api/members/${memberId}`, { method: 'PATCH', body: changes });
+      setMessage('Saved');
+      await load();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const toggleStatus = async () => {
+    const deactivating = member.status === 'active';
+    const reason = deactivating ? window.prompt('Reason for deactivating (optional)') : null;
+    if (deactivating && reason === null) return;
+
+    try {
+      await api(`/api/members/${memberId}/status`, {
+        method: 'POST',
+        body: { status: deactivating ? 'inactive' : 'active', reason: reason || undefined }
+      });
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const exportData = async () => {
+    try {
+      await download(`/api/members/${memberId}/export`, `member-${memberId}.json`);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const anonymize = async () => {
+    if (!window.confirm(`Anonymize ${fullName(member)}? Personal details are erased permanently; attendance counts are kept.`)) {
+      return;
+    }
+
+    try {
+      await api(`/api/members/${memberId}/anonymize`, { method: 'POST' });
+      setMessage('Member anonymized');
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Advance to the next stage (looked after by whoever records it) or undo the last step.
+  // Either can change the membership type, so the whole member is reloaded.
+  const changeJourney = async (action) => {
+    try {
+      const result = await api(`/api/members/${memberId}/journey/${action}`, {
+        method: 'POST',
+        body: action === 'advance' ? { responsibleUserId: 'me' } : {}
+      });
+      setMessage(result.message);
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const addMinistry = () => {
+    if (newMinistry && !ministries.includes(newMinistry)) setMinistries([...ministries, newMinistry]);
+    setNewMinistry('');
+  };
+
+  const attendance = member.attendance || {};
+
+  return (
+    <div className="space-y-4">
+      <button className="flex items-center text-blue-600" onClick={() => navigate('members')}>
+        <ChevronLeft className="w-4 h-4 mr-1" /> Members
+      </button>
+
+      <ErrorMessage message={error} />
+
+      <div className="bg-white rounded-xl shadow p-6">
+        <div className="flex flex-wrap items-start justify-between gap-4 mb-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">{fullName(member)}</h2>
+            <p className="text-sm text-gray-500">
+              Last attended {dateOnly(attendance.lastAttended) || 'never'}
+              {attendance.quarterServices > 0 &&
+                ` · ${attendance.quarterAttended} of ${attendance.quarterServices} services this quarter`}
+              {member.anonymized_at && ` · Anonymized ${dateOnly(member.anonymized_at)}`}
+            </p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {isAdmin && (
+              <button className={buttonClass(false)} onClick={exportData}>
+                <Download className="w-4 h-4 mr-1" /> Export data
+              </button>
+            )}
+            {isAdmin && !member.anonymized_at && (
+              <button className={buttonClass(false)} onClick={anonymize}>Anonymize</button>
+            )}
+            <button className={buttonClass(false)} onClick={toggleStatus}>
+              {member.status === 'active' ? 'Deactivate' : 'Reactivate'}
+            </button>
+            <button className={buttonClass()} disabled={isSaving} onClick={handleSave}>
+              <Save className="w-4 h-4 mr-1" /> {isSaving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </div>
+
+        {message && <p className="mb-4 text-sm text-green-700">{message}</p>}
+
+        <div className="grid gap-4 md:grid-cols-2">
+          {visibleFields.map(field => (
+            <div key={field.name} className={field.multiline ? 'md:col-span-2' : ''}>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{field.label}</label>
+              {field.options ? (
+                <select
+                  className={inputClass(false)}
+                  value={form[field.name]}
+                  onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                >
+                  {field.options.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+                </select>
+              ) : field.multiline ? (
+                <textarea
+                  rows={3}
+                  className={inputClass(false)}
+                  value={form[field.name]}
+                  onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                />
+              ) : (
+                <input
+                  type={field.type || 'text'}
+                  className={inputClass(false)}
+                  value={form[field.name]}
+                  onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                />
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Consent</label>
+          <div className="flex flex-wrap gap-x-6 gap-y-2">
+            {consentFields.map(field => (
+              <label key={field.name} className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="mr-2"
+                  checked={consent[field.name] === true}
+                  onChange={(e) => setConsent({ ...consent, [field.name]: e.target.checked })}
+                />
+                {field.label}
+                {consent[field.name] === null && <span className="ml-1 text-gray-400">(not asked)</span>}
+              </label>
+            ))}
+          </div>
+          {member.consent_updated_at && (
+            <p className="mt-1 text-xs text-gray-500">Last updated {dateOnly(member.consent_updated_at)}</p>
+          )}
+        </div>
+
+        <div className="mt-6">
+          <label className="block text-sm font-medium text-gray-700 mb-2">Ministries</label>
+          <div className="flex flex-wrap gap-2 mb-2">
+            {ministries.map(name => (
+              <button
+                key={name}
+                onClick={() => setMinistries(ministries.filter(m => m !== name))}
+                className="px-3 py-1 rounded-full bg-blue-50 text-blue-700 text-sm hover:bg-red-50 hover:text-red-700"
+                title="Remove"
+              >
+                {name} ×
+              </button>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            <select className={inputClass(false)} value={newMinistry} onChange={(e) => setNewMinistry(e.target.value)}>
+              <option value="">Add a ministry...</option>
+              {catalog
+                .filter(ministry => !ministries.includes(ministry.name))
+                .map(ministry => (
+                  <option key={ministry.id} value={ministry.name} disabled={ministry.spots_left === 0}>
+                    {ministry.name}{ministry.spots_left === 0 ? ' (full)' : ''}
+                  </option>
+                ))}
+            </select>
+            <button className={buttonClass(false)} onClick={addMinistry} disabled={!newMinistry}>Add</button>
+          </div>
+        </div>
+      </div>
+
+      {journey && (journey.steps.length > 0 || member.membership_type === 'visitor') && (
+        <div className="bg-white rounded-xl shadow p-6">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <h3 className="text-lg font-semibold text-gray-800">
+              Journey
+              {journey.stalled && <span className="ml-2 text-sm font-normal text-red-600">Stalled</span>}
+            </h3>
+            <div className="flex gap-2">
+              {journey.steps.length > 0 && (
+                <button className={buttonClass(false)} onClick={() => changeJourney('revert')}>Undo last step</button>
+              )}
+              {journey.nextStage && (
+                <button className={buttonClass()} onClick={() => changeJourney('advance')}>
+                  <ChevronRight className="w-4 h-4 mr-1" />
+                  {journey.stages.find(stage => stage.code === journey.nextStage).name}
+                </button>
+              )}
+            </div>
+          </div>
+          <ul className="divide-y text-sm">
+            {journey.stages.map(stage => {
+              const step = journey.steps.find(s => s.stage_id === stage.id);
+              return (
+                <li key={stage.id} className="py-2 flex flex-wrap items-center gap-x-3">
+                  {step
+                    ? <CheckCircle className="w-4 h-4 text-green-600" />
+                    : <span className="w-4 h-4 rounded-full border border-gray-300" />}
+                  <span className={`w-48 ${step ? 'font-medium' : 'text-gray-500'}`}>{stage.name}</span>
+                  {step && <span className="text-gray-500 w-24">{step.reached_at}</span>}
+                  {step && step.responsible_username && <span>with {step.responsible_username}</span>}
+                  {step && step.note && <span className="text-gray-500">{step.note}</span>}
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
+      <div className="bg-white rounded-xl shadow p-6">
+        <h3 className="text-lg font-semibold text-gray-800 mb-4">History</h3>
+        {history.length === 0 && <p className="text-sm text-gray-500">No changes recorded.</p>}
+        <ul className="divide-y text-sm">
+          {history.map(entry => (
+            <li key={entry.id} className="py-2 flex flex-wrap gap-x-3">
+              <span className="text-gray-500 w-40">{new Date(entry.changed_at).toLocaleString()}</span>
+              <span className="font-medium capitalize">{entry.action}</span>
+              {entry.field_name && (
+                <span>
+                  {entry.field_name}: <span className="text-gray-500 line-through">{entry.old_value}</span>{' '}
+                  → {entry.new_value}
+                </span>
+              )}
+              <span className="text-gray-500">{entry.changed_by || 'system'}</span>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+// Sunday check-in laid out like the roll sheet: Order #, names, the last few
+// Sundays, and a large cell for today that cycles blank → X → codes on each tap
+const CheckIn = ({ api, download }) => {
+  const [groups, setGroups] = useState([]);
+  const [groupId, setGroupId] = useState('');
+  const [date, setDate] = useState(todayString());
+  const [service, setService] = useState(null);
+  const [roster, setRoster] = useState([]);
+  const [marks, setMarks] = useState({});
+  const [previous, setPrevious] = useState([]);
+  const [codes, setCodes] = useState([]);
+  const [search, setSearch] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api('/api/groups').then(body => {
+      setGroups(body.groups);
+      if (body.groups.length > 0) setGroupId(String(body.groups[0].id));
+    }).catch(err => setError(err.message));
+    api('/api/attendance/codes').then(body => setCodes(body.codes.filter(code => code.active))).catch(() => {});
+  }, [api]);
+
+  const group = groups.find(g => String(g.id) === groupId);
+
+  const load = useCallback(async () => {
+    if (!group) return;
+
+    try {
+      const [rosterBody, servicesBody] = await Promise.all([
+        api(`/api/groups/${group.id}/roster?date=${date}`),
+        api(`/api/services?roll=${encodeURIComponent(group.code)}&to=${date}`)
+      ]);
+      setRoster(rosterBody.roster);
+
+      const current = servicesBody.services.find(s => dateOnly(s.service_date) === date) || null;
+      setService(current);
+
+      if (current) {
+        const detail = await api(`/api/services/${current.id}`);
+        setMarks(Object.fromEntries(detail.attendance.map(record => [record.member_id, record.status])));
+      } else {
+        setMarks({});
+      }
+
+      // The four Sundays before, shown read-only like the earlier columns on the sheet
+      const earlier = servicesBody.services.filter(s => dateOnly(s.service_date) < date).slice(0, 4).reverse();
+      const details = await Promise.all(earlier.map(s => api(`/api/services/${s.id}`)));
+      setPrevious(details.map(detail => ({
+        date: dateOnly(detail.service.service_date),
+        marks: Object.fromEntries(detail.attendance.map(record => [record.member_id, record.status]))
+      })));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [api, group, date]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const openService = async () => {
+    try {
+      await api('/api/services', { method: 'POST', body: { serviceDate: date, roll: group.code } });
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const closeService = async () => {
+    if (!window.confirm('Close this service? No more check-ins can be recorded.')) return;
+    try {
+      await api(`/api/services/${service.id}/close`, { method: 'POST' });
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const cycle = ['', 'present', ...codes.map(code => code.code)];
+
+  const tap = async (memberId) => {
+    if (!service || service.status === 'closed') return;
+
+    const current = marks[memberId] === 'absent' ? '' : marks[memberId] || '';
+    const next = cycle[(cycle.indexOf(current) + 1) % cycle.length];
+    setMarks(prev => ({ ...prev, [memberId]: next }));
+
+    try {
+      await api(`/api/services/${service.id}/attendance`, {
+        method: 'POST',
+        body: { memberId, status: next || 'absent' }
+      });
+    } catch (err) {
+      setMarks(prev => ({ ...prev, [memberId]: current }));
+      setError(err.message);
+    }
+  };
+
+  const markLabel = (status) => (status === 'present' ? 'X' : !status || status === 'absent' ? '' : status);
+  const presentCodes = new Set(['present', ...codes.filter(code => code.counts_as_present).map(code => code.code)]);
+  const presentCount = Object.values(marks).filter(status => presentCodes.has(status)).length;
+  const shownRoster = roster.filter(person =>
+    !search || fullName(person).toLowerCase().includes(search.toLowerCase())
+  );
+  const isClosed = service && service.status === 'closed';
+
+  return (
+    <div className="space-y-4">
+      <div className="bg-white rounded-xl shadow p-4 flex flex-wrap gap-3 items-center">
+        <select className={`${inputClass(false)} w-auto text-lg`} value={groupId} onChange={(e) => setGroupId(e.target.value)}>
+          {groups.map(g => <option key={g.id} value={g.id}>{g.name}</option>)}
+        </select>
+        <input type="date" className={`${inputClass(false)} w-auto text-lg`} value={date} onChange={(e) => setDate(e.target.value)} />
+        <div className="relative flex-1 min-w-[10rem]">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+          <input className={`${inputClass(false)} pl-10 text-lg`} placeholder="Find a name" value={search} onChange={(e) => setSearch(e.target.value)} />
+        </div>
+        <button className={buttonClass(false)} onClick={load} title="Refresh">
+          <RefreshCw className="w-4 h-4" />
+        </button>
+        {group && (
+          <button
+            className={buttonClass(false)}
+            onClick={() => download(`/api/exports/roll-sheets?group=${encodeURIComponent(group.code)}&from=${date}&blank=true`, 'roll-sheets.pdf')}
+            title="Blank roll sheets for the quarter starting on this date"
+          >
+            <Download className="w-4 h-4 mr-1" /> Roll sheets
+          </button>
+        )}
+      </div>
+
+      <ErrorMessage message={error} />
+
+      {!service && group && (
+        <div className="bg-white rounded-xl shadow p-8 text-center">
+          <p className="text-gray-600 mb-4">No {group.name} service has been opened for {date}.</p>
+          <button className={`${buttonClass()} text-lg px-6 py-3`} onClick={openService}>Open Check-In</button>
+        </div>
+      )}
+
+      {service && (
+        <div className="bg-white rounded-xl shadow overflow-x-auto">
+          <div className="flex items-center justify-between p-4 border-b">
+            <span className="text-lg font-semibold text-gray-800">
+              Hiện diện: {presentCount} / {roster.length}
+              {isClosed && <span className="ml-3 text-sm font-normal text-gray-500">Closed</span>}
+            </span>
+            {!isClosed && <button className={buttonClass(false)} onClick={closeService}>Close Service</button>}
+          </div>
+          <table className="w-full select-none">
+            <thead className="bg-gray-50 text-left text-sm text-gray-600">
+              <tr>
+                <th className="px-3 py-2 w-16">Order #</th>
+                <th className="px-3 py-2">Surname / Tên Họ</th>
+                <th className="px-3 py-2">First Name / Tên Riêng</th>
+                {previous.map(p => (
+                  <th key={p.date} className="px-2 py-2 text-center hidden md:table-cell">{p.date.slice(5)}</th>
+                ))}
+                <th className="px-3 py-2 text-center w-24">{date.slice(5)}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {shownRoster.map((person, index) => (
+                <tr key={person.id} className="border-t">
+                  <td className="px-3 py-3 text-gray-500">{person.roster_order || index + 1}</td>
+                  <td className="px-3 py-3 text-lg">{person.last_name}</td>
+                  <td className="px-3 py-3 text-lg">{[person.title, person.first_name].filter(Boolean).join(' ')}</td>
+                  {previous.map(p => (
+                    <td key={p.date} className="px-2 py-3 text-center text-gray-400 hidden md:table-cell">
+                      {markLabel(p.marks[person.id])}
+                    </td>
+                  ))}
+                  <td className="px-2 py-1 text-center">
+                    <button
+                      onClick={() => tap(person.id)}
+                      disabled={isClosed}
+                      className={`w-20 h-12 rounded-lg border-2 text-xl font-bold transition-colors ${
+                        presentCodes.has(marks[person.id])
+                          ? 'border-green-500 bg-green-50 text-green-700'
+                          : 'border-gray-200 text-gray-700'
+                      }`}
+                    >
+                      {markLabel(marks[person.id])}
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Prayer requests from signups, as follow-up tasks staff can take, note and close
+const PrayerInbox = ({ api }) => {
+  const [status, setStatus] = useState('');
+  const [tasks, setTasks] = useState([]);
+  const [expanded, setExpanded] = useState(null);
+  const [notes, setNotes] = useState([]);
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const body = await api(`/api/follow-ups?type=prayer${status ? `&status=${status}` : ''}`);
+      setTasks(body.tasks);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [api, status]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const expand = async (task) => {
+    if (expanded === task.id) {
+      setExpanded(null);
+      return;
+    }
+    setExpanded(task.id);
+    setNote('');
+    try {
+      const body = await api(`/api/follow-ups/${task.id}`);
+      setNotes(body.task.notes);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const update = async (task, changes) => {
+    try {
+      await api(`/api/follow-ups/${task.id}`, { method: 'PATCH', body: changes });
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const addNote = async (task) => {
+    if (!note.trim()) return;
+    try {
+      await api(`/api/follow-ups/${task.id}/notes`, { method: 'POST', body: { note } });
+      const body = await api(`/api/follow-ups/${task.id}`);
+      setNotes(body.task.notes);
+      setNote('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-2">
+        {[['', 'Open'], ['closed', 'Prayed / Closed'], ['all', 'All']].map(([value, label]) => (
+          <button key={value} className={buttonClass(status === value)} onClick={() => setStatus(value)}>{label}</button>
+        ))}
+      </div>
+
+      <ErrorMessage message={error} />
+
+      {tasks.length === 0 && <p className="text-gray-500">No prayer requests here.</p>}
+
+      {tasks.map(task => (
+        <div key={task.id} className="bg-white rounded-xl shadow p-4">
+          <div className="flex flex-wrap items-start justify-between gap-3">
+            <button className="text-left flex-1" onClick={() => expand(task)}>
+              <p className="font-semibold text-gray-800">{task.last_name} {task.first_name}</p>
+              <p className="text-gray-700 mt-1 whitespace-pre-line">{task.prayer_request || task.summary}</p>
+              <p className="text-xs text-gray-500 mt-2">
+                {task.phone} · received {dateOnly(task.created_at)}
+                {task.assigned_username && ` · ${task.assigned_username}`}
+                {task.due_date && ` · due ${dateOnly(task.due_date)}`}
+              </p>
+            </button>
+            {task.status !== 'closed' && (
+              <div className="flex gap-2">
+                {!task.assigned_to && (
+                  <button className={buttonClass(false)} onClick={() => update(task, { assignedTo: 'me' })}>
+                    <UserCheck className="w-4 h-4 mr-1" /> Take
+                  </button>
+                )}
+                <button className={buttonClass()} onClick={() => update(task, { status: 'closed' })}>
+                  <CheckCircle className="w-4 h-4 mr-1" /> Prayed
+                </button>
+              </div>
+            )}
+          </div>
+
+          {expanded === task.id && (
+            <div className="mt-4 border-t pt-4 space-y-2">
+              {notes.map(n => (
+                <p key={n.id} className="text-sm">
+                  <span className="text-gray-500">{n.username} · {new Date(n.created_at).toLocaleDateString()}:</span> {n.note}
+                </p>
+              ))}
+              <div className="flex gap-2">
+                <input className={inputClass(false)} placeholder="Add a note" value={note} onChange={(e) => setNote(e.target.value)} />
+                <button className={buttonClass(false)} onClick={() => addNote(task)}>
+                  <MessageSquare className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Changes members asked for in the member portal (names, email, birth date),
+// applied to their record once approved
+const ChangeRequests = ({ api }) => {
+  const [status, setStatus] = useState('pending');
+  const [requests, setRequests] = useState([]);
+  const [notes, setNotes] = useState({});
+  const [error, setError] = useState('');
+
+  const load = useCallback(async () => {
+    try {
+      const body = await api(`/api/change-requests?status=${status}`);
+      setRequests(body.changeRequests);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [api, status]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const review = async (request, decision) => {
+    try {
+      await api(`/api/change-requests/${request.id}`, {
+        method: 'PATCH',
+        body: { status: decision, note: notes[request.id] || null }
+      });
+      await load();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const fieldLabel = (name) => ([...memberFields, ...consentFields].find(f => f.name === name) || {}).label || name;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex gap-2">
+        {[['pending', 'Waiting'], ['approved', 'Approved'], ['rejected', 'Rejected'], ['all', 'All']].map(([value, label]) => (
+          <button key={value} className={buttonClass(status === value)} onClick={() => setStatus(value)}>{label}</button>
+        ))}
+      </div>
+
+      <ErrorMessage message={error} />
+
+      {requests.length === 0 && <p className="text-gray-500">No change requests here.</p>}
+
+      {requests.map(request => (
+        <div key={request.id} className="bg-white rounded-xl shadow p-4">
+          <div className="flex flex-wrap items-start justify-between gap-3">
+            <div className="flex-1">
+              <button className="font-semibold text-blue-700 text-left hover:underline" onClick={() => navigate('members', request.member_id)}>
+                {request.last_name} {request.first_name}
+              </button>
+              <p className="text-gray-700 mt-1">
+                {fieldLabel(request.field_name)}: <span className="line-through text-gray-400">{request.old_value || '(blank)'}</span>
+                {' → '}<span className="font-medium">{request.new_value || '(blank)'}</span>
+              </p>
+              <p className="text-xs text-gray-500 mt-2">
+                asked {dateOnly(request.created_at)}
+                {request.reviewed_by_username && ` · ${request.status} by ${request.reviewed_by_username} ${dateOnly(request.reviewed_at)}`}
+                {request.review_note && ` · ${request.review_note}`}
+              </p>
+            </div>
+            {request.status === 'pending' && (
+              <div className="flex flex-wrap gap-2">
+                <input
+                  className={inputClass(false)}
+                  style={{ width: '12rem' }}
+                  placeholder="Note (optional)"
+                  value={notes[request.id] || ''}
+                  onChange={(e) => setNotes(prev => ({ ...prev, [request.id]: e.target.value }))}
+                />
+                <button className={buttonClass()} onClick={() => review(request, 'approved')}>
+                  <CheckCircle className="w-4 h-4 mr-1" /> Approve
+                </button>
+                <button className={buttonClass(false)} onClick={() => review(request, 'rejected')}>
+                  <XCircle className="w-4 h-4 mr-1" /> Reject
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Bar chart of { labels, series } from /api/stats; several series are drawn side by side
+const BarChart = ({ labels = [], series = [], height = 200 }) => {
+  const max = Math.max(1, ...series.flatMap(s => s.data.map(value => value || 0)));
+  const width = Math.max(labels.length * (series.length * 14 + 10), 300);
+  const barWidth = 12;
+
+  return (
+    <div>
+      <div className="overflow-x-auto">
+        <svg viewBox={`0 0 ${width} ${height + 40}`} className="w-full" style={{ minWidth: Math.min(width, 900) }}>
+          {labels.map((label, i) => {
+            const x = i * (series.length * 14 + 10);
+            return (
+              <g key={label}>
+                {series.map((s, j) => {
+                  const barHeight = ((s.data[i] || 0) / max) * height;
+                  return (
+                    <rect
+                      key={s.name}
+                      x={x + j * 14}
+                      y={height - barHeight}
+                      width={barWidth}
+                      height={barHeight}
+                      fill={chartColors[j % chartColors.length]}
+                    >
+                      <title>{`${s.name} ${label}: ${s.data[i] ?? '-'}`}</title>
+                    </rect>
+                  );
+                })}
+                <text x={x} y={height + 14} fontSize="10" fill="#6b7280" transform={`rotate(30 ${x} ${height + 14})`}>
+                  {label}
+                </text>
+              </g>
+            );
+          })}
+        </svg>
+      </div>
+      {series.length > 1 && (
+        <div className="flex flex-wrap gap-3 mt-2 text-sm">
+          {series.map((s, j) => (
+            <span key={s.name} className="flex items-center">
+              <span className="w-3 h-3 rounded-sm mr-1" style={{ backgroundColor: chartColors[j % chartColors.length] }} />
+              {s.name}
+              {s.change !== undefined && s.change !== null && (
+                <span className={`ml-1 ${s.change >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                  ({s.change >= 0 ? '+' : ''}{s.change}%)
+                </span>
+              )}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ChartCard = ({ title, children }) => (
+  <div className="bg-white rounded-xl shadow p-6">
+    <h3 className="text-lg font-semibold text-gray-800 mb-4">{title}</h3>
+    {children}
+  </div>
+);
+
+// Charts from the /api/stats endpoints
+const StatsView = ({ api }) => {
+  const [period, setPeriod] = useState('week');
+  const [attendance, setAttendance] = useState(null);
+  const [other, setOther] = useState({});
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api(`/api/stats/attendance?interval=${period}`).then(setAttendance).catch(err => setError(err.message));
+  }, [api, period]);
+
+  useEffect(() => {
+    Promise.all([
+      ...['conversion', 'absentees', 'signups', 'ministries', 'journey'].map(name => api(`/api/stats/${name}`)),
+      api('/api/journey?stalled=true')
+    ])
+      .then(([conversion, absentees, signups, ministries, journey, stalled]) =>
+        setOther({ conversion, absentees, signups, ministries, journey, stalled }))
+      .catch(err => setError(err.message));
+  }, [api]);
+
+  const { conversion, absentees, signups, ministries, journey, stalled } = other;
+
+  return (
+    <div className="space-y-4">
+      <ErrorMessage message={error} />
+
+      <ChartCard title="Attendance">
+        <div className="flex gap-2 mb-4">
+          {[['week', 'Weekly'], ['month', 'Monthly'], ['quarter', 'Quarterly']].map(([value, label]) => (
+            <button key={value} className={buttonClass(period === value)} onClick={() => setPeriod(value)}>{label}</button>
+          ))}
+        </div>
+        {attendance && <BarChart labels={attendance.labels} series={attendance.series} />}
+      </ChartCard>
+
+      <ChartCard title="Visitor Journey">
+        {journey && (
+          <>
+            <p className="text-sm text-gray-600 mb-3">
+              {journey.timeToMember.members} of {journey.people} people who started the journey since {journey.from} became members
+              {journey.timeToMember.rate !== null && ` (${journey.timeToMember.rate}%)`}
+              {journey.timeToMember.medianDays !== null &&
+                `, after ${journey.timeToMember.medianDays} days (median; average ${journey.timeToMember.averageDays})`}
+            </p>
+            <BarChart labels={journey.labels} series={journey.series} />
+            <table className="w-full mt-4 text-sm">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="py-1">Stage</th>
+                  <th className="py-1">Days from previous (average)</th>
+                  <th className="py-1">Stalled after</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y">
+                {journey.stages.map(stage => (
+                  <tr key={stage.code}>
+                    <td className="py-1">{stage.name}</td>
+                    <td className="py-1">{stage.averageDaysFromPrevious ?? '-'}</td>
+                    <td className="py-1">{stage.stallAfterDays === null ? '-' : `${stage.stallAfterDays} days`}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </>
+        )}
+      </ChartCard>
+
+      <div className="grid gap-4 lg:grid-cols-2">
+        <ChartCard title="Becoming Members by How They Heard">
+          {journey && <BarChart labels={journey.sources.labels} series={journey.sources.series.slice(0, 2)} />}
+        </ChartCard>
+
+        <ChartCard title="Stalled on the Journey">
+          {stalled && stalled.people.length === 0 && <p className="text-sm text-gray-500">Nobody right now.</p>}
+          <ul className="divide-y text-sm">
+            {stalled && stalled.people.map(m => (
+              <li key={m.id} className="py-2 flex justify-between">
+                <button className="text-blue-600 text-left" onClick={() => navigate('members', m.id)}>{fullName(m)}</button>
+                <span className="text-gray-500">
+                  {m.stage_name} · {m.days_at_stage} days{m.responsible_username && ` · ${m.responsible_username}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </ChartCard>
+
+        <ChartCard title="Visitors Becoming Members">
+          {conversion && (
+            <>
+              <p className="text-sm text-gray-600 mb-3">
+                {conversion.totals.converted} of {conversion.totals.visitors} visitors became members
+                {conversion.totals.rate !== null && ` (${conversion.totals.rate}%)`}
+                {conversion.totals.averageDaysToConvert !== null && `, after ${conversion.totals.averageDaysToConvert} days on average`}
+              </p>
+              <BarChart labels={conversion.labels} series={conversion.series.slice(0, 2)} />
+            </>
+          )}
+        </ChartCard>
+
+        <ChartCard title="How People Heard About Us">
+          {signups && <BarChart labels={signups.labels} series={signups.series} />}
+        </ChartCard>
+
+        <ChartCard title="Ministry Interest">
+          {ministries && <BarChart labels={ministries.labels} series={ministries.series} />}
+        </ChartCard>
+
+        <ChartCard title={`Missed ${absentees ? absentees.sundays : 4}+ Sundays in a Row`}>
+          {absentees && absentees.members.length === 0 && <p className="text-sm text-gray-500">Nobody right now.</p>}
+          <ul className="divide-y text-sm">
+            {absentees && absentees.members.map(m => (
+              <li key={`${m.id}-${m.group_code}`} className="py-2 flex justify-between">
+                <button className="text-blue-600 text-left" onClick={() => navigate('members', m.id)}>{fullName(m)}</button>
+                <span className="text-gray-500">
+                  {m.group_code} · last {dateOnly(m.last_attended)} · {m.missed_sundays} missed
+                </span>
+              </li>
+            ))}
+          </ul>
+        </ChartCard>
+      </div>
+    </div>
+  );
+};
+
+const AdminDashboardApp = () => {
+  const [token, setToken] = useState(() => localStorage.getItem(TOKEN_KEY));
+  const [user, setUser] = useState(null);
+  const [route, setRoute] = useState(readRoute);
+
+  useEffect(() => {
+    const onHashChange = () => setRoute(readRoute());
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  const logout = useCallback(() => {
+    localStorage.removeItem(TOKEN_KEY);
+    setToken(null);
+    setUser(null);
+  }, []);
+
+  // Authenticated request; an expired session sends the user back to the login screen
+  const request = useCallback(async (path, { method = 'GET', body } = {}) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: {
+        Authorization: `Bearer ${token}`,
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    if (response.status === 401) {
+      logout();
+      throw new Error('Your session has expired. Please sign in again.');
+    }
+    return response;
+  }, [token, logout]);
+
+  const api = useCallback(async (path, options) => {
+    const response = await request(path, options);
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(body.message || body.error || `Request failed (${response.status})`);
+    }
+    return body;
+  }, [request]);
+
+  // Exports need the Authorization header, so fetch them and hand the file to the browser
+  const download = useCallback(async (path, fallbackName) => {
+    const response = await request(path);
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const match = disposition.match(/filename\*=UTF-8''([^;]+)/);
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = match ? decodeURIComponent(match[1]) : fallbackName;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }, [request]);
+
+  useEffect(() => {
+    if (token) {
+      api('/api/auth/me').then(body => setUser(body.user)).catch(() => {});
+    }
+  }, [token, api]);
+
+  if (!token) {
+    return (
+      <LoginScreen
+        onLogin={(newToken, newUser) => {
+          localStorage.setItem(TOKEN_KEY, newToken);
+          setToken(newToken);
+          setUser(newUser);
+        }}
+      />
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-100">
+      <header className="bg-gradient-to-r from-blue-600 to-indigo-600 text-white">
+        <div className="max-w-6xl mx-auto px-4 py-3 flex items-center justify-between">
+          <h1 className="text-xl font-bold">Church Admin</h1>
+          <div className="flex items-center gap-3 text-sm">
+            <User className="w-4 h-4" /> {user && user.username}
+            <button onClick={logout} className="flex items-center hover:text-blue-100" title="Sign out">
+              <LogOut className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+        <nav className="max-w-6xl mx-auto px-4 flex gap-1 overflow-x-auto">
+          {views.map(v => {
+            const Icon = v.icon;
+            return (
+              <button
+                key={v.id}
+                onClick={() => navigate(v.id)}
+                className={`flex items-center px-4 py-3 rounded-t-lg text-sm font-medium whitespace-nowrap ${
+                  route.view === v.id ? 'bg-gray-100 text-blue-700' : 'text-blue-100 hover:text-white'
+                }`}
+              >
+                <Icon className="w-4 h-4 mr-2" /> {v.title}
+              </button>
+            );
+          })}
+        </nav>
+      </header>
+
+      <main className="max-w-6xl mx-auto p-4">
+        {route.view === 'members' && !route.id && <MemberList api={api} download={download} />}
+        {route.view === 'members' && route.id && <MemberDetail
+            key={route.id}
+            api={api}
+            download={download}
+            memberId={route.id}
+            isAdmin={Boolean(user) && user.role === 'admin'}
+          />}
+        {route.view === 'check-in' && <CheckIn api={api} download={download} />}
+        {route.view === 'prayer' && <PrayerInbox api={api} />}
+        {route.view === 'requests' && <ChangeRequests api={api} />}
+        {route.view === 'stats' && <StatsView api={api} />}
+      </main>
+    </div>
+  );
+};
+
+export default AdminDashboardApp;
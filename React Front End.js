@@ -1,94 +1,771 @@
-import React, { useState } from 'react';
-import { User, Mail, Lock, Phone, Calendar, CreditCard, Check, AlertCircle } from 'lucide-react';
+import React, { useEffect, useState } from 'react';
+import { User, Mail, Phone, Calendar, MapPin, Heart, Users, Check, AlertCircle, ChevronLeft, ChevronRight, Plus, Trash2, LogOut } from 'lucide-react';
 
-const MembershipSignupApp = () => {
-  const [formData, setFormData] = useState({
-    firstName: '',
-    lastName: '',
-    email: '',
-    phone: '',
-    password: '',
-    confirmPassword: '',
-    birthDate: '',
-    membershipType: 'basic',
-    agreeToTerms: false,
-    newsletter: false
-  });
+const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
 
-  const [errors, setErrors] = useState({});
-  const [isSubmitting, setIsSubmitting] = useState(false);
-  const [isSuccess, setIsSuccess] = useState(false);
+const initialFormData = {
+  firstName: '',
+  lastName: '',
+  email: '',
+  phone: '',
+  birthDate: '',
+  address: '',
+  city: '',
+  state: '',
+  zipCode: '',
+  emergencyContactName: '',
+  emergencyContactPhone: '',
+  membershipType: 'visitor',
+  attendancePreference: '',
+  ministry: [],
+  howDidYouHear: '',
+  baptized: '',
+  salvation: '',
+  prayer: '',
+  preferredLanguage: 'vi',
+  consentPhotos: false,
+  consentDirectory: false,
+  consentEmails: false,
+  familyMembers: [],
+  // Honeypot: hidden from people, so only bots fill it in
+  website: ''
+};
+
+// Values must match the members.membership_type ENUM
+const membershipTypes = [
+  { id: 'visitor', name: 'Visitor', description: "I'm new and getting to know the church" },
+  { id: 'member', name: 'Member', description: 'I call this church my home' },
+  { id: 'volunteer', name: 'Volunteer', description: 'I want to serve in a ministry' }
+];
+
+const attendanceOptions = [
+  { id: 'sunday-morning', name: 'Sunday Morning Service' },
+  { id: 'sunday-evening', name: 'Sunday Evening Service' },
+  { id: 'wednesday', name: 'Wednesday Bible Study' },
+  { id: 'online', name: 'Online' }
+];
+
+const hearOptions = [
+  { id: 'friend', name: 'Friend or family' },
+  { id: 'website', name: 'Website' },
+  { id: 'social-media', name: 'Social media' },
+  { id: 'drive-by', name: 'Drove by' },
+  { id: 'event', name: 'Church event' },
+  { id: 'other', name: 'Other' }
+];
+
+const baptizedOptions = [
+  { id: 'yes', name: 'Yes' },
+  { id: 'no', name: 'No' },
+  { id: 'interested', name: "No, but I'm interested" }
+];
+
+const salvationOptions = [
+  { id: 'yes', name: 'Yes' },
+  { id: 'no', name: 'No' },
+  { id: 'unsure', name: "I'm not sure" }
+];
+
+// Language for church emails; values must match members.preferred_language
+const languageOptions = [
+  { id: 'vi', name: 'Tiếng Việt' },
+  { id: 'en', name: 'English' }
+];
+
+// Consent flags asked at signup and kept up to date in the portal (members.consent_* columns)
+const consentOptions = [
+  { name: 'consentPhotos', column: 'consent_photos', label: 'Photos of me may appear in church slides, newsletters and the website' },
+  { name: 'consentDirectory', column: 'consent_directory', label: 'List me in the printed member directory' },
+  { name: 'consentEmails', column: 'consent_emails', label: 'Send me church emails and reminders' }
+];
+
+const familyRoles = [
+  { id: 'spouse', name: 'Spouse' },
+  { id: 'child', name: 'Child' },
+  { id: 'other', name: 'Other' }
+];
+
+const steps = [
+  { id: 'personal', title: 'About You', icon: User },
+  { id: 'contact', title: 'Contact & Family', icon: MapPin },
+  { id: 'church', title: 'Church Life', icon: Users },
+  { id: 'faith', title: 'Faith & Prayer', icon: Heart }
+];
+
+// Which step each field lives on, so server errors can send the user back to it
+const fieldSteps = {
+  firstName: 0, lastName: 0, email: 0, phone: 0, birthDate: 0, preferredLanguage: 0,
+  address: 1, city: 1, state: 1, zipCode: 1, emergencyContactName: 1, emergencyContactPhone: 1, familyMembers: 1,
+  membershipType: 2, attendancePreference: 2, ministry: 2, howDidYouHear: 2,
+  baptized: 3, salvation: 3, prayer: 3, consentPhotos: 3, consentDirectory: 3, consentEmails: 3
+};
+
+// Longest answer each field takes: the column sizes in the members table
+// (SIGNUP_SCHEMA on the server)
+const maxLengths = {
+  firstName: 100, lastName: 100, email: 255, phone: 20, address: 255, city: 100, state: 50, zipCode: 10,
+  emergencyContactName: 100, emergencyContactPhone: 20, prayer: 5000
+};
 
-  const membershipTypes = [
-    { 
-      id: 'basic', 
-      name: 'Basic Membership', 
-      price: '$19/month', 
-      features: ['Access to basic content', 'Email support', 'Monthly newsletter'] 
-    },
-    { 
-      id: 'premium', 
-      name: 'Premium Membership', 
-      price: '$39/month', 
-      features: ['All basic features', 'Priority support', 'Exclusive content', 'Monthly webinars'] 
-    },
-    { 
-      id: 'enterprise', 
-      name: 'Enterprise Membership', 
-      price: '$99/month', 
-      features: ['All premium features', '24/7 phone support', 'Custom integrations', 'Dedicated account manager'] 
+const inputClass = (hasError) =>
+  `w-full px-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
+    hasError ? 'border-red-500' : 'border-gray-300'
+  }`;
+
+const iconInputClass = (hasError) => `${inputClass(hasError)} pl-10`;
+
+// Member portal: sign in with a link emailed by /api/portal/login, then see and
+// correct your own details. The link opens this page with ?login=<token>.
+const MEMBER_TOKEN_KEY = 'churchMemberToken';
+
+// Fields members change themselves, and the ones church staff check first
+// (PORTAL_FIELDS and PORTAL_APPROVAL_FIELDS on the server)
+const portalFields = [
+  { name: 'preferredName', column: 'preferred_name', label: 'Preferred Name' },
+  { name: 'phone', column: 'phone', label: 'Phone', type: 'tel' },
+  { name: 'address', column: 'address', label: 'Street Address' },
+  { name: 'city', column: 'city', label: 'City' },
+  { name: 'state', column: 'state', label: 'State' },
+  { name: 'zipCode', column: 'zip_code', label: 'ZIP Code' },
+  { name: 'emergencyContactName', column: 'emergency_contact_name', label: 'Emergency Contact Name' },
+  { name: 'emergencyContactPhone', column: 'emergency_contact_phone', label: 'Emergency Contact Phone', type: 'tel' }
+];
+
+const portalApprovalFields = [
+  { name: 'title', column: 'title', label: 'Title' },
+  { name: 'firstName', column: 'first_name', label: 'First Name' },
+  { name: 'lastName', column: 'last_name', label: 'Last Name' },
+  { name: 'email', column: 'email', label: 'Email', type: 'email' },
+  { name: 'birthDate', column: 'birth_date', label: 'Birth Date', type: 'date' }
+];
+
+const dateOnly = (value) => (value ? String(value).slice(0, 10) : '');
+
+const profileForm = (member) =>
+  [...portalFields, ...portalApprovalFields].reduce((form, field) => ({
+    ...form,
+    [field.name]: field.type === 'date' ? dateOnly(member[field.column]) : member[field.column] || ''
+  }), {});
+
+const MemberPortal = ({ onClose }) => {
+  const [token, setToken] = useState(() => localStorage.getItem(MEMBER_TOKEN_KEY));
+  const [member, setMember] = useState(null);
+  const [form, setForm] = useState({});
+  const [email, setEmail] = useState('');
+  const [linkSent, setLinkSent] = useState(false);
+  const [catalog, setCatalog] = useState([]);
+  const [ministryIds, setMinistryIds] = useState([]);
+  const [ledMinistries, setLedMinistries] = useState([]);
+  const [roleNames, setRoleNames] = useState({});
+  const [blackouts, setBlackouts] = useState([]);
+  const [blackoutForm, setBlackoutForm] = useState({ startDate: '', endDate: '', reason: '' });
+  const [preferences, setPreferences] = useState({ preferredLanguage: 'vi', servingReminders: true });
+  const [consent, setConsent] = useState({});
+  const [attendance, setAttendance] = useState(null);
+  const [registrations, setRegistrations] = useState([]);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const request = async (path, { method = 'GET', body, sessionToken = token } = {}) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(sessionToken ? { Authorization: `Bearer ${sessionToken}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json().catch(() => ({}));
+
+    if (response.status === 401 && sessionToken) {
+      localStorage.removeItem(MEMBER_TOKEN_KEY);
+      setToken(null);
+      setMember(null);
+    }
+    if (!response.ok) {
+      throw new Error(data.message || data.error || 'Something went wrong. Please try again.');
     }
-  ];
+    return data;
+  };
 
-  const validateForm = () => {
-    const newErrors = {};
+  const showMember = (profile) => {
+    setMember(profile);
+    setForm(profileForm(profile));
+    setMinistryIds(profile.ministries.map(m => m.id));
+    setPreferences({
+      preferredLanguage: profile.preferred_language || 'vi',
+      servingReminders: Boolean(profile.serving_reminders)
+    });
+    setConsent(Object.fromEntries(consentOptions.map(option => [option.name, Boolean(profile[option.column])])));
+  };
 
-    // Name validation
-    if (!formData.firstName.trim()) newErrors.firstName = 'First name is required';
-    if (!formData.lastName.trim()) newErrors.lastName = 'Last name is required';
+  // Exchange the token from an emailed link for a session, or reopen the saved one
+  useEffect(() => {
+    const loginToken = new URLSearchParams(window.location.search).get('login');
 
-    // Email validation
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!formData.email) {
-      newErrors.email = 'Email is required';
-    } else if (!emailRegex.test(formData.email)) {
-      newErrors.email = 'Please enter a valid email address';
+    if (loginToken) {
+      window.history.replaceState(null, '', window.location.pathname);
+      request('/api/portal/session', { method: 'POST', body: { token: loginToken }, sessionToken: null })
+        .then(data => {
+          localStorage.setItem(MEMBER_TOKEN_KEY, data.token);
+          setToken(data.token);
+          showMember(data.member);
+        })
+        .catch(err => setError(err.message));
+    } else if (token) {
+      request('/api/portal/me')
+        .then(data => showMember(data.member))
+        .catch(err => setError(err.message));
     }
+  }, []);
+
+  useEffect(() => {
+    if (!member) return;
 
-    // Phone validation
-    const phoneRegex = /^\+?[\d\s\-\(\)]{10,}$/;
-    if (!formData.phone) {
-      newErrors.phone = 'Phone number is required';
-    } else if (!phoneRegex.test(formData.phone)) {
-      newErrors.phone = 'Please enter a valid phone number';
+    fetch(`${API_URL}/api/ministries`)
+      .then(response => (response.ok ? response.json() : { ministries: [] }))
+      .then(body => setCatalog(body.ministries || []))
+      .catch(err => console.error('Could not load ministries:', err));
+    request('/api/portal/attendance')
+      .then(setAttendance)
+      .catch(err => console.error('Could not load attendance:', err));
+    request('/api/portal/events')
+      .then(data => setRegistrations(data.registrations))
+      .catch(err => console.error('Could not load events:', err));
+    loadLedMinistries()
+      .catch(err => console.error('Could not load your rosters:', err));
+    request('/api/portal/blackouts')
+      .then(data => setBlackouts(data.blackouts))
+      .catch(err => console.error('Could not load blackout dates:', err));
+  }, [member && member.id]);
+
+  // Ministries this member leads, with their rosters and serving roles
+  const loadLedMinistries = async () => {
+    const data = await request('/api/portal/ministries/led');
+    const withRoles = await Promise.all(data.ministries.map(async ministry => ({
+      ...ministry,
+      roles: (await request(`/api/ministries/${ministry.id}/roles`)).roles
+    })));
+    setLedMinistries(withRoles);
+  };
+
+  // Run a save, showing its message or error
+  const save = async (action) => {
+    setBusy(true);
+    setMessage('');
+    setError('');
+    try {
+      setMessage(await action());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
     }
+  };
+
+  const sendLink = (e) => {
+    e.preventDefault();
+    save(async () => {
+      await request('/api/portal/login', { method: 'POST', body: { email }, sessionToken: null });
+      setLinkSent(true);
+      return '';
+    });
+  };
+
+  const saveDetails = (e) => {
+    e.preventDefault();
+    const saved = profileForm(member);
+    const changes = Object.keys(form)
+      .filter(name => form[name] !== saved[name])
+      .reduce((body, name) => ({ ...body, [name]: form[name] }), {});
 
-    // Password validation
-    if (!formData.password) {
-      newErrors.password = 'Password is required';
-    } else if (formData.password.length < 8) {
-      newErrors.password = 'Password must be at least 8 characters long';
+    if (Object.keys(changes).length === 0) {
+      setMessage('No changes');
+      return;
     }
 
-    if (formData.password !== formData.confirmPassword) {
-      newErrors.confirmPassword = 'Passwords do not match';
+    save(async () => {
+      const data = await request('/api/portal/me', { method: 'PATCH', body: changes });
+      showMember(data.member);
+      return data.message;
+    });
+  };
+
+  // Join or leave a ministry as soon as its box is ticked or cleared
+  const toggleMinistry = (id) => save(async () => {
+    const data = await request(`/api/portal/ministries/${id}`, { method: ministryIds.includes(id) ? 'DELETE' : 'POST' });
+    const profile = await request('/api/portal/me');
+    showMember(profile.member);
+    return data.message;
+  });
+
+  const addRole = (ministryId) => save(async () => {
+    const data = await request(`/api/ministries/${ministryId}/roles`, { method: 'POST', body: { name: roleNames[ministryId] || '' } });
+    setRoleNames(prev => ({ ...prev, [ministryId]: '' }));
+    await loadLedMinistries();
+    return data.message;
+  });
+
+  const toggleRole = (role) => save(async () => {
+    const data = await request(`/api/serving-roles/${role.id}`, { method: 'PUT', body: { active: !role.active } });
+    await loadLedMinistries();
+    return data.message;
+  });
+
+  const addBlackout = (e) => {
+    e.preventDefault();
+    save(async () => {
+      const data = await request('/api/portal/blackouts', {
+        method: 'POST',
+        body: { ...blackoutForm, endDate: blackoutForm.endDate || undefined }
+      });
+      setBlackoutForm({ startDate: '', endDate: '', reason: '' });
+      setBlackouts((await request('/api/portal/blackouts')).blackouts);
+      return data.needsSwap.length > 0
+        ? `${data.message}. You were already scheduled on ${data.needsSwap.map(a => dateOnly(a.service_date)).join(', ')}; your leader will find someone to swap with.`
+        : data.message;
+    });
+  };
+
+  const removeBlackout = (id) => save(async () => {
+    const data = await request(`/api/portal/blackouts/${id}`, { method: 'DELETE' });
+    setBlackouts(prev => prev.filter(blackout => blackout.id !== id));
+    return data.message;
+  });
+
+  const savePreferences = () => save(async () => {
+    const data = await request('/api/portal/email-preferences', { method: 'PUT', body: preferences });
+    return data.message;
+  });
+
+  const saveConsent = () => save(async () => {
+    const data = await request('/api/portal/consent', { method: 'PUT', body: consent });
+    showMember(data.member);
+    return data.message;
+  });
+
+  const downloadData = () => save(async () => {
+    const response = await fetch(`${API_URL}/api/portal/export`, { headers: { Authorization: `Bearer ${token}` } });
+    if (!response.ok) {
+      throw new Error('Could not download your data. Please try again.');
     }
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(await response.blob());
+    link.download = `my-church-data-${dateOnly(new Date().toISOString())}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    return '';
+  });
+
+  const logout = async () => {
+    await request('/api/portal/logout', { method: 'POST' }).catch(() => {});
+    localStorage.removeItem(MEMBER_TOKEN_KEY);
+    setToken(null);
+    setMember(null);
+  };
+
+  const pendingFor = (name) => (member.pending_changes || []).find(change => change.field_name === name);
+
+  const renderField = (field, note) => (
+    <div key={field.name}>
+      <label className="block text-sm font-medium text-gray-700 mb-2">{field.label}</label>
+      <input
+        type={field.type || 'text'}
+        value={form[field.name] || ''}
+        onChange={e => setForm(prev => ({ ...prev, [field.name]: e.target.value }))}
+        className={inputClass(false)}
+      />
+      {note && <p className="mt-1 text-xs text-amber-700">{note}</p>}
+    </div>
+  );
+
+  const section = (title, children) => (
+    <div className="border-t border-gray-200 pt-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4">{title}</h2>
+      {children}
+    </div>
+  );
+
+  const buttonClass = `py-2 px-4 rounded-lg font-medium text-white transition-colors ${
+    busy ? 'bg-gray-400 cursor-not-allowed' : 'bg-blue-600 hover:bg-blue-700'
+  }`;
 
-    // Birth date validation
-    if (!formData.birthDate) {
-      newErrors.birthDate = 'Birth date is required';
-    } else {
-      const today = new Date();
-      const birthDate = new Date(formData.birthDate);
-      const age = today.getFullYear() - birthDate.getFullYear();
-      if (age < 18) {
-        newErrors.birthDate = 'You must be at least 18 years old to join';
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 py-8 px-4">
+      <div className="max-w-2xl mx-auto">
+        <div className="bg-white rounded-2xl shadow-xl overflow-hidden">
+          <div className="bg-gradient-to-r from-blue-600 to-indigo-700 px-8 py-6 flex items-start justify-between">
+            <div>
+              <h1 className="text-3xl font-bold text-white">My Details</h1>
+              <p className="text-blue-100 mt-2">
+                {member ? `Signed in as ${member.email}` : 'See and update what you told us'}
+              </p>
+            </div>
+            {member && (
+              <button type="button" onClick={logout} className="flex items-center text-sm text-blue-100 hover:text-white">
+                <LogOut className="w-4 h-4 mr-1" /> Sign out
+              </button>
+            )}
+          </div>
+
+          <div className="p-8 space-y-6">
+            {message && (
+              <div className="flex items-center p-3 bg-green-50 border border-green-200 rounded-lg">
+                <Check className="w-5 h-5 text-green-600 mr-2" />
+                <p className="text-sm text-green-700">{message}</p>
+              </div>
+            )}
+            {error && (
+              <div className="flex items-center p-3 bg-red-50 border border-red-200 rounded-lg">
+                <AlertCircle className="w-5 h-5 text-red-500 mr-2" />
+                <p className="text-sm text-red-700">{error}</p>
+              </div>
+            )}
+
+            {!member && (linkSent ? (
+              <p className="text-gray-600">
+                Check your email. If {email} belongs to one of our members, we've sent a link that signs you in.
+              </p>
+            ) : (
+              <form onSubmit={sendLink} className="space-y-4">
+                <p className="text-gray-600">Enter the email you signed up with and we'll send you a link to sign in.</p>
+                <div className="relative">
+                  <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+                  <input
+                    type="email"
+                    value={email}
+                    onChange={e => setEmail(e.target.value)}
+                    className={iconInputClass(false)}
+                    placeholder="you@example.com"
+                    required
+                  />
+                </div>
+                <button type="submit" disabled={busy} className={buttonClass}>Email me a sign-in link</button>
+              </form>
+            ))}
+
+            {member && (
+              <>
+                <form onSubmit={saveDetails} className="space-y-4">
+                  <h2 className="text-lg font-semibold text-gray-900">Contact details</h2>
+                  <div className="grid md:grid-cols-2 gap-4">
+                    {portalFields.map(field => renderField(field))}
+                  </div>
+
+                  <h3 className="text-sm font-semibold text-gray-900 pt-2">Checked by church staff before they change</h3>
+                  <div className="grid md:grid-cols-2 gap-4">
+                    {portalApprovalFields.map(field => {
+                      const pending = pendingFor(field.name);
+                      return renderField(field, pending && `Waiting for approval: ${pending.new_value || '(blank)'}`);
+                    })}
+                  </div>
+
+                  <button type="submit" disabled={busy} className={buttonClass}>Save details</button>
+                </form>
+
+                {section('Ministries you\'re interested in', (
+                  <>
+                    <div className="grid gap-2 md:grid-cols-2 mb-4">
+                      {catalog.map(ministry => {
+                        const isFull = ministry.spots_left === 0 && !ministryIds.includes(ministry.id);
+                        return (
+                          <label key={ministry.id} className={`flex items-start text-sm ${isFull ? 'text-gray-400' : 'text-gray-700'}`}>
+                            <input
+                              type="checkbox"
+                              checked={ministryIds.includes(ministry.id)}
+                              onChange={() => toggleMinistry(ministry.id)}
+                              disabled={isFull || busy}
+                              className="mt-0.5 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                            />
+                            <span className="ml-3">{ministry.name}{isFull && ' (full)'}</span>
+                          </label>
+                        );
+                      })}
+                    </div>
+                  </>
+                ))}
+
+                {ledMinistries.length > 0 && section('Ministries you lead', (
+                  <div className="space-y-4">
+                    {ledMinistries.map(ministry => (
+                      <div key={ministry.id}>
+                        <h3 className="text-sm font-semibold text-gray-900 mb-2">
+                          {ministry.name} ({ministry.roster.length})
+                        </h3>
+                        <ul className="text-sm text-gray-700 divide-y divide-gray-100">
+                          {ministry.roster.map(person => (
+                            <li key={person.id} className="py-1 flex flex-wrap justify-between gap-2">
+                              <span>
+                                {[person.title, person.last_name, person.first_name].filter(Boolean).join(' ')}
+                                {person.role === 'leader' && <span className="ml-2 text-xs text-blue-700">leader</span>}
+                              </span>
+                              <span className="text-gray-500">{[person.phone, person.email].filter(Boolean).join(' · ')}</span>
+                            </li>
+                          ))}
+                        </ul>
+                        <h4 className="text-xs font-semibold text-gray-700 uppercase mt-3 mb-1">Serving roles</h4>
+                        <div className="flex flex-wrap gap-2 mb-2">
+                          {(ministry.roles || []).map(role => (
+                            <button
+                              key={role.id}
+                              type="button"
+                              onClick={() => toggleRole(role)}
+                              disabled={busy}
+                              title={role.active ? 'Retire this role' : 'Bring this role back'}
+                              className={`px-3 py-1 rounded-full border text-xs ${
+                                role.active ? 'border-blue-300 text-blue-700' : 'border-gray-200 text-gray-400 line-through'
+                              }`}
+                            >
+                              {role.name}{role.people_needed > 1 && ` ×${role.people_needed}`}
+                            </button>
+                          ))}
+                        </div>
+                        <div className="flex gap-2">
+                          <input
+                            type="text"
+                            value={roleNames[ministry.id] || ''}
+                            onChange={e => setRoleNames(prev => ({ ...prev, [ministry.id]: e.target.value }))}
+                            className={inputClass(false)}
+                            placeholder="New role, e.g. Piano"
+                          />
+                          <button type="button" onClick={() => addRole(ministry.id)} disabled={busy} className={buttonClass}>
+                            <Plus className="w-4 h-4" />
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                ))}
+
+                {section('Email preferences', (
+                  <div className="space-y-4">
+                    <div className="flex flex-wrap gap-2">
+                      {languageOptions.map(option => (
+                        <button
+                          key={option.id}
+                          type="button"
+                          onClick={() => setPreferences(prev => ({ ...prev, preferredLanguage: option.id }))}
+                          className={`px-4 py-2 rounded-lg border-2 text-sm transition-colors ${
+                            preferences.preferredLanguage === option.id
+                              ? 'border-blue-500 bg-blue-50 text-blue-700'
+                              : 'border-gray-200 text-gray-700 hover:border-gray-300'
+                          }`}
+                        >
+                          {option.name}
+                        </button>
+                      ))}
+                    </div>
+                    <label className="flex items-center text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={preferences.servingReminders}
+                        onChange={e => setPreferences(prev => ({ ...prev, servingReminders: e.target.checked }))}
+                        className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                      />
+                      <span className="ml-3">Remind me by email before Sundays I'm serving</span>
+                    </label>
+                    <button type="button" onClick={savePreferences} disabled={busy} className={buttonClass}>Save preferences</button>
+                  </div>
+                ))}
+
+                {section('Sundays you can\'t serve', (
+                  <div className="space-y-4">
+                    {blackouts.length > 0 && (
+                      <ul className="divide-y divide-gray-100 text-sm">
+                        {blackouts.map(blackout => (
+                          <li key={blackout.id} className="flex justify-between items-center py-2">
+                            <span className="text-gray-700">
+                              {blackout.start_date}{blackout.end_date !== blackout.start_date && ` – ${blackout.end_date}`}
+                              {blackout.reason && <span className="text-gray-500"> · {blackout.reason}</span>}
+                            </span>
+                            <button type="button" onClick={() => removeBlackout(blackout.id)} disabled={busy} className="text-gray-400 hover:text-red-600">
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    <form onSubmit={addBlackout} className="grid md:grid-cols-3 gap-2">
+                      <input
+                        type="date"
+                        value={blackoutForm.startDate}
+                        onChange={e => setBlackoutForm(prev => ({ ...prev, startDate: e.target.value }))}
+                        className={inputClass(false)}
+                        required
+                      />
+                      <input
+                        type="date"
+                        value={blackoutForm.endDate}
+                        min={blackoutForm.startDate}
+                        onChange={e => setBlackoutForm(prev => ({ ...prev, endDate: e.target.value }))}
+                        className={inputClass(false)}
+                      />
+                      <input
+                        type="text"
+                        value={blackoutForm.reason}
+                        onChange={e => setBlackoutForm(prev => ({ ...prev, reason: e.target.value }))}
+                        className={inputClass(false)}
+                        placeholder="Reason (optional)"
+                      />
+                      <button type="submit" disabled={busy} className={buttonClass}>Add dates</button>
+                    </form>
+                  </div>
+                ))}
+
+                {section('Privacy', (
+                  <div className="space-y-4">
+                    {consentOptions.map(option => (
+                      <label key={option.name} className="flex items-start text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={Boolean(consent[option.name])}
+                          onChange={e => setConsent(prev => ({ ...prev, [option.name]: e.target.checked }))}
+                          className="mt-0.5 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                        />
+                        <span className="ml-3">{option.label}</span>
+                      </label>
+                    ))}
+                    <div className="flex flex-wrap gap-2">
+                      <button type="button" onClick={saveConsent} disabled={busy} className={buttonClass}>Save choices</button>
+                      <button
+                        type="button"
+                        onClick={downloadData}
+                        disabled={busy}
+                        className="py-2 px-4 rounded-lg font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+                      >
+                        Download my data
+                      </button>
+                    </div>
+                  </div>
+                ))}
+
+                {section('Attendance', attendance && (
+                  <>
+                    <p className="text-sm text-gray-600 mb-3">
+                      This quarter: {attendance.summary.quarterAttended} of {attendance.summary.quarterServices} services.
+                      {attendance.summary.lastAttended && ` Last attended ${dateOnly(attendance.summary.lastAttended)}.`}
+                    </p>
+                    {attendance.attendance.length === 0 ? (
+                      <p className="text-sm text-gray-500">No attendance recorded yet.</p>
+                    ) : (
+                      <ul className="divide-y divide-gray-100 text-sm">
+                        {attendance.attendance.slice(0, 12).map(record => (
+                          <li key={record.service_id} className="flex justify-between py-2">
+                            <span className="text-gray-700">
+                              <Calendar className="inline w-4 h-4 mr-2 text-gray-400" />
+                              {dateOnly(record.service_date)} {record.name}
+                            </span>
+                            <span className={record.attended ? 'text-green-600' : 'text-gray-400'}>
+                              {record.attended ? 'Present' : 'Absent'}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </>
+                ))}
+
+                {section('Events', registrations.length === 0 ? (
+                  <p className="text-sm text-gray-500">You haven't registered for any events.</p>
+                ) : (
+                  <ul className="divide-y divide-gray-100 text-sm">
+                    {registrations.map(registration => (
+                      <li key={registration.id} className="py-2">
+                        <div className="flex justify-between">
+                          <span className="font-medium text-gray-900">{registration.title}</span>
+                          <span className="text-gray-500">{registration.status}</span>
+                        </div>
+                        <p className="text-gray-500">
+                          {dateOnly(registration.starts_at)}
+                          {registration.location && ` · ${registration.location}`}
+                          {registration.attendees.length > 0 &&
+                            ` · ${registration.attendees.map(a => `${a.first_name} ${a.last_name}`).join(', ')}`}
+                        </p>
+                      </li>
+                    ))}
+                  </ul>
+                ))}
+              </>
+            )}
+
+            <button type="button" onClick={onClose} className="flex items-center text-sm text-blue-600 hover:text-blue-700">
+              <ChevronLeft className="w-4 h-4 mr-1" /> Back to the signup form
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const MembershipSignupApp = () => {
+  const [formData, setFormData] = useState(initialFormData);
+  const [errors, setErrors] = useState({});
+  const [step, setStep] = useState(0);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [isSuccess, setIsSuccess] = useState(false);
+  const [ministries, setMinistries] = useState([]);
+  // When the form was opened; the server refuses forms sent back within seconds
+  const [startedAt, setStartedAt] = useState(() => Date.now());
+  // Login links from the portal email open this page with ?login=<token>
+  const [showPortal, setShowPortal] = useState(() => new URLSearchParams(window.location.search).has('login'));
+
+  // The ministry list comes from the catalog the staff keep in the database
+  useEffect(() => {
+    fetch(`${API_URL}/api/ministries`)
+      .then(response => (response.ok ? response.json() : { ministries: [] }))
+      .then(body => setMinistries(body.ministries || []))
+      .catch(error => console.error('Could not load ministries:', error));
+  }, []);
+
+  const validateStep = (stepIndex) => {
+    const newErrors = {};
+
+    if (stepIndex === 0) {
+      // Name validation
+      if (!formData.firstName.trim()) newErrors.firstName = 'First name is required';
+      if (!formData.lastName.trim()) newErrors.lastName = 'Last name is required';
+
+      // Email validation
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!formData.email) {
+        newErrors.email = 'Email is required';
+      } else if (!emailRegex.test(formData.email)) {
+        newErrors.email = 'Please enter a valid email address';
+      }
+
+      // Phone validation
+      const phoneRegex = /^\+?[\d\s\-\(\)]{10,}$/;
+      if (!formData.phone) {
+        newErrors.phone = 'Phone number is required';
+      } else if (!phoneRegex.test(formData.phone)) {
+        newErrors.phone = 'Please enter a valid phone number';
+      }
+
+      // Birth date validation
+      if (!formData.birthDate) {
+        newErrors.birthDate = 'Birth date is required';
+      } else if (new Date(formData.birthDate) > new Date()) {
+        newErrors.birthDate = 'Birth date cannot be in the future';
       }
     }
 
-    // Terms validation
-    if (!formData.agreeToTerms) {
-      newErrors.agreeToTerms = 'You must agree to the terms and conditions';
+    if (stepIndex === 1) {
+      const phoneRegex = /^\+?[\d\s\-\(\)]{10,}$/;
+      if (formData.emergencyContactPhone && !phoneRegex.test(formData.emergencyContactPhone)) {
+        newErrors.emergencyContactPhone = 'Please enter a valid phone number';
+      }
+
+      formData.familyMembers.forEach((member, index) => {
+        if (!member.firstName.trim() || !member.lastName.trim()) {
+          newErrors[`familyMembers.${index}`] = 'First and last name are required';
+        }
+      });
+    }
+
+    if (stepIndex === 2 && !formData.membershipType) {
+      newErrors.membershipType = 'Please choose how you are joining us';
     }
 
     setErrors(newErrors);
@@ -108,31 +785,129 @@ const MembershipSignupApp = () => {
     }
   };
 
+  const toggleMinistry = (id) => {
+    setFormData(prev => ({
+      ...prev,
+      ministry: prev.ministry.includes(id)
+        ? prev.ministry.filter(m => m !== id)
+        : [...prev.ministry, id]
+    }));
+
+    if (errors.ministry) {
+      setErrors(prev => ({ ...prev, ministry: '' }));
+    }
+  };
+
+  const addFamilyMember = () => {
+    setFormData(prev => ({
+      ...prev,
+      familyMembers: [
+        ...prev.familyMembers,
+        { firstName: '', lastName: prev.lastName, role: 'spouse', birthDate: '' }
+      ]
+    }));
+  };
+
+  const updateFamilyMember = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      familyMembers: prev.familyMembers.map((member, i) =>
+        i === index ? { ...member, [field]: value } : member
+      )
+    }));
+
+    if (errors[`familyMembers.${index}`]) {
+      setErrors(prev => ({ ...prev, [`familyMembers.${index}`]: '' }));
+    }
+  };
+
+  const removeFamilyMember = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      familyMembers: prev.familyMembers.filter((_, i) => i !== index)
+    }));
+  };
+
+  const nextStep = () => {
+    if (validateStep(step)) {
+      setStep(prev => Math.min(prev + 1, steps.length - 1));
+    }
+  };
+
+  const previousStep = () => {
+    setErrors({});
+    setStep(prev => Math.max(prev - 1, 0));
+  };
+
+  // Map an error response from /api/signup onto the form
+  const showServerError = (status, body) => {
+    if (status === 400 && body.fields) {
+      setErrors({ ...body.fields, submit: body.message || 'Please check the highlighted fields.' });
+
+      // familyMembers.<index> errors belong to the familyMembers step
+      const firstStep = Math.min(...Object.keys(body.fields).map(field => fieldSteps[field.split('.')[0]] ?? steps.length - 1));
+      setStep(firstStep);
+      return;
+    }
+
+    if (status === 400 && Array.isArray(body.invalid) && body.error === 'Invalid ministries') {
+      const names = body.invalid
+        .map(item => (ministries.find(m => String(m.id) === String(item.value)) || {}).name || item.value);
+      setErrors({
+        ministry: `No longer available: ${names.join(', ')}. Please choose again.`,
+        submit: body.error
+      });
+      setFormData(prev => ({
+        ...prev,
+        ministry: prev.ministry.filter(id => !body.invalid.some(item => String(item.value) === String(id)))
+      }));
+      setStep(fieldSteps.ministry);
+      return;
+    }
+
+    if (status === 409) {
+      setErrors({ email: body.message || 'This email is already in our system', submit: body.error });
+      setStep(fieldSteps.email);
+      return;
+    }
+
+    setErrors({ submit: body.message || body.error || 'Signup failed. Please try again.' });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
-    
-    if (!validateForm()) {
+
+    if (!validateStep(step)) {
       return;
     }
 
     setIsSubmitting(true);
 
     try {
-      // Simulate API call
-      await new Promise(resolve => setTimeout(resolve, 2000));
-      
-      // In a real app, you would send the data to your backend:
-      // const response = await fetch('/api/signup', {
-      //   method: 'POST',
-      //   headers: { 'Content-Type': 'application/json' },
-      //   body: JSON.stringify(formData)
-      // });
-      
-      console.log('Signup data:', formData);
+      const response = await fetch(`${API_URL}/api/signup`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...formData,
+          familyMembers: formData.familyMembers.map(member => ({
+            ...member,
+            birthDate: member.birthDate || null
+          })),
+          secondsOnForm: Math.round((Date.now() - startedAt) / 1000)
+        })
+      });
+
+      const body = await response.json().catch(() => ({}));
+
+      if (!response.ok) {
+        showServerError(response.status, body);
+        return;
+      }
+
       setIsSuccess(true);
     } catch (error) {
       console.error('Signup failed:', error);
-      setErrors({ submit: 'Signup failed. Please try again.' });
+      setErrors({ submit: 'Could not reach the server. Please check your connection and try again.' });
     } finally {
       setIsSubmitting(false);
     }
@@ -140,20 +915,77 @@ const MembershipSignupApp = () => {
 
   const resetForm = () => {
     setIsSuccess(false);
-    setFormData({
-      firstName: '',
-      lastName: '',
-      email: '',
-      phone: '',
-      password: '',
-      confirmPassword: '',
-      birthDate: '',
-      membershipType: 'basic',
-      agreeToTerms: false,
-      newsletter: false
-    });
+    setStep(0);
+    setErrors({});
+    setFormData(initialFormData);
+    setStartedAt(Date.now());
   };
 
+  const renderError = (name) =>
+    errors[name] && <p className="mt-1 text-sm text-red-600">{errors[name]}</p>;
+
+  const renderIconInput = (Icon, name, label, props = {}) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+      <div className="relative">
+        <Icon className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+        <input
+          type="text"
+          name={name}
+          value={formData[name]}
+          onChange={handleInputChange}
+          className={iconInputClass(errors[name])}
+          maxLength={maxLengths[name]}
+          {...props}
+        />
+      </div>
+      {renderError(name)}
+    </div>
+  );
+
+  const renderInput = (name, label, props = {}) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+      <input
+        type="text"
+        name={name}
+        value={formData[name]}
+        onChange={handleInputChange}
+        className={inputClass(errors[name])}
+        maxLength={maxLengths[name]}
+        {...props}
+      />
+      {renderError(name)}
+    </div>
+  );
+
+  const renderChoices = (name, label, options) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-2">{label}</label>
+      <div className="flex flex-wrap gap-2">
+        {options.map(option => (
+          <button
+            key={option.id}
+            type="button"
+            onClick={() => handleInputChange({ target: { name, value: option.id } })}
+            className={`px-4 py-2 rounded-lg border-2 text-sm transition-colors ${
+              formData[name] === option.id
+                ? 'border-blue-500 bg-blue-50 text-blue-700'
+                : 'border-gray-200 text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            {option.name}
+          </button>
+        ))}
+      </div>
+      {renderError(name)}
+    </div>
+  );
+
+  if (showPortal) {
+    return <MemberPortal onClose={() => setShowPortal(false)} />;
+  }
+
   if (isSuccess) {
     return (
       <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
@@ -161,15 +993,15 @@ const MembershipSignupApp = () => {
           <div className="w-16 h-16 bg-green-100 rounded-full flex items-center justify-center mx-auto mb-4">
             <Check className="w-8 h-8 text-green-600" />
           </div>
-          <h2 className="text-2xl font-bold text-gray-900 mb-2">Welcome to Our Community!</h2>
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Welcome to Our Church Family!</h2>
           <p className="text-gray-600 mb-6">
-            Your membership has been successfully created. You'll receive a confirmation email shortly.
+            Thank you for signing up. You'll receive a confirmation email shortly, and our pastoral team will reach out soon.
           </p>
           <button
             onClick={resetForm}
             className="bg-blue-600 text-white px-6 py-2 rounded-lg hover:bg-blue-700 transition-colors"
           >
-            Sign Up Another Member
+            Sign Up Another Person
           </button>
         </div>
       </div>
@@ -182,210 +1014,245 @@ const MembershipSignupApp = () => {
         <div className="bg-white rounded-2xl shadow-xl overflow-hidden">
           {/* Header */}
           <div className="bg-gradient-to-r from-blue-600 to-indigo-700 px-8 py-6">
-            <h1 className="text-3xl font-bold text-white">Join Our Community</h1>
-            <p className="text-blue-100 mt-2">Choose your membership and get started today</p>
+            <h1 className="text-3xl font-bold text-white">Join Our Church Family</h1>
+            <p className="text-blue-100 mt-2">We'd love to get to know you</p>
+            <button
+              type="button"
+              onClick={() => setShowPortal(true)}
+              className="mt-3 text-sm text-blue-100 underline hover:text-white"
+            >
+              Already signed up? Manage your details
+            </button>
           </div>
 
-          <div className="p-8 space-y-6">
-            {/* Membership Type Selection */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-4">Choose Your Membership</label>
-              <div className="grid gap-4 md:grid-cols-3">
-                {membershipTypes.map((type) => (
-                  <div
-                    key={type.id}
-                    className={`border-2 rounded-xl p-4 cursor-pointer transition-all ${
-                      formData.membershipType === type.id
-                        ? 'border-blue-500 bg-blue-50'
-                        : 'border-gray-200 hover:border-gray-300'
-                    }`}
-                    onClick={() => setFormData(prev => ({ ...prev, membershipType: type.id }))}
-                  >
-                    <input
-                      type="radio"
-                      name="membershipType"
-                      value={type.id}
-                      checked={formData.membershipType === type.id}
-                      onChange={handleInputChange}
-                      className="sr-only"
-                    />
-                    <div className="text-center">
-                      <h3 className="font-semibold text-gray-900">{type.name}</h3>
-                      <p className="text-2xl font-bold text-blue-600 mt-1">{type.price}</p>
-                      <ul className="mt-3 space-y-1">
-                        {type.features.map((feature, index) => (
-                          <li key={index} className="text-xs text-gray-600">{feature}</li>
-                        ))}
-                      </ul>
-                    </div>
-                  </div>
-                ))}
-              </div>
+          {/* Step Indicator */}
+          <div className="flex border-b border-gray-200">
+            {steps.map((s, index) => {
+              const Icon = s.icon;
+              return (
+                <div
+                  key={s.id}
+                  className={`flex-1 flex flex-col items-center py-3 text-xs font-medium ${
+                    index === step ? 'text-blue-600 border-b-2 border-blue-600' : index < step ? 'text-green-600' : 'text-gray-400'
+                  }`}
+                >
+                  {index < step ? <Check className="w-5 h-5 mb-1" /> : <Icon className="w-5 h-5 mb-1" />}
+                  <span className="hidden sm:block">{s.title}</span>
+                </div>
+              );
+            })}
+          </div>
+
+          <form onSubmit={handleSubmit} className="p-8 space-y-6">
+            <div style={{ position: 'absolute', left: '-9999px' }} aria-hidden="true">
+              <label>
+                Website
+                <input type="text" name="website" tabIndex={-1} autoComplete="off" value={formData.website} onChange={handleInputChange} />
+              </label>
             </div>
 
-            {/* Personal Information */}
-            <div className="grid gap-4 md:grid-cols-2">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">First Name</label>
-                <div className="relative">
-                  <User className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
-                  <input
-                    type="text"
-                    name="firstName"
-                    value={formData.firstName}
-                    onChange={handleInputChange}
-                    className={`w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                      errors.firstName ? 'border-red-500' : 'border-gray-300'
-                    }`}
-                    placeholder="John"
-                  />
+            {/* Step 1: Personal Information */}
+            {step === 0 && (
+              <>
+                <div className="grid gap-4 md:grid-cols-2">
+                  {renderIconInput(User, 'firstName', 'First Name', { placeholder: 'John' })}
+                  {renderIconInput(User, 'lastName', 'Last Name', { placeholder: 'Doe' })}
                 </div>
-                {errors.firstName && <p className="mt-1 text-sm text-red-600">{errors.firstName}</p>}
-              </div>
+                {renderIconInput(Mail, 'email', 'Email Address', { type: 'email', placeholder: 'john.doe@example.com' })}
+                {renderIconInput(Phone, 'phone', 'Phone Number', { type: 'tel', placeholder: '+1 (555) 123-4567' })}
+                {renderIconInput(Calendar, 'birthDate', 'Birth Date', { type: 'date' })}
+                {renderChoices('preferredLanguage', 'Preferred language for emails', languageOptions)}
+              </>
+            )}
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Last Name</label>
-                <div className="relative">
-                  <User className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
-                  <input
-                    type="text"
-                    name="lastName"
-                    value={formData.lastName}
-                    onChange={handleInputChange}
-                    className={`w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                      errors.lastName ? 'border-red-500' : 'border-gray-300'
-                    }`}
-                    placeholder="Doe"
-                  />
+            {/* Step 2: Address, Emergency Contact and Family */}
+            {step === 1 && (
+              <>
+                {renderIconInput(MapPin, 'address', 'Street Address', { placeholder: '123 Main St' })}
+                <div className="grid gap-4 md:grid-cols-3">
+                  {renderInput('city', 'City', { placeholder: 'Houston' })}
+                  {renderInput('state', 'State', { placeholder: 'TX' })}
+                  {renderInput('zipCode', 'ZIP Code', { placeholder: '77001' })}
                 </div>
-                {errors.lastName && <p className="mt-1 text-sm text-red-600">{errors.lastName}</p>}
-              </div>
-            </div>
 
-            {/* Email */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Email Address</label>
-              <div className="relative">
-                <Mail className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
-                <input
-                  type="email"
-                  name="email"
-                  value={formData.email}
-                  onChange={handleInputChange}
-                  className={`w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                    errors.email ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  placeholder="john.doe@example.com"
-                />
-              </div>
-              {errors.email && <p className="mt-1 text-sm text-red-600">{errors.email}</p>}
-            </div>
+                <div className="grid gap-4 md:grid-cols-2">
+                  {renderInput('emergencyContactName', 'Emergency Contact Name')}
+                  {renderInput('emergencyContactPhone', 'Emergency Contact Phone', { type: 'tel' })}
+                </div>
 
-            {/* Phone */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Phone Number</label>
-              <div className="relative">
-                <Phone className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
-                <input
-                  type="tel"
-                  name="phone"
-                  value={formData.phone}
-                  onChange={handleInputChange}
-                  className={`w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                    errors.phone ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                  placeholder="+1 (555) 123-4567"
-                />
-              </div>
-              {errors.phone && <p className="mt-1 text-sm text-red-600">{errors.phone}</p>}
-            </div>
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <label className="block text-sm font-medium text-gray-700">Family Members</label>
+                    <button
+                      type="button"
+                      onClick={addFamilyMember}
+                      className="flex items-center text-sm text-blue-600 hover:text-blue-700"
+                    >
+                      <Plus className="w-4 h-4 mr-1" /> Add spouse or child
+                    </button>
+                  </div>
+                  <p className="text-xs text-gray-500 mb-3">
+                    Family members share your address and phone and don't need their own email.
+                  </p>
+                  <div className="space-y-3">
+                    {formData.familyMembers.map((member, index) => (
+                      <div key={index} className="border border-gray-200 rounded-lg p-3">
+                        <div className="grid gap-3 md:grid-cols-2">
+                          <input
+                            type="text"
+                            value={member.firstName}
+                            onChange={(e) => updateFamilyMember(index, 'firstName', e.target.value)}
+                            className={inputClass(errors[`familyMembers.${index}`])}
+                            maxLength={maxLengths.firstName}
+                            placeholder="First name"
+                          />
+                          <input
+                            type="text"
+                            value={member.lastName}
+                            onChange={(e) => updateFamilyMember(index, 'lastName', e.target.value)}
+                            className={inputClass(errors[`familyMembers.${index}`])}
+                            maxLength={maxLengths.lastName}
+                            placeholder="Last name"
+                          />
+                          <select
+                            value={member.role}
+                            onChange={(e) => updateFamilyMember(index, 'role', e.target.value)}
+                            className={inputClass(false)}
+                          >
+                            {familyRoles.map(role => (
+                              <option key={role.id} value={role.id}>{role.name}</option>
+                            ))}
+                          </select>
+                          <input
+                            type="date"
+                            value={member.birthDate}
+                            onChange={(e) => updateFamilyMember(index, 'birthDate', e.target.value)}
+                            className={inputClass(false)}
+                          />
+                        </div>
+                        <div className="flex items-center justify-between mt-2">
+                          {renderError(`familyMembers.${index}`) || <span />}
+                          <button
+                            type="button"
+                            onClick={() => removeFamilyMember(index)}
+                            className="flex items-center text-sm text-red-600 hover:text-red-700"
+                          >
+                            <Trash2 className="w-4 h-4 mr-1" /> Remove
+                          </button>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </>
+            )}
 
-            {/* Birth Date */}
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">Birth Date</label>
-              <div className="relative">
-                <Calendar className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
-                <input
-                  type="date"
-                  name="birthDate"
-                  value={formData.birthDate}
-                  onChange={handleInputChange}
-                  className={`w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                    errors.birthDate ? 'border-red-500' : 'border-gray-300'
-                  }`}
-                />
-              </div>
-              {errors.birthDate && <p className="mt-1 text-sm text-red-600">{errors.birthDate}</p>}
-            </div>
+            {/* Step 3: Church Life */}
+            {step === 2 && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-4">How are you joining us?</label>
+                  <div className="grid gap-4 md:grid-cols-3">
+                    {membershipTypes.map((type) => (
+                      <div
+                        key={type.id}
+                        className={`border-2 rounded-xl p-4 cursor-pointer transition-all ${
+                          formData.membershipType === type.id
+                            ? 'border-blue-500 bg-blue-50'
+                            : 'border-gray-200 hover:border-gray-300'
+                        }`}
+                        onClick={() => setFormData(prev => ({ ...prev, membershipType: type.id }))}
+                      >
+                        <input
+                          type="radio"
+                          name="membershipType"
+                          value={type.id}
+                          checked={formData.membershipType === type.id}
+                          onChange={handleInputChange}
+                          className="sr-only"
+                        />
+                        <div className="text-center">
+                          <h3 className="font-semibold text-gray-900">{type.name}</h3>
+                          <p className="mt-2 text-xs text-gray-600">{type.description}</p>
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                  {renderError('membershipType')}
+                </div>
 
-            {/* Password Fields */}
-            <div className="grid gap-4 md:grid-cols-2">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Password</label>
-                <div className="relative">
-                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
-                  <input
-                    type="password"
-                    name="password"
-                    value={formData.password}
-                    onChange={handleInputChange}
-                    className={`w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                      errors.password ? 'border-red-500' : 'border-gray-300'
-                    }`}
-                    placeholder="Enter password"
-                  />
+                {renderChoices('attendancePreference', 'Which service do you usually attend?', attendanceOptions)}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Ministries you're interested in</label>
+                  <div className="grid gap-2 md:grid-cols-2">
+                    {ministries.map(ministry => {
+                      const isFull = ministry.spots_left === 0 && !formData.ministry.includes(ministry.id);
+                      return (
+                        <label key={ministry.id} className={`flex items-start text-sm ${isFull ? 'text-gray-400' : 'text-gray-700'}`}>
+                          <input
+                            type="checkbox"
+                            checked={formData.ministry.includes(ministry.id)}
+                            onChange={() => toggleMinistry(ministry.id)}
+                            disabled={isFull}
+                            className="mt-0.5 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                          />
+                          <span className="ml-3">
+                            {ministry.name}{isFull && ' (full)'}
+                            {ministry.description && (
+                              <span className="block text-xs text-gray-500">{ministry.description}</span>
+                            )}
+                          </span>
+                        </label>
+                      );
+                    })}
+                  </div>
+                  {renderError('ministry')}
                 </div>
-                {errors.password && <p className="mt-1 text-sm text-red-600">{errors.password}</p>}
-              </div>
 
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">Confirm Password</label>
-                <div className="relative">
-                  <Lock className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
-                  <input
-                    type="password"
-                    name="confirmPassword"
-                    value={formData.confirmPassword}
+                {renderChoices('howDidYouHear', 'How did you hear about us?', hearOptions)}
+              </>
+            )}
+
+            {/* Step 4: Faith and Prayer */}
+            {step === 3 && (
+              <>
+                {renderChoices('baptized', 'Have you been baptized?', baptizedOptions)}
+                {renderChoices('salvation', 'Have you accepted Jesus as your Lord and Savior?', salvationOptions)}
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Prayer Request (optional)</label>
+                  <textarea
+                    name="prayer"
+                    value={formData.prayer}
                     onChange={handleInputChange}
-                    className={`w-full pl-10 pr-3 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent ${
-                      errors.confirmPassword ? 'border-red-500' : 'border-gray-300'
-                    }`}
-                    placeholder="Confirm password"
+                    rows={4}
+                    maxLength={maxLengths.prayer}
+                    className={inputClass(errors.prayer)}
+                    placeholder="How can we pray for you?"
                   />
+                  <p className="mt-1 text-xs text-gray-500">Only our pastors read prayer requests.</p>
+                  {renderError('prayer')}
                 </div>
-                {errors.confirmPassword && <p className="mt-1 text-sm text-red-600">{errors.confirmPassword}</p>}
-              </div>
-            </div>
 
-            {/* Checkboxes */}
-            <div className="space-y-3">
-              <div className="flex items-start">
-                <input
-                  type="checkbox"
-                  name="agreeToTerms"
-                  checked={formData.agreeToTerms}
-                  onChange={handleInputChange}
-                  className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
-                />
-                <label className="ml-3 text-sm text-gray-700">
-                  I agree to the <a href="#" className="text-blue-600 hover:underline">Terms and Conditions</a> and <a href="#" className="text-blue-600 hover:underline">Privacy Policy</a>
-                </label>
-              </div>
-              {errors.agreeToTerms && <p className="text-sm text-red-600">{errors.agreeToTerms}</p>}
-
-              <div className="flex items-start">
-                <input
-                  type="checkbox"
-                  name="newsletter"
-                  checked={formData.newsletter}
-                  onChange={handleInputChange}
-                  className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
-                />
-                <label className="ml-3 text-sm text-gray-700">
-                  Subscribe to our newsletter for updates and special offers
-                </label>
-              </div>
-            </div>
+                <div className="space-y-3">
+                  <label className="block text-sm font-medium text-gray-700">Privacy</label>
+                  {consentOptions.map(option => (
+                    <label key={option.name} className="flex items-start text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        name={option.name}
+                        checked={formData[option.name]}
+                        onChange={handleInputChange}
+                        className="mt-0.5 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                      />
+                      <span className="ml-3">{option.label}</span>
+                    </label>
+                  ))}
+                  <p className="text-xs text-gray-500">You can change these any time from the member portal.</p>
+                </div>
+              </>
+            )}
 
             {/* Error Message */}
             {errors.submit && (
@@ -395,23 +1262,45 @@ const MembershipSignupApp = () => {
               </div>
             )}
 
-            {/* Submit Button */}
-            <button
-              onClick={handleSubmit}
-              disabled={isSubmitting}
-              className={`w-full py-3 px-4 rounded-lg font-medium transition-colors ${
-                isSubmitting
-                  ? 'bg-gray-400 cursor-not-allowed'
-                  : 'bg-blue-600 hover:bg-blue-700'
-              } text-white`}
-            >
-              {isSubmitting ? 'Creating Your Membership...' : 'Create Membership'}
-            </button>
-          </div>
+            {/* Navigation */}
+            <div className="flex gap-4">
+              {step > 0 && (
+                <button
+                  type="button"
+                  onClick={previousStep}
+                  className="flex items-center justify-center py-3 px-4 rounded-lg font-medium border border-gray-300 text-gray-700 hover:bg-gray-50 transition-colors"
+                >
+                  <ChevronLeft className="w-4 h-4 mr-1" /> Back
+                </button>
+              )}
+
+              {step < steps.length - 1 ? (
+                <button
+                  type="button"
+                  onClick={nextStep}
+                  className="flex-1 flex items-center justify-center py-3 px-4 rounded-lg font-medium bg-blue-600 hover:bg-blue-700 text-white transition-colors"
+                >
+                  Next <ChevronRight className="w-4 h-4 ml-1" />
+                </button>
+              ) : (
+                <button
+                  type="submit"
+                  disabled={isSubmitting}
+                  className={`flex-1 py-3 px-4 rounded-lg font-medium transition-colors ${
+                    isSubmitting
+                      ? 'bg-gray-400 cursor-not-allowed'
+                      : 'bg-blue-600 hover:bg-blue-700'
+                  } text-white`}
+                >
+                  {isSubmitting ? 'Submitting...' : 'Join Our Church Family'}
+                </button>
+              )}
+            </div>
+          </form>
         </div>
       </div>
     </div>
   );
 };
 
-export default MembershipSignupApp;
\ No newline at end of file
+export default MembershipSignupApp;
@@ -3,32 +3,774 @@ const express = require('express');
 const cors = require('cors');
 const mysql = require('mysql2/promise');
 const nodemailer = require('nodemailer');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const XLSX = require('xlsx');
+const PDFDocument = require('pdfkit');
+const fs = require('fs');
+const path = require('path');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Browser origins allowed to call the API (where the signup form and dashboard
+// are served), comma separated; * allows any
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:3000')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+// Behind a proxy or load balancer (Heroku, nginx), TRUST_PROXY is the number of
+// proxies in front, so req.ip is the visitor's address for rate limiting
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY === 'true' ? true : Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors({ origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS }));
+app.use(express.json({ limit: '10mb' }));
 
-// Database connection pool
-const pool = mysql.createPool({
+// Database, chosen with DB_CLIENT:
+//   mysql  - a MySQL server (DB_HOST, DB_USER, DB_PASSWORD, DB_NAME), the default
+//   sqlite - a single database file (SQLITE_FILE), for a small congregation on a
+//            cheap host or for running the whole API locally without a server
+const DB_CLIENT = process.env.DB_CLIENT || 'mysql';
+const SQLITE_FILE = process.env.SQLITE_FILE || path.join(__dirname, 'church.sqlite');
+
+const DB_CONFIG = {
   host: process.env.DB_HOST || 'localhost',
   user: process.env.DB_USER || 'root',
   password: process.env.DB_PASSWORD || '',
-  database: process.env.DB_NAME || 'church_db',
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0
+  database: process.env.DB_NAME || 'church_db'
+};
+
+function createStorage() {
+  if (DB_CLIENT === 'mysql') {
+    return mysql.createPool({
+      ...DB_CONFIG,
+      waitForConnections: true,
+      connectionLimit: 10,
+      queueLimit: 0
+    });
+  }
+  if (DB_CLIENT === 'sqlite') {
+    return createSqliteStorage(SQLITE_FILE);
+  }
+  throw new Error(`Unknown DB_CLIENT "${DB_CLIENT}" (use mysql or sqlite)`);
+}
+
+// ---------------------------------------------------------------------------
+// SQLite storage: the same execute / query / getConnection surface as the mysql2
+// pool, so route handlers don't know which database they talk to. Statements are
+// written for MySQL; toSqliteSql() rewrites the MySQL-only syntax they use and
+// SQLITE_FUNCTIONS stands in for the MySQL built-ins SQLite lacks.
+// ---------------------------------------------------------------------------
+
+// mysql2 error codes the route handlers check for
+const SQLITE_ERROR_CODES = {
+  SQLITE_CONSTRAINT_UNIQUE: 'ER_DUP_ENTRY',
+  SQLITE_CONSTRAINT_PRIMARYKEY: 'ER_DUP_ENTRY',
+  SQLITE_CONSTRAINT_FOREIGNKEY: 'ER_NO_REFERENCED_ROW_2'
+};
+
+const SQL_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/;
+
+function parseSqlDate(value) {
+  const match = String(value).match(SQL_DATE_TIME);
+  if (!match) return null;
+  const [, year, month, day, hours, minutes, seconds] = match.map(part => Number(part || 0));
+  return new Date(year, month - 1, day, hours, minutes, seconds);
+}
+
+function formatSqlDateTime(date) {
+  return `${formatDate(date)} ${[date.getHours(), date.getMinutes(), date.getSeconds()]
+    .map(part => String(part).padStart(2, '0')).join(':')}`;
+}
+
+const SQL_DATE_FORMATS = {
+  Y: date => String(date.getFullYear()),
+  m: date => String(date.getMonth() + 1).padStart(2, '0'),
+  d: date => String(date.getDate()).padStart(2, '0'),
+  H: date => String(date.getHours()).padStart(2, '0'),
+  i: date => String(date.getMinutes()).padStart(2, '0'),
+  s: date => String(date.getSeconds()).padStart(2, '0')
+};
+
+function wholeDaysBetween(from, to) {
+  return Math.round(
+    (Date.UTC(to.getFullYear(), to.getMonth(), to.getDate()) -
+      Date.UTC(from.getFullYear(), from.getMonth(), from.getDate())) / 86400000
+  );
+}
+
+// MySQL functions used by the queries, by name. NOW and CURDATE read the clock;
+// the rest give the same answer for the same arguments.
+const SQLITE_FUNCTIONS = {
+  NOW: () => formatSqlDateTime(new Date()),
+  CURDATE: () => formatDate(new Date()),
+  DATE_FORMAT: (value, format) => {
+    const date = value == null ? null : parseSqlDate(value);
+    if (!date) return null;
+    return format.replace(/%(\w)/g, (token, code) => (SQL_DATE_FORMATS[code] ? SQL_DATE_FORMATS[code](date) : token));
+  },
+  DATEDIFF: (to, from) => {
+    const [end, start] = [to, from].map(value => (value == null ? null : parseSqlDate(value)));
+    return end && start ? wholeDaysBetween(start, end) : null;
+  },
+  TIMESTAMPDIFF: (unit, from, to) => {
+    const [start, end] = [from, to].map(value => (value == null ? null : parseSqlDate(value)));
+    if (!start || !end) return null;
+    if (unit === 'DAY') return wholeDaysBetween(start, end);
+    const months = (end.getFullYear() - start.getFullYear()) * 12 + end.getMonth() - start.getMonth() -
+      (end.getDate() < start.getDate() ? 1 : 0);
+    if (unit === 'MONTH') return months;
+    if (unit === 'YEAR') return Math.trunc(months / 12);
+    throw new Error(`TIMESTAMPDIFF unit ${unit} is not supported on SQLite`);
+  },
+  DAYOFWEEK: value => {
+    const date = value == null ? null : parseSqlDate(value);
+    return date ? date.getDay() + 1 : null;
+  },
+  FIELD: (value, ...list) => list.indexOf(value) + 1,
+  // members.search_name: the accent and case folding MySQL's collation does
+  NORMALIZE_TEXT: value => (value == null ? null : normalizeText(value))
+};
+const SQLITE_CLOCK_FUNCTIONS = ['NOW', 'CURDATE'];
+const SQLITE_STATEMENT_CACHE = 500;
+
+function toSqliteSql(sql) {
+  return sql
+    .replace(/\bINSERT IGNORE\b/g, 'INSERT OR IGNORE')
+    .replace(/\bUPDATE IGNORE\b/g, 'UPDATE OR IGNORE')
+    // Writers take turns on SQLite (see createSqliteStorage), so row locks are not needed
+    .replace(/\s+FOR UPDATE\b/g, '')
+    .replace(/\bTIMESTAMPDIFF\((\w+),/g, "TIMESTAMPDIFF('$1',")
+    .replace(
+      /\bGROUP_CONCAT\(([^()]*?)\s+ORDER BY\s+([^()]*?)(?:\s+SEPARATOR\s+('[^']*'))?\)/g,
+      (match, expression, order, separator = "','") => `GROUP_CONCAT(${expression}, ${separator} ORDER BY ${order})`
+    )
+    .replace(/\bGROUP_CONCAT\(([^()]*?)\s+SEPARATOR\s+('[^']*')\)/g, 'GROUP_CONCAT($1, $2)')
+    .replace(
+      /\bON DUPLICATE KEY UPDATE\b([\s\S]*)$/,
+      (match, assignments) => `ON CONFLICT DO UPDATE SET${assignments.replace(/\bVALUES\((\w+)\)/g, 'excluded.$1')}`
+    )
+    .replace(/\)\s*ENGINE=\w+[^;]*$/, ')');
+}
+
+// mysql2 expands array parameters: [1, 2] becomes "?, ?" and [[1, 2], [3, 4]]
+// (a bulk INSERT ... VALUES ?) becomes "(?, ?), (?, ?)".
+function expandSqlParams(sql, params = []) {
+  const values = [];
+  let index = 0;
+  const text = sql.replace(/'(?:[^']|'')*'|\?/g, token => {
+    if (token !== '?') return token;
+    const param = params[index++];
+    if (!Array.isArray(param)) {
+      values.push(param);
+      return '?';
+    }
+    if (param.length > 0 && Array.isArray(param[0])) {
+      values.push(...param.flat());
+      return param.map(row => `(${row.map(() => '?').join(', ')})`).join(', ');
+    }
+    values.push(...param);
+    return param.map(() => '?').join(', ');
+  });
+  return { text, values: values.map(toSqliteValue) };
+}
+
+// Parameters the way MySQL stores them: booleans as 1/0, dates and ISO date
+// strings as local "YYYY-MM-DD HH:MM:SS" ("YYYY-MM-DD" for a date at midnight)
+function toSqliteValue(value) {
+  if (value === undefined) return null;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) {
+    const time = formatSqlDateTime(value);
+    return time.endsWith(' 00:00:00') ? formatDate(value) : time;
+  }
+  if (typeof value === 'string') {
+    const match = value.match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2})(:\d{2})?(\.\d+)?(Z|[+-]\d{2}:?\d{2})?$/);
+    if (match) {
+      return match[5] ? formatSqlDateTime(new Date(value)) : `${match[1]} ${match[2]}${match[3] || ':00'}`;
+    }
+  }
+  return value;
+}
+
+// Column values the way mysql2 returns them: DATE / DATETIME / TIMESTAMP as
+// Date objects, DECIMAL as fixed-point strings and JSON parsed
+function sqliteColumnReader(column) {
+  const type = (column.type || '').toUpperCase();
+  if (type === 'DATE' || type === 'DATETIME' || type === 'TIMESTAMP') {
+    return value => (value == null ? value : parseSqlDate(value) || value);
+  }
+  const decimal = type.match(/^DECIMAL\(\d+,\s*(\d+)\)$/);
+  if (decimal) {
+    return value => (value == null ? value : Number(value).toFixed(Number(decimal[1])));
+  }
+  if (type === 'JSON') {
+    return value => (typeof value === 'string' ? JSON.parse(value) : value);
+  }
+  // Computed values such as MAX(created_at) or NOW() carry no declared type
+  return value => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value)
+    ? parseSqlDate(value)
+    : value);
+}
+
+function sqliteError(error, sql) {
+  if (SQLITE_ERROR_CODES[error.code]) {
+    error.code = /^\s*DELETE\b/i.test(sql) && error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY'
+      ? 'ER_ROW_IS_REFERENCED_2'
+      : SQLITE_ERROR_CODES[error.code];
+  }
+  return error;
+}
+
+// A better-sqlite3 connection with the MySQL stand-in functions, and run(),
+// which answers the way mysql2's execute does
+function openSqliteConnection(file, options = {}) {
+  const Database = require('better-sqlite3');
+  const db = new Database(file, options);
+  if (!options.readonly) db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  for (const [name, fn] of Object.entries(SQLITE_FUNCTIONS)) {
+    db.function(name, { varargs: true, deterministic: !SQLITE_CLOCK_FUNCTIONS.includes(name) }, fn);
+  }
+
+  // Prepared statements, least recently used first. IN (?) lists expand to one
+  // text per length, so only the most recent SQLITE_STATEMENT_CACHE are kept.
+  const statements = new Map();
+  const prepare = text => {
+    let statement = statements.get(text);
+    if (statement) {
+      statements.delete(text);
+    } else {
+      statement = db.prepare(text);
+      if (statements.size >= SQLITE_STATEMENT_CACHE) {
+        statements.delete(statements.keys().next().value);
+      }
+    }
+    statements.set(text, statement);
+    return statement;
+  };
+
+  const run = (sql, params) => {
+    const { text, values } = expandSqlParams(toSqliteSql(sql), params);
+    let statement;
+    try {
+      statement = prepare(text);
+    } catch (error) {
+      // Migration and seed files hold several statements and take no parameters
+      if (/more than one statement/.test(error.message) && !(params && params.length)) {
+        db.exec(sql);
+        return [[], []];
+      }
+      throw sqliteError(error, sql);
+    }
+
+    try {
+      if (statement.reader) {
+        const columns = statement.columns();
+        const readers = columns.map(sqliteColumnReader);
+        const rows = statement.raw(true).all(...values).map(row => {
+          const record = {};
+          columns.forEach((column, i) => { record[column.name] = readers[i](row[i]); });
+          return record;
+        });
+        return [rows, columns];
+      }
+      const info = statement.run(...values);
+      return [{ insertId: Number(info.lastInsertRowid), affectedRows: info.changes }, undefined];
+    } catch (error) {
+      throw sqliteError(error, sql);
+    }
+  };
+
+  const isRead = (sql, params) => {
+    try {
+      return prepare(expandSqlParams(toSqliteSql(sql), params).text).reader;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  return { db, run, isRead };
+}
+
+// Two better-sqlite3 connections shared by the whole server. Writes and
+// pooled connections (getConnection) use the first: a pooled connection is
+// exclusive until it is released, and writes made outside one wait for it, so
+// a rollback never undoes another request's work. Reads outside a pooled
+// connection run at once on the second, read-only connection, which (in WAL
+// mode) sees only committed data, never a transaction still in progress.
+function createSqliteStorage(file) {
+  const { db, run } = openSqliteConnection(file);
+  const reader = openSqliteConnection(file, { readonly: true });
+
+  // Connections queue for the database one at a time
+  let busy = false;
+  const waiting = [];
+  const acquire = () => new Promise(resolve => {
+    if (busy) {
+      waiting.push(resolve);
+    } else {
+      busy = true;
+      resolve();
+    }
+  });
+  const releaseLock = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else busy = false;
+  };
+
+  const poolStatement = async (sql, params) => {
+    if (reader.isRead(sql, params)) return reader.run(sql, params);
+    await acquire();
+    try {
+      return run(sql, params);
+    } finally {
+      releaseLock();
+    }
+  };
+
+  return {
+    client: 'sqlite',
+    execute: poolStatement,
+    query: poolStatement,
+    async getConnection() {
+      await acquire();
+      let released = false;
+      const connection = {
+        execute: async (sql, params) => run(sql, params),
+        query: async (sql, params) => run(sql, params),
+        async beginTransaction() {
+          db.exec('BEGIN IMMEDIATE');
+        },
+        async commit() {
+          db.exec('COMMIT');
+        },
+        async rollback() {
+          if (db.inTransaction) db.exec('ROLLBACK');
+        },
+        release() {
+          if (released) return;
+          released = true;
+          if (db.inTransaction) db.exec('ROLLBACK');
+          releaseLock();
+        },
+        async end() {
+          connection.release();
+        }
+      };
+      return connection;
+    },
+    async end() {
+      reader.db.close();
+      db.close();
+    }
+  };
+}
+
+const pool = createStorage();
+
+// ---------------------------------------------------------------------------
+// Member repository: reading and writing member rows. Where MySQL and SQLite
+// need different SQL, each has its own statement in MEMBER_SQL instead of going
+// through toSqliteSql(). Methods take the pool or a transaction's connection.
+// ---------------------------------------------------------------------------
+
+const MEMBER_SQL = {
+  mysql: {
+    // Locks the row until the transaction ends
+    selectForUpdate: 'SELECT * FROM members WHERE id = ? FOR UPDATE',
+    now: 'NOW()',
+    phoneDigits: "REGEXP_REPLACE(m.phone, '[^0-9]', '')"
+  },
+  sqlite: {
+    // Writers already take turns (see createSqliteStorage)
+    selectForUpdate: 'SELECT * FROM members WHERE id = ?',
+    now: "datetime('now', 'localtime')",
+    phoneDigits: "REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(REPLACE(m.phone, ' ', ''), '-', ''), '(', ''), ')', ''), '.', ''), '+', '')"
+  }
+};
+
+function createMemberRepository(client) {
+  const sql = MEMBER_SQL[client];
+
+  return {
+    async findById(db, id) {
+      const [rows] = await db.execute('SELECT * FROM members WHERE id = ?', [id]);
+      return rows[0] || null;
+    },
+
+    // The row, kept from other writers until the transaction ends
+    async findForUpdate(connection, id) {
+      const [rows] = await connection.execute(sql.selectForUpdate, [id]);
+      return rows[0] || null;
+    },
+
+    // Every member with the address (spouses may share one); both databases
+    // compare emails without case
+    async findByEmail(db, email, { status = null } = {}) {
+      const [rows] = await db.execute(
+        `SELECT * FROM members WHERE email = ?${status ? ' AND status = ?' : ''} ORDER BY id`,
+        status ? [email, status] : [email]
+      );
+      return rows;
+    },
+
+    // changes as built by memberChanges(); notes when their consent last changed
+    async update(connection, id, changes) {
+      if (changes.length === 0) return;
+
+      const consentChanged = changes.some(c => CONSENT_FIELDS.includes(c.field));
+      await connection.execute(
+        `UPDATE members SET ${changes.map(c => `${c.column} = ?`).join(', ')}${consentChanged ? `, consent_updated_at = ${sql.now}` : ''}
+        WHERE id = ?`,
+        [...changes.map(c => c.newValue), id]
+      );
+    },
+
+    // status is active or inactive; deactivated_at notes when they left
+    async setStatus(connection, id, status) {
+      await connection.execute(
+        `UPDATE members SET status = ?, deactivated_at = ${status === 'inactive' ? sql.now : 'NULL'} WHERE id = ?`,
+        [status, id]
+      );
+    },
+
+    async setHousehold(connection, id, householdId, role) {
+      await connection.execute(
+        'UPDATE members SET household_id = ?, household_role = ? WHERE id = ?',
+        [householdId, role, id]
+      );
+    },
+
+    // Clears everything that identifies them; the row stays ("Anonymous #<id>")
+    // so attendance counts are kept
+    async anonymize(connection, id) {
+      await connection.execute(
+        `UPDATE members SET
+          title = NULL, first_name = 'Anonymous', last_name = ?, preferred_name = NULL, email = NULL,
+          phone = NULL, address = NULL, city = NULL, state = NULL, zip_code = NULL, birth_date = NULL,
+          attendance_preference = NULL, baptized = NULL, salvation = NULL, emergency_contact_name = NULL,
+          emergency_contact_phone = NULL, prayer_request = NULL, household_id = NULL, household_role = NULL,
+          consent_photos = FALSE, consent_directory = FALSE, consent_emails = FALSE, consent_updated_at = ${sql.now},
+          serving_reminders = FALSE, status = 'inactive', deactivated_at = COALESCE(deactivated_at, ${sql.now}),
+          anonymized_at = ${sql.now}
+        WHERE id = ?`,
+        [`#${id}`, id]
+      );
+    },
+
+    // Ministries, attendance and group history go with the row (ON DELETE CASCADE)
+    async remove(connection, id) {
+      await connection.execute('DELETE FROM members WHERE id = ?', [id]);
+    },
+
+    // The member list search: name (accent-insensitive), email, or phone digits.
+    // search_name folds "Đ" to "D"; the accent-insensitive collation (MySQL) or
+    // NORMALIZE_TEXT (SQLite) handles the rest.
+    searchCondition(q) {
+      const searches = ['m.search_name LIKE ?', 'm.email LIKE ?'];
+      const params = [`%${normalizeText(q)}%`, `%${String(q).trim()}%`];
+      const digits = String(q).replace(/\D/g, '');
+      if (digits.length >= 3) {
+        searches.push(`${sql.phoneDigits} LIKE ?`);
+        params.push(`%${digits}%`);
+      }
+      return { condition: `(${searches.join(' OR ')})`, params };
+    }
+  };
+}
+
+const memberRepository = createMemberRepository(DB_CLIENT);
+
+// Email transport, chosen with EMAIL_TRANSPORT:
+//   smtp    - SMTP_HOST (SMTP_PORT, SMTP_SECURE), or without SMTP_HOST the EMAIL_SERVICE
+//             provider (gmail unless set), logging in as EMAIL_USER / EMAIL_PASSWORD.
+//             The default when SMTP_HOST or EMAIL_USER is set, so a .env with only
+//             the Gmail EMAIL_USER and EMAIL_PASSWORD keeps sending.
+//   file    - each message is saved as an .eml file in EMAIL_OUTPUT_DIR
+//   console - nothing is sent and only a line per message is logged (the default
+//             when no mail server is configured)
+const EMAIL_TRANSPORT = process.env.EMAIL_TRANSPORT ||
+  (process.env.SMTP_HOST || process.env.EMAIL_USER ? 'smtp' : 'console');
+const EMAIL_OUTPUT_DIR = process.env.EMAIL_OUTPUT_DIR || path.join(__dirname, 'mail');
+
+function createMailTransport() {
+  if (EMAIL_TRANSPORT === 'smtp') {
+    const auth = process.env.EMAIL_USER
+      ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASSWORD }
+      : undefined;
+
+    if (!process.env.SMTP_HOST) {
+      return nodemailer.createTransport({ service: process.env.EMAIL_SERVICE || 'gmail', auth });
+    }
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth
+    });
+  }
+  if (EMAIL_TRANSPORT === 'file') {
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+  if (EMAIL_TRANSPORT === 'console') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+  throw new Error(`Unknown EMAIL_TRANSPORT "${EMAIL_TRANSPORT}" (use smtp, file or console)`);
+}
+
+const transporter = createMailTransport();
+
+async function deliverMail(mailOptions) {
+  const info = await transporter.sendMail(mailOptions);
+
+  if (EMAIL_TRANSPORT === 'file') {
+    await fs.promises.mkdir(EMAIL_OUTPUT_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+    await fs.promises.writeFile(path.join(EMAIL_OUTPUT_DIR, fileName), info.message);
+  } else if (EMAIL_TRANSPORT === 'console') {
+    // Messages hold member details and login links, so neither they nor the
+    // recipient are logged; use EMAIL_TRANSPORT=file to read whole messages
+    console.log('📧 Email not sent (EMAIL_TRANSPORT=console)');
+  }
+  return info;
+}
+
+// ---------------------------------------------------------------------------
+// Admin authentication (admin_users / admin_sessions)
+// ---------------------------------------------------------------------------
+
+const ADMIN_ROLES = ['admin', 'staff', 'pastor'];
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS) || 12;
+const BCRYPT_ROUNDS = 12;
+// Password guesses per IP before the login answers 429
+const LOGIN_RATE_LIMIT = Number(process.env.LOGIN_RATE_LIMIT) || 10;
+const LOGIN_RATE_WINDOW_MINUTES = Number(process.env.LOGIN_RATE_WINDOW_MINUTES) || 15;
+
+// Only a SHA-256 of the session token is stored, so a leaked table can't be replayed
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// The staff account behind a session token, or undefined
+async function findStaffSession(token) {
+  const [rows] = await pool.execute(
+    `SELECT u.id, u.username, u.email, u.role, u.member_id
+    FROM admin_sessions s
+    JOIN admin_users u ON u.id = s.admin_user_id
+    WHERE s.token_hash = ? AND s.expires_at > NOW()`,
+    [hashToken(token)]
+  );
+  return rows[0];
+}
+
+// Middleware: require a valid Bearer token belonging to one of the given roles
+function requireRole(...roles) {
+  return async (req, res, next) => {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+
+    if (!match) {
+      return res.status(401).json({
+        error: 'Authentication required'
+      });
+    }
+
+    try {
+      const admin = await findStaffSession(match[1]);
+
+      if (!admin) {
+        return res.status(401).json({
+          error: 'Session expired or invalid'
+        });
+      }
+
+      if (!roles.includes(admin.role)) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          requiredRoles: roles
+        });
+      }
+
+      req.admin = admin;
+      next();
+    } catch (error) {
+      console.error('Authentication error:', error);
+      res.status(500).json({
+        error: 'Authentication failed'
+      });
+    }
+  };
+}
+
+// Pastors can do everything staff can, and see the fields marked pastor-only
+const requireStaff = requireRole('admin', 'staff', 'pastor');
+const requireAdmin = requireRole('admin');
+
+// memberId links the account to the staff member's own record (e.g. ministry leaders)
+async function createAdminUser({ username, email, password, role = 'staff', memberId = null }) {
+  const passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  const [result] = await pool.execute(
+    'INSERT INTO admin_users (username, password_hash, email, role, member_id) VALUES (?, ?, ?, ?, ?)',
+    [username, passwordHash, email, role, memberId]
+  );
+  return result.insertId;
+}
+
+const staffLoginRateLimit = rateLimit({
+  max: LOGIN_RATE_LIMIT,
+  windowMinutes: LOGIN_RATE_WINDOW_MINUTES,
+  message: 'Too many login attempts. Please try again later.'
+});
+
+// Log in and receive a session token
+app.post('/api/auth/login', staffLoginRateLimit, async (req, res) => {
+  const { username, password } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['username', 'password']
+    });
+  }
+
+  try {
+    const [rows] = await pool.execute(
+      'SELECT id, username, email, role, password_hash FROM admin_users WHERE username = ?',
+      [username]
+    );
+
+    const user = rows[0];
+    if (!user || !(await bcrypt.compare(password, user.password_hash))) {
+      return res.status(401).json({
+        error: 'Invalid username or password'
+      });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+    await pool.execute(
+      'INSERT INTO admin_sessions (token_hash, admin_user_id, expires_at) VALUES (?, ?, ?)',
+      [hashToken(token), user.id, expiresAt]
+    );
+    await pool.execute('UPDATE admin_users SET last_login = NOW() WHERE id = ?', [user.id]);
+
+    res.json({
+      success: true,
+      token,
+      expiresAt,
+      user: {
+        id: user.id,
+        username: user.username,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      error: 'Login failed'
+    });
+  }
 });
 
-// Email transporter configuration
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASSWORD
+// Log out (ends the current session)
+app.post('/api/auth/logout', requireStaff, async (req, res) => {
+  const token = req.headers.authorization.split(/\s+/)[1];
+
+  try {
+    await pool.execute('DELETE FROM admin_sessions WHERE token_hash = ?', [hashToken(token)]);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Logout failed'
+    });
+  }
+});
+
+// Current admin user
+app.get('/api/auth/me', requireStaff, (req, res) => {
+  res.json({
+    success: true,
+    user: req.admin
+  });
+});
+
+// List admin and staff accounts
+app.get('/api/admin/users', requireAdmin, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      'SELECT id, username, email, role, member_id, created_at, last_login FROM admin_users ORDER BY username'
+    );
+
+    res.json({
+      success: true,
+      users: rows
+    });
+  } catch (error) {
+    console.error('Error fetching admin users:', error);
+    res.status(500).json({
+      error: 'Failed to fetch admin users'
+    });
+  }
+});
+
+// Create an admin, staff or pastor account
+app.post('/api/admin/users', requireAdmin, async (req, res) => {
+  const { username, email, password, role, memberId } = req.body;
+
+  if (!username || !email || !password) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['username', 'email', 'password']
+    });
+  }
+
+  if (password.length < 8 || (role && !ADMIN_ROLES.includes(role))) {
+    return res.status(400).json({
+      error: 'Invalid account details',
+      message: 'Passwords need at least 8 characters; role must be admin, staff or pastor'
+    });
+  }
+
+  try {
+    const userId = await createAdminUser({
+      username, email, password, role: role || 'staff', memberId: memberId || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created',
+      userId
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        error: 'Username already taken'
+      });
+    }
+
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(400).json({
+        error: 'Member not found'
+      });
+    }
+
+    console.error('Error creating admin user:', error);
+    res.status(500).json({
+      error: 'Failed to create account'
+    });
   }
 });
 
@@ -37,8 +779,215 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'Church signup API is running' });
 });
 
+// ---------------------------------------------------------------------------
+// Public signup protection: field validation, a per-IP rate limit and spam checks
+// ---------------------------------------------------------------------------
+
+const SIGNUP_RATE_LIMIT = Number(process.env.SIGNUP_RATE_LIMIT) || 10;
+const SIGNUP_RATE_WINDOW_MINUTES = Number(process.env.SIGNUP_RATE_WINDOW_MINUTES) || 15;
+// Nobody fills in the four steps this fast; bots post at once. 0 turns the check off.
+const SIGNUP_MIN_SECONDS = process.env.SIGNUP_MIN_SECONDS !== undefined ? Number(process.env.SIGNUP_MIN_SECONDS) : 3;
+// Hidden on the form, so only bots fill it in
+const SIGNUP_HONEYPOT_FIELD = 'website';
+const MAX_SIGNUP_MINISTRIES = 50;
+const MAX_FAMILY_MEMBERS = 20;
+
+// Values must match the members.membership_type ENUM
+const MEMBERSHIP_TYPES = ['visitor', 'member', 'volunteer'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[\d\s\-()]{10,}$/;
+
+// Signup fields with the members column sizes, and the messages the React form shows
+const SIGNUP_SCHEMA = {
+  firstName: { maxLength: 100, required: 'First name is required' },
+  lastName: { maxLength: 100, required: 'Last name is required' },
+  email: { maxLength: 255, required: 'Email is required', pattern: EMAIL_PATTERN, invalid: 'Please enter a valid email address' },
+  phone: { maxLength: 20, required: 'Phone number is required', pattern: PHONE_PATTERN, invalid: 'Please enter a valid phone number' },
+  birthDate: {
+    type: 'date',
+    required: 'Birth date is required',
+    invalid: 'Please enter a valid birth date',
+    future: 'Birth date cannot be in the future'
+  },
+  address: { maxLength: 255 },
+  city: { maxLength: 100 },
+  state: { maxLength: 50 },
+  zipCode: { maxLength: 10 },
+  emergencyContactName: { maxLength: 100 },
+  emergencyContactPhone: { maxLength: 20, pattern: PHONE_PATTERN, invalid: 'Please enter a valid phone number' },
+  membershipType: { oneOf: MEMBERSHIP_TYPES, invalid: 'Please choose how you are joining us' },
+  attendancePreference: { maxLength: 50 },
+  howDidYouHear: { maxLength: 100 },
+  baptized: { maxLength: 20 },
+  salvation: { maxLength: 20 },
+  prayer: { maxLength: 5000 }
+};
+
+// Spouses and children share the household address and phone,
+// so only their names and role are required
+const FAMILY_MEMBER_SCHEMA = {
+  firstName: { maxLength: 100, required: 'First and last name are required' },
+  lastName: { maxLength: 100, required: 'First and last name are required' },
+  email: { maxLength: 255, pattern: EMAIL_PATTERN, invalid: 'Please enter a valid email address' },
+  phone: { maxLength: 20, pattern: PHONE_PATTERN, invalid: 'Please enter a valid phone number' },
+  birthDate: { type: 'date', invalid: 'Please enter a valid birth date', future: 'Birth date cannot be in the future' },
+  role: { required: 'Please choose spouse, child or other' }
+};
+
+function isValidDate(value) {
+  return ISO_DATE.test(value) && value >= '1900-01-01' && formatDate(new Date(`${value}T00:00:00`)) === value;
+}
+
+// Check values against a schema; returns { field: message } for each field that fails
+function validateFields(values, schema) {
+  const errors = {};
+
+  Object.entries(schema).forEach(([name, rule]) => {
+    const value = values[name];
+
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) errors[name] = rule.required;
+    } else if (typeof value !== 'string') {
+      errors[name] = rule.invalid || 'Please enter text';
+    } else if (rule.required && !value.trim()) {
+      errors[name] = rule.required;
+    } else if (rule.maxLength && value.length > rule.maxLength) {
+      errors[name] = `Please use at most ${rule.maxLength} characters`;
+    } else if ((rule.pattern && !rule.pattern.test(value)) || (rule.oneOf && !rule.oneOf.includes(value))) {
+      errors[name] = rule.invalid;
+    } else if (rule.type === 'date' && !isValidDate(value)) {
+      errors[name] = rule.invalid;
+    } else if (rule.type === 'date' && value > formatDate(new Date())) {
+      errors[name] = rule.future;
+    }
+  });
+
+  return errors;
+}
+
+// Field errors for a signup, keyed like the React form's errors
+// (familyMembers.<index> for one family member)
+function validateSignup(body) {
+  const errors = validateFields(body, SIGNUP_SCHEMA);
+  const { ministry, familyMembers } = body;
+
+  if (body.preferredLanguage && !EMAIL_LANGUAGES.includes(body.preferredLanguage)) {
+    errors.preferredLanguage = 'Please choose a language';
+  }
+
+  if (ministry !== undefined && (
+    !Array.isArray(ministry) ||
+    ministry.length > MAX_SIGNUP_MINISTRIES ||
+    ministry.some(item => !['string', 'number'].includes(typeof item) || String(item).length > 100)
+  )) {
+    errors.ministry = 'Please choose ministries from the list';
+  }
+
+  invalidConsentFields(body).forEach(field => { errors[field] = 'Please answer yes or no'; });
+
+  if (familyMembers !== undefined) {
+    if (!Array.isArray(familyMembers)) {
+      errors.familyMembers = 'Please check your family members';
+    } else if (familyMembers.length > MAX_FAMILY_MEMBERS) {
+      errors.familyMembers = `Please add at most ${MAX_FAMILY_MEMBERS} family members`;
+    } else {
+      familyMembers.forEach((member, index) => {
+        const memberErrors = member && typeof member === 'object'
+          ? validateFields(member, FAMILY_MEMBER_SCHEMA)
+          : { firstName: FAMILY_MEMBER_SCHEMA.firstName.required };
+        if (member && member.role && !memberErrors.role && !FAMILY_ROLES.includes(member.role)) {
+          memberErrors.role = FAMILY_MEMBER_SCHEMA.role.required;
+        }
+        // The form shows one message under each family member
+        const [message] = Object.values(memberErrors);
+        if (message) errors[`familyMembers.${index}`] = message;
+      });
+    }
+  }
+
+  return errors;
+}
+
+// Fixed-window request counts per client IP (or per whatever `key` returns;
+// requests it returns nothing for aren't counted), kept in memory (they reset
+// when the server restarts)
+function rateLimit({ max, windowMinutes, message, key = req => req.ip }) {
+  const windowMs = windowMinutes * 60 * 1000;
+  const hits = new Map();
+
+  setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, id) => {
+      if (entry.resetAt <= now) hits.delete(id);
+    });
+  }, windowMs).unref();
+
+  return (req, res, next) => {
+    const id = key(req);
+    if (!id) return next();
+
+    const now = Date.now();
+    const entry = hits.get(id);
+
+    if (!entry || entry.resetAt <= now) {
+      hits.set(id, { count: 1, resetAt: now + windowMs });
+      return next();
+    }
+
+    entry.count += 1;
+    if (entry.count > max) {
+      if (entry.count === max + 1) {
+        console.error(`Rate limit reached for ${req.ip} on ${req.method} ${req.path}`);
+      }
+      const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+      res.setHeader('Retry-After', retryAfter);
+      return res.status(429).json({
+        error: 'Too many requests',
+        message,
+        retryAfter
+      });
+    }
+
+    next();
+  };
+}
+
+const signupRateLimit = rateLimit({
+  max: SIGNUP_RATE_LIMIT,
+  windowMinutes: SIGNUP_RATE_WINDOW_MINUTES,
+  message: 'Too many signups from your network. Please try again later.'
+});
+
+// Public forms send the hidden honeypot field (empty) and how long they were open.
+// A filled-in honeypot gets `decoy` (the status and body a real request would
+// get) so the bot doesn't learn to leave the field alone.
+function checkFormSpam(label, decoy) {
+  return (req, res, next) => {
+    if (req.body[SIGNUP_HONEYPOT_FIELD]) {
+      console.error(`${label} from ${req.ip} dropped: honeypot field filled in`);
+      return res.status(decoy.status).json(decoy.body);
+    }
+
+    const seconds = Number(req.body.secondsOnForm);
+    if (SIGNUP_MIN_SECONDS > 0 && !(seconds >= SIGNUP_MIN_SECONDS)) {
+      console.error(`${label} from ${req.ip} refused: submitted after ${req.body.secondsOnForm} seconds`);
+      return res.status(400).json({
+        error: 'Submitted too quickly',
+        message: 'Please take a moment to check your details, then submit again.'
+      });
+    }
+
+    next();
+  };
+}
+
+const checkSignupSpam = checkFormSpam('Signup', {
+  status: 201,
+  body: { success: true, message: 'Signup successful' }
+});
+
 // Signup endpoint
-app.post('/api/signup', async (req, res) => {
+app.post('/api/signup', signupRateLimit, checkSignupSpam, async (req, res) => {
   const {
     firstName,
     lastName,
@@ -57,14 +1006,22 @@ app.post('/api/signup', async (req, res) => {
     emergencyContactName,
     emergencyContactPhone,
     prayer,
-    howDidYouHear
+    howDidYouHear,
+    preferredLanguage: requestedLanguage,
+    consentPhotos,
+    consentDirectory,
+    consentEmails,
+    familyMembers = []
   } = req.body;
+  const language = preferredLanguage(requestedLanguage);
 
   // Validation
-  if (!firstName || !lastName || !email || !phone || !birthDate) {
+  const fieldErrors = validateSignup(req.body);
+  if (Object.keys(fieldErrors).length > 0) {
     return res.status(400).json({
-      error: 'Missing required fields',
-      required: ['firstName', 'lastName', 'email', 'phone', 'birthDate']
+      error: 'Invalid signup',
+      message: 'Please check the highlighted fields.',
+      fields: fieldErrors
     });
   }
 
@@ -73,55 +1030,124 @@ app.post('/api/signup', async (req, res) => {
   try {
     await connection.beginTransaction();
 
+    const { ministries, invalid: invalidMinistries } = await resolveMinistries(connection, ministry || []);
+    if (invalidMinistries.length > 0) {
+      await connection.rollback();
+      return invalidMinistriesResponse(res, invalidMinistries);
+    }
+
+    // Spouses may share an email, but the same name with the same email is someone signing up twice
+    const sameEmail = await memberRepository.findByEmail(connection, email);
+    const nameKey = duplicateNameKey({ first_name: firstName, last_name: lastName });
+    if (sameEmail.some(member => duplicateNameKey(member) === nameKey)) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: 'Email already registered',
+        message: 'You are already signed up with this email. Use "Manage your details" to update them.'
+      });
+    }
+
+    // Consent given on the form; the person signing up answers for the family they add
+    const consent = [consentPhotos, consentDirectory, consentEmails].map(value => (value === undefined ? null : value));
+    const consentGiven = consent.some(value => value !== null) ? new Date() : null;
+
     // Insert into members table
     const [result] = await connection.execute(
       `INSERT INTO members (
         first_name, last_name, email, phone, address, city, state, zip_code,
         birth_date, membership_type, attendance_preference, baptized, salvation,
         emergency_contact_name, emergency_contact_phone, prayer_request,
-        how_did_you_hear, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        how_did_you_hear, preferred_language, consent_photos, consent_directory,
+        consent_emails, consent_updated_at, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
       [
         firstName, lastName, email, phone, address, city, state, zipCode,
         birthDate, membershipType, attendancePreference, baptized, salvation,
-        emergencyContactName, emergencyContactPhone, prayer, howDidYouHear
+        emergencyContactName, emergencyContactPhone, prayer, howDidYouHear, language,
+        ...consent, consentGiven
       ]
     );
 
     const memberId = result.insertId;
+    await recordMemberAudit(connection, {
+      memberId,
+      action: 'create',
+      changes: [{ field: 'source', newValue: 'signup' }]
+    });
 
     // Insert ministry interests
-    if (ministry && ministry.length > 0) {
-      const ministryValues = ministry.map(m => [memberId, m]);
+    if (ministries.length > 0) {
       await connection.query(
-        'INSERT INTO member_ministries (member_id, ministry_name) VALUES ?',
-        [ministryValues]
+        'INSERT INTO member_ministries (member_id, ministry_id) VALUES ?',
+        [ministries.map(mi => [memberId, mi.id])]
       );
     }
 
-    await connection.commit();
+    // Create the household and add spouse/children to it
+    let householdId = null;
+    const familyMemberIds = [];
 
-    // Send confirmation email
-    try {
-      await sendConfirmationEmail(email, firstName, lastName);
-    } catch (emailError) {
-      console.error('Email sending failed:', emailError);
-      // Don't fail the request if email fails
+    if (familyMembers.length > 0) {
+      householdId = await createHousehold(connection, {
+        name: `${lastName} ${firstName}`,
+        headMemberId: memberId,
+        address, city, state, zipCode, phone
+      });
+
+      for (const f of familyMembers) {
+        // A spouse who gave the same email as the head shares it through the household
+        const familyEmail = f.email && f.email.toLowerCase() !== email.toLowerCase() ? f.email : null;
+        const [familyResult] = await connection.execute(
+          `INSERT INTO members (
+            first_name, last_name, email, phone, address, city, state, zip_code,
+            birth_date, membership_type, household_id, household_role, preferred_language,
+            consent_photos, consent_directory, consent_emails, consent_updated_at, created_at
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+          [
+            f.firstName, f.lastName, familyEmail, f.phone || null,
+            address || null, city || null, state || null, zipCode || null,
+            f.birthDate || null, membershipType || 'member', householdId, f.role, language,
+            ...consent, consentGiven
+          ]
+        );
+        familyMemberIds.push(familyResult.insertId);
+        await recordMemberAudit(connection, {
+          memberId: familyResult.insertId,
+          action: 'create',
+          changes: [{ field: 'source', newValue: 'signup' }]
+        });
+      }
+    }
+
+    await createFollowUpTasks(connection, memberId, { baptized, salvation, prayer });
+    if (membershipType === 'visitor') {
+      await startMemberJourney(connection, [memberId, ...familyMemberIds]);
     }
 
-    // Send notification to church staff
+    // Queue the welcome email (unless they said no to church emails) and the staff
+    // notification; the email worker sends them
+    const newMember = {
+      id: memberId, firstName, lastName, email, phone, membershipType,
+      ministry: ministries.map(mi => mi.name), preferredLanguage: language
+    };
+    // A failed insert only undoes that statement, so the signup still commits
     try {
-      await sendStaffNotification({
-        firstName, lastName, email, phone, membershipType
-      });
-    } catch (staffEmailError) {
-      console.error('Staff notification failed:', staffEmailError);
+      if (email && consentEmails !== false) {
+        await queueConfirmationEmail(connection, newMember);
+      }
+      await queueStaffNotification(connection, newMember);
+    } catch (emailError) {
+      console.error('Could not queue signup emails:', emailError);
     }
 
+    await connection.commit();
+
     res.status(201).json({
       success: true,
       message: 'Signup successful',
-      memberId: memberId
+      memberId: memberId,
+      householdId,
+      familyMemberIds
     });
 
   } catch (error) {
@@ -144,22 +1170,186 @@ app.post('/api/signup', async (req, res) => {
   }
 });
 
-// Get all members (admin endpoint)
-app.get('/api/members', async (req, res) => {
-  try {
-    const [rows] = await pool.execute(
-      `SELECT m.*, 
-        GROUP_CONCAT(mm.ministry_name) as ministries
-      FROM members m
-      LEFT JOIN member_ministries mm ON m.id = mm.member_id
-      GROUP BY m.id
-      ORDER BY m.created_at DESC`
-    );
+// Sortable columns for the member list
+const MEMBER_SORTS = {
+  created_at: 'm.created_at',
+  last_name: 'm.last_name',
+  first_name: 'm.first_name',
+  birth_date: 'm.birth_date',
+  membership_type: 'm.membership_type'
+};
 
-    res.json({
-      success: true,
+const MEMBER_PAGE_SIZE = 50;
+const MEMBER_PAGE_SIZE_MAX = 500;
+
+// Build the WHERE clause for the member list from query parameters.
+// Shared by the list and the exports so both honour the same filters.
+//   q                      name (accent-insensitive), email or phone
+//   membershipType         visitor | member | volunteer (comma separated)
+//   ministry               ministry id or name
+//   baptized, salvation    answer given at signup
+//   group                  group id or code (current roster)
+//   status                 active (default) | inactive | all
+//   createdFrom, createdTo signup date range (YYYY-MM-DD)
+function buildMemberFilters(query) {
+  const conditions = [];
+  const params = [];
+
+  if (query.q && String(query.q).trim()) {
+    const search = memberRepository.searchCondition(query.q);
+    conditions.push(search.condition);
+    params.push(...search.params);
+  }
+
+  if (query.membershipType) {
+    const types = String(query.membershipType).split(',');
+    conditions.push(`m.membership_type IN (${types.map(() => '?').join(', ')})`);
+    params.push(...types);
+  }
+
+  if (query.ministry) {
+    conditions.push(
+      `EXISTS (SELECT 1 FROM member_ministries f JOIN ministries fm ON fm.id = f.ministry_id
+        WHERE f.member_id = m.id AND ${/^\d+$/.test(query.ministry) ? 'fm.id' : 'fm.name'} = ?)`
+    );
+    params.push(query.ministry);
+  }
+
+  if (query.baptized) {
+    conditions.push('m.baptized = ?');
+    params.push(query.baptized);
+  }
+
+  if (query.salvation) {
+    conditions.push('m.salvation = ?');
+    params.push(query.salvation);
+  }
+
+  if (query.group) {
+    const today = formatDate(new Date());
+    conditions.push(
+      `EXISTS (SELECT 1 FROM group_members gm JOIN church_groups g ON g.id = gm.group_id
+        WHERE gm.member_id = m.id AND (g.id = ? OR g.code = ?) AND ${ACTIVE_ASSIGNMENT})`
+    );
+    params.push(Number(query.group) || 0, query.group, today, today);
+  }
+
+  const status = query.status || 'active';
+  if (status !== 'all') {
+    conditions.push('m.status = ?');
+    params.push(status);
+  }
+
+  if (query.createdFrom) {
+    conditions.push('m.created_at >= ?');
+    params.push(query.createdFrom);
+  }
+
+  if (query.createdTo) {
+    conditions.push('m.created_at < ?');
+    params.push(nextDay(query.createdTo));
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+const MEMBER_FILTERS = [
+  'q', 'membershipType', 'ministry', 'baptized', 'salvation', 'group', 'status', 'createdFrom', 'createdTo',
+  'sort', 'order'
+];
+
+// Errors for filters buildMemberFilters() can't use ({ parameter: message }).
+// A parameter given twice arrives as an array, which is refused too.
+function invalidMemberFilters(query) {
+  const errors = {};
+
+  MEMBER_FILTERS
+    .filter(name => query[name] !== undefined && typeof query[name] !== 'string')
+    .forEach(name => { errors[name] = 'Please give this filter once'; });
+
+  if (!errors.membershipType && query.membershipType
+    && query.membershipType.split(',').some(type => !MEMBERSHIP_TYPES.includes(type))) {
+    errors.membershipType = `Use ${MEMBERSHIP_TYPES.join(', ')}`;
+  }
+  if (!errors.status && query.status && ![...MEMBER_STATUSES, 'all'].includes(query.status)) {
+    errors.status = `Use ${[...MEMBER_STATUSES, 'all'].join(', ')}`;
+  }
+  ['createdFrom', 'createdTo']
+    .filter(name => !errors[name] && query[name] && !isValidDate(query[name]))
+    .forEach(name => { errors[name] = 'Use a date as YYYY-MM-DD'; });
+
+  return errors;
+}
+
+function buildMemberOrder(query) {
+  const sort = MEMBER_SORTS[query.sort] ? query.sort : 'created_at';
+  const direction = String(query.order || (sort === 'created_at' ? 'desc' : 'asc')).toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+  return `ORDER BY ${MEMBER_SORTS[sort]} ${direction}, m.id ${direction}`;
+}
+
+// Filters on columns the role can't see would reveal them, so they are refused
+function hiddenMemberFilters(query, hidden) {
+  return ['baptized', 'salvation'].filter(column => query[column] && hidden.includes(column));
+}
+
+function hiddenFieldsResponse(res, fields) {
+  return res.status(403).json({
+    error: 'Insufficient permissions',
+    message: 'These fields are not visible to your role',
+    fields
+  });
+}
+
+// Get members (admin endpoint) with search, filters, sorting and pagination.
+// Columns hidden from the signed-in role are left out and listed in hiddenFields.
+app.get('/api/members', requireStaff, async (req, res) => {
+  const invalidFilters = invalidMemberFilters(req.query);
+  if (Object.keys(invalidFilters).length > 0) {
+    return invalidFieldsResponse(res, invalidFilters);
+  }
+
+  const { where, params } = buildMemberFilters(req.query);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MEMBER_PAGE_SIZE, 1), MEMBER_PAGE_SIZE_MAX);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+  try {
+    const hidden = await hiddenMemberColumns(req.admin.role);
+    const hiddenFilters = hiddenMemberFilters(req.query, hidden);
+    if (hiddenFilters.length > 0) {
+      return hiddenFieldsResponse(res, hiddenFilters);
+    }
+
+    const [[{ total }]] = await pool.execute(
+      `SELECT COUNT(*) as total FROM members m ${where}`,
+      params
+    );
+
+    // query(), not execute(): MySQL won't take LIMIT values as prepared statement parameters
+    const [rows] = await pool.query(
+      `SELECT m.*, 
+        GROUP_CONCAT(mi.name ORDER BY mi.name) as ministries
+      FROM members m
+      LEFT JOIN member_ministries mm ON m.id = mm.member_id
+      LEFT JOIN ministries mi ON mi.id = mm.ministry_id
+      ${where}
+      GROUP BY m.id
+      ${buildMemberOrder(req.query)}
+      LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    res.json({
+      success: true,
       count: rows.length,
-      members: rows
+      total,
+      limit,
+      offset,
+      nextOffset: offset + rows.length < total ? offset + rows.length : null,
+      hiddenFields: hidden,
+      members: rows.map(row => redactMember(row, hidden))
     });
   } catch (error) {
     console.error('Error fetching members:', error);
@@ -170,15 +1360,16 @@ app.get('/api/members', async (req, res) => {
 });
 
 // Get member by ID
-app.get('/api/members/:id', async (req, res) => {
+app.get('/api/members/:id', requireStaff, async (req, res) => {
   const { id } = req.params;
 
   try {
     const [rows] = await pool.execute(
       `SELECT m.*, 
-        GROUP_CONCAT(mm.ministry_name) as ministries
+        GROUP_CONCAT(mi.name ORDER BY mi.name) as ministries
       FROM members m
       LEFT JOIN member_ministries mm ON m.id = mm.member_id
+      LEFT JOIN ministries mi ON mi.id = mm.ministry_id
       WHERE m.id = ?
       GROUP BY m.id`,
       [id]
@@ -190,9 +1381,15 @@ app.get('/api/members/:id', async (req, res) => {
       });
     }
 
+    const hidden = await hiddenMemberColumns(req.admin.role);
+
     res.json({
       success: true,
-      member: rows[0]
+      hiddenFields: hidden,
+      member: {
+        ...redactMember(rows[0], hidden),
+        attendance: await getAttendanceSummary(id)
+      }
     });
   } catch (error) {
     console.error('Error fetching member:', error);
@@ -202,17 +1399,8921 @@ app.get('/api/members/:id', async (req, res) => {
   }
 });
 
-// Send confirmation email to new member
-async function sendConfirmationEmail(email, firstName, lastName) {
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: email,
-    subject: 'Welcome to Our Church Family!',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #7c3aed;">Welcome, ${firstName}!</h2>
-        <p>Thank you for joining our church family. We're excited to have you!</p>
-        
-        <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
-          <h3 style="margin-top: 0;">What's Next?</h3>
-          <ul style="line-height: 1.8;">
\ No newline at end of file
+// ---------------------------------------------------------------------------
+// Member updates and audit history
+// ---------------------------------------------------------------------------
+
+// Request body fields (as sent to /api/signup) and their members columns
+const MEMBER_FIELDS = {
+  title: 'title',
+  firstName: 'first_name',
+  lastName: 'last_name',
+  preferredName: 'preferred_name',
+  email: 'email',
+  phone: 'phone',
+  address: 'address',
+  city: 'city',
+  state: 'state',
+  zipCode: 'zip_code',
+  birthDate: 'birth_date',
+  membershipType: 'membership_type',
+  attendancePreference: 'attendance_preference',
+  baptized: 'baptized',
+  salvation: 'salvation',
+  emergencyContactName: 'emergency_contact_name',
+  emergencyContactPhone: 'emergency_contact_phone',
+  prayer: 'prayer_request',
+  howDidYouHear: 'how_did_you_hear',
+  preferredLanguage: 'preferred_language',
+  servingReminders: 'serving_reminders',
+  consentPhotos: 'consent_photos',
+  consentDirectory: 'consent_directory',
+  consentEmails: 'consent_emails'
+};
+
+// Consent answers: true, false, or left out (never asked)
+const CONSENT_FIELDS = ['consentPhotos', 'consentDirectory', 'consentEmails'];
+
+function invalidConsentFields(body) {
+  return CONSENT_FIELDS.filter(field => body[field] !== undefined && body[field] !== null && typeof body[field] !== 'boolean');
+}
+
+const MEMBER_STATUSES = ['active', 'inactive'];
+
+// Rules for editing an existing member: the signup rules (SIGNUP_SCHEMA) without
+// their required flags, since imported members have no email, phone or birth date
+const MEMBER_UPDATE_SCHEMA = {
+  ...Object.fromEntries(Object.entries(SIGNUP_SCHEMA).map(([field, rule]) => [field, { ...rule, required: undefined }])),
+  title: { maxLength: 20 },
+  preferredName: { maxLength: 100 }
+};
+
+// Field errors for the fields an update sends ({ field: message }). `required`
+// fields may be changed but not cleared.
+function validateMemberUpdate(body, fields, { required = ['firstName', 'lastName'] } = {}) {
+  const schema = Object.fromEntries(fields
+    .filter(field => MEMBER_UPDATE_SCHEMA[field])
+    .map(field => [field, {
+      ...MEMBER_UPDATE_SCHEMA[field],
+      required: required.includes(field) ? (SIGNUP_SCHEMA[field].required || 'This field is required') : undefined
+    }]));
+  const errors = validateFields(body, schema);
+
+  if (fields.includes('preferredLanguage') && !EMAIL_LANGUAGES.includes(body.preferredLanguage)) {
+    errors.preferredLanguage = 'Please choose a language';
+  }
+  if (fields.includes('servingReminders') && typeof body.servingReminders !== 'boolean') {
+    errors.servingReminders = 'Please answer yes or no';
+  }
+  invalidConsentFields(body)
+    .filter(field => fields.includes(field))
+    .forEach(field => { errors[field] = 'Please answer yes or no'; });
+
+  return errors;
+}
+
+function invalidFieldsResponse(res, fields) {
+  return res.status(400).json({
+    error: 'Invalid fields',
+    message: Object.entries(fields).map(([field, message]) => `${field}: ${message}`).join('; '),
+    fields
+  });
+}
+
+function auditValue(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (value instanceof Date) return formatDate(value);
+  return String(value);
+}
+
+// Write one audit row per changed field. changes: [{ field, oldValue, newValue }]
+async function recordMemberAudit(connection, { memberId, adminUserId = null, action, changes = [{}] }) {
+  const values = changes.map(c => [
+    memberId, adminUserId, action, c.field || null, auditValue(c.oldValue), auditValue(c.newValue)
+  ]);
+
+  await connection.query(
+    `INSERT INTO member_audit_log (member_id, admin_user_id, action, field_name, old_value, new_value)
+    VALUES ?`,
+    [values]
+  );
+}
+
+// The changes a request body makes to a member row, as audit changes with their column.
+// Blank strings clear a field; booleans are stored as 1 / 0.
+function memberChanges(current, body, fields) {
+  return fields
+    .map(field => ({
+      field,
+      column: MEMBER_FIELDS[field],
+      oldValue: current[MEMBER_FIELDS[field]],
+      newValue: body[field] === '' ? null : (typeof body[field] === 'boolean' ? Number(body[field]) : body[field])
+    }))
+    .filter(c => auditValue(c.oldValue) !== auditValue(c.newValue));
+}
+
+async function getMemberMinistries(connection, memberId) {
+  const [rows] = await connection.execute(
+    `SELECT mi.name FROM member_ministries mm
+    JOIN ministries mi ON mi.id = mm.ministry_id
+    WHERE mm.member_id = ? ORDER BY mi.name`,
+    [memberId]
+  );
+  return rows.map(row => row.name);
+}
+
+// Replace a member's ministry set with already resolved ministries ({ id, name }),
+// returning the audit change (or null if unchanged). Kept ministries keep their role.
+async function replaceMemberMinistries(connection, memberId, ministries) {
+  const before = await getMemberMinistries(connection, memberId);
+  const after = ministries.map(mi => mi.name).sort();
+
+  if (before.join(',') === after.join(',')) return null;
+
+  if (ministries.length > 0) {
+    await connection.query(
+      'DELETE FROM member_ministries WHERE member_id = ? AND ministry_id NOT IN (?)',
+      [memberId, ministries.map(mi => mi.id)]
+    );
+    await connection.query(
+      'INSERT IGNORE INTO member_ministries (member_id, ministry_id) VALUES ?',
+      [ministries.map(mi => [memberId, mi.id])]
+    );
+  } else {
+    await connection.execute('DELETE FROM member_ministries WHERE member_id = ?', [memberId]);
+  }
+
+  return { field: 'ministries', oldValue: before.join(', '), newValue: after.join(', ') };
+}
+
+// Update a member. Only the fields sent are changed; `ministry` replaces the whole set.
+app.patch('/api/members/:id', requireStaff, async (req, res) => {
+  const { id } = req.params;
+  const updates = Object.keys(MEMBER_FIELDS).filter(field => req.body[field] !== undefined);
+  const { ministry } = req.body;
+
+  if (updates.length === 0 && ministry === undefined) {
+    return res.status(400).json({
+      error: 'No changes',
+      allowedFields: [...Object.keys(MEMBER_FIELDS), 'ministry']
+    });
+  }
+
+  if (ministry !== undefined && !Array.isArray(ministry)) {
+    return res.status(400).json({
+      error: 'Invalid ministry',
+      message: 'ministry must be an array of ministry ids or names'
+    });
+  }
+
+  const fieldErrors = validateMemberUpdate(req.body, updates);
+  if (Object.keys(fieldErrors).length > 0) {
+    return invalidFieldsResponse(res, fieldErrors);
+  }
+
+  // Fields the role can't see can't be changed either
+  const hiddenFields = hiddenMemberFields(await hiddenMemberColumns(req.admin.role))
+    .filter(field => updates.includes(field));
+  if (hiddenFields.length > 0) {
+    return hiddenFieldsResponse(res, hiddenFields);
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const current = await memberRepository.findForUpdate(connection, id);
+
+    if (!current) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    const changes = memberChanges(current, req.body, updates);
+    await memberRepository.update(connection, id, changes);
+
+    if (ministry !== undefined) {
+      const { ministries, invalid } = await resolveMinistries(connection, ministry, { memberId: id });
+      if (invalid.length > 0) {
+        await connection.rollback();
+        return invalidMinistriesResponse(res, invalid);
+      }
+
+      const ministryChange = await replaceMemberMinistries(connection, id, ministries);
+      if (ministryChange) changes.push(ministryChange);
+    }
+
+    if (changes.length > 0) {
+      await recordMemberAudit(connection, {
+        memberId: id,
+        adminUserId: req.admin.id,
+        action: 'update',
+        changes
+      });
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: changes.length > 0 ? 'Member updated' : 'No changes',
+      changed: changes.map(c => c.field)
+    });
+  } catch (error) {
+    await connection.rollback();
+
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        error: 'Email already registered',
+        message: 'This email is already in our system'
+      });
+    }
+
+    console.error('Error updating member:', error);
+    res.status(500).json({
+      error: 'Failed to update member'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Replace a member's ministries
+app.put('/api/members/:id/ministries', requireStaff, async (req, res) => {
+  const { id } = req.params;
+  const { ministry } = req.body;
+
+  if (!Array.isArray(ministry)) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['ministry']
+    });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const member = await memberRepository.findById(connection, id);
+
+    if (!member) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    const { ministries, invalid } = await resolveMinistries(connection, ministry, { memberId: id });
+    if (invalid.length > 0) {
+      await connection.rollback();
+      return invalidMinistriesResponse(res, invalid);
+    }
+
+    const change = await replaceMemberMinistries(connection, id, ministries);
+    if (change) {
+      await recordMemberAudit(connection, {
+        memberId: id,
+        adminUserId: req.admin.id,
+        action: 'update',
+        changes: [change]
+      });
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      ministries: await getMemberMinistries(pool, id)
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error updating ministries:', error);
+    res.status(500).json({
+      error: 'Failed to update ministries'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Deactivate (reason optional) or reactivate a member. Their records are kept.
+app.post('/api/members/:id/status', requireStaff, async (req, res) => {
+  const { id } = req.params;
+  const { status, reason } = req.body;
+
+  if (!MEMBER_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      allowed: MEMBER_STATUSES
+    });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const member = await memberRepository.findForUpdate(connection, id);
+
+    if (!member) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    if (member.status !== status) {
+      await memberRepository.setStatus(connection, id, status);
+      await recordMemberAudit(connection, {
+        memberId: id,
+        adminUserId: req.admin.id,
+        action: status === 'inactive' ? 'deactivate' : 'reactivate',
+        changes: [{ field: 'status', oldValue: member.status, newValue: reason ? `${status} (${reason})` : status }]
+      });
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: status === 'inactive' ? 'Member deactivated' : 'Member reactivated'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error changing member status:', error);
+    res.status(500).json({
+      error: 'Failed to change member status'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Permanently delete a member and their ministries, attendance and group history.
+// The audit log keeps a record of the deletion.
+app.delete('/api/members/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const member = await memberRepository.findForUpdate(connection, id);
+
+    if (!member) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    // A spouse listed in a household they headed takes it over
+    await releaseHouseholdHead(connection, member.id, req.admin.id);
+    await memberRepository.remove(connection, id);
+    await recordMemberAudit(connection, {
+      memberId: id,
+      adminUserId: req.admin.id,
+      action: 'delete',
+      changes: [{ field: 'name', oldValue: `${member.first_name} ${member.last_name}`, newValue: null }]
+    });
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Member deleted'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error deleting member:', error);
+    res.status(500).json({
+      error: 'Failed to delete member'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Get a member's change history, newest first
+app.get('/api/members/:id/history', requireStaff, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [rows] = await pool.execute(
+      `SELECT l.id, l.action, l.field_name, l.old_value, l.new_value, l.changed_at,
+        l.admin_user_id, u.username as changed_by
+      FROM member_audit_log l
+      LEFT JOIN admin_users u ON u.id = l.admin_user_id
+      WHERE l.member_id = ?
+      ORDER BY l.changed_at DESC, l.id DESC`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      count: rows.length,
+      history: redactHistory(rows, await hiddenMemberColumns(req.admin.role))
+    });
+  } catch (error) {
+    console.error('Error fetching member history:', error);
+    res.status(500).json({
+      error: 'Failed to fetch member history'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Privacy: who may see each member field, data exports and anonymization
+// ---------------------------------------------------------------------------
+
+// Roles that see a field at each visibility level (member_field_visibility).
+// Fields without a level are visible to every signed-in account.
+const VISIBILITY_LEVELS = {
+  staff: ['admin', 'staff', 'pastor'],
+  admin: ['admin', 'pastor'],
+  pastor: ['pastor']
+};
+
+// members columns that can be given a level. Names and status stay visible so
+// rosters and check-in keep working.
+const PRIVATE_COLUMNS = [
+  'email', 'phone', 'address', 'city', 'state', 'zip_code', 'birth_date', 'baptized', 'salvation',
+  'emergency_contact_name', 'emergency_contact_phone', 'prayer_request', 'how_did_you_hear'
+];
+
+// The members columns a role may not see
+async function hiddenMemberColumns(role) {
+  const [rows] = await pool.execute('SELECT column_name, visible_to FROM member_field_visibility');
+  return rows
+    .filter(row => !(VISIBILITY_LEVELS[row.visible_to] || []).includes(role))
+    .map(row => row.column_name);
+}
+
+// Request body fields (MEMBER_FIELDS names) for hidden columns, as used in the audit log
+function hiddenMemberFields(hidden) {
+  return Object.keys(MEMBER_FIELDS).filter(field => hidden.includes(MEMBER_FIELDS[field]));
+}
+
+function redactMember(row, hidden) {
+  const visible = { ...row };
+  hidden.forEach(column => { delete visible[column]; });
+  return visible;
+}
+
+// Audit entries keep their field name but lose the values of hidden fields
+function redactHistory(rows, hidden) {
+  const fields = hiddenMemberFields(hidden);
+  return rows.map(row => (fields.includes(row.field_name) ? { ...row, old_value: null, new_value: null } : row));
+}
+
+// Everything stored about a member, newest records last
+async function collectMemberData(memberId) {
+  const select = async (sql) => (await pool.execute(sql, [memberId]))[0];
+
+  const member = await memberRepository.findById(pool, memberId);
+  if (!member) return null;
+
+  const registrations = await select(
+    `SELECT r.id, e.title as event_title, e.starts_at, r.status, r.contact_first_name, r.contact_last_name,
+      r.contact_email, r.contact_phone, r.attendee_count, r.amount_due, r.amount_paid, r.notes, r.created_at
+    FROM event_registrations r
+    JOIN events e ON e.id = r.event_id
+    WHERE r.member_id = ?
+    ORDER BY r.created_at`
+  );
+  const [attendees] = await pool.execute(
+    `SELECT a.registration_id, e.title as event_title, a.first_name, a.last_name, a.age, a.dietary_needs, a.notes
+    FROM event_attendees a
+    JOIN event_registrations r ON r.id = a.registration_id
+    JOIN events e ON e.id = r.event_id
+    WHERE a.member_id = ?
+    ORDER BY a.id`,
+    [memberId]
+  );
+  const followUps = await select(
+    `SELECT id, type, summary, status, due_date, resolution, created_at, closed_at
+    FROM follow_up_tasks WHERE member_id = ? ORDER BY created_at`
+  );
+  const notes = await select(
+    `SELECT n.task_id, n.note, n.created_at FROM follow_up_notes n
+    JOIN follow_up_tasks t ON t.id = n.task_id
+    WHERE t.member_id = ?
+    ORDER BY n.created_at`
+  );
+
+  return {
+    member,
+    household: member.household_id
+      ? (await pool.execute('SELECT * FROM households WHERE id = ?', [member.household_id]))[0][0] || null
+      : null,
+    ministries: await select(
+      `SELECT mi.name, mm.role, mm.created_at as joined_at FROM member_ministries mm
+      JOIN ministries mi ON mi.id = mm.ministry_id
+      WHERE mm.member_id = ? ORDER BY mi.name`
+    ),
+    groups: await select(
+      `SELECT g.code, g.name, gm.start_date, gm.end_date FROM group_members gm
+      JOIN church_groups g ON g.id = gm.group_id
+      WHERE gm.member_id = ? ORDER BY gm.start_date`
+    ),
+    attendance: await getMemberAttendance(memberId),
+    journey: await select(
+      `SELECT s.name as stage, js.reached_at, js.note FROM member_journey_steps js
+      JOIN journey_stages s ON s.id = js.stage_id
+      WHERE js.member_id = ? ORDER BY js.reached_at`
+    ),
+    serving: await select(
+      `SELECT a.service_date, r.name as role, mi.name as ministry FROM serving_assignments a
+      JOIN serving_roles r ON r.id = a.serving_role_id
+      JOIN ministries mi ON mi.id = r.ministry_id
+      WHERE a.member_id = ? ORDER BY a.service_date`
+    ),
+    blackouts: await select(
+      'SELECT start_date, end_date, reason FROM volunteer_blackouts WHERE member_id = ? ORDER BY start_date'
+    ),
+    eventRegistrations: registrations,
+    eventAttendance: attendees,
+    followUps: followUps.map(task => ({ ...task, notes: notes.filter(n => n.task_id === task.id) })),
+    changeRequests: await select(
+      `SELECT field_name, old_value, new_value, status, review_note, created_at, reviewed_at
+      FROM member_change_requests WHERE member_id = ? ORDER BY created_at`
+    ),
+    emails: await select(
+      `SELECT template_key, language, to_address, subject, status, sent_at, created_at
+      FROM email_outbox WHERE member_id = ? ORDER BY created_at`
+    ),
+    history: await select(
+      `SELECT action, field_name, old_value, new_value, changed_at
+      FROM member_audit_log WHERE member_id = ? ORDER BY changed_at, id`
+    )
+  };
+}
+
+function sendMemberData(res, memberId, data) {
+  const fileName = `member-${memberId}-${formatDate(new Date())}.json`;
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}"; filename*=UTF-8''${fileName}`);
+  res.json({
+    exportedAt: new Date(),
+    ...data
+  });
+}
+
+// Field visibility levels, with the level of every column that can have one
+app.get('/api/privacy/field-visibility', requireAdmin, async (req, res) => {
+  try {
+    const [rows] = await pool.execute('SELECT column_name, visible_to FROM member_field_visibility');
+    const levels = new Map(rows.map(row => [row.column_name, row.visible_to]));
+
+    res.json({
+      success: true,
+      levels: VISIBILITY_LEVELS,
+      fields: PRIVATE_COLUMNS.map(column => ({ column, visibleTo: levels.get(column) || 'staff' }))
+    });
+  } catch (error) {
+    console.error('Error fetching field visibility:', error);
+    res.status(500).json({
+      error: 'Failed to fetch field visibility'
+    });
+  }
+});
+
+// Set visibility levels, e.g. { "prayer_request": "pastor", "birth_date": "admin" }
+app.put('/api/privacy/field-visibility', requireAdmin, async (req, res) => {
+  const entries = Object.entries(req.body || {});
+  const invalid = entries.filter(([column, level]) => !PRIVATE_COLUMNS.includes(column) || !VISIBILITY_LEVELS[level]);
+
+  if (entries.length === 0 || invalid.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid field visibility',
+      invalid: invalid.map(([column]) => column),
+      columns: PRIVATE_COLUMNS,
+      allowed: Object.keys(VISIBILITY_LEVELS)
+    });
+  }
+
+  try {
+    await pool.query(
+      `INSERT INTO member_field_visibility (column_name, visible_to, updated_by) VALUES ?
+      ON DUPLICATE KEY UPDATE visible_to = VALUES(visible_to), updated_by = VALUES(updated_by)`,
+      [entries.map(([column, level]) => [column, level, req.admin.id])]
+    );
+
+    res.json({
+      success: true,
+      message: 'Field visibility updated'
+    });
+  } catch (error) {
+    console.error('Error updating field visibility:', error);
+    res.status(500).json({
+      error: 'Failed to update field visibility'
+    });
+  }
+});
+
+// Everything stored about a member as JSON, e.g. to answer their request for a copy.
+// Fields the signed-in role can't see are left out and listed in hiddenFields;
+// members get the complete copy from GET /api/portal/export.
+app.get('/api/members/:id/export', requireAdmin, async (req, res) => {
+  try {
+    const data = await collectMemberData(req.params.id);
+
+    if (!data) {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    const hidden = await hiddenMemberColumns(req.admin.role);
+    sendMemberData(res, req.params.id, {
+      ...data,
+      member: redactMember(data.member, hidden),
+      history: redactHistory(data.history, hidden),
+      hiddenFields: hidden
+    });
+  } catch (error) {
+    console.error('Error exporting member data:', error);
+    res.status(500).json({
+      error: 'Failed to export member data'
+    });
+  }
+});
+
+// Erase a member's personal details while keeping their attendance, so headcounts
+// and statistics don't change. The record stays as "Anonymous #id" (inactive);
+// their notes, follow-ups, blackouts, logins and queued emails are deleted and
+// their change history keeps which fields changed but not the values.
+app.post('/api/members/:id/anonymize', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const member = await memberRepository.findForUpdate(connection, id);
+
+    if (!member) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    if (member.anonymized_at) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: 'Member already anonymized'
+      });
+    }
+
+    await memberRepository.anonymize(connection, id);
+
+    // A household left with nobody in it would only hold the old address
+    await connection.execute('UPDATE households SET head_member_id = NULL WHERE head_member_id = ?', [id]);
+    if (member.household_id) {
+      await connection.execute(
+        'DELETE FROM households WHERE id = ? AND NOT EXISTS (SELECT 1 FROM members WHERE household_id = ?)',
+        [member.household_id, member.household_id]
+      );
+    }
+    await connection.execute('UPDATE admin_users SET member_id = NULL WHERE member_id = ?', [id]);
+    await connection.execute(
+      `UPDATE event_registrations
+      SET contact_first_name = 'Anonymous', contact_last_name = ?, contact_email = '', contact_phone = NULL, notes = NULL
+      WHERE member_id = ?`,
+      [`#${id}`, id]
+    );
+    await connection.execute(
+      `UPDATE event_attendees SET first_name = 'Anonymous', last_name = ?, dietary_needs = NULL, notes = NULL
+      WHERE member_id = ?`,
+      [`#${id}`, id]
+    );
+
+    for (const table of [
+      'member_ministries', 'follow_up_tasks', 'volunteer_blackouts', 'member_login_links',
+      'member_sessions', 'member_change_requests', 'email_outbox'
+    ]) {
+      await connection.execute(`DELETE FROM ${table} WHERE member_id = ?`, [id]);
+    }
+    await connection.execute('DELETE FROM serving_assignments WHERE member_id = ? AND service_date >= ?', [id, formatDate(new Date())]);
+    await connection.execute('DELETE FROM duplicate_dismissals WHERE member_id_a = ? OR member_id_b = ?', [id, id]);
+    // Journey steps stay (without notes) so the journey statistics still add up
+    await connection.execute('UPDATE member_journey_steps SET note = NULL WHERE member_id = ?', [id]);
+
+    await connection.execute('UPDATE member_audit_log SET old_value = NULL, new_value = NULL WHERE member_id = ?', [id]);
+    await recordMemberAudit(connection, {
+      memberId: id,
+      adminUserId: req.admin.id,
+      action: 'anonymize'
+    });
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Member anonymized; attendance records were kept'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error anonymizing member:', error);
+    res.status(500).json({
+      error: 'Failed to anonymize member'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Duplicate members: scoring likely matches and merging two records
+// ---------------------------------------------------------------------------
+
+// Points for each kind of match; pairs at or above DUPLICATE_MIN_SCORE are listed
+const DUPLICATE_SCORES = { name: 40, similarName: 20, phone: 30, birthDate: 25, address: 15, email: 30 };
+const DUPLICATE_MIN_SCORE = 50;
+// Larger buckets (e.g. a shared church phone number) are skipped rather than paired
+const DUPLICATE_BUCKET_LIMIT = 50;
+
+// Names are compared as a set of words, so "Bùi Trung Chánh" in one column
+// matches first name "Trung Chánh" with last name "Bùi"
+function duplicateNameKey(member) {
+  return normalizeText(`${member.first_name} ${member.last_name}`).split(' ').filter(Boolean).sort().join(' ');
+}
+
+// Last 9 digits, so "+1 (555) 123-4567" and "555-123-4567" match
+function duplicatePhoneKey(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-9) : null;
+}
+
+function duplicateAddressKey(member) {
+  const street = normalizeText(member.address).replace(/[^\w ]/g, '').replace(/\s+/g, ' ').trim();
+  return street ? `${street}|${String(member.zip_code || '').trim()}` : null;
+}
+
+function scoreDuplicate(a, b) {
+  const reasons = [];
+  let score = 0;
+  const add = (reason) => { reasons.push(reason); score += DUPLICATE_SCORES[reason]; };
+
+  if (a.nameKey === b.nameKey) {
+    add('name');
+  } else if (normalizeText(a.last_name) === normalizeText(b.last_name)
+    && normalizeText(a.first_name).split(' ')[0] === normalizeText(b.first_name).split(' ')[0]) {
+    add('similarName');
+  }
+
+  if (a.phoneKey && a.phoneKey === b.phoneKey) add('phone');
+  if (a.birthDate && a.birthDate === b.birthDate) add('birthDate');
+  if (a.addressKey && a.addressKey === b.addressKey) add('address');
+  if (a.email && b.email && a.email.trim().toLowerCase() === b.email.trim().toLowerCase()) add('email');
+
+  // Two different birthdays, or a different name in the same household, means
+  // family members sharing a phone and address rather than one person twice
+  if (a.birthDate && b.birthDate && a.birthDate !== b.birthDate) score -= 40;
+  if (!reasons.includes('name') && a.household_id && a.household_id === b.household_id) score -= 40;
+
+  return { score, reasons };
+}
+
+// Score every pair of members that share a name, phone, birth date or address
+async function findDuplicates({ minScore = DUPLICATE_MIN_SCORE, memberId = null } = {}) {
+  const [rows] = await pool.execute(
+    `SELECT id, first_name, last_name, email, phone, DATE_FORMAT(birth_date, '%Y-%m-%d') as birth_date,
+      address, city, zip_code, household_id, membership_type, status, created_at
+    FROM members`
+  );
+  const [dismissed] = await pool.execute('SELECT member_id_a, member_id_b FROM duplicate_dismissals');
+  const dismissedPairs = new Set(dismissed.map(d => `${d.member_id_a}|${d.member_id_b}`));
+
+  const members = rows.map(row => ({
+    ...row,
+    nameKey: duplicateNameKey(row),
+    phoneKey: duplicatePhoneKey(row.phone),
+    birthDate: row.birth_date,
+    addressKey: duplicateAddressKey(row)
+  }));
+
+  const buckets = new Map();
+  const bucket = (key, member) => {
+    if (!key) return;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(member);
+  };
+  members.forEach(member => {
+    bucket(`n:${member.nameKey}`, member);
+    bucket(member.phoneKey && `p:${member.phoneKey}`, member);
+    bucket(member.birthDate && `b:${member.birthDate}:${normalizeText(member.last_name)}`, member);
+    bucket(member.addressKey && `a:${member.addressKey}`, member);
+  });
+
+  const pairs = new Map();
+  for (const group of buckets.values()) {
+    if (group.length < 2 || group.length > DUPLICATE_BUCKET_LIMIT) continue;
+
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) {
+        const [a, b] = group[i].id < group[j].id ? [group[i], group[j]] : [group[j], group[i]];
+        const key = `${a.id}|${b.id}`;
+        if (pairs.has(key) || dismissedPairs.has(key)) continue;
+        if (memberId && a.id !== Number(memberId) && b.id !== Number(memberId)) continue;
+
+        const { score, reasons } = scoreDuplicate(a, b);
+        if (score >= minScore) {
+          const summary = ({ nameKey, phoneKey, birthDate, addressKey, ...member }) => member;
+          pairs.set(key, { score, reasons, members: [summary(a), summary(b)] });
+        }
+      }
+    }
+  }
+
+  return [...pairs.values()].sort((x, y) => y.score - x.score || x.members[0].id - y.members[0].id);
+}
+
+// Likely duplicates, best matches first. ?minScore=70 for stricter matches, ?memberId= for one person.
+app.get('/api/duplicates', requireStaff, async (req, res) => {
+  const minScore = Number.parseInt(req.query.minScore, 10) || DUPLICATE_MIN_SCORE;
+
+  try {
+    const pairs = await findDuplicates({ minScore, memberId: req.query.memberId });
+    // Pairs are still scored on every field; only the details shown are limited
+    const hidden = await hiddenMemberColumns(req.admin.role);
+
+    res.json({
+      success: true,
+      hiddenFields: hidden,
+      minScore,
+      scores: DUPLICATE_SCORES,
+      count: pairs.length,
+      pairs: pairs.map(pair => ({ ...pair, members: pair.members.map(member => redactMember(member, hidden)) }))
+    });
+  } catch (error) {
+    console.error('Error finding duplicates:', error);
+    res.status(500).json({
+      error: 'Failed to find duplicates'
+    });
+  }
+});
+
+// Mark a pair as not duplicates so it stops being listed
+app.post('/api/duplicates/dismiss', requireStaff, async (req, res) => {
+  const { memberIds } = req.body;
+
+  if (!Array.isArray(memberIds) || memberIds.length !== 2 || Number(memberIds[0]) === Number(memberIds[1])) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      message: 'memberIds must be two different member ids',
+      required: ['memberIds']
+    });
+  }
+
+  const [a, b] = memberIds.map(Number).sort((x, y) => x - y);
+
+  try {
+    await pool.execute(
+      'INSERT IGNORE INTO duplicate_dismissals (member_id_a, member_id_b, dismissed_by) VALUES (?, ?, ?)',
+      [a, b, req.admin.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Pair dismissed'
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    console.error('Error dismissing duplicate:', error);
+    res.status(500).json({
+      error: 'Failed to dismiss duplicate'
+    });
+  }
+});
+
+// Move everything that belongs to `fromId` onto `toId`. Where both have a row
+// that must be unique (a ministry, a service's attendance, a serving slot) the
+// kept member's row wins, except that a leader role and a present mark are kept.
+async function moveMemberRecords(connection, fromId, toId) {
+  const moved = {};
+  const count = ([result]) => result.affectedRows;
+
+  const [leaderOf] = await connection.execute(
+    "SELECT ministry_id FROM member_ministries WHERE member_id = ? AND role = 'leader'", [fromId]
+  );
+  if (leaderOf.length > 0) {
+    await connection.execute(
+      `UPDATE member_ministries SET role = 'leader'
+      WHERE member_id = ? AND ministry_id IN (${leaderOf.map(() => '?').join(', ')})`,
+      [toId, ...leaderOf.map(row => row.ministry_id)]
+    );
+  }
+  moved.ministries = count(await connection.execute(
+    'UPDATE IGNORE member_ministries SET member_id = ? WHERE member_id = ?', [toId, fromId]
+  ));
+
+  const [marks] = await connection.execute(
+    "SELECT service_id, status FROM attendance WHERE member_id = ? AND status <> 'absent'", [fromId]
+  );
+  for (const mark of marks) {
+    await connection.execute(
+      "UPDATE attendance SET status = ? WHERE member_id = ? AND service_id = ? AND status = 'absent'",
+      [mark.status, toId, mark.service_id]
+    );
+  }
+  moved.attendance = count(await connection.execute(
+    'UPDATE IGNORE attendance SET member_id = ? WHERE member_id = ?', [toId, fromId]
+  ));
+
+  moved.servingAssignments = count(await connection.execute(
+    'UPDATE IGNORE serving_assignments SET member_id = ? WHERE member_id = ?', [toId, fromId]
+  ));
+
+  moved.journeySteps = count(await connection.execute(
+    'UPDATE IGNORE member_journey_steps SET member_id = ? WHERE member_id = ?', [toId, fromId]
+  ));
+
+  const plainMoves = {
+    groupAssignments: 'group_members',
+    blackouts: 'volunteer_blackouts',
+    followUps: 'follow_up_tasks',
+    emails: 'email_outbox',
+    eventRegistrations: 'event_registrations',
+    eventAttendees: 'event_attendees',
+    adminAccounts: 'admin_users',
+    history: 'member_audit_log'
+  };
+  for (const [name, table] of Object.entries(plainMoves)) {
+    moved[name] = count(await connection.execute(`UPDATE ${table} SET member_id = ? WHERE member_id = ?`, [toId, fromId]));
+  }
+
+  return moved;
+}
+
+// Merge a duplicate into this member. The kept record's values win; blank
+// fields are filled from the duplicate, and `take` lists fields (as named in
+// PATCH /api/members/:id) to copy from the duplicate instead. Ministries,
+// attendance, group history, follow-ups, events and the audit history move
+// over, then the duplicate is deleted. The merge is recorded in the audit log.
+app.post('/api/members/:id/merge', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { duplicateId, take = [] } = req.body;
+
+  if (!duplicateId) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['duplicateId']
+    });
+  }
+
+  if (Number(duplicateId) === Number(id)) {
+    return res.status(400).json({
+      error: 'Cannot merge a member into itself'
+    });
+  }
+
+  const unknownFields = Array.isArray(take) ? take.filter(field => !MEMBER_FIELDS[field]) : [take];
+  if (unknownFields.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid take',
+      allowed: Object.keys(MEMBER_FIELDS),
+      invalid: unknownFields
+    });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    // Lower id first, so two merges of the same pair can't wait on each other
+    const rows = [];
+    for (const memberId of [Number(id), Number(duplicateId)].sort((a, b) => a - b)) {
+      rows.push(await memberRepository.findForUpdate(connection, memberId));
+    }
+    const keep = rows.find(row => row && row.id === Number(id));
+    const duplicate = rows.find(row => row && row.id === Number(duplicateId));
+
+    if (!keep || !duplicate) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Member not found',
+        missing: !keep ? Number(id) : Number(duplicateId)
+      });
+    }
+
+    const changes = Object.entries(MEMBER_FIELDS)
+      .filter(([field, column]) => duplicate[column] !== null && duplicate[column] !== ''
+        && (take.includes(field) || keep[column] === null || keep[column] === ''))
+      .map(([field, column]) => ({ field, column, oldValue: keep[column], newValue: duplicate[column] }))
+      .filter(c => auditValue(c.oldValue) !== auditValue(c.newValue));
+
+    if (!keep.household_id && duplicate.household_id) {
+      changes.push({ field: 'householdId', column: 'household_id', oldValue: null, newValue: duplicate.household_id });
+      changes.push({ field: 'householdRole', column: 'household_role', oldValue: keep.household_role, newValue: duplicate.household_role });
+    }
+
+    const moved = await moveMemberRecords(connection, duplicate.id, keep.id);
+
+    // The household the kept member ends up in keeps them as its head; any other
+    // household the duplicate headed passes to a spouse there
+    await connection.execute(
+      'UPDATE households SET head_member_id = ? WHERE head_member_id = ? AND id = ?',
+      [keep.id, duplicate.id, keep.household_id || duplicate.household_id || 0]
+    );
+    await releaseHouseholdHead(connection, duplicate.id, req.admin.id);
+
+    await memberRepository.remove(connection, duplicate.id);
+
+    await memberRepository.update(connection, keep.id, changes);
+
+    await recordMemberAudit(connection, {
+      memberId: keep.id,
+      adminUserId: req.admin.id,
+      action: 'merge',
+      changes: [
+        {
+          // Name only: the deleted record's contact details aren't kept
+          field: 'mergedMember',
+          oldValue: `#${duplicate.id} ${duplicate.first_name} ${duplicate.last_name}`,
+          newValue: `#${keep.id}`
+        },
+        ...changes
+      ]
+    });
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Members merged',
+      memberId: keep.id,
+      removedMemberId: duplicate.id,
+      changed: changes.map(c => c.field),
+      moved
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error merging members:', error);
+    res.status(500).json({
+      error: 'Failed to merge members'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Ministries catalog, membership and leaders
+// ---------------------------------------------------------------------------
+
+const MINISTRY_ROLES = ['member', 'leader'];
+
+// Match requested ministries (ids or names, ignoring case and accents) against the
+// catalog. Ministries the member already belongs to are always accepted; new ones
+// must be active and have room.
+async function resolveMinistries(connection, values, { memberId = null } = {}) {
+  const [catalog] = await connection.execute(
+    `SELECT mi.id, mi.name, mi.active, mi.capacity,
+      (SELECT COUNT(*) FROM member_ministries mm WHERE mm.ministry_id = mi.id) as member_count,
+      EXISTS (SELECT 1 FROM member_ministries mm WHERE mm.ministry_id = mi.id AND mm.member_id = ?) as joined
+    FROM ministries mi`,
+    [memberId || 0]
+  );
+
+  const ministries = new Map();
+  const invalid = [];
+
+  for (const value of values) {
+    const text = String(value === null || value === undefined ? '' : value).trim();
+    if (!text) continue;
+
+    const match = /^\d+$/.test(text)
+      ? catalog.find(mi => mi.id === Number(text))
+      : catalog.find(mi => normalizeText(mi.name) === normalizeText(text));
+
+    if (!match) {
+      invalid.push({ value, reason: 'unknown' });
+    } else if (!match.joined && !match.active) {
+      invalid.push({ value, reason: 'inactive' });
+    } else if (!match.joined && match.capacity !== null && match.member_count >= match.capacity) {
+      invalid.push({ value, reason: 'full' });
+    } else {
+      ministries.set(match.id, { id: match.id, name: match.name });
+    }
+  }
+
+  return { ministries: [...ministries.values()], invalid };
+}
+
+function invalidMinistriesResponse(res, invalid) {
+  return res.status(400).json({
+    error: 'Invalid ministries',
+    message: 'Choose ministries from GET /api/ministries; inactive or full ones cannot be joined',
+    invalid
+  });
+}
+
+// List ministries with how many have joined. Active only unless ?active=all.
+app.get('/api/ministries', async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT mi.id, mi.name, mi.description, mi.capacity, mi.active,
+        COUNT(mm.id) as member_count
+      FROM ministries mi
+      LEFT JOIN member_ministries mm ON mm.ministry_id = mi.id
+      ${req.query.active === 'all' ? '' : 'WHERE mi.active = TRUE'}
+      GROUP BY mi.id
+      ORDER BY mi.name`
+    );
+
+    res.json({
+      success: true,
+      count: rows.length,
+      ministries: rows.map(row => ({
+        ...row,
+        spots_left: row.capacity === null ? null : Math.max(row.capacity - row.member_count, 0)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching ministries:', error);
+    res.status(500).json({
+      error: 'Failed to fetch ministries'
+    });
+  }
+});
+
+// Create a ministry
+app.post('/api/ministries', requireAdmin, async (req, res) => {
+  const { name, description, capacity, active } = req.body;
+
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['name']
+    });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      'INSERT INTO ministries (name, description, capacity, active) VALUES (?, ?, ?, ?)',
+      [String(name).trim(), description || null, capacity || null, active === undefined ? true : Boolean(active)]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Ministry created',
+      ministryId: result.insertId
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        error: 'Ministry already exists'
+      });
+    }
+
+    console.error('Error creating ministry:', error);
+    res.status(500).json({
+      error: 'Failed to create ministry'
+    });
+  }
+});
+
+// Update a ministry's name, description, capacity or active flag
+app.put('/api/ministries/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const fields = { name: 'name', description: 'description', capacity: 'capacity', active: 'active' };
+  const updates = Object.keys(fields).filter(field => req.body[field] !== undefined);
+
+  if (updates.length === 0) {
+    return res.status(400).json({
+      error: 'No changes',
+      allowedFields: Object.keys(fields)
+    });
+  }
+
+  if (updates.includes('name') && !String(req.body.name).trim()) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['name']
+    });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      `UPDATE ministries SET ${updates.map(field => `${fields[field]} = ?`).join(', ')} WHERE id = ?`,
+      [
+        ...updates.map(field => {
+          const value = req.body[field];
+          if (field === 'active') return Boolean(value);
+          if (field === 'name') return String(value).trim();
+          return value === '' ? null : value;
+        }),
+        id
+      ]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Ministry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Ministry updated'
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        error: 'Ministry already exists'
+      });
+    }
+
+    console.error('Error updating ministry:', error);
+    res.status(500).json({
+      error: 'Failed to update ministry'
+    });
+  }
+});
+
+// Columns in `hidden` (see hiddenMemberColumns) are left out
+async function getMinistryRoster(ministryId, hidden) {
+  const [rows] = await pool.execute(
+    `SELECT m.id, m.title, m.first_name, m.last_name, m.preferred_name, m.phone, m.email,
+      m.status, mm.role, mm.created_at as joined_at
+    FROM member_ministries mm
+    JOIN members m ON m.id = mm.member_id
+    WHERE mm.ministry_id = ?
+    ORDER BY mm.role = 'leader' DESC, m.last_name, m.first_name`,
+    [ministryId]
+  );
+  return rows.map(row => redactMember(row, hidden));
+}
+
+// Ministries a member leads, each with its roster
+async function getLedMinistries(memberId, hidden) {
+  const [rows] = await pool.execute(
+    `SELECT mi.* FROM ministries mi
+    JOIN member_ministries mm ON mm.ministry_id = mi.id
+    WHERE mm.member_id = ? AND mm.role = 'leader'
+    ORDER BY mi.name`,
+    [memberId]
+  );
+
+  const ministries = [];
+  for (const ministry of rows) {
+    ministries.push({ ...ministry, roster: await getMinistryRoster(ministry.id, hidden) });
+  }
+  return ministries;
+}
+
+// Ministries led by the logged-in staff member (their account's member_id), with rosters
+app.get('/api/ministries/mine', requireStaff, async (req, res) => {
+  if (!req.admin.member_id) {
+    return res.json({
+      success: true,
+      count: 0,
+      ministries: []
+    });
+  }
+
+  try {
+    const ministries = await getLedMinistries(req.admin.member_id, await hiddenMemberColumns(req.admin.role));
+
+    res.json({
+      success: true,
+      count: ministries.length,
+      ministries
+    });
+  } catch (error) {
+    console.error('Error fetching led ministries:', error);
+    res.status(500).json({
+      error: 'Failed to fetch ministries'
+    });
+  }
+});
+
+// A ministry's roster, leaders first
+app.get('/api/ministries/:id/roster', requireStaff, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [ministries] = await pool.execute('SELECT * FROM ministries WHERE id = ?', [id]);
+
+    if (ministries.length === 0) {
+      return res.status(404).json({
+        error: 'Ministry not found'
+      });
+    }
+
+    const roster = await getMinistryRoster(id, await hiddenMemberColumns(req.admin.role));
+
+    res.json({
+      success: true,
+      ministry: ministries[0],
+      count: roster.length,
+      leaders: roster.filter(person => person.role === 'leader'),
+      roster
+    });
+  } catch (error) {
+    console.error('Error fetching ministry roster:', error);
+    res.status(500).json({
+      error: 'Failed to fetch ministry roster'
+    });
+  }
+});
+
+// Add a member to a ministry, or change their role (member or leader)
+app.post('/api/ministries/:id/members', requireStaff, async (req, res) => {
+  const { id } = req.params;
+  const { memberId, role = 'member' } = req.body;
+
+  if (!memberId) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['memberId']
+    });
+  }
+
+  if (!MINISTRY_ROLES.includes(role)) {
+    return res.status(400).json({
+      error: 'Invalid role',
+      allowed: MINISTRY_ROLES
+    });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const member = await memberRepository.findForUpdate(connection, memberId);
+
+    if (!member) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    const { ministries, invalid } = await resolveMinistries(connection, [id], { memberId });
+
+    if (ministries.length === 0) {
+      await connection.rollback();
+      if (invalid.length > 0 && invalid[0].reason === 'unknown') {
+        return res.status(404).json({
+          error: 'Ministry not found'
+        });
+      }
+      return res.status(409).json({
+        error: invalid[0].reason === 'full' ? 'Ministry is full' : 'Ministry is not active'
+      });
+    }
+
+    const before = await getMemberMinistries(connection, memberId);
+    await connection.execute(
+      `INSERT INTO member_ministries (member_id, ministry_id, role) VALUES (?, ?, ?)
+      ON DUPLICATE KEY UPDATE role = VALUES(role)`,
+      [memberId, id, role]
+    );
+    const after = await getMemberMinistries(connection, memberId);
+
+    if (before.join(',') !== after.join(',')) {
+      await recordMemberAudit(connection, {
+        memberId,
+        adminUserId: req.admin.id,
+        action: 'update',
+        changes: [{ field: 'ministries', oldValue: before.join(', '), newValue: after.join(', ') }]
+      });
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: role === 'leader' ? 'Leader added' : 'Member added'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error adding ministry member:', error);
+    res.status(500).json({
+      error: 'Failed to add member to ministry'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Remove a member from a ministry
+app.delete('/api/ministries/:id/members/:memberId', requireStaff, async (req, res) => {
+  const { id, memberId } = req.params;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const before = await getMemberMinistries(connection, memberId);
+    const [result] = await connection.execute(
+      'DELETE FROM member_ministries WHERE ministry_id = ? AND member_id = ?',
+      [id, memberId]
+    );
+
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Member is not in this ministry'
+      });
+    }
+
+    await recordMemberAudit(connection, {
+      memberId,
+      adminUserId: req.admin.id,
+      action: 'update',
+      changes: [{
+        field: 'ministries',
+        oldValue: before.join(', '),
+        newValue: (await getMemberMinistries(connection, memberId)).join(', ')
+      }]
+    });
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Member removed from ministry'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error removing ministry member:', error);
+    res.status(500).json({
+      error: 'Failed to remove member from ministry'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Volunteer serving schedule: roles each ministry fills every Sunday, blackout
+// dates, the generated rotation, swaps and reminder emails
+// ---------------------------------------------------------------------------
+
+// Weeks of past assignments counted when sharing out the next ones
+const SCHEDULE_FAIRNESS_WEEKS = 12;
+// Reminders are queued this many days before the Sunday a volunteer serves
+const SERVING_REMINDER_DAYS = Number(process.env.SERVING_REMINDER_DAYS) || 3;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// People from one household count as one family: they are never scheduled on
+// the same Sunday, since they can't be in two places at once
+function familyKey(volunteer) {
+  return volunteer.household_id ? `h${volunteer.household_id}` : `m${volunteer.member_id}`;
+}
+
+function isBlackedOut(blackouts, memberId, date) {
+  return blackouts.some(b => b.member_id === memberId && b.start_date <= date && date <= b.end_date);
+}
+
+// Fill the open slots of every active serving role for each Sunday from `from`
+// to `to`. Existing assignments are kept. Each slot goes to the eligible
+// ministry member who has served least in the last SCHEDULE_FAIRNESS_WEEKS
+// (ties go to whoever served longest ago), skipping blackout dates and
+// families already serving that day.
+async function generateSchedule(connection, { from, to, ministryId = null, dryRun = false, adminUserId = null }) {
+  const dates = sundaysBetween(from, to);
+  const historyStart = new Date(`${from}T00:00:00`);
+  historyStart.setDate(historyStart.getDate() - SCHEDULE_FAIRNESS_WEEKS * 7);
+
+  const [roles] = await connection.execute(
+    `SELECT r.id, r.name, r.people_needed, r.ministry_id, mi.name as ministry_name
+    FROM serving_roles r
+    JOIN ministries mi ON mi.id = r.ministry_id
+    WHERE r.active = TRUE AND mi.active = TRUE ${ministryId ? 'AND r.ministry_id = ?' : ''}
+    ORDER BY mi.name, r.name`,
+    ministryId ? [ministryId] : []
+  );
+
+  const [volunteers] = await connection.execute(
+    `SELECT mm.ministry_id, m.id as member_id, m.first_name, m.last_name, m.household_id
+    FROM member_ministries mm
+    JOIN members m ON m.id = mm.member_id
+    WHERE m.status = 'active'
+    ORDER BY m.id`
+  );
+
+  const [blackouts] = await connection.execute(
+    `SELECT member_id, DATE_FORMAT(start_date, '%Y-%m-%d') as start_date, DATE_FORMAT(end_date, '%Y-%m-%d') as end_date
+    FROM volunteer_blackouts
+    WHERE end_date >= ? AND start_date <= ?`,
+    [from, to]
+  );
+
+  // Every ministry's assignments count, so nobody is double-booked across ministries
+  const [assignments] = await connection.execute(
+    `SELECT a.serving_role_id, a.member_id, m.household_id, DATE_FORMAT(a.service_date, '%Y-%m-%d') as service_date
+    FROM serving_assignments a
+    JOIN members m ON m.id = a.member_id
+    WHERE a.service_date >= ? AND a.service_date <= ?
+    ORDER BY a.service_date`,
+    [formatDate(historyStart), to]
+  );
+
+  const load = new Map();
+  const lastServed = new Map();
+  const busy = new Set();
+  const track = (assignment) => {
+    load.set(assignment.member_id, (load.get(assignment.member_id) || 0) + 1);
+    lastServed.set(assignment.member_id, assignment.service_date);
+    busy.add(`${assignment.service_date}|${familyKey(assignment)}`);
+  };
+  assignments.forEach(track);
+
+  const created = [];
+  const unfilled = [];
+
+  for (const date of dates) {
+    for (const role of roles) {
+      const filled = assignments.filter(a => a.service_date === date && a.serving_role_id === role.id).length
+        + created.filter(a => a.service_date === date && a.serving_role_id === role.id).length;
+
+      for (let slot = filled; slot < role.people_needed; slot++) {
+        const candidate = volunteers
+          .filter(v => v.ministry_id === role.ministry_id)
+          .filter(v => !busy.has(`${date}|${familyKey(v)}`) && !isBlackedOut(blackouts, v.member_id, date))
+          .sort((a, b) =>
+            (load.get(a.member_id) || 0) - (load.get(b.member_id) || 0)
+            || (lastServed.get(a.member_id) || '').localeCompare(lastServed.get(b.member_id) || '')
+            || a.member_id - b.member_id
+          )[0];
+
+        if (!candidate) {
+          unfilled.push({
+            date, roleId: role.id, role: role.name, ministry: role.ministry_name, missing: role.people_needed - slot
+          });
+          break;
+        }
+
+        const assignment = {
+          service_date: date,
+          serving_role_id: role.id,
+          role: role.name,
+          ministry: role.ministry_name,
+          member_id: candidate.member_id,
+          household_id: candidate.household_id,
+          first_name: candidate.first_name,
+          last_name: candidate.last_name
+        };
+        created.push(assignment);
+        track(assignment);
+      }
+    }
+  }
+
+  if (!dryRun && created.length > 0) {
+    await connection.query(
+      'INSERT INTO serving_assignments (service_date, serving_role_id, member_id, created_by) VALUES ?',
+      [created.map(a => [a.service_date, a.serving_role_id, a.member_id, adminUserId])]
+    );
+  }
+
+  return { dates, created, unfilled };
+}
+
+// Reasons a member can't take a role on a date. ignoreIds are assignments
+// being moved by the same change (e.g. both sides of a swap).
+async function schedulingConflicts(connection, { date, roleId, memberId, ignoreIds = [] }) {
+  const conflicts = [];
+  const ignore = ignoreIds.length > 0 ? ignoreIds : [0];
+
+  const [members] = await connection.execute(
+    `SELECT m.id, m.status, m.household_id,
+      EXISTS (SELECT 1 FROM member_ministries mm JOIN serving_roles r ON r.ministry_id = mm.ministry_id
+        WHERE mm.member_id = m.id AND r.id = ?) as in_ministry
+    FROM members m WHERE m.id = ?`,
+    [roleId, memberId]
+  );
+
+  if (members.length === 0) {
+    return ['Member not found'];
+  }
+
+  const member = members[0];
+  if (member.status !== 'active') conflicts.push('Member is inactive');
+  if (!member.in_ministry) conflicts.push('Member is not in this ministry');
+
+  const [blackouts] = await connection.execute(
+    'SELECT reason FROM volunteer_blackouts WHERE member_id = ? AND start_date <= ? AND end_date >= ?',
+    [memberId, date, date]
+  );
+  if (blackouts.length > 0) {
+    conflicts.push(`Unavailable${blackouts[0].reason ? `: ${blackouts[0].reason}` : ''}`);
+  }
+
+  const [serving] = await connection.query(
+    `SELECT a.member_id, r.name as role, m.first_name, m.last_name
+    FROM serving_assignments a
+    JOIN serving_roles r ON r.id = a.serving_role_id
+    JOIN members m ON m.id = a.member_id
+    WHERE a.service_date = ? AND a.id NOT IN (?)
+      AND (a.member_id = ? OR (m.household_id IS NOT NULL AND m.household_id = ?))`,
+    [date, ignore, memberId, member.household_id]
+  );
+  serving.forEach(s => {
+    conflicts.push(s.member_id === Number(memberId)
+      ? `Already serving as ${s.role} that day`
+      : `Family member ${s.last_name} ${s.first_name} is serving as ${s.role} that day`);
+  });
+
+  return conflicts;
+}
+
+const SCHEDULE_SELECT = `
+  SELECT a.id, DATE_FORMAT(a.service_date, '%Y-%m-%d') as service_date, a.serving_role_id,
+    r.name as role, r.ministry_id, mi.name as ministry, a.member_id, m.first_name, m.last_name,
+    m.household_id, a.reminder_queued_at
+  FROM serving_assignments a
+  JOIN serving_roles r ON r.id = a.serving_role_id
+  JOIN ministries mi ON mi.id = r.ministry_id
+  JOIN members m ON m.id = a.member_id`;
+
+// Queue reminder emails for everyone serving in the next SERVING_REMINDER_DAYS
+// days who hasn't had one. Family members without an email get it at the
+// household head's address.
+async function queueServingReminders({ days = SERVING_REMINDER_DAYS } = {}) {
+  const today = new Date();
+  const until = new Date(today);
+  until.setDate(until.getDate() + Number(days));
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [due] = await connection.execute(
+      `SELECT a.id, a.service_date, r.name as role, mi.name as ministry, m.id as member_id,
+        m.first_name, m.last_name, m.phone, m.membership_type, m.preferred_language,
+        (m.serving_reminders = TRUE AND COALESCE(m.consent_emails, TRUE) = TRUE) as wants_reminders,
+        COALESCE(m.email, head.email) as email
+      FROM serving_assignments a
+      JOIN serving_roles r ON r.id = a.serving_role_id
+      JOIN ministries mi ON mi.id = r.ministry_id
+      JOIN members m ON m.id = a.member_id
+      LEFT JOIN households h ON h.id = m.household_id
+      LEFT JOIN members head ON head.id = h.head_member_id
+      WHERE a.reminder_queued_at IS NULL
+        AND a.service_date >= ? AND a.service_date <= ?
+      FOR UPDATE`,
+      [formatDate(today), formatDate(until)]
+    );
+
+    let queued = 0;
+    let optedOut = 0;
+    for (const assignment of due) {
+      if (!assignment.wants_reminders) {
+        optedOut++;
+      } else if (assignment.email) {
+        const language = preferredLanguage(assignment.preferred_language);
+        const values = await memberEmailValues({
+          firstName: assignment.first_name,
+          lastName: assignment.last_name,
+          email: assignment.email,
+          phone: assignment.phone,
+          membershipType: assignment.membership_type,
+          ministry: await getMemberMinistries(connection, assignment.member_id)
+        }, language);
+
+        await queueEmail(connection, {
+          templateKey: 'serving_reminder',
+          language,
+          to: assignment.email,
+          values: {
+            ...values,
+            servingRole: assignment.role,
+            servingMinistry: assignment.ministry,
+            servingDate: formatServiceTime(new Date(assignment.service_date), language)
+          },
+          memberId: assignment.member_id
+        });
+        queued++;
+      }
+
+      await connection.execute('UPDATE serving_assignments SET reminder_queued_at = NOW() WHERE id = ?', [assignment.id]);
+    }
+
+    await connection.commit();
+    return { queued, optedOut, withoutEmail: due.length - queued - optedOut };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Middleware for managing a ministry: any staff account, or the portal session
+// (see requireMember) of one of its leaders. ministryOf(req) returns the
+// ministry id, or null when the thing asked for doesn't exist.
+function requireStaffOrLeader(ministryOf) {
+  return async (req, res, next) => {
+    const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+
+    if (!match) {
+      return res.status(401).json({
+        error: 'Authentication required'
+      });
+    }
+
+    try {
+      // Every staff account has a staff role (admin, staff or pastor)
+      const admin = await findStaffSession(match[1]);
+      if (admin) {
+        req.admin = admin;
+        return next();
+      }
+
+      const member = await findMemberSession(match[1]);
+      if (!member) {
+        return res.status(401).json({
+          error: 'Session expired or invalid'
+        });
+      }
+
+      const ministryId = await ministryOf(req);
+      const [leads] = ministryId
+        ? await pool.execute(
+          "SELECT 1 FROM member_ministries WHERE member_id = ? AND ministry_id = ? AND role = 'leader'",
+          [member.id, ministryId]
+        )
+        : [[]];
+
+      if (leads.length === 0) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          message: 'Only staff and the ministry\'s leaders can do this'
+        });
+      }
+
+      req.member = member;
+      next();
+    } catch (error) {
+      console.error('Authentication error:', error);
+      res.status(500).json({
+        error: 'Authentication failed'
+      });
+    }
+  };
+}
+
+const requireRoleManager = requireStaffOrLeader(req => req.params.id);
+const requireServingRoleManager = requireStaffOrLeader(async (req) => {
+  const [roles] = await pool.execute('SELECT ministry_id FROM serving_roles WHERE id = ?', [req.params.id]);
+  return roles.length > 0 ? roles[0].ministry_id : null;
+});
+
+// List a ministry's serving roles
+app.get('/api/ministries/:id/roles', requireRoleManager, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      'SELECT * FROM serving_roles WHERE ministry_id = ? ORDER BY active DESC, name',
+      [req.params.id]
+    );
+
+    res.json({
+      success: true,
+      count: rows.length,
+      roles: rows
+    });
+  } catch (error) {
+    console.error('Error fetching serving roles:', error);
+    res.status(500).json({
+      error: 'Failed to fetch serving roles'
+    });
+  }
+});
+
+// Add a role the ministry fills every Sunday, e.g. "Piano" or "Nursery" with peopleNeeded: 2
+app.post('/api/ministries/:id/roles', requireRoleManager, async (req, res) => {
+  const { name, peopleNeeded = 1 } = req.body;
+
+  if (!name || !String(name).trim()) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['name']
+    });
+  }
+
+  if (!Number.isInteger(Number(peopleNeeded)) || Number(peopleNeeded) < 1) {
+    return res.status(400).json({
+      error: 'Invalid peopleNeeded',
+      message: 'peopleNeeded must be a whole number of at least 1'
+    });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      'INSERT INTO serving_roles (ministry_id, name, people_needed) VALUES (?, ?, ?)',
+      [req.params.id, String(name).trim(), Number(peopleNeeded)]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created',
+      roleId: result.insertId
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        error: 'Role already exists'
+      });
+    }
+
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(404).json({
+        error: 'Ministry not found'
+      });
+    }
+
+    console.error('Error creating serving role:', error);
+    res.status(500).json({
+      error: 'Failed to create role'
+    });
+  }
+});
+
+// Rename a role, change how many people it needs, or retire it (active: false).
+// Retired roles keep their past assignments but are no longer scheduled.
+app.put('/api/serving-roles/:id', requireServingRoleManager, async (req, res) => {
+  const fields = { name: 'name', peopleNeeded: 'people_needed', active: 'active' };
+  const updates = Object.keys(fields).filter(field => req.body[field] !== undefined);
+
+  if (updates.length === 0) {
+    return res.status(400).json({
+      error: 'No changes',
+      allowedFields: Object.keys(fields)
+    });
+  }
+
+  if (updates.includes('peopleNeeded')
+    && (!Number.isInteger(Number(req.body.peopleNeeded)) || Number(req.body.peopleNeeded) < 1)) {
+    return res.status(400).json({
+      error: 'Invalid peopleNeeded',
+      message: 'peopleNeeded must be a whole number of at least 1'
+    });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      `UPDATE serving_roles SET ${updates.map(field => `${fields[field]} = ?`).join(', ')} WHERE id = ?`,
+      [
+        ...updates.map(field => {
+          if (field === 'active') return Boolean(req.body.active);
+          if (field === 'peopleNeeded') return Number(req.body.peopleNeeded);
+          return String(req.body[field]).trim();
+        }),
+        req.params.id
+      ]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Role not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Role updated'
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        error: 'Role already exists'
+      });
+    }
+
+    console.error('Error updating serving role:', error);
+    res.status(500).json({
+      error: 'Failed to update role'
+    });
+  }
+});
+
+// A member's blackout dates, current and upcoming
+async function getBlackouts(memberId) {
+  const [rows] = await pool.execute(
+    `SELECT id, DATE_FORMAT(start_date, '%Y-%m-%d') as start_date, DATE_FORMAT(end_date, '%Y-%m-%d') as end_date,
+      reason, created_at
+    FROM volunteer_blackouts
+    WHERE member_id = ? AND end_date >= CURDATE()
+    ORDER BY start_date`,
+    [memberId]
+  );
+  return rows;
+}
+
+// Check a blackout request body, answering 400 if it isn't valid
+function invalidBlackoutResponse(res, { startDate, endDate = startDate }) {
+  if (!startDate) {
+    res.status(400).json({
+      error: 'Missing required fields',
+      required: ['startDate']
+    });
+    return true;
+  }
+
+  if (!ISO_DATE.test(startDate) || !ISO_DATE.test(endDate) || endDate < startDate) {
+    res.status(400).json({
+      error: 'Invalid dates',
+      message: 'Use YYYY-MM-DD, with endDate on or after startDate'
+    });
+    return true;
+  }
+
+  return false;
+}
+
+// Save blackout dates. Assignments already made for those dates are returned
+// as needsSwap and left for a leader to swap.
+async function addBlackout(memberId, { startDate, endDate = startDate, reason }) {
+  const [result] = await pool.execute(
+    'INSERT INTO volunteer_blackouts (member_id, start_date, end_date, reason) VALUES (?, ?, ?, ?)',
+    [memberId, startDate, endDate, reason || null]
+  );
+
+  const [affected] = await pool.execute(
+    `${SCHEDULE_SELECT}
+    WHERE a.member_id = ? AND a.service_date >= ? AND a.service_date <= ?
+    ORDER BY a.service_date`,
+    [memberId, startDate, endDate]
+  );
+
+  return { blackoutId: result.insertId, needsSwap: affected };
+}
+
+app.get('/api/members/:id/blackouts', requireStaff, async (req, res) => {
+  try {
+    const rows = await getBlackouts(req.params.id);
+
+    res.json({
+      success: true,
+      count: rows.length,
+      blackouts: rows
+    });
+  } catch (error) {
+    console.error('Error fetching blackout dates:', error);
+    res.status(500).json({
+      error: 'Failed to fetch blackout dates'
+    });
+  }
+});
+
+// Mark a member unavailable from startDate to endDate (one day if endDate is left out)
+app.post('/api/members/:id/blackouts', requireStaff, async (req, res) => {
+  if (invalidBlackoutResponse(res, req.body)) return;
+
+  try {
+    const { blackoutId, needsSwap } = await addBlackout(req.params.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Blackout dates saved',
+      blackoutId,
+      needsSwap
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    console.error('Error saving blackout dates:', error);
+    res.status(500).json({
+      error: 'Failed to save blackout dates'
+    });
+  }
+});
+
+// Remove blackout dates
+app.delete('/api/blackouts/:id', requireStaff, async (req, res) => {
+  try {
+    const [result] = await pool.execute('DELETE FROM volunteer_blackouts WHERE id = ?', [req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Blackout dates not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Blackout dates removed'
+    });
+  } catch (error) {
+    console.error('Error removing blackout dates:', error);
+    res.status(500).json({
+      error: 'Failed to remove blackout dates'
+    });
+  }
+});
+
+// The serving schedule, by Sunday. Defaults to the next 8 weeks.
+// Filters: ministry (id), memberId.
+app.get('/api/schedule', requireStaff, async (req, res) => {
+  const { ministry, memberId } = req.query;
+  const from = req.query.from || formatDate(new Date());
+
+  if (!ISO_DATE.test(from) || (req.query.to && !ISO_DATE.test(req.query.to))) {
+    return res.status(400).json({
+      error: 'Invalid dates',
+      message: 'Use YYYY-MM-DD'
+    });
+  }
+
+  const end = new Date(`${from}T00:00:00`);
+  end.setDate(end.getDate() + 8 * 7);
+  const to = req.query.to || formatDate(end);
+  const conditions = ['a.service_date >= ?', 'a.service_date <= ?'];
+  const params = [from, to];
+
+  if (ministry) {
+    conditions.push('r.ministry_id = ?');
+    params.push(ministry);
+  }
+
+  if (memberId) {
+    conditions.push('a.member_id = ?');
+    params.push(memberId);
+  }
+
+  try {
+    const [rows] = await pool.execute(
+      `${SCHEDULE_SELECT}
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY a.service_date, mi.name, r.name, m.last_name, m.first_name`,
+      params
+    );
+
+    const dates = [...new Set(rows.map(row => row.service_date))];
+
+    res.json({
+      success: true,
+      from,
+      to,
+      count: rows.length,
+      schedule: dates.map(date => ({
+        date,
+        assignments: rows.filter(row => row.service_date === date)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({
+      error: 'Failed to fetch schedule'
+    });
+  }
+});
+
+// Generate the rotation for the Sundays from `from` to `to`, optionally for one
+// ministry. Open slots are filled; existing assignments are kept. With dryRun
+// the proposed assignments are returned without saving.
+app.post('/api/schedule/generate', requireStaff, async (req, res) => {
+  const { from, to, ministryId, dryRun = false } = req.body;
+
+  if (!from || !to) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['from', 'to']
+    });
+  }
+
+  if (!ISO_DATE.test(from) || !ISO_DATE.test(to) || to < from) {
+    return res.status(400).json({
+      error: 'Invalid dates',
+      message: 'Use YYYY-MM-DD, with to on or after from'
+    });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const result = await generateSchedule(connection, {
+      from, to, ministryId: ministryId || null, dryRun: Boolean(dryRun), adminUserId: req.admin.id
+    });
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      dryRun: Boolean(dryRun),
+      message: `${dryRun ? 'Would assign' : 'Assigned'} ${result.created.length} slot(s) over ${result.dates.length} Sunday(s)`,
+      assignments: result.created,
+      unfilled: result.unfilled
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error generating schedule:', error);
+    res.status(500).json({
+      error: 'Failed to generate schedule'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Put a member in a role on a date by hand
+app.post('/api/schedule', requireStaff, async (req, res) => {
+  const { date, roleId, memberId } = req.body;
+
+  if (!date || !roleId || !memberId) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['date', 'roleId', 'memberId']
+    });
+  }
+
+  if (!ISO_DATE.test(date)) {
+    return res.status(400).json({
+      error: 'Invalid date',
+      message: 'Use YYYY-MM-DD'
+    });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [roles] = await connection.execute(
+      `SELECT r.active, r.people_needed,
+        (SELECT COUNT(*) FROM serving_assignments a WHERE a.serving_role_id = r.id AND a.service_date = ?) as assigned
+      FROM serving_roles r WHERE r.id = ? FOR UPDATE`,
+      [date, roleId]
+    );
+    if (roles.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Role not found'
+      });
+    }
+
+    const role = roles[0];
+    if (!role.active || role.assigned >= role.people_needed) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: role.active ? 'Role is already filled' : 'Role is not active',
+        message: role.active
+          ? `This role needs ${role.people_needed} ${role.people_needed === 1 ? 'person' : 'people'} and is full that day; swap someone out instead`
+          : 'Retired roles are no longer scheduled'
+      });
+    }
+
+    const conflicts = await schedulingConflicts(connection, { date, roleId, memberId });
+    if (conflicts.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: 'Scheduling conflict',
+        conflicts
+      });
+    }
+
+    const [result] = await connection.execute(
+      'INSERT INTO serving_assignments (service_date, serving_role_id, member_id, created_by) VALUES (?, ?, ?, ?)',
+      [date, roleId, memberId, req.admin.id]
+    );
+
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Volunteer scheduled',
+      assignmentId: result.insertId
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error scheduling volunteer:', error);
+    res.status(500).json({
+      error: 'Failed to schedule volunteer'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Swap an assignment: give it to another member ({ memberId }), or trade with
+// another assignment ({ withAssignmentId }) so the two volunteers change places.
+// Moved volunteers get a fresh reminder.
+app.post('/api/schedule/:id/swap', requireStaff, async (req, res) => {
+  const { memberId, withAssignmentId } = req.body;
+
+  if (!memberId === !withAssignmentId) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      message: 'Send either memberId or withAssignmentId',
+      required: ['memberId', 'withAssignmentId']
+    });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const ids = [req.params.id, withAssignmentId].filter(Boolean);
+    const [rows] = await connection.query(
+      `SELECT id, DATE_FORMAT(service_date, '%Y-%m-%d') as service_date, serving_role_id, member_id
+      FROM serving_assignments WHERE id IN (?) FOR UPDATE`,
+      [ids]
+    );
+
+    const assignment = rows.find(row => row.id === Number(req.params.id));
+    const other = withAssignmentId && rows.find(row => row.id === Number(withAssignmentId));
+
+    if (!assignment || (withAssignmentId && !other)) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Assignment not found'
+      });
+    }
+
+    // Each move is [assignment, member taking it]
+    const moves = other
+      ? [[assignment, other.member_id], [other, assignment.member_id]]
+      : [[assignment, Number(memberId)]];
+
+    const conflicts = [];
+    for (const [target, newMemberId] of moves) {
+      const found = await schedulingConflicts(connection, {
+        date: target.service_date,
+        roleId: target.serving_role_id,
+        memberId: newMemberId,
+        ignoreIds: ids
+      });
+      found.forEach(conflict => conflicts.push({ assignmentId: target.id, memberId: newMemberId, conflict }));
+    }
+
+    if (conflicts.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: 'Scheduling conflict',
+        conflicts
+      });
+    }
+
+    for (const [target, newMemberId] of moves) {
+      await connection.execute(
+        'UPDATE serving_assignments SET member_id = ?, reminder_queued_at = NULL WHERE id = ?',
+        [newMemberId, target.id]
+      );
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: other ? 'Volunteers swapped' : 'Assignment reassigned'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error swapping assignment:', error);
+    res.status(500).json({
+      error: 'Failed to swap assignment'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Remove an assignment (the slot shows as open the next time the schedule is generated)
+app.delete('/api/schedule/:id', requireStaff, async (req, res) => {
+  try {
+    const [result] = await pool.execute('DELETE FROM serving_assignments WHERE id = ?', [req.params.id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Assignment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Assignment removed'
+    });
+  } catch (error) {
+    console.error('Error removing assignment:', error);
+    res.status(500).json({
+      error: 'Failed to remove assignment'
+    });
+  }
+});
+
+// Queue reminders now instead of waiting for the email worker (e.g. { days: 7 })
+app.post('/api/schedule/reminders', requireStaff, async (req, res) => {
+  const days = Number.parseInt(req.body.days, 10) || SERVING_REMINDER_DAYS;
+
+  try {
+    const result = await queueServingReminders({ days });
+
+    res.json({
+      success: true,
+      message: `Queued ${result.queued} reminder(s)`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error queueing serving reminders:', error);
+    res.status(500).json({
+      error: 'Failed to queue reminders'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Member journey (first visit to membership)
+// ---------------------------------------------------------------------------
+
+const JOURNEY_MEMBERSHIP_TYPES = ['member', 'volunteer'];
+
+// Journey stages in order, active only unless `all`
+async function getJourneyStages(connection, { all = false } = {}) {
+  const [rows] = await connection.execute(
+    `SELECT id, code, name, position, membership_type, stall_after_days, active
+    FROM journey_stages
+    ${all ? '' : 'WHERE active = TRUE'}
+    ORDER BY position, id`
+  );
+  return rows;
+}
+
+// The stages a member has reached, in stage order, with who looks after them from each one
+async function getMemberJourney(connection, memberId) {
+  const [rows] = await connection.execute(
+    `SELECT js.id, js.stage_id, s.code, s.name, s.position, s.membership_type,
+      DATE_FORMAT(js.reached_at, '%Y-%m-%d') as reached_at, DATEDIFF(NOW(), js.reached_at) as days_ago,
+      js.responsible_user_id, ru.username as responsible_username,
+      rb.username as recorded_by_username, js.note
+    FROM member_journey_steps js
+    JOIN journey_stages s ON s.id = js.stage_id
+    LEFT JOIN admin_users ru ON ru.id = js.responsible_user_id
+    LEFT JOIN admin_users rb ON rb.id = js.recorded_by
+    WHERE js.member_id = ?
+    ORDER BY s.position, js.id`,
+    [memberId]
+  );
+  return rows;
+}
+
+// Where someone is on the journey: their furthest step, and the next active stage
+// after it (null once they have reached the last one)
+function journeyProgress(steps, stages) {
+  const position = new Map(stages.map(stage => [stage.id, stage.position]));
+  const current = steps.reduce((furthest, step) => (
+    !furthest || position.get(step.stage_id) > position.get(furthest.stage_id) ? step : furthest
+  ), null);
+  const reached = new Set(steps.map(step => step.stage_id));
+  const next = stages.find(stage => stage.active && !reached.has(stage.id) &&
+    (!current || stage.position > position.get(current.stage_id))) || null;
+  return { current, next };
+}
+
+// Waiting at a stage longer than its stall_after_days
+function isStalled(step, stages) {
+  const stage = stages.find(s => s.id === step.stage_id);
+  return stage.stall_after_days !== null && Number(step.days_ago) > stage.stall_after_days;
+}
+
+async function describeJourney(connection, memberId) {
+  const stages = await getJourneyStages(connection, { all: true });
+  const steps = await getMemberJourney(connection, memberId);
+  const { current, next } = journeyProgress(steps, stages);
+  const reached = new Set(steps.map(step => step.stage_id));
+
+  return {
+    stages: stages.filter(stage => stage.active || reached.has(stage.id)),
+    steps,
+    currentStage: current ? current.code : null,
+    nextStage: next ? next.code : null,
+    stalled: Boolean(current && next && isStalled(current, stages))
+  };
+}
+
+// Put new visitors on the first stage of the journey
+async function startMemberJourney(connection, memberIds) {
+  const [first] = await connection.execute(
+    'SELECT id FROM journey_stages WHERE active = TRUE ORDER BY position, id LIMIT 1'
+  );
+  if (first.length === 0 || memberIds.length === 0) return;
+
+  await connection.query(
+    'INSERT IGNORE INTO member_journey_steps (member_id, stage_id, reached_at) VALUES ?',
+    [memberIds.map(memberId => [memberId, first[0].id, new Date()])]
+  );
+}
+
+function invalidStageFields(body) {
+  const invalid = [];
+  if (body.code !== undefined && !/^[a-z0-9_]{1,50}$/.test(String(body.code))) invalid.push('code');
+  if (body.position !== undefined && !Number.isInteger(Number(body.position))) invalid.push('position');
+  if (body.membershipType !== undefined && body.membershipType !== null && body.membershipType !== '' &&
+    !JOURNEY_MEMBERSHIP_TYPES.includes(body.membershipType)) invalid.push('membershipType');
+  if (body.stallAfterDays !== undefined && body.stallAfterDays !== null && body.stallAfterDays !== '' &&
+    !(Number.isInteger(Number(body.stallAfterDays)) && Number(body.stallAfterDays) > 0)) invalid.push('stallAfterDays');
+  return invalid;
+}
+
+function invalidStageResponse(res, fields) {
+  return res.status(400).json({
+    error: 'Invalid stage fields',
+    message: 'code is lowercase letters, digits and _; position and stallAfterDays are whole numbers',
+    fields,
+    membershipTypes: JOURNEY_MEMBERSHIP_TYPES
+  });
+}
+
+// List journey stages in order. Active only unless ?active=all.
+app.get('/api/journey/stages', requireStaff, async (req, res) => {
+  try {
+    const stages = await getJourneyStages(pool, { all: req.query.active === 'all' });
+
+    res.json({
+      success: true,
+      count: stages.length,
+      stages
+    });
+  } catch (error) {
+    console.error('Error fetching journey stages:', error);
+    res.status(500).json({
+      error: 'Failed to fetch journey stages'
+    });
+  }
+});
+
+// Add a stage, e.g. { code: 'small_group', name: 'Joined a small group', position: 35,
+// stallAfterDays: 60 }. Without a position it goes last. membershipType ('member' or
+// 'volunteer') moves a visitor to that type when they reach the stage.
+app.post('/api/journey/stages', requireAdmin, async (req, res) => {
+  const { code, name, position, membershipType, stallAfterDays, active } = req.body;
+
+  if (!code || !name || !String(name).trim()) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['code', 'name']
+    });
+  }
+
+  const invalid = invalidStageFields(req.body);
+  if (invalid.length > 0) return invalidStageResponse(res, invalid);
+
+  try {
+    const [[{ last_position: lastPosition }]] = await pool.execute('SELECT MAX(position) as last_position FROM journey_stages');
+    const [result] = await pool.execute(
+      `INSERT INTO journey_stages (code, name, position, membership_type, stall_after_days, active)
+      VALUES (?, ?, ?, ?, ?, ?)`,
+      [
+        code, String(name).trim(),
+        position === undefined ? Number(lastPosition || 0) + 10 : Number(position),
+        membershipType || null, stallAfterDays || null,
+        active === undefined ? true : Boolean(active)
+      ]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Journey stage created',
+      stageId: result.insertId
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        error: 'Journey stage already exists'
+      });
+    }
+
+    console.error('Error creating journey stage:', error);
+    res.status(500).json({
+      error: 'Failed to create journey stage'
+    });
+  }
+});
+
+// Rename, reorder or retire a stage (active: false). Stages are retired rather than
+// deleted so the steps people already reached stay in the statistics.
+app.put('/api/journey/stages/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const fields = {
+    code: 'code',
+    name: 'name',
+    position: 'position',
+    membershipType: 'membership_type',
+    stallAfterDays: 'stall_after_days',
+    active: 'active'
+  };
+  const updates = Object.keys(fields).filter(field => req.body[field] !== undefined);
+
+  if (updates.length === 0) {
+    return res.status(400).json({
+      error: 'No changes',
+      allowedFields: Object.keys(fields)
+    });
+  }
+
+  if (updates.includes('name') && !String(req.body.name).trim()) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['name']
+    });
+  }
+
+  const invalid = invalidStageFields(req.body);
+  if (invalid.length > 0) return invalidStageResponse(res, invalid);
+
+  try {
+    const [result] = await pool.execute(
+      `UPDATE journey_stages SET ${updates.map(field => `${fields[field]} = ?`).join(', ')} WHERE id = ?`,
+      [
+        ...updates.map(field => {
+          const value = req.body[field];
+          if (field === 'active') return Boolean(value);
+          if (field === 'name') return String(value).trim();
+          if (field === 'position') return Number(value);
+          return value === '' ? null : value;
+        }),
+        id
+      ]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Journey stage not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Journey stage updated'
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        error: 'Journey stage already exists'
+      });
+    }
+
+    console.error('Error updating journey stage:', error);
+    res.status(500).json({
+      error: 'Failed to update journey stage'
+    });
+  }
+});
+
+// Active people still on their way, with their current stage and how long they
+// have been there. Filters: stage (code or id), stalled=true, responsible=me or a staff id.
+app.get('/api/journey', requireStaff, async (req, res) => {
+  const { stage, stalled, responsible } = req.query;
+
+  try {
+    const stages = await getJourneyStages(pool, { all: true });
+    const hidden = await hiddenMemberColumns(req.admin.role);
+    const [rows] = await pool.execute(
+      `SELECT js.member_id, js.stage_id, DATE_FORMAT(js.reached_at, '%Y-%m-%d') as reached_at,
+        DATEDIFF(NOW(), js.reached_at) as days_ago, js.responsible_user_id, u.username as responsible_username,
+        m.title, m.first_name, m.last_name, m.phone, m.email, m.membership_type, m.how_did_you_hear
+      FROM member_journey_steps js
+      JOIN members m ON m.id = js.member_id
+      LEFT JOIN admin_users u ON u.id = js.responsible_user_id
+      WHERE m.status = 'active'
+      ORDER BY js.member_id, js.id`
+    );
+
+    const byMember = new Map();
+    for (const row of rows) {
+      byMember.set(row.member_id, [...(byMember.get(row.member_id) || []), row]);
+    }
+
+    const responsibleId = responsible === 'me' ? req.admin.id : Number(responsible);
+    const people = [];
+    for (const steps of byMember.values()) {
+      const { current, next } = journeyProgress(steps, stages);
+      if (!next) continue;
+
+      const currentStage = stages.find(s => s.id === current.stage_id);
+      const entry = {
+        id: current.member_id,
+        title: current.title,
+        first_name: current.first_name,
+        last_name: current.last_name,
+        phone: current.phone,
+        email: current.email,
+        membership_type: current.membership_type,
+        how_did_you_hear: current.how_did_you_hear,
+        stage: currentStage.code,
+        stage_name: currentStage.name,
+        next_stage: next.code,
+        next_stage_name: next.name,
+        reached_at: current.reached_at,
+        days_at_stage: Number(current.days_ago),
+        stalled: isStalled(current, stages),
+        responsible_user_id: current.responsible_user_id,
+        responsible_username: current.responsible_username
+      };
+
+      if (stage && String(currentStage.id) !== String(stage) && currentStage.code !== stage) continue;
+      if (stalled === 'true' && !entry.stalled) continue;
+      if (responsible && entry.responsible_user_id !== responsibleId) continue;
+      people.push(redactMember(entry, hidden));
+    }
+
+    // Longest waiting first
+    people.sort((a, b) => b.stalled - a.stalled || b.days_at_stage - a.days_at_stage);
+
+    res.json({
+      success: true,
+      count: people.length,
+      people,
+      hiddenFields: hidden
+    });
+  } catch (error) {
+    console.error('Error fetching journey:', error);
+    res.status(500).json({
+      error: 'Failed to fetch journey'
+    });
+  }
+});
+
+// A member's journey: the stages, the steps reached and what comes next
+app.get('/api/members/:id/journey', requireStaff, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const member = await memberRepository.findById(pool, id);
+    if (!member) {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      memberId: Number(id),
+      ...await describeJourney(pool, id)
+    });
+  } catch (error) {
+    console.error('Error fetching member journey:', error);
+    res.status(500).json({
+      error: 'Failed to fetch member journey'
+    });
+  }
+});
+
+// Record that a member reached a stage: the next one, or `stage` (code or id) to
+// record a step out of order. reachedAt (YYYY-MM-DD) defaults to now.
+// responsibleUserId ('me', a staff id or null) defaults to whoever looked after them
+// at their last step, or the staff member recording it. Reaching a stage with a
+// membership type moves a visitor to that type.
+app.post('/api/members/:id/journey/advance', requireStaff, async (req, res) => {
+  const { id } = req.params;
+  const { stage, reachedAt, responsibleUserId, note } = req.body;
+
+  if (reachedAt && (!ISO_DATE.test(reachedAt) || reachedAt > formatDate(new Date()))) {
+    return res.status(400).json({
+      error: 'Invalid reachedAt',
+      message: 'Use a YYYY-MM-DD date that is not in the future'
+    });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const member = await memberRepository.findForUpdate(connection, id);
+
+    if (!member) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    const stages = await getJourneyStages(connection, { all: true });
+    const steps = await getMemberJourney(connection, id);
+    const { current, next } = journeyProgress(steps, stages);
+
+    let target = next;
+    if (stage !== undefined && stage !== null && stage !== '') {
+      target = stages.find(s => s.active && (String(s.id) === String(stage) || s.code === stage));
+      if (!target) {
+        await connection.rollback();
+        return res.status(400).json({
+          error: 'Invalid stage',
+          allowed: stages.filter(s => s.active).map(s => s.code)
+        });
+      }
+      if (steps.some(step => step.stage_id === target.id)) {
+        await connection.rollback();
+        return res.status(409).json({
+          error: 'Stage already reached'
+        });
+      }
+    } else if (!target) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: 'Journey already complete'
+      });
+    }
+
+    let responsibleId = responsibleUserId === 'me' ? req.admin.id : responsibleUserId || null;
+    if (responsibleUserId === undefined) {
+      responsibleId = current ? current.responsible_user_id : req.admin.id;
+    }
+
+    await connection.execute(
+      `INSERT INTO member_journey_steps (member_id, stage_id, reached_at, responsible_user_id, recorded_by, note)
+      VALUES (?, ?, COALESCE(?, NOW()), ?, ?, ?)`,
+      [id, target.id, reachedAt || null, responsibleId, req.admin.id, note || null]
+    );
+
+    const changes = member.membership_type === 'visitor' && target.membership_type
+      ? memberChanges(member, { membershipType: target.membership_type }, ['membershipType'])
+      : [];
+    await memberRepository.update(connection, id, changes);
+
+    await recordMemberAudit(connection, {
+      memberId: id,
+      adminUserId: req.admin.id,
+      action: 'update',
+      changes: [{ field: 'journeyStage', oldValue: current ? current.code : null, newValue: target.code }, ...changes]
+    });
+
+    const journey = await describeJourney(connection, id);
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: `${target.name} recorded`,
+      membershipType: changes.length > 0 ? target.membership_type : member.membership_type,
+      ...journey
+    });
+  } catch (error) {
+    await connection.rollback();
+
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(404).json({
+        error: 'Staff user not found'
+      });
+    }
+
+    console.error('Error advancing member journey:', error);
+    res.status(500).json({
+      error: 'Failed to record journey stage'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Undo the most recently recorded step (recorded by mistake or too early). A
+// membership type the step gave is taken back unless another step also gives one.
+app.post('/api/members/:id/journey/revert', requireStaff, async (req, res) => {
+  const { id } = req.params;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const member = await memberRepository.findForUpdate(connection, id);
+
+    if (!member) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    const stages = await getJourneyStages(connection, { all: true });
+    const steps = await getMemberJourney(connection, id);
+    if (steps.length === 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: 'No journey steps to undo'
+      });
+    }
+
+    const last = steps.reduce((latest, step) => (step.id > latest.id ? step : latest));
+    const remaining = steps.filter(step => step.id !== last.id);
+    await connection.execute('DELETE FROM member_journey_steps WHERE id = ?', [last.id]);
+
+    const changes = last.membership_type && member.membership_type === last.membership_type &&
+      !remaining.some(step => step.membership_type)
+      ? memberChanges(member, { membershipType: 'visitor' }, ['membershipType'])
+      : [];
+    await memberRepository.update(connection, id, changes);
+
+    const { current } = journeyProgress(remaining, stages);
+    await recordMemberAudit(connection, {
+      memberId: id,
+      adminUserId: req.admin.id,
+      action: 'update',
+      changes: [{ field: 'journeyStage', oldValue: last.code, newValue: current ? current.code : null }, ...changes]
+    });
+
+    const journey = await describeJourney(connection, id);
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: `${last.name} step undone`,
+      membershipType: changes.length > 0 ? 'visitor' : member.membership_type,
+      ...journey
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error reverting member journey:', error);
+    res.status(500).json({
+      error: 'Failed to undo journey stage'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Pastoral follow-up
+// ---------------------------------------------------------------------------
+
+const FOLLOW_UP_TYPES = ['baptism', 'salvation', 'prayer', 'other'];
+const FOLLOW_UP_STATUSES = ['open', 'in_progress', 'closed'];
+
+// Signup answers that call for a pastoral follow-up (the same conditions as the
+// "needs baptism follow-up", "learn about salvation" and "prayer requests" queries)
+const FOLLOW_UP_RULES = [
+  {
+    type: 'baptism',
+    applies: answers => ['no', 'interested'].includes(answers.baptized),
+    summary: answers => `Baptism: answered "${answers.baptized}"`,
+    dueDays: 14
+  },
+  {
+    type: 'salvation',
+    applies: answers => ['no', 'unsure'].includes(answers.salvation),
+    summary: answers => `Salvation: answered "${answers.salvation}"`,
+    dueDays: 7
+  },
+  {
+    type: 'prayer',
+    applies: answers => Boolean(answers.prayer && answers.prayer.trim()),
+    summary: () => 'Prayer request',
+    dueDays: 3
+  }
+];
+
+// Create the follow-up tasks a new member's answers call for
+async function createFollowUpTasks(connection, memberId, answers) {
+  const tasks = FOLLOW_UP_RULES.filter(rule => rule.applies(answers));
+  if (tasks.length === 0) return 0;
+
+  await connection.query(
+    `INSERT INTO follow_up_tasks (member_id, type, summary, due_date)
+    VALUES ?`,
+    [tasks.map(rule => [
+      memberId,
+      rule.type,
+      rule.summary(answers),
+      formatDate(new Date(Date.now() + rule.dueDays * 24 * 60 * 60 * 1000))
+    ])]
+  );
+  return tasks.length;
+}
+
+// The prayer request text only comes along where it is shown: the prayer
+// inbox and a single task. Rows still go through redactMember().
+const followUpSelect = (withPrayerRequest = false) => `SELECT t.*, m.first_name, m.last_name, m.email, m.phone,
+    ${withPrayerRequest ? 'm.prayer_request, ' : ''}u.username as assigned_username
+  FROM follow_up_tasks t
+  JOIN members m ON m.id = t.member_id
+  LEFT JOIN admin_users u ON u.id = t.assigned_to`;
+
+// List follow-up tasks (open and in progress by default)
+app.get('/api/follow-ups', requireStaff, async (req, res) => {
+  const { status, type, assignedTo, memberId } = req.query;
+  const conditions = [];
+  const params = [];
+
+  if (status === 'all') {
+    // no status filter
+  } else if (status) {
+    conditions.push('t.status = ?');
+    params.push(status);
+  } else {
+    conditions.push("t.status != 'closed'");
+  }
+
+  if (type) {
+    conditions.push('t.type = ?');
+    params.push(type);
+  }
+
+  if (assignedTo === 'me') {
+    conditions.push('t.assigned_to = ?');
+    params.push(req.admin.id);
+  } else if (assignedTo === 'none') {
+    conditions.push('t.assigned_to IS NULL');
+  } else if (assignedTo) {
+    conditions.push('t.assigned_to = ?');
+    params.push(assignedTo);
+  }
+
+  if (memberId) {
+    conditions.push('t.member_id = ?');
+    params.push(memberId);
+  }
+
+  try {
+    const [rows] = await pool.execute(
+      `${followUpSelect(type === 'prayer')}
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY t.due_date IS NULL, t.due_date, t.created_at`,
+      params
+    );
+
+    const hidden = await hiddenMemberColumns(req.admin.role);
+
+    res.json({
+      success: true,
+      count: rows.length,
+      tasks: rows.map(row => redactMember(row, hidden))
+    });
+  } catch (error) {
+    console.error('Error fetching follow-ups:', error);
+    res.status(500).json({
+      error: 'Failed to fetch follow-ups'
+    });
+  }
+});
+
+// Open follow-ups grouped by assignee, with overdue counts
+app.get('/api/follow-ups/by-assignee', requireStaff, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `${followUpSelect()}
+      WHERE t.status != 'closed'
+      ORDER BY u.username IS NULL, u.username, t.due_date IS NULL, t.due_date`
+    );
+
+    const hidden = await hiddenMemberColumns(req.admin.role);
+    const today = formatDate(new Date());
+    const groups = new Map();
+
+    for (const task of rows) {
+      const key = task.assigned_to || 'unassigned';
+      if (!groups.has(key)) {
+        groups.set(key, {
+          assignedTo: task.assigned_to,
+          username: task.assigned_username || null,
+          open: 0,
+          overdue: 0,
+          tasks: []
+        });
+      }
+
+      const group = groups.get(key);
+      group.open++;
+      if (task.due_date && formatDate(new Date(task.due_date)) < today) group.overdue++;
+      group.tasks.push(redactMember(task, hidden));
+    }
+
+    res.json({
+      success: true,
+      assignees: [...groups.values()]
+    });
+  } catch (error) {
+    console.error('Error fetching follow-ups by assignee:', error);
+    res.status(500).json({
+      error: 'Failed to fetch follow-ups'
+    });
+  }
+});
+
+// Get a follow-up task with its notes
+app.get('/api/follow-ups/:id', requireStaff, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [rows] = await pool.execute(`${followUpSelect(true)} WHERE t.id = ?`, [id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        error: 'Follow-up not found'
+      });
+    }
+
+    const [notes] = await pool.execute(
+      `SELECT n.id, n.note, n.created_at, n.admin_user_id, u.username
+      FROM follow_up_notes n
+      LEFT JOIN admin_users u ON u.id = n.admin_user_id
+      WHERE n.task_id = ?
+      ORDER BY n.created_at, n.id`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      task: {
+        ...redactMember(rows[0], await hiddenMemberColumns(req.admin.role)),
+        notes
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching follow-up:', error);
+    res.status(500).json({
+      error: 'Failed to fetch follow-up'
+    });
+  }
+});
+
+// Create a follow-up task by hand
+app.post('/api/follow-ups', requireStaff, async (req, res) => {
+  const { memberId, type, summary, dueDate, assignedTo } = req.body;
+
+  if (!memberId || !summary) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['memberId', 'summary']
+    });
+  }
+
+  if (type && !FOLLOW_UP_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: 'Invalid type',
+      allowed: FOLLOW_UP_TYPES
+    });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO follow_up_tasks (member_id, type, summary, due_date, assigned_to)
+      VALUES (?, ?, ?, ?, ?)`,
+      [memberId, type || 'other', summary, dueDate || null, assignedTo || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Follow-up created',
+      taskId: result.insertId
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(404).json({
+        error: 'Member or staff user not found'
+      });
+    }
+
+    console.error('Error creating follow-up:', error);
+    res.status(500).json({
+      error: 'Failed to create follow-up'
+    });
+  }
+});
+
+// Assign, reschedule or close a follow-up task
+app.patch('/api/follow-ups/:id', requireStaff, async (req, res) => {
+  const { id } = req.params;
+  const { assignedTo, dueDate, status, summary, resolution } = req.body;
+
+  if (status && !FOLLOW_UP_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      allowed: FOLLOW_UP_STATUSES
+    });
+  }
+
+  const sets = [];
+  const params = [];
+
+  if (assignedTo !== undefined) {
+    sets.push('assigned_to = ?');
+    params.push(assignedTo === 'me' ? req.admin.id : assignedTo || null);
+  }
+  if (dueDate !== undefined) {
+    sets.push('due_date = ?');
+    params.push(dueDate || null);
+  }
+  if (summary) {
+    sets.push('summary = ?');
+    params.push(summary);
+  }
+  if (resolution !== undefined) {
+    sets.push('resolution = ?');
+    params.push(resolution || null);
+  }
+  if (status) {
+    sets.push('status = ?');
+    params.push(status);
+    if (status === 'closed') {
+      sets.push('closed_at = NOW()', 'closed_by = ?');
+      params.push(req.admin.id);
+    } else {
+      sets.push('closed_at = NULL', 'closed_by = NULL');
+    }
+  }
+
+  if (sets.length === 0) {
+    return res.status(400).json({
+      error: 'No changes',
+      allowedFields: ['assignedTo', 'dueDate', 'status', 'summary', 'resolution']
+    });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      `UPDATE follow_up_tasks SET ${sets.join(', ')} WHERE id = ?`,
+      [...params, id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Follow-up not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Follow-up updated'
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(404).json({
+        error: 'Staff user not found'
+      });
+    }
+
+    console.error('Error updating follow-up:', error);
+    res.status(500).json({
+      error: 'Failed to update follow-up'
+    });
+  }
+});
+
+// Add a note to a follow-up task
+app.post('/api/follow-ups/:id/notes', requireStaff, async (req, res) => {
+  const { id } = req.params;
+  const { note } = req.body;
+
+  if (!note || !note.trim()) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['note']
+    });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      'INSERT INTO follow_up_notes (task_id, admin_user_id, note) VALUES (?, ?, ?)',
+      [id, req.admin.id, note.trim()]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Note added',
+      noteId: result.insertId
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(404).json({
+        error: 'Follow-up not found'
+      });
+    }
+
+    console.error('Error adding follow-up note:', error);
+    res.status(500).json({
+      error: 'Failed to add note'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Households
+// ---------------------------------------------------------------------------
+
+const HOUSEHOLD_ROLES = ['head', 'spouse', 'child', 'other'];
+const FAMILY_ROLES = HOUSEHOLD_ROLES.filter(role => role !== 'head');
+
+// Put a member in a household with a role (householdId null takes them out of
+// theirs) and audit what changed. Returns false when there is no such member.
+async function setMemberHousehold(connection, memberId, { householdId, role }, adminUserId = null) {
+  const member = await memberRepository.findForUpdate(connection, memberId);
+  if (!member) return false;
+
+  const changes = [
+    { field: 'householdId', oldValue: member.household_id, newValue: householdId },
+    { field: 'householdRole', oldValue: member.household_role, newValue: role }
+  ].filter(c => auditValue(c.oldValue) !== auditValue(c.newValue));
+
+  if (changes.length > 0) {
+    await memberRepository.setHousehold(connection, memberId, householdId, role);
+    await recordMemberAudit(connection, { memberId, adminUserId, action: 'update', changes });
+  }
+
+  return true;
+}
+
+// Create a household and make headMemberId its head
+async function createHousehold(connection, { name, headMemberId, address, city, state, zipCode, phone }, adminUserId = null) {
+  const [result] = await connection.execute(
+    `INSERT INTO households (name, head_member_id, address, city, state, zip_code, phone)
+    VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [name, headMemberId || null, address || null, city || null, state || null, zipCode || null, phone || null]
+  );
+
+  if (headMemberId) {
+    await setMemberHousehold(connection, headMemberId, { householdId: result.insertId, role: 'head' }, adminUserId);
+  }
+
+  return result.insertId;
+}
+
+// A member stops heading the households they head (moved to another household,
+// removed, or merged away): a spouse still listed there takes over, otherwise
+// the household has no head
+async function releaseHouseholdHead(connection, memberId, adminUserId = null) {
+  const [headed] = await connection.execute('SELECT id FROM households WHERE head_member_id = ?', [memberId]);
+
+  for (const household of headed) {
+    const [spouses] = await connection.execute(
+      `SELECT id FROM members
+      WHERE household_id = ? AND household_role = 'spouse' AND id <> ?
+      ORDER BY id LIMIT 1`,
+      [household.id, memberId]
+    );
+    const newHead = spouses.length > 0 ? spouses[0].id : null;
+
+    await connection.execute('UPDATE households SET head_member_id = ? WHERE id = ?', [newHead, household.id]);
+    if (newHead) {
+      await setMemberHousehold(connection, newHead, { householdId: household.id, role: 'head' }, adminUserId);
+    }
+  }
+}
+
+// Create a household
+app.post('/api/households', requireStaff, async (req, res) => {
+  const { name, headMemberId, address, city, state, zipCode, phone } = req.body;
+
+  if (!name) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['name']
+    });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+    const householdId = await createHousehold(connection, {
+      name, headMemberId, address, city, state, zipCode, phone
+    }, req.admin.id);
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: 'Household created',
+      householdId
+    });
+  } catch (error) {
+    await connection.rollback();
+
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    console.error('Error creating household:', error);
+    res.status(500).json({
+      error: 'Failed to create household'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Get a household with each person's ministries
+app.get('/api/households/:id', requireStaff, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [households] = await pool.execute('SELECT * FROM households WHERE id = ?', [id]);
+
+    if (households.length === 0) {
+      return res.status(404).json({
+        error: 'Household not found'
+      });
+    }
+
+    const [members] = await pool.execute(
+      `SELECT m.id, m.title, m.first_name, m.last_name, m.preferred_name, m.email, m.phone,
+        m.birth_date, m.membership_type, m.household_role,
+        GROUP_CONCAT(mi.name ORDER BY mi.name) as ministries
+      FROM members m
+      LEFT JOIN member_ministries mm ON m.id = mm.member_id
+      LEFT JOIN ministries mi ON mi.id = mm.ministry_id
+      WHERE m.household_id = ?
+      GROUP BY m.id
+      ORDER BY FIELD(m.household_role, 'head', 'spouse', 'child', 'other'), m.birth_date`,
+      [id]
+    );
+
+    // The shared address and phone are hidden along with the members' own
+    const hidden = await hiddenMemberColumns(req.admin.role);
+
+    res.json({
+      success: true,
+      hiddenFields: hidden,
+      household: {
+        ...redactMember(households[0], hidden),
+        members: members.map(member => redactMember(member, hidden))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching household:', error);
+    res.status(500).json({
+      error: 'Failed to fetch household'
+    });
+  }
+});
+
+// Update a household's name, head, shared address or phone
+app.put('/api/households/:id', requireStaff, async (req, res) => {
+  const { id } = req.params;
+  const { name, headMemberId, address, city, state, zipCode, phone } = req.body;
+  const value = (v) => (v === undefined ? null : v);
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [result] = await connection.execute(
+      `UPDATE households SET
+        name = COALESCE(?, name),
+        head_member_id = COALESCE(?, head_member_id),
+        address = COALESCE(?, address),
+        city = COALESCE(?, city),
+        state = COALESCE(?, state),
+        zip_code = COALESCE(?, zip_code),
+        phone = COALESCE(?, phone)
+      WHERE id = ?`,
+      [value(name), value(headMemberId), value(address), value(city), value(state), value(zipCode), value(phone), id]
+    );
+
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Household not found'
+      });
+    }
+
+    // Only one head per household: the previous head becomes a spouse
+    if (headMemberId) {
+      const [heads] = await connection.execute(
+        "SELECT id FROM members WHERE household_id = ? AND household_role = 'head' AND id != ?",
+        [id, headMemberId]
+      );
+      for (const head of heads) {
+        await setMemberHousehold(connection, head.id, { householdId: Number(id), role: 'spouse' }, req.admin.id);
+      }
+      await setMemberHousehold(connection, headMemberId, { householdId: Number(id), role: 'head' }, req.admin.id);
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Household updated'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error updating household:', error);
+    res.status(500).json({
+      error: 'Failed to update household'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Add an existing member to a household with a role
+app.post('/api/households/:id/members', requireStaff, async (req, res) => {
+  const { id } = req.params;
+  const { memberId, role } = req.body;
+
+  if (!memberId || !FAMILY_ROLES.includes(role)) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['memberId', 'role'],
+      allowedRoles: FAMILY_ROLES
+    });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [households] = await connection.execute('SELECT id FROM households WHERE id = ?', [id]);
+
+    if (households.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Household not found'
+      });
+    }
+
+    const found = await setMemberHousehold(connection, memberId, { householdId: Number(id), role }, req.admin.id);
+
+    if (!found) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    // A head who moves (or becomes a spouse or child) hands the old household on
+    await releaseHouseholdHead(connection, memberId, req.admin.id);
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Member added to household'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error adding household member:', error);
+    res.status(500).json({
+      error: 'Failed to add household member'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Remove a member from a household
+app.delete('/api/households/:id/members/:memberId', requireStaff, async (req, res) => {
+  const { id, memberId } = req.params;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const member = await memberRepository.findForUpdate(connection, memberId);
+
+    if (!member || member.household_id !== Number(id)) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Member not found in household'
+      });
+    }
+
+    await setMemberHousehold(connection, member.id, { householdId: null, role: null }, req.admin.id);
+    await releaseHouseholdHead(connection, member.id, req.admin.id);
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Member removed from household'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error removing household member:', error);
+    res.status(500).json({
+      error: 'Failed to remove household member'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Services and attendance
+// ---------------------------------------------------------------------------
+
+const ATTENDANCE_STATUSES = ['present', 'absent'];
+
+// A record counts as attended when marked present or with a code such as "C"
+// or "HD" that the roll books include in their "Hiện diện" totals
+const PRESENT_CONDITION = "(a.status = 'present' OR ac.counts_as_present = TRUE)";
+
+function formatDate(date) {
+  return [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0')
+  ].join('-');
+}
+
+// The day after a YYYY-MM-DD date, so "created up to <date>" can be written as
+// created_at < nextDay(date) and still include that whole day
+function nextDay(dateString) {
+  const date = new Date(`${dateString}T00:00:00`);
+  date.setDate(date.getDate() + 1);
+  return formatDate(date);
+}
+
+function quarterStart(date = new Date()) {
+  return formatDate(new Date(date.getFullYear(), Math.floor(date.getMonth() / 3) * 3, 1));
+}
+
+async function loadAttendanceCodes(connection = pool) {
+  const [rows] = await connection.execute(
+    'SELECT code, label, counts_as_present FROM attendance_codes WHERE active = TRUE'
+  );
+  return new Map(rows.map(row => [row.code, row]));
+}
+
+// Returns the service id for a date and roll, creating the service if needed
+async function findOrCreateService(connection, { serviceDate, name, roll = '', status = 'open' }) {
+  await connection.execute(
+    `INSERT IGNORE INTO services (service_date, name, roll, status)
+    VALUES (?, ?, ?, ?)`,
+    [serviceDate, name || 'Sunday Service', roll || '', status]
+  );
+  const [rows] = await connection.execute(
+    'SELECT id FROM services WHERE service_date = ? AND roll = ?',
+    [serviceDate, roll || '']
+  );
+  return rows[0].id;
+}
+
+// A member's attendance records, newest first, optionally from / to a date
+async function getMemberAttendance(memberId, { from, to } = {}) {
+  const params = [memberId];
+  let dateFilter = '';
+
+  if (from) {
+    dateFilter += ' AND s.service_date >= ?';
+    params.push(from);
+  }
+  if (to) {
+    dateFilter += ' AND s.service_date <= ?';
+    params.push(to);
+  }
+
+  const [rows] = await pool.execute(
+    `SELECT s.id as service_id, s.service_date, s.name, s.roll, a.status,
+      ${PRESENT_CONDITION} as attended
+    FROM attendance a
+    JOIN services s ON s.id = a.service_id
+    LEFT JOIN attendance_codes ac ON ac.code = a.status
+    WHERE a.member_id = ?${dateFilter}
+    ORDER BY s.service_date DESC`,
+    params
+  );
+  return rows;
+}
+
+async function getAttendanceSummary(memberId) {
+  const since = quarterStart();
+  const [rows] = await pool.execute(
+    `SELECT
+      MAX(CASE WHEN ${PRESENT_CONDITION} THEN s.service_date END) as last_attended,
+      SUM(CASE WHEN s.service_date >= ? THEN 1 ELSE 0 END) as quarter_services,
+      SUM(CASE WHEN s.service_date >= ? AND ${PRESENT_CONDITION} THEN 1 ELSE 0 END) as quarter_attended
+    FROM attendance a
+    JOIN services s ON s.id = a.service_id
+    LEFT JOIN attendance_codes ac ON ac.code = a.status
+    WHERE a.member_id = ?`,
+    [since, since, memberId]
+  );
+
+  const quarterServices = Number(rows[0].quarter_services) || 0;
+  const quarterAttended = Number(rows[0].quarter_attended) || 0;
+
+  return {
+    lastAttended: rows[0].last_attended,
+    quarterStart: since,
+    quarterServices,
+    quarterAttended,
+    quarterRate: quarterServices > 0 ? Math.round((quarterAttended / quarterServices) * 100) / 100 : null
+  };
+}
+
+// List attendance codes
+app.get('/api/attendance/codes', requireStaff, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      'SELECT code, label, counts_as_present, active FROM attendance_codes ORDER BY code'
+    );
+
+    res.json({
+      success: true,
+      codes: rows
+    });
+  } catch (error) {
+    console.error('Error fetching attendance codes:', error);
+    res.status(500).json({
+      error: 'Failed to fetch attendance codes'
+    });
+  }
+});
+
+// Add or update an attendance code
+app.put('/api/attendance/codes/:code', requireAdmin, async (req, res) => {
+  const code = req.params.code.trim().toUpperCase();
+  const { label, countsAsPresent, active } = req.body;
+
+  if (!code || code.length > 10 || ATTENDANCE_STATUSES.includes(code.toLowerCase())) {
+    return res.status(400).json({
+      error: 'Invalid attendance code',
+      message: 'Codes are 1-10 characters and cannot be "present" or "absent"'
+    });
+  }
+
+  try {
+    await pool.execute(
+      `INSERT INTO attendance_codes (code, label, counts_as_present, active)
+      VALUES (?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        label = VALUES(label),
+        counts_as_present = VALUES(counts_as_present),
+        active = VALUES(active)`,
+      [code, label || code, Boolean(countsAsPresent), active === undefined ? true : Boolean(active)]
+    );
+
+    res.json({
+      success: true,
+      code
+    });
+  } catch (error) {
+    console.error('Error saving attendance code:', error);
+    res.status(500).json({
+      error: 'Failed to save attendance code'
+    });
+  }
+});
+
+// List services, newest first
+app.get('/api/services', requireStaff, async (req, res) => {
+  const { from, to, roll } = req.query;
+  const conditions = [];
+  const params = [];
+
+  if (from) {
+    conditions.push('s.service_date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('s.service_date <= ?');
+    params.push(to);
+  }
+  if (roll) {
+    conditions.push('s.roll = ?');
+    params.push(roll);
+  }
+
+  try {
+    const [rows] = await pool.execute(
+      `SELECT s.*,
+        COUNT(a.id) as recorded,
+        SUM(CASE WHEN ${PRESENT_CONDITION} THEN 1 ELSE 0 END) as attended
+      FROM services s
+      LEFT JOIN attendance a ON a.service_id = s.id
+      LEFT JOIN attendance_codes ac ON ac.code = a.status
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      GROUP BY s.id
+      ORDER BY s.service_date DESC, s.roll`,
+      params
+    );
+
+    res.json({
+      success: true,
+      count: rows.length,
+      services: rows
+    });
+  } catch (error) {
+    console.error('Error fetching services:', error);
+    res.status(500).json({
+      error: 'Failed to fetch services'
+    });
+  }
+});
+
+// Open a service for check-in
+app.post('/api/services', requireStaff, async (req, res) => {
+  const { serviceDate, name, roll, notes } = req.body;
+
+  if (!serviceDate) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['serviceDate']
+    });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO services (service_date, name, roll, notes, status)
+      VALUES (?, ?, ?, ?, 'open')`,
+      [serviceDate, name || 'Sunday Service', roll || '', notes || null]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Service opened',
+      serviceId: result.insertId
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        error: 'Service already exists',
+        message: 'A service for this date and roll has already been opened'
+      });
+    }
+
+    console.error('Error opening service:', error);
+    res.status(500).json({
+      error: 'Failed to open service'
+    });
+  }
+});
+
+// Get a service with its attendance records
+app.get('/api/services/:id', requireStaff, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [services] = await pool.execute('SELECT * FROM services WHERE id = ?', [id]);
+
+    if (services.length === 0) {
+      return res.status(404).json({
+        error: 'Service not found'
+      });
+    }
+
+    const [records] = await pool.execute(
+      `SELECT a.member_id, m.title, m.first_name, m.last_name, a.status, a.updated_at
+      FROM attendance a
+      JOIN members m ON m.id = a.member_id
+      WHERE a.service_id = ?
+      ORDER BY m.last_name, m.first_name`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      service: services[0],
+      attendance: records
+    });
+  } catch (error) {
+    console.error('Error fetching service:', error);
+    res.status(500).json({
+      error: 'Failed to fetch service'
+    });
+  }
+});
+
+// Close a service so no more check-ins are recorded
+app.post('/api/services/:id/close', requireStaff, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [result] = await pool.execute(
+      "UPDATE services SET status = 'closed' WHERE id = ?",
+      [id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Service not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Service closed'
+    });
+  } catch (error) {
+    console.error('Error closing service:', error);
+    res.status(500).json({
+      error: 'Failed to close service'
+    });
+  }
+});
+
+// Mark members present, absent or with an attendance code.
+// Accepts a single { memberId, status } or { records: [{ memberId, status }] }.
+app.post('/api/services/:id/attendance', requireStaff, async (req, res) => {
+  const { id } = req.params;
+  const records = Array.isArray(req.body.records) ? req.body.records : [req.body];
+
+  try {
+    const [services] = await pool.execute('SELECT status FROM services WHERE id = ?', [id]);
+
+    if (services.length === 0) {
+      return res.status(404).json({
+        error: 'Service not found'
+      });
+    }
+
+    if (services[0].status === 'closed') {
+      return res.status(409).json({
+        error: 'Service closed',
+        message: 'Attendance can no longer be recorded for this service'
+      });
+    }
+
+    const codes = await loadAttendanceCodes();
+    const invalid = records.filter(r =>
+      !r.memberId || !(ATTENDANCE_STATUSES.includes(r.status) || codes.has(r.status))
+    );
+
+    if (records.length === 0 || invalid.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid attendance records',
+        allowedStatuses: [...ATTENDANCE_STATUSES, ...codes.keys()],
+        invalid
+      });
+    }
+
+    await pool.query(
+      `INSERT INTO attendance (service_id, member_id, status, source) VALUES ?
+      ON DUPLICATE KEY UPDATE status = VALUES(status), source = VALUES(source)`,
+      [records.map(r => [id, r.memberId, r.status, 'check-in'])]
+    );
+
+    res.json({
+      success: true,
+      recorded: records.length
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(400).json({
+        error: 'Member not found'
+      });
+    }
+
+    console.error('Error recording attendance:', error);
+    res.status(500).json({
+      error: 'Failed to record attendance'
+    });
+  }
+});
+
+// Get a member's attendance history
+app.get('/api/members/:id/attendance', requireStaff, async (req, res) => {
+  const { id } = req.params;
+  const { from, to } = req.query;
+
+  try {
+    const rows = await getMemberAttendance(id, { from, to });
+
+    res.json({
+      success: true,
+      count: rows.length,
+      summary: await getAttendanceSummary(id),
+      attendance: rows
+    });
+  } catch (error) {
+    console.error('Error fetching attendance history:', error);
+    res.status(500).json({
+      error: 'Failed to fetch attendance history'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Groups (Adult, CM, YEM rolls) and rosters
+// ---------------------------------------------------------------------------
+
+const ROSTER_ORDERS = ['order', 'name'];
+
+// An assignment is active on a date when start_date <= date < end_date
+const ACTIVE_ASSIGNMENT = 'gm.start_date <= ? AND (gm.end_date IS NULL OR gm.end_date > ?)';
+
+// Roster sort for a group: by "Order #" (then name) or by name alone
+function rosterOrderBy(group, orderColumn = 'gm.roster_order') {
+  return group.roster_order === 'name'
+    ? 'm.last_name, m.first_name'
+    : `${orderColumn} IS NULL, ${orderColumn}, m.last_name, m.first_name`;
+}
+
+// Assign a member to a group from startDate, closing any open assignment to the same group
+async function assignMemberToGroup(connection, { groupId, memberId, startDate, rosterOrder = null }) {
+  await connection.execute(
+    `UPDATE group_members SET end_date = ?
+    WHERE group_id = ? AND member_id = ? AND end_date IS NULL`,
+    [startDate, groupId, memberId]
+  );
+
+  const [result] = await connection.execute(
+    `INSERT INTO group_members (group_id, member_id, start_date, roster_order)
+    VALUES (?, ?, ?, ?)`,
+    [groupId, memberId, startDate, rosterOrder]
+  );
+  return result.insertId;
+}
+
+// Move members who have aged out of a group into the next one, per group_promotion_rules
+async function runGroupPromotions({ date = formatDate(new Date()), dryRun = false } = {}) {
+  const connection = await pool.getConnection();
+
+  try {
+    const [candidates] = await connection.execute(
+      `SELECT r.id as rule_id, r.from_group_id, r.to_group_id, gm.member_id,
+        m.first_name, m.last_name, m.birth_date,
+        TIMESTAMPDIFF(YEAR, m.birth_date, ?) as age
+      FROM group_promotion_rules r
+      JOIN group_members gm ON gm.group_id = r.from_group_id AND ${ACTIVE_ASSIGNMENT}
+      JOIN members m ON m.id = gm.member_id
+      WHERE r.active = TRUE
+        AND m.birth_date IS NOT NULL
+        AND TIMESTAMPDIFF(YEAR, m.birth_date, ?) >= r.min_age
+      ORDER BY m.last_name, m.first_name`,
+      [date, date, date, date]
+    );
+
+    if (!dryRun && candidates.length > 0) {
+      await connection.beginTransaction();
+
+      for (const c of candidates) {
+        await connection.execute(
+          `UPDATE group_members SET end_date = ?
+          WHERE group_id = ? AND member_id = ? AND (end_date IS NULL OR end_date > ?)`,
+          [date, c.from_group_id, c.member_id, date]
+        );
+        await assignMemberToGroup(connection, {
+          groupId: c.to_group_id,
+          memberId: c.member_id,
+          startDate: date
+        });
+      }
+
+      await connection.commit();
+    }
+
+    return candidates;
+  } catch (error) {
+    if (!dryRun) await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Hours between automatic promotion runs while the server is up (0 turns them off)
+const PROMOTION_INTERVAL_HOURS = Number(process.env.PROMOTION_INTERVAL_HOURS ?? 24);
+
+// Run the promotion rules at startup and then every PROMOTION_INTERVAL_HOURS, so
+// children move up on their birthdays without anyone pressing a button
+function startPromotionScheduler() {
+  if (!(PROMOTION_INTERVAL_HOURS > 0)) return null;
+
+  const run = async () => {
+    try {
+      const promoted = await runGroupPromotions();
+      if (promoted.length > 0) {
+        console.log(`🎂 Promoted ${promoted.length} member(s) to their next group`);
+      }
+    } catch (error) {
+      console.error('Group promotion error:', error);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, PROMOTION_INTERVAL_HOURS * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+// List groups with their current member counts
+app.get('/api/groups', requireStaff, async (req, res) => {
+  const today = formatDate(new Date());
+
+  try {
+    const [rows] = await pool.execute(
+      `SELECT g.*, COUNT(gm.id) as member_count
+      FROM church_groups g
+      LEFT JOIN group_members gm ON gm.group_id = g.id AND ${ACTIVE_ASSIGNMENT}
+      GROUP BY g.id
+      ORDER BY g.name`,
+      [today, today]
+    );
+
+    res.json({
+      success: true,
+      count: rows.length,
+      groups: rows
+    });
+  } catch (error) {
+    console.error('Error fetching groups:', error);
+    res.status(500).json({
+      error: 'Failed to fetch groups'
+    });
+  }
+});
+
+// Create a group
+app.post('/api/groups', requireAdmin, async (req, res) => {
+  const { code, name, description, rosterOrder, active } = req.body;
+
+  if (!code || !name) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['code', 'name']
+    });
+  }
+
+  if (rosterOrder && !ROSTER_ORDERS.includes(rosterOrder)) {
+    return res.status(400).json({
+      error: 'Invalid roster order',
+      allowed: ROSTER_ORDERS
+    });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO church_groups (code, name, description, roster_order, active)
+      VALUES (?, ?, ?, ?, ?)`,
+      [code, name, description || null, rosterOrder || 'order', active === undefined ? true : Boolean(active)]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Group created',
+      groupId: result.insertId
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        error: 'Group already exists',
+        message: 'A group with this code already exists'
+      });
+    }
+
+    console.error('Error creating group:', error);
+    res.status(500).json({
+      error: 'Failed to create group'
+    });
+  }
+});
+
+// Get a group
+app.get('/api/groups/:id', requireStaff, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [rows] = await pool.execute('SELECT * FROM church_groups WHERE id = ?', [id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        error: 'Group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      group: rows[0]
+    });
+  } catch (error) {
+    console.error('Error fetching group:', error);
+    res.status(500).json({
+      error: 'Failed to fetch group'
+    });
+  }
+});
+
+// Update a group
+app.put('/api/groups/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+  const { code, name, description, rosterOrder, active } = req.body;
+
+  if (rosterOrder && !ROSTER_ORDERS.includes(rosterOrder)) {
+    return res.status(400).json({
+      error: 'Invalid roster order',
+      allowed: ROSTER_ORDERS
+    });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      `UPDATE church_groups SET
+        code = COALESCE(?, code),
+        name = COALESCE(?, name),
+        description = COALESCE(?, description),
+        roster_order = COALESCE(?, roster_order),
+        active = COALESCE(?, active)
+      WHERE id = ?`,
+      [
+        code || null, name || null, description === undefined ? null : description,
+        rosterOrder || null, active === undefined ? null : Boolean(active), id
+      ]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Group updated'
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        error: 'Group already exists',
+        message: 'A group with this code already exists'
+      });
+    }
+
+    console.error('Error updating group:', error);
+    res.status(500).json({
+      error: 'Failed to update group'
+    });
+  }
+});
+
+// Delete a group and its assignment history
+app.delete('/api/groups/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [result] = await pool.execute('DELETE FROM church_groups WHERE id = ?', [id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Group not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Group deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting group:', error);
+    res.status(500).json({
+      error: 'Failed to delete group'
+    });
+  }
+});
+
+// Get a group's roster as of a date (defaults to today)
+app.get('/api/groups/:id/roster', requireStaff, async (req, res) => {
+  const { id } = req.params;
+  const date = req.query.date || formatDate(new Date());
+
+  try {
+    const [groups] = await pool.execute('SELECT * FROM church_groups WHERE id = ?', [id]);
+
+    if (groups.length === 0) {
+      return res.status(404).json({
+        error: 'Group not found'
+      });
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT m.id, m.title, m.first_name, m.last_name, m.preferred_name, m.birth_date,
+        gm.roster_order, gm.start_date, gm.end_date
+      FROM group_members gm
+      JOIN members m ON m.id = gm.member_id
+      WHERE gm.group_id = ? AND ${ACTIVE_ASSIGNMENT}
+      ORDER BY ${rosterOrderBy(groups[0])}`,
+      [id, date, date]
+    );
+    const hidden = await hiddenMemberColumns(req.admin.role);
+
+    res.json({
+      success: true,
+      hiddenFields: hidden,
+      group: groups[0],
+      date,
+      count: rows.length,
+      roster: rows.map(row => redactMember(row, hidden))
+    });
+  } catch (error) {
+    console.error('Error fetching roster:', error);
+    res.status(500).json({
+      error: 'Failed to fetch roster'
+    });
+  }
+});
+
+// Assign a member to a group
+app.post('/api/groups/:id/members', requireStaff, async (req, res) => {
+  const { id } = req.params;
+  const { memberId, startDate, rosterOrder } = req.body;
+
+  if (!memberId) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['memberId']
+    });
+  }
+
+  try {
+    const assignmentId = await assignMemberToGroup(pool, {
+      groupId: id,
+      memberId,
+      startDate: startDate || formatDate(new Date()),
+      rosterOrder: rosterOrder || null
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Member assigned',
+      assignmentId
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(404).json({
+        error: 'Group or member not found'
+      });
+    }
+
+    console.error('Error assigning member:', error);
+    res.status(500).json({
+      error: 'Failed to assign member'
+    });
+  }
+});
+
+// End a member's assignment to a group (history is kept)
+app.delete('/api/groups/:id/members/:memberId', requireStaff, async (req, res) => {
+  const { id, memberId } = req.params;
+  const endDate = req.body.endDate || formatDate(new Date());
+
+  try {
+    const [result] = await pool.execute(
+      `UPDATE group_members SET end_date = ?
+      WHERE group_id = ? AND member_id = ? AND (end_date IS NULL OR end_date > ?)`,
+      [endDate, id, memberId, endDate]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Assignment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member removed from group'
+    });
+  } catch (error) {
+    console.error('Error removing member from group:', error);
+    res.status(500).json({
+      error: 'Failed to remove member from group'
+    });
+  }
+});
+
+// Set roster order ("Order #") from a list of member ids
+app.put('/api/groups/:id/roster-order', requireStaff, async (req, res) => {
+  const { id } = req.params;
+  const { order } = req.body;
+
+  if (!Array.isArray(order) || order.length === 0) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['order']
+    });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    for (let i = 0; i < order.length; i++) {
+      await connection.execute(
+        `UPDATE group_members SET roster_order = ?
+        WHERE group_id = ? AND member_id = ? AND end_date IS NULL`,
+        [i + 1, id, order[i]]
+      );
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Roster order updated'
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error updating roster order:', error);
+    res.status(500).json({
+      error: 'Failed to update roster order'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// List promotion rules
+app.get('/api/promotion-rules', requireStaff, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT r.*, f.code as from_group, t.code as to_group
+      FROM group_promotion_rules r
+      JOIN church_groups f ON f.id = r.from_group_id
+      JOIN church_groups t ON t.id = r.to_group_id
+      ORDER BY f.code, r.min_age`
+    );
+
+    res.json({
+      success: true,
+      rules: rows
+    });
+  } catch (error) {
+    console.error('Error fetching promotion rules:', error);
+    res.status(500).json({
+      error: 'Failed to fetch promotion rules'
+    });
+  }
+});
+
+// Create a promotion rule, e.g. CM -> YEM at age 12
+app.post('/api/promotion-rules', requireAdmin, async (req, res) => {
+  const { fromGroupId, toGroupId, minAge } = req.body;
+
+  if (!fromGroupId || !toGroupId || minAge === undefined) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['fromGroupId', 'toGroupId', 'minAge']
+    });
+  }
+
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO group_promotion_rules (from_group_id, to_group_id, min_age)
+      VALUES (?, ?, ?)`,
+      [fromGroupId, toGroupId, minAge]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Promotion rule created',
+      ruleId: result.insertId
+    });
+  } catch (error) {
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      return res.status(404).json({
+        error: 'Group not found'
+      });
+    }
+
+    console.error('Error creating promotion rule:', error);
+    res.status(500).json({
+      error: 'Failed to create promotion rule'
+    });
+  }
+});
+
+// Delete a promotion rule
+app.delete('/api/promotion-rules/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [result] = await pool.execute('DELETE FROM group_promotion_rules WHERE id = ?', [id]);
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Promotion rule not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Promotion rule deleted'
+    });
+  } catch (error) {
+    console.error('Error deleting promotion rule:', error);
+    res.status(500).json({
+      error: 'Failed to delete promotion rule'
+    });
+  }
+});
+
+// Apply promotion rules as of a date. With dryRun the promotions are only listed.
+app.post('/api/promotion-rules/run', requireAdmin, async (req, res) => {
+  const { date, dryRun } = req.body;
+
+  try {
+    const promotions = await runGroupPromotions({
+      date: date || formatDate(new Date()),
+      dryRun: Boolean(dryRun)
+    });
+
+    res.json({
+      success: true,
+      dryRun: Boolean(dryRun),
+      count: promotions.length,
+      promotions
+    });
+  } catch (error) {
+    console.error('Error running promotions:', error);
+    res.status(500).json({
+      error: 'Failed to run promotions'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Attendance import (weekly roll books in Data/)
+// ---------------------------------------------------------------------------
+
+// "X" marks a person present; other codes ("C", "HD") come from attendance_codes.
+// Blank cells are recorded as absent.
+const ROLL_BOOK_PRESENT_MARK = 'X';
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Husband/wife titles: a wife is listed as "Bà" under her husband's name
+const COUPLE_TITLES = { 'Ông': 'Bà', 'ÔMS': 'BMS', 'MS': 'BMS' };
+
+// Titles written in the roll books, either in their own column (Adult)
+// or in front of the first name (CM/YEM, e.g. "Mr. Kevin")
+const NAME_TITLES = ['Ông', 'Bà', 'ÔMS', 'BMS', 'MS', 'TĐ', 'Cô', 'Anh', 'Chị', 'Mr.', 'Mrs.', 'Ms.', 'Miss'];
+
+// Rows that close a roster section: totals, present/absent counts and the guest lists
+const SUMMARY_ROW_PATTERN = /^(tong|total|hien dien|vang|guest|quy khach|khach)/;
+
+// Strip Vietnamese diacritics, case and extra whitespace so "Hood " matches "Hood"
+function normalizeText(value) {
+  return String(value == null ? '' : value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/g, 'd')
+    .replace(/Đ/g, 'D')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// Turn a Sunday column header ("7-Jan", "May-5", "Jun-30") into an ISO date
+function parseSundayHeader(cell, year) {
+  const text = String(cell || '').trim();
+  let match = text.match(/^(\d{1,2})-([A-Za-z]{3})$/);
+  let day;
+  let month;
+
+  if (match) {
+    [, day, month] = match;
+  } else if ((match = text.match(/^([A-Za-z]{3})-(\d{1,2})$/))) {
+    [, month, day] = match;
+  } else {
+    return null;
+  }
+
+  const monthIndex = MONTHS.indexOf(month.toLowerCase());
+  if (monthIndex === -1) return null;
+
+  return `${year}-${String(monthIndex + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// Find the side-by-side blocks in a header row. Each block is a run of Sunday
+// columns preceded by the order/title/name columns that belong to it.
+function findRosterBlocks(headerRow, year) {
+  const blocks = [];
+  let prefixStart = 0;
+  let col = 0;
+
+  while (col < headerRow.length) {
+    if (!parseSundayHeader(headerRow[col], year)) {
+      col++;
+      continue;
+    }
+
+    const dateColumns = [];
+    const runStart = col;
+    while (col < headerRow.length && parseSundayHeader(headerRow[col], year)) {
+      dateColumns.push({ col, date: parseSundayHeader(headerRow[col], year) });
+      col++;
+    }
+
+    const columns = {};
+    let unlabeled = 0;
+    for (let c = prefixStart; c < runStart; c++) {
+      const label = normalizeText(headerRow[c]);
+      if (!label) {
+        if (unlabeled === 0) columns.order = c;
+        if (unlabeled === 1) columns.title = c;
+        unlabeled++;
+      } else if (label.startsWith('order')) {
+        columns.order = c;
+      } else if (label.startsWith('surname')) {
+        columns.lastName = c;
+      } else if (label.startsWith('first name')) {
+        columns.firstName = c;
+      } else if (label === 'ten thuong goi') {
+        columns.preferredName = c;
+      } else if (label === 'ten') {
+        columns.fullName = c;
+      }
+    }
+
+    // The guest lists also have Sunday columns, but no name column
+    if (columns.fullName !== undefined || columns.lastName !== undefined) {
+      blocks.push({ columns, dateColumns });
+    }
+
+    prefixStart = col;
+  }
+
+  return blocks;
+}
+
+function splitTitle(name) {
+  const text = name.trim();
+  const normalized = normalizeText(text);
+
+  for (const title of NAME_TITLES) {
+    const prefix = normalizeText(title);
+    if (normalized.startsWith(prefix + ' ')) {
+      return { title, name: text.slice(title.length).trim() };
+    }
+  }
+
+  return { title: null, name: text };
+}
+
+// Adult sheets write the full Vietnamese name family-name first ("Bùi Trung Chánh");
+// "Trần, Nancy (Kim)" style entries put the family name before the comma
+function splitFullName(fullName) {
+  const text = fullName.replace(/\s+/g, ' ').trim();
+
+  if (text.includes(',')) {
+    const [lastName, ...rest] = text.split(',');
+    return { lastName: lastName.trim(), firstName: rest.join(',').trim() };
+  }
+
+  const parts = text.split(' ');
+  if (parts.length === 1) {
+    return { lastName: '', firstName: parts[0] };
+  }
+
+  return { lastName: parts[0], firstName: parts.slice(1).join(' ') };
+}
+
+function readPerson(row, columns) {
+  const cell = (index) => (index === undefined ? '' : String(row[index] || '').trim());
+  let title = cell(columns.title) || null;
+  let lastName;
+  let firstName;
+
+  if (columns.fullName !== undefined) {
+    ({ lastName, firstName } = splitFullName(cell(columns.fullName)));
+  } else {
+    const split = splitTitle(cell(columns.firstName));
+    title = title || split.title;
+    lastName = cell(columns.lastName).replace(/\s+/g, ' ');
+    firstName = split.name.replace(/\s+/g, ' ');
+  }
+
+  if (!lastName && !firstName) return null;
+
+  const order = parseInt(cell(columns.order), 10);
+
+  return {
+    title,
+    lastName,
+    firstName,
+    preferredName: cell(columns.preferredName) || null,
+    order: Number.isNaN(order) ? null : order
+  };
+}
+
+function isSummaryRow(row, columns) {
+  return [columns.order, columns.title, columns.fullName, columns.lastName, columns.firstName]
+    .filter(index => index !== undefined)
+    .some(index => SUMMARY_ROW_PATTERN.test(normalizeText(row[index])));
+}
+
+// Parse one roll sheet (Adult, CM or YEM layout) into one entry per person per block
+function parseRollSheet(rows, { roll, year }) {
+  const entries = [];
+  let blocks = [];
+  let sectionLabel = '';
+
+  rows.forEach((row, rowIndex) => {
+    const headerBlocks = findRosterBlocks(row, year);
+    if (headerBlocks.length > 0) {
+      blocks = headerBlocks;
+      return;
+    }
+
+    if (blocks.length === 0) {
+      const label = row.find(cell => String(cell || '').trim());
+      if (label) sectionLabel = normalizeText(label);
+      return;
+    }
+
+    if (isSummaryRow(row, blocks[0].columns)) {
+      blocks = [];
+      sectionLabel = '';
+      return;
+    }
+
+    for (const block of blocks) {
+      const person = readPerson(row, block.columns);
+      if (!person) continue;
+
+      entries.push({
+        ...person,
+        roll,
+        row: rowIndex + 1,
+        // "INACTIVE/ NEW MEMBERS/ VIP(INV)" sections are not official members yet
+        membershipType: /inactive|new member|inv/.test(sectionLabel) ? 'visitor' : 'member',
+        marks: block.dateColumns.map(({ col, date }) => ({
+          date,
+          code: String(row[col] || '').trim().toUpperCase()
+        }))
+      });
+    }
+  });
+
+  return entries;
+}
+
+function inferRoll(fileName) {
+  const match = path.basename(fileName, path.extname(fileName)).match(/-\s*([^-]+)$/);
+  return match ? match[1].trim() : null;
+}
+
+function inferYear(fileName, rows) {
+  const text = [fileName, ...rows.slice(0, 5).map(row => row.join(' '))].join(' ');
+  const match = text.match(/\b(20\d{2})\b/);
+  return match ? Number(match[1]) : new Date().getFullYear();
+}
+
+// Read a roll book file into sheets of rows. Workbooks yield one sheet per
+// tab (the tab name is the roll); sheets without a roster header are skipped later.
+function readRollBook(buffer, fileName, options = {}) {
+  let sheets;
+
+  if (/\.xlsx?$/i.test(fileName)) {
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    sheets = workbook.SheetNames.map(name => ({
+      roll: options.roll || name,
+      rows: XLSX.utils.sheet_to_json(workbook.Sheets[name], { header: 1, raw: false, defval: '' })
+    }));
+  } else {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    sheets = [{ roll: options.roll || inferRoll(fileName), rows: parseCsv(text) }];
+  }
+
+  return sheets.map(sheet => {
+    const year = options.year || inferYear(fileName, sheet.rows);
+    return { roll: sheet.roll, year, entries: parseRollSheet(sheet.rows, { roll: sheet.roll, year }) };
+  });
+}
+
+function memberNameKey(lastName, firstName) {
+  return normalizeText(`${lastName} ${firstName}`);
+}
+
+// Match a roll book name against existing members. Wives are listed under
+// their husband's name ("Bà Bùi Hòa"), so the title decides between them.
+function resolveMember(candidates, title) {
+  if (title) {
+    const titled = candidates.filter(m => normalizeText(m.title) === normalizeText(title));
+    if (titled.length === 1) return { member: titled[0] };
+    if (titled.length > 1) return { ambiguous: titled };
+    candidates = candidates.filter(m => !m.title);
+  }
+
+  if (candidates.length === 1) return { member: candidates[0] };
+  if (candidates.length > 1) return { ambiguous: candidates };
+  return {};
+}
+
+// Put "Ông X" and "Bà X" from the same import into one household,
+// unless either already belongs to one
+async function linkCouples(connection, people) {
+  const byTitleAndName = new Map(people.map(p => [`${normalizeText(p.title)}|${p.key}`, p]));
+  let created = 0;
+
+  for (const husband of people) {
+    const wifeTitle = COUPLE_TITLES[husband.title];
+    const wife = wifeTitle && byTitleAndName.get(`${normalizeText(wifeTitle)}|${husband.key}`);
+    if (!wife) continue;
+
+    const [rows] = await connection.execute(
+      'SELECT id FROM members WHERE id IN (?, ?) AND household_id IS NOT NULL',
+      [husband.memberId, wife.memberId]
+    );
+    if (rows.length > 0) continue;
+
+    const householdId = await createHousehold(connection, {
+      name: `${husband.lastName} ${husband.firstName}`.trim(),
+      headMemberId: husband.memberId
+    });
+    await setMemberHousehold(connection, wife.memberId, { householdId, role: 'spouse' });
+    created++;
+  }
+
+  return created;
+}
+
+function formatEntryName(entry) {
+  return [entry.title, entry.lastName, entry.firstName].filter(Boolean).join(' ');
+}
+
+// Import parsed roll sheets. With dryRun nothing is written and the report
+// lists the names that would be created or could not be matched.
+async function importAttendance(sheets, { dryRun = false, source = null } = {}) {
+  const report = {
+    dryRun,
+    sheets: sheets.map(sheet => ({ roll: sheet.roll, year: sheet.year, entries: sheet.entries.length })),
+    matched: 0,
+    created: 0,
+    unmatched: [],
+    ambiguous: [],
+    unknownCodes: [],
+    attendanceRows: 0,
+    groupAssignments: 0,
+    households: 0
+  };
+
+  const connection = await pool.getConnection();
+
+  try {
+    const [members] = await connection.execute(
+      'SELECT id, title, first_name, last_name FROM members'
+    );
+    const codes = await loadAttendanceCodes(connection);
+
+    const index = new Map();
+    const addToIndex = (member) => {
+      const key = memberNameKey(member.last_name, member.first_name);
+      if (!index.has(key)) index.set(key, []);
+      index.get(key).push(member);
+    };
+    members.forEach(addToIndex);
+
+    if (!dryRun) await connection.beginTransaction();
+
+    const resolved = new Map();
+    const attendance = new Map();
+    const memberships = new Map();
+    const people = [];
+    let pendingId = 0;
+
+    for (const sheet of sheets) {
+      for (const entry of sheet.entries) {
+        const key = memberNameKey(entry.lastName, entry.firstName);
+        const personKey = `${normalizeText(entry.title)}|${key}`;
+
+        if (!resolved.has(personKey)) {
+          const match = resolveMember(index.get(key) || [], entry.title);
+          let memberId = null;
+
+          if (match.member) {
+            memberId = match.member.id;
+            report.matched++;
+          } else if (match.ambiguous) {
+            report.ambiguous.push({
+              name: formatEntryName(entry),
+              roll: entry.roll,
+              row: entry.row,
+              candidates: match.ambiguous.map(m => m.id)
+            });
+          } else {
+            report.unmatched.push({ name: formatEntryName(entry), roll: entry.roll, row: entry.row });
+
+            if (dryRun) {
+              memberId = `new-${++pendingId}`;
+            } else {
+              const [result] = await connection.execute(
+                `INSERT INTO members (
+                  title, first_name, last_name, preferred_name, membership_type, created_at
+                ) VALUES (?, ?, ?, ?, ?, NOW())`,
+                [entry.title, entry.firstName, entry.lastName, entry.preferredName, entry.membershipType]
+              );
+              memberId = result.insertId;
+              report.created++;
+
+              await recordMemberAudit(connection, {
+                memberId,
+                action: 'create',
+                changes: [{ field: 'source', newValue: source || 'attendance import' }]
+              });
+            }
+
+            addToIndex({ id: memberId, title: entry.title, first_name: entry.firstName, last_name: entry.lastName });
+          }
+
+          resolved.set(personKey, memberId);
+          people.push({ memberId, title: entry.title, key, lastName: entry.lastName, firstName: entry.firstName });
+        }
+
+        const memberId = resolved.get(personKey);
+        if (memberId === null) continue;
+
+        // Group roster order follows the most recent block's "Order #"
+        const membershipKey = `${memberId}|${entry.roll}`;
+        const firstDate = entry.marks[0] && entry.marks[0].date;
+        const membership = memberships.get(membershipKey);
+        if (!membership) {
+          memberships.set(membershipKey, { memberId, roll: entry.roll, startDate: firstDate, lastDate: firstDate, order: entry.order });
+        } else if (firstDate > membership.lastDate) {
+          membership.lastDate = firstDate;
+          membership.order = entry.order;
+        } else if (firstDate < membership.startDate) {
+          membership.startDate = firstDate;
+        }
+
+        for (const mark of entry.marks) {
+          let status = null;
+          if (!mark.code) {
+            status = 'absent';
+          } else if (mark.code === ROLL_BOOK_PRESENT_MARK) {
+            status = 'present';
+          } else if (codes.has(mark.code)) {
+            status = mark.code;
+          }
+
+          if (!status) {
+            report.unknownCodes.push({ name: formatEntryName(entry), roll: entry.roll, date: mark.date, code: mark.code });
+            continue;
+          }
+
+          // A person listed twice for the same Sunday keeps the non-absent mark
+          const attendanceKey = `${memberId}|${mark.date}`;
+          const existing = attendance.get(attendanceKey);
+          if (!existing || existing.status === 'absent') {
+            attendance.set(attendanceKey, { memberId, date: mark.date, roll: entry.roll, status });
+          }
+        }
+      }
+    }
+
+    report.attendanceRows = attendance.size;
+
+    if (!dryRun) {
+      // Past Sundays are imported as closed services, one per date and roll
+      const services = new Map();
+      const values = [];
+      for (const a of attendance.values()) {
+        const serviceKey = `${a.date}|${a.roll}`;
+        if (!services.has(serviceKey)) {
+          services.set(serviceKey, await findOrCreateService(connection, {
+            serviceDate: a.date,
+            roll: a.roll,
+            status: 'closed'
+          }));
+        }
+        values.push([services.get(serviceKey), a.memberId, a.status, source]);
+      }
+
+      for (let i = 0; i < values.length; i += 500) {
+        await connection.query(
+          `INSERT INTO attendance (service_id, member_id, status, source) VALUES ?
+          ON DUPLICATE KEY UPDATE status = VALUES(status), source = VALUES(source)`,
+          [values.slice(i, i + 500)]
+        );
+      }
+
+      // Put everyone on the roster of the group matching their roll
+      const [groups] = await connection.execute('SELECT id, code FROM church_groups');
+      const groupIds = new Map(groups.map(g => [normalizeText(g.code), g.id]));
+
+      for (const m of memberships.values()) {
+        const groupId = groupIds.get(normalizeText(m.roll));
+        if (!groupId) continue;
+
+        const [open] = await connection.execute(
+          'SELECT id FROM group_members WHERE group_id = ? AND member_id = ? AND end_date IS NULL',
+          [groupId, m.memberId]
+        );
+
+        if (open.length > 0) {
+          await connection.execute(
+            'UPDATE group_members SET roster_order = ? WHERE id = ?',
+            [m.order, open[0].id]
+          );
+        } else {
+          await assignMemberToGroup(connection, {
+            groupId,
+            memberId: m.memberId,
+            startDate: m.startDate,
+            rosterOrder: m.order
+          });
+        }
+        report.groupAssignments++;
+      }
+
+      report.households = await linkCouples(connection, people.filter(p => p.memberId !== null));
+
+      await connection.commit();
+    }
+
+    return report;
+  } catch (error) {
+    if (!dryRun) await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+// Import a roll book (CSV or .xlsx). The file is sent as text or base64 in `content`.
+app.post('/api/import/attendance', requireAdmin, async (req, res) => {
+  const { fileName, content, encoding, roll, year, dryRun } = req.body;
+
+  if (!fileName || !content) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['fileName', 'content']
+    });
+  }
+
+  try {
+    const buffer = Buffer.from(content, encoding === 'base64' ? 'base64' : 'utf8');
+    const sheets = readRollBook(buffer, fileName, { roll, year: year && Number(year) });
+    const report = await importAttendance(sheets, { dryRun: Boolean(dryRun), source: fileName });
+
+    res.json({
+      success: true,
+      report
+    });
+  } catch (error) {
+    console.error('Attendance import error:', error);
+    res.status(500).json({
+      error: 'Attendance import failed',
+      message: 'Check the file is a roll book export, or run the import with dryRun for a report'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Exports (CSV and .xlsx) of members, rosters and the attendance grid
+// ---------------------------------------------------------------------------
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? formatDate(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// CSV with a UTF-8 byte order mark so Excel keeps the Vietnamese diacritics
+function toCsv(rows) {
+  return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+function toXlsx(rows, sheetName) {
+  const workbook = XLSX.utils.book_new();
+  const sheet = XLSX.utils.aoa_to_sheet(rows.map(row =>
+    row.map(value => (value instanceof Date ? formatDate(value) : value))
+  ));
+  XLSX.utils.book_append_sheet(workbook, sheet, sheetName.slice(0, 31));
+  return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+}
+
+// Download file name, with an ASCII fallback for clients that ignore filename*
+function setAttachmentName(res, fullName) {
+  const asciiName = fullName.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w. -]/g, '_');
+
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fullName)}`
+  );
+}
+
+// Send rows (an array of arrays, header first) as a CSV or .xlsx download
+function sendSpreadsheet(res, { rows, fileName, sheetName, format }) {
+  setAttachmentName(res, `${fileName}.${format}`);
+
+  if (format === 'xlsx') {
+    res.type('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    res.send(toXlsx(rows, sheetName));
+  } else {
+    res.type('text/csv; charset=utf-8');
+    res.send(toCsv(rows));
+  }
+}
+
+function exportFormat(req, res) {
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    res.status(400).json({
+      error: 'Invalid format',
+      allowed: EXPORT_FORMATS
+    });
+    return null;
+  }
+  return format;
+}
+
+// Column header for a Sunday, written like the roll books: "7-Jan"
+function sundayHeader(date) {
+  const [, month, day] = date.split('-');
+  const name = MONTHS[Number(month) - 1];
+  return `${Number(day)}-${name[0].toUpperCase()}${name.slice(1)}`;
+}
+
+function sundaysBetween(from, to) {
+  const dates = [];
+  const date = new Date(`${from}T00:00:00`);
+  date.setDate(date.getDate() + ((7 - date.getDay()) % 7));
+  while (formatDate(date) <= to) {
+    dates.push(formatDate(date));
+    date.setDate(date.getDate() + 7);
+  }
+  return dates;
+}
+
+// Export the member list. Takes the same filters and sort as GET /api/members.
+app.get('/api/exports/members', requireStaff, async (req, res) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+
+  const invalidFilters = invalidMemberFilters(req.query);
+  if (Object.keys(invalidFilters).length > 0) {
+    return invalidFieldsResponse(res, invalidFilters);
+  }
+
+  const { where, params } = buildMemberFilters(req.query);
+
+  try {
+    const hidden = await hiddenMemberColumns(req.admin.role);
+    const hiddenFilters = hiddenMemberFilters(req.query, hidden);
+    if (hiddenFilters.length > 0) {
+      return hiddenFieldsResponse(res, hiddenFilters);
+    }
+
+    const [rows] = await pool.execute(
+      `SELECT m.*,
+        GROUP_CONCAT(mi.name ORDER BY mi.name SEPARATOR '; ') as ministries
+      FROM members m
+      LEFT JOIN member_ministries mm ON m.id = mm.member_id
+      LEFT JOIN ministries mi ON mi.id = mm.ministry_id
+      ${where}
+      GROUP BY m.id
+      ${buildMemberOrder(req.query)}`,
+      params
+    );
+
+    sendSpreadsheet(res, {
+      format,
+      fileName: `members-${formatDate(new Date())}`,
+      sheetName: 'Members',
+      rows: [
+        [
+          'ID', 'Title', 'Surname/ Tên Họ', 'First Name/ Tên Riêng', 'Preferred Name', 'Email', 'Phone',
+          'Address', 'City', 'State', 'ZIP Code', 'Birth Date', 'Membership Type', 'Status',
+          'Household', 'Household Role', 'Baptized', 'Salvation', 'Ministries', 'How Did You Hear',
+          'Language', 'Signed Up'
+        ],
+        ...rows.map(row => redactMember(row, hidden)).map(m => [
+          m.id, m.title, m.last_name, m.first_name, m.preferred_name, m.email, m.phone,
+          m.address, m.city, m.state, m.zip_code, m.birth_date, m.membership_type, m.status,
+          m.household_id, m.household_role, m.baptized, m.salvation, m.ministries, m.how_did_you_hear,
+          m.preferred_language, m.created_at
+        ])
+      ]
+    });
+  } catch (error) {
+    console.error('Error exporting members:', error);
+    res.status(500).json({
+      error: 'Failed to export members'
+    });
+  }
+});
+
+// Export a group's roster as of a date (defaults to today)
+app.get('/api/exports/groups/:id/roster', requireStaff, async (req, res) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+
+  const { id } = req.params;
+  const date = req.query.date || formatDate(new Date());
+
+  try {
+    const [groups] = await pool.execute('SELECT * FROM church_groups WHERE id = ? OR code = ?', [Number(id) || 0, id]);
+
+    if (groups.length === 0) {
+      return res.status(404).json({
+        error: 'Group not found'
+      });
+    }
+
+    const group = groups[0];
+    const [rows] = await pool.execute(
+      `SELECT m.title, m.first_name, m.last_name, m.preferred_name, m.birth_date, m.phone, m.email,
+        TIMESTAMPDIFF(YEAR, m.birth_date, ?) as age, gm.start_date
+      FROM group_members gm
+      JOIN members m ON m.id = gm.member_id
+      WHERE gm.group_id = ? AND ${ACTIVE_ASSIGNMENT}
+      ORDER BY ${rosterOrderBy(group)}`,
+      [date, group.id, date, date]
+    );
+    const hidden = await hiddenMemberColumns(req.admin.role);
+    // The age would give a hidden birth date away
+    const hiddenColumns = hidden.includes('birth_date') ? [...hidden, 'age'] : hidden;
+
+    sendSpreadsheet(res, {
+      format,
+      fileName: `${group.code}-roster-${date}`,
+      sheetName: group.code,
+      rows: [
+        [
+          'Order #', 'Title', 'Surname/ Tên Họ', 'First Name/ Tên Riêng', 'Tên thường gọi',
+          'Birth Date', 'Age', 'Phone', 'Email', 'Since'
+        ],
+        ...rows.map(row => redactMember(row, hiddenColumns)).map((m, index) => [
+          index + 1, m.title, m.last_name, m.first_name, m.preferred_name,
+          m.birth_date, m.age, m.phone, m.email, m.start_date
+        ])
+      ]
+    });
+  } catch (error) {
+    console.error('Error exporting roster:', error);
+    res.status(500).json({
+      error: 'Failed to export roster'
+    });
+  }
+});
+
+// How each roll book lays out a year, keyed by group code. The Adult book has
+// quarter blocks with the title and the full name in their own columns; the CM
+// and YEM books have half-year blocks with the title in front of the first name.
+// Other groups use the CM layout.
+const FULL_NAME_COLUMNS = {
+  header: ['', '', 'Tên', 'Tên thường gọi'],
+  // Roll sheet (PDF) widths in points
+  widths: [30, 40, 120, 100],
+  cells: (person, index) => [
+    index + 1,
+    person.title,
+    [person.last_name, person.first_name].filter(Boolean).join(' '),
+    person.preferred_name
+  ]
+};
+const SPLIT_NAME_COLUMNS = {
+  header: ['Order #', 'Surname/ Tên Họ', 'First Name/ Tên Riêng'],
+  widths: [40, 110, 120],
+  cells: (person, index) => [
+    index + 1,
+    person.last_name,
+    [person.title, person.first_name].filter(Boolean).join(' ')
+  ]
+};
+const ROLL_BOOK_LAYOUTS = {
+  Adult: {
+    heading: year => [`Danh Sach Hoi Thanh Tin Lanh Loi Chua ${year}`],
+    blocks: [
+      { from: '01-01', to: '03-31', titles: [['Nữa năm từ Tháng 1 - Tháng 6'], ['Danh Sách Thành Viên Hội Thánh']] },
+      { from: '04-01', to: '06-30', titles: [] },
+      { from: '07-01', to: '09-30', titles: [['Nữa năm từ Tháng 7 - Tháng 12'], ['Danh Sách Thành Viên Hội Thánh']] },
+      { from: '10-01', to: '12-31', titles: [] }
+    ],
+    columns: FULL_NAME_COLUMNS,
+    summary: ['Tổng Số Người có mặt', '', '', '']
+  },
+  CM: {
+    blocks: [
+      { from: '01-01', to: '06-30', titles: [['Nữa năm từ Tháng 1 - Tháng 6']] },
+      { from: '07-01', to: '12-31', titles: [['Nữa năm từ Tháng 7 - Tháng 12']] }
+    ],
+    columns: SPLIT_NAME_COLUMNS,
+    summary: ['', 'tổng số người Hiện diện', '']
+  },
+  YEM: {
+    blocks: [
+      { from: '01-01', to: '06-30', titles: [['First Half of the Year']] },
+      { from: '07-01', to: '12-31', titles: [['Last Half of the Year']] }
+    ],
+    // The YEM book numbers its rows but leaves the order column unlabeled
+    columns: { ...SPLIT_NAME_COLUMNS, header: ['', ...SPLIT_NAME_COLUMNS.header.slice(1)] },
+    summary: ['Total in Attendance', '', '']
+  }
+};
+
+function rollBookLayout(group) {
+  return ROLL_BOOK_LAYOUTS[group.code] || ROLL_BOOK_LAYOUTS.CM;
+}
+
+// Build one block of the group's roll book: the members on the roll during
+// from..to (or who attended then) and their mark for each Sunday.
+// nameWidths has the roll sheet width of each column before the Sundays.
+async function buildAttendanceBlock(group, { from, to, titles = [] }) {
+  const layout = rollBookLayout(group);
+  const [services] = await pool.execute(
+    'SELECT service_date FROM services WHERE roll = ? AND service_date BETWEEN ? AND ?',
+    [group.code, from, to]
+  );
+  const dates = [...new Set([
+    ...sundaysBetween(from, to),
+    ...services.map(s => formatDate(new Date(s.service_date)))
+  ])].sort();
+
+  const [people] = await pool.execute(
+    `SELECT m.id, m.title, m.first_name, m.last_name, m.preferred_name, MIN(gm.roster_order) as roster_order
+    FROM members m
+    LEFT JOIN group_members gm ON gm.member_id = m.id AND gm.group_id = ? AND ${ACTIVE_ASSIGNMENT}
+    WHERE gm.id IS NOT NULL OR EXISTS (
+      SELECT 1 FROM attendance a JOIN services s ON s.id = a.service_id
+      WHERE a.member_id = m.id AND s.roll = ? AND s.service_date BETWEEN ? AND ?
+    )
+    GROUP BY m.id, m.title, m.first_name, m.last_name, m.preferred_name
+    ORDER BY ${rosterOrderBy(group, 'roster_order')}`,
+    [group.id, to, from, group.code, from, to]
+  );
+
+  const [records] = await pool.execute(
+    `SELECT a.member_id, s.service_date, a.status, ${PRESENT_CONDITION} as attended
+    FROM attendance a
+    JOIN services s ON s.id = a.service_id
+    LEFT JOIN attendance_codes ac ON ac.code = a.status
+    WHERE s.roll = ? AND s.service_date BETWEEN ? AND ?`,
+    [group.code, from, to]
+  );
+
+  const marks = new Map();
+  const presentCounts = new Map();
+  for (const record of records) {
+    const date = formatDate(new Date(record.service_date));
+    if (record.status === 'absent') continue;
+    marks.set(`${record.member_id}:${date}`, record.status === 'present' ? ROLL_BOOK_PRESENT_MARK : record.status);
+    if (record.attended) presentCounts.set(date, (presentCounts.get(date) || 0) + 1);
+  }
+
+  return {
+    width: layout.columns.header.length + dates.length,
+    nameWidths: layout.columns.widths,
+    titles,
+    header: [...layout.columns.header, ...dates.map(sundayHeader)],
+    rows: people.map((person, index) => [
+      ...layout.columns.cells(person, index),
+      ...dates.map(date => marks.get(`${person.id}:${date}`) || '')
+    ]),
+    summary: [...layout.summary, ...dates.map(date => presentCounts.get(date) || 0)]
+  };
+}
+
+// Export a group's attendance for a year in its roll book's layout: the blocks
+// (halves, or quarters for Adult) side by side, one column per Sunday, "X" for present
+app.get('/api/exports/attendance', requireStaff, async (req, res) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+
+  const { group: groupKey } = req.query;
+  const year = Number.parseInt(req.query.year, 10) || new Date().getFullYear();
+
+  if (!groupKey) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['group']
+    });
+  }
+
+  try {
+    const [groups] = await pool.execute(
+      'SELECT * FROM church_groups WHERE id = ? OR code = ?',
+      [Number(groupKey) || 0, groupKey]
+    );
+
+    if (groups.length === 0) {
+      return res.status(404).json({
+        error: 'Group not found'
+      });
+    }
+
+    const group = groups[0];
+    const layout = rollBookLayout(group);
+    const blocks = [];
+    for (const block of layout.blocks) {
+      blocks.push(await buildAttendanceBlock(group, {
+        from: `${year}-${block.from}`,
+        to: `${year}-${block.to}`,
+        titles: block.titles
+      }));
+    }
+
+    // Lay the blocks side by side, padding each to its own width
+    const sideBySide = lines => blocks.reduce(
+      (row, block, i) => row.concat(Array.from({ length: block.width }, (_, col) => (lines[i] || [])[col] ?? '')),
+      []
+    );
+    const height = Math.max(...blocks.map(block => block.rows.length));
+    const titleHeight = Math.max(...blocks.map(block => block.titles.length));
+
+    const rows = [
+      ...(layout.heading ? [layout.heading(year)] : []),
+      ...Array.from({ length: titleHeight }, (_, r) => sideBySide(blocks.map(block => block.titles[r]))),
+      sideBySide(blocks.map(block => block.header)),
+      ...Array.from({ length: height }, (_, r) => sideBySide(blocks.map(block => block.rows[r]))),
+      sideBySide(blocks.map(block => block.summary))
+    ];
+
+    sendSpreadsheet(res, {
+      format,
+      fileName: `${year} Danh Sach Hoi Thanh Tin Lanh Loi Chua - ${group.code}`,
+      sheetName: group.code,
+      rows
+    });
+  } catch (error) {
+    console.error('Error exporting attendance:', error);
+    res.status(500).json({
+      error: 'Failed to export attendance'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Printable PDFs: the church directory and attendance roll sheets. PDFKit's
+// built-in fonts have no Vietnamese diacritics, so a TrueType font is embedded
+// when there is one.
+// ---------------------------------------------------------------------------
+
+const PDF_FONT = process.env.PDF_FONT || path.join(__dirname, 'fonts', 'NotoSans-Regular.ttf');
+const PDF_FONT_BOLD = process.env.PDF_FONT_BOLD || path.join(__dirname, 'fonts', 'NotoSans-Bold.ttf');
+const PHOTOS_DIR = process.env.PHOTOS_DIR || path.join(__dirname, 'photos');
+const PHOTO_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+const CHURCH_NAME = process.env.CHURCH_NAME || 'Hội Thánh Tin Lành Lời Chúa';
+// Sundays per roll sheet page: a quarter, like the column blocks in the roll books
+const ROLL_SHEET_WEEKS = 13;
+const PDF_ROW_HEIGHT = 16;
+
+// Without the font files the PDFs still download, in PDFKit's Helvetica,
+// which drops most Vietnamese accents
+const PDF_FALLBACK_FONTS = { body: 'Helvetica', bold: 'Helvetica-Bold' };
+let pdfFontWarningShown = false;
+
+function pdfFonts() {
+  const missing = [PDF_FONT, PDF_FONT_BOLD].filter(file => !fs.existsSync(file));
+  if (missing.length === 0) return { body: PDF_FONT, bold: PDF_FONT_BOLD };
+
+  if (!pdfFontWarningShown) {
+    pdfFontWarningShown = true;
+    console.log(`⚠️  PDF fonts not found (${missing.join(', ')}); using Helvetica, which can't show Vietnamese accents`);
+  }
+  return PDF_FALLBACK_FONTS;
+}
+
+// Start a PDF download and return the document to draw on
+function startPdf(res, { fileName, title, layout = 'portrait' }) {
+  const doc = new PDFDocument({ size: 'LETTER', layout, margin: 36, bufferPages: true, info: { Title: title } });
+  const fonts = pdfFonts();
+  doc.registerFont('body', fonts.body);
+  doc.registerFont('bold', fonts.bold);
+  doc.font('body');
+
+  setAttachmentName(res, `${fileName}.pdf`);
+  res.type('application/pdf');
+  doc.pipe(res);
+  return doc;
+}
+
+// Number the pages once they all exist, then send the document
+function finishPdf(doc) {
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    const { margins, width, height } = doc.page;
+    // Writing inside the bottom margin would otherwise start a new page
+    const bottom = margins.bottom;
+    margins.bottom = 0;
+    doc.font('body').fontSize(8).fillColor('#666666').text(
+      `${i - range.start + 1} / ${range.count}`,
+      margins.left,
+      height - bottom + 12,
+      { width: width - margins.left - margins.right, align: 'center', lineBreak: false }
+    );
+    margins.bottom = bottom;
+  }
+  doc.end();
+}
+
+function drawPdfTitle(doc, title, subtitle) {
+  doc.font('bold').fontSize(14).fillColor('#000000').text(title);
+  if (subtitle) {
+    doc.font('body').fontSize(10).fillColor('#444444').text(subtitle);
+  }
+  doc.moveDown(0.5);
+}
+
+// Draw a grid like the roll book sheets, repeating the header on each new page
+function drawPdfTable(doc, { widths, aligns = [], header, rows, footer }) {
+  const left = doc.page.margins.left;
+
+  const drawRow = (cells, { bold = false, fill = null } = {}) => {
+    const y = doc.y;
+    let x = left;
+    cells.forEach((cell, i) => {
+      if (fill) {
+        doc.rect(x, y, widths[i], PDF_ROW_HEIGHT).fillAndStroke(fill, '#999999');
+      } else {
+        doc.rect(x, y, widths[i], PDF_ROW_HEIGHT).stroke('#999999');
+      }
+      doc.font(bold ? 'bold' : 'body').fontSize(7).fillColor('#000000').text(
+        cell === null || cell === undefined ? '' : String(cell),
+        x + 2,
+        y + 4,
+        { width: widths[i] - 4, height: PDF_ROW_HEIGHT - 4, align: aligns[i] || 'left', ellipsis: true }
+      );
+      x += widths[i];
+    });
+    doc.x = left;
+    doc.y = y + PDF_ROW_HEIGHT;
+  };
+
+  const drawHeader = () => drawRow(header, { bold: true, fill: '#eeeeee' });
+  const fits = () => doc.y + PDF_ROW_HEIGHT <= doc.page.height - doc.page.margins.bottom;
+
+  drawHeader();
+  for (const row of [...rows, ...(footer ? [footer] : [])]) {
+    if (!fits()) {
+      doc.addPage();
+      drawHeader();
+    }
+    drawRow(row, { bold: row === footer });
+  }
+}
+
+function photoFile(name) {
+  return PHOTO_EXTENSIONS
+    .map(extension => path.join(PHOTOS_DIR, `${name}${extension}`))
+    .find(file => fs.existsSync(file)) || null;
+}
+
+// Directory entries: one per household (only the people who agreed to be listed)
+// or per person without a household, ordered by surname. Photos come from
+// PHOTOS_DIR as household-<id>.jpg or member-<id>.jpg, and a household photo is
+// only used when every active member of the household agreed to photos, listed
+// or not.
+async function getDirectoryEntries(hidden) {
+  const [rows] = await pool.execute(
+    `SELECT id, title, first_name, last_name, preferred_name, email, phone, address, city, state, zip_code,
+      household_id, household_role, consent_photos
+    FROM members
+    WHERE status = 'active' AND anonymized_at IS NULL AND consent_directory = TRUE
+    ORDER BY last_name, first_name`
+  );
+  const [households] = await pool.execute('SELECT * FROM households');
+  const householdById = new Map(households.map(h => [h.id, redactMember(h, hidden)]));
+  const [declined] = await pool.execute(
+    `SELECT DISTINCT household_id FROM members
+    WHERE status = 'active' AND household_id IS NOT NULL AND consent_photos IS NOT TRUE`
+  );
+  const photosDeclined = new Set(declined.map(row => row.household_id));
+
+  const entries = new Map();
+  for (const person of rows.map(row => redactMember(row, hidden))) {
+    const household = person.household_id ? householdById.get(person.household_id) : null;
+    const key = household ? `household-${household.id}` : `member-${person.id}`;
+    if (!entries.has(key)) {
+      entries.set(key, { key, household, people: [] });
+    }
+    entries.get(key).people.push(person);
+  }
+
+  const roleOrder = role => (HOUSEHOLD_ROLES.includes(role) ? HOUSEHOLD_ROLES.indexOf(role) : HOUSEHOLD_ROLES.length);
+
+  return [...entries.values()].map(({ key, household, people }) => {
+    people.sort((a, b) => roleOrder(a.household_role) - roleOrder(b.household_role));
+    const first = people[0];
+    const addressFrom = household && household.address ? household : first;
+    const consented = household ? !photosDeclined.has(household.id) : first.consent_photos;
+    const photo = consented ? photoFile(key) : null;
+
+    return {
+      name: household ? household.name : first.last_name,
+      people: people.map(person => [
+        person.title,
+        household ? person.first_name : `${person.last_name} ${person.first_name}`,
+        person.preferred_name && `(${person.preferred_name})`
+      ].filter(Boolean).join(' ')),
+      address: [
+        addressFrom.address,
+        [addressFrom.city, [addressFrom.state, addressFrom.zip_code].filter(Boolean).join(' ')].filter(Boolean).join(', ')
+      ].filter(Boolean),
+      phones: [...new Set([household && household.phone, ...people.map(person => person.phone)].filter(Boolean))],
+      emails: [...new Set(people.map(person => person.email).filter(Boolean))],
+      photo
+    };
+  }).sort((a, b) => a.name.localeCompare(b.name, 'vi'));
+}
+
+// The printed directory, only members who agreed to be listed (consent_directory)
+app.get('/api/exports/directory', requireStaff, async (req, res) => {
+  try {
+    const hidden = await hiddenMemberColumns(req.admin.role);
+    const entries = await getDirectoryEntries(hidden);
+
+    const year = new Date().getFullYear();
+    const doc = startPdf(res, { fileName: `Danh Ba ${year}`, title: `${CHURCH_NAME} - Danh Bạ ${year}` });
+    drawPdfTitle(doc, CHURCH_NAME, `Danh Bạ Hội Thánh / Church Directory ${year}`);
+
+    const photoSize = 72;
+    const left = doc.page.margins.left;
+    const textLeft = left + photoSize + 12;
+    const textWidth = doc.page.width - doc.page.margins.right - textLeft;
+
+    for (const entry of entries) {
+      const lines = [...entry.people, ...entry.address, entry.phones.join(' · '), entry.emails.join(' · ')].filter(Boolean);
+      doc.font('body').fontSize(9);
+      const height = Math.max(photoSize, 16 + lines.length * doc.currentLineHeight(true)) + 12;
+      if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+      }
+
+      const top = doc.y;
+      if (entry.photo) {
+        doc.image(entry.photo, left, top, { fit: [photoSize, photoSize], align: 'center', valign: 'center' });
+      } else {
+        doc.rect(left, top, photoSize, photoSize).stroke('#cccccc');
+      }
+      doc.font('bold').fontSize(11).fillColor('#000000').text(entry.name, textLeft, top, { width: textWidth });
+      doc.font('body').fontSize(9).fillColor('#333333');
+      lines.forEach(line => doc.text(line, textLeft, doc.y, { width: textWidth }));
+
+      doc.x = left;
+      doc.y = top + height;
+    }
+
+    if (entries.length === 0) {
+      doc.font('body').fontSize(10).text('Chưa có ai đồng ý được in trong danh bạ. / No members have agreed to be listed yet.');
+    }
+
+    finishPdf(doc);
+  } catch (error) {
+    console.error('Error exporting directory:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to export directory'
+      });
+    }
+  }
+});
+
+// Roll sheets for the Sundays from..to in the roll book layout, a quarter per page:
+// blank (blank=true) to mark by hand, or pre-filled from recorded attendance.
+// Every active group unless ?group= is given.
+app.get('/api/exports/roll-sheets', requireStaff, async (req, res) => {
+  const from = req.query.from || formatDate(new Date());
+  const defaultTo = new Date(`${from}T00:00:00`);
+  defaultTo.setDate(defaultTo.getDate() + 7 * ROLL_SHEET_WEEKS - 1);
+  const to = req.query.to || (ISO_DATE.test(from) ? formatDate(defaultTo) : '');
+  const blank = req.query.blank === 'true';
+
+  if (!ISO_DATE.test(from) || !ISO_DATE.test(to) || to < from) {
+    return res.status(400).json({
+      error: 'Invalid dates',
+      message: 'Use YYYY-MM-DD, with to on or after from'
+    });
+  }
+
+  try {
+    const [groups] = req.query.group
+      ? await pool.execute('SELECT * FROM church_groups WHERE id = ? OR code = ?', [Number(req.query.group) || 0, req.query.group])
+      : await pool.execute('SELECT * FROM church_groups WHERE active = TRUE ORDER BY id');
+
+    if (req.query.group && groups.length === 0) {
+      return res.status(404).json({
+        error: 'Group not found'
+      });
+    }
+
+    const sheets = [];
+    for (const group of groups) {
+      const block = await buildAttendanceBlock(group, { from, to });
+      const names = block.nameWidths.length;
+      const dateCount = block.header.length - names;
+      for (let start = 0; start < Math.max(dateCount, 1); start += ROLL_SHEET_WEEKS) {
+        const columns = row => [...row.slice(0, names), ...row.slice(names + start, names + start + ROLL_SHEET_WEEKS)];
+        const clear = row => (blank ? [...row.slice(0, names), ...row.slice(names).map(() => '')] : row);
+        sheets.push({
+          group,
+          nameWidths: block.nameWidths,
+          header: columns(block.header),
+          rows: block.rows.map(row => clear(columns(row))),
+          summary: clear(columns(block.summary))
+        });
+      }
+    }
+
+    const groupName = req.query.group && groups[0].code;
+    const doc = startPdf(res, {
+      fileName: `Roll Sheets ${groupName ? `${groupName} ` : ''}${from} - ${to}`,
+      title: `${CHURCH_NAME} - Danh Sách Thành Viên Hội Thánh`,
+      layout: 'landscape'
+    });
+
+    const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    sheets.forEach((sheet, index) => {
+      if (index > 0) doc.addPage();
+      drawPdfTitle(doc, `${CHURCH_NAME} - ${sheet.group.name}`, `Danh Sách Thành Viên Hội Thánh · ${from} – ${to}`);
+
+      const { nameWidths } = sheet;
+      const dateWidth = (tableWidth - nameWidths.reduce((sum, width) => sum + width, 0)) / ROLL_SHEET_WEEKS;
+      const dateColumns = sheet.header.length - nameWidths.length;
+      drawPdfTable(doc, {
+        widths: [...nameWidths, ...Array(dateColumns).fill(dateWidth)],
+        aligns: [...nameWidths.map((_, i) => (i === 0 ? 'center' : 'left')), ...Array(dateColumns).fill('center')],
+        header: sheet.header,
+        rows: sheet.rows,
+        footer: sheet.summary
+      });
+    });
+
+    if (sheets.length === 0) {
+      doc.font('body').fontSize(10).text('No active groups.');
+    }
+
+    finishPdf(doc);
+  } catch (error) {
+    console.error('Error exporting roll sheets:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to export roll sheets'
+      });
+    }
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Statistics. Every endpoint returns chart-ready series:
+//   { labels: [...], series: [{ name, data: [...] }] }
+// ---------------------------------------------------------------------------
+
+const STATS_INTERVALS = {
+  week: { days: 7 * 12, label: date => sundayOnOrBefore(date) },
+  month: { days: 365, label: date => date.slice(0, 7) },
+  quarter: { days: 365 * 2, label: date => `${date.slice(0, 4)}-Q${Math.floor((Number(date.slice(5, 7)) - 1) / 3) + 1}` }
+};
+const ABSENT_SUNDAYS_DEFAULT = 4;
+
+function sundayOnOrBefore(date) {
+  const day = new Date(`${date}T00:00:00`);
+  day.setDate(day.getDate() - day.getDay());
+  return formatDate(day);
+}
+
+// from/to from the query, defaulting to the `days` before today
+function statsRange(query, days) {
+  const to = query.to || formatDate(new Date());
+  const start = new Date(`${to}T00:00:00`);
+  start.setDate(start.getDate() - days);
+  return { from: query.from || formatDate(start), to };
+}
+
+// Turn rows of { label, name, value } into labels and one series per name.
+// Labels with no row get `empty` (0, or null where a zero would mislead).
+function pivotSeries(rows, { labels = [...new Set(rows.map(row => row.label))].sort(), empty = 0 } = {}) {
+  const names = [...new Set(rows.map(row => row.name))];
+  return {
+    labels,
+    series: names.map(name => ({
+      name,
+      data: labels.map(label => {
+        const row = rows.find(r => r.label === label && r.name === name);
+        return row ? Number(row.value) : empty;
+      })
+    }))
+  };
+}
+
+// Attendance per group over time. For weeks the values are totals; for months
+// and quarters they are the average present per service, so short months compare
+// fairly. Each series also gets `change`: percent change over the previous period.
+app.get('/api/stats/attendance', requireStaff, async (req, res) => {
+  const interval = req.query.interval || 'week';
+
+  if (!STATS_INTERVALS[interval]) {
+    return res.status(400).json({
+      error: 'Invalid interval',
+      allowed: Object.keys(STATS_INTERVALS)
+    });
+  }
+
+  const { from, to } = statsRange(req.query, STATS_INTERVALS[interval].days);
+  const params = [from, to];
+  let groupFilter = '';
+  if (req.query.group) {
+    groupFilter = 'AND s.roll = ?';
+    params.push(req.query.group);
+  }
+
+  try {
+    const [rows] = await pool.execute(
+      `SELECT s.id, DATE_FORMAT(s.service_date, '%Y-%m-%d') as service_date, s.roll,
+        COALESCE(SUM(CASE WHEN ${PRESENT_CONDITION} THEN 1 ELSE 0 END), 0) as present
+      FROM services s
+      LEFT JOIN attendance a ON a.service_id = s.id
+      LEFT JOIN attendance_codes ac ON ac.code = a.status
+      WHERE s.service_date BETWEEN ? AND ? ${groupFilter}
+      GROUP BY s.id, s.service_date, s.roll`,
+      params
+    );
+
+    // Sum present and count services per period and group
+    const totals = new Map();
+    for (const row of rows) {
+      const label = STATS_INTERVALS[interval].label(row.service_date);
+      for (const name of [row.roll || 'Other', 'Total']) {
+        const key = `${label}|${name}`;
+        const entry = totals.get(key) || { label, name, present: 0, services: new Set() };
+        entry.present += Number(row.present);
+        entry.services.add(`${row.service_date}|${row.roll}`);
+        totals.set(key, entry);
+      }
+    }
+
+    // "Total" counts each date once when averaging, not once per group
+    const values = [...totals.values()].map(entry => {
+      const services = entry.name === 'Total'
+        ? new Set([...entry.services].map(s => s.split('|')[0])).size
+        : entry.services.size;
+      return {
+        label: entry.label,
+        name: entry.name,
+        value: interval === 'week' ? entry.present : Math.round((entry.present / services) * 10) / 10
+      };
+    });
+
+    // Weeks list every Sunday, attended or not; the Total series goes last
+    values.sort((a, b) => (a.name === 'Total') - (b.name === 'Total'));
+    const chart = interval === 'week'
+      ? pivotSeries(values, { labels: [...new Set([...sundaysBetween(from, to), ...values.map(v => v.label)])].sort() })
+      : pivotSeries(values, { empty: null });
+
+    for (const series of chart.series) {
+      const [previous, last] = series.data.slice(-2);
+      series.change = chart.labels.length >= 2 && previous && last !== null
+        ? Math.round(((last - previous) / previous) * 1000) / 10
+        : null;
+    }
+
+    res.json({
+      success: true,
+      interval,
+      metric: interval === 'week' ? 'total' : 'average per service',
+      from,
+      to,
+      ...chart
+    });
+  } catch (error) {
+    console.error('Error fetching attendance stats:', error);
+    res.status(500).json({
+      error: 'Failed to fetch attendance statistics'
+    });
+  }
+});
+
+// Visitors who became members, by signup month. A conversion is an audit
+// record of membershipType changing from visitor to member or volunteer.
+app.get('/api/stats/conversion', requireStaff, async (req, res) => {
+  const { from, to } = statsRange(req.query, 365);
+
+  try {
+    const [rows] = await pool.execute(
+      `SELECT DATE_FORMAT(m.created_at, '%Y-%m') as month,
+        COUNT(*) as visitors,
+        SUM(conv.converted_at IS NOT NULL) as converted,
+        AVG(DATEDIFF(conv.converted_at, m.created_at)) as avg_days
+      FROM members m
+      LEFT JOIN (
+        SELECT member_id, MIN(changed_at) as converted_at
+        FROM member_audit_log
+        WHERE action = 'update' AND field_name = 'membershipType'
+          AND old_value = 'visitor' AND new_value IN ('member', 'volunteer')
+        GROUP BY member_id
+      ) conv ON conv.member_id = m.id
+      WHERE m.created_at >= ? AND m.created_at < ?
+        AND (m.membership_type = 'visitor' OR conv.member_id IS NOT NULL)
+      GROUP BY month
+      ORDER BY month`,
+      [from, nextDay(to)]
+    );
+
+    const visitors = rows.reduce((sum, row) => sum + Number(row.visitors), 0);
+    const converted = rows.reduce((sum, row) => sum + Number(row.converted), 0);
+    const convertedDays = rows.reduce((sum, row) => sum + Number(row.avg_days || 0) * Number(row.converted), 0);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      labels: rows.map(row => row.month),
+      series: [
+        { name: 'Visitors', data: rows.map(row => Number(row.visitors)) },
+        { name: 'Converted', data: rows.map(row => Number(row.converted)) },
+        {
+          name: 'Conversion rate (%)',
+          data: rows.map(row => Math.round((Number(row.converted) / Number(row.visitors)) * 1000) / 10)
+        }
+      ],
+      totals: {
+        visitors,
+        converted,
+        rate: visitors > 0 ? Math.round((converted / visitors) * 1000) / 10 : null,
+        averageDaysToConvert: converted > 0 ? Math.round(convertedDays / converted) : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching conversion stats:', error);
+    res.status(500).json({
+      error: 'Failed to fetch conversion statistics'
+    });
+  }
+});
+
+// The journey for people who started it (reached their first step) between from
+// and to: how many reached each stage, who is waiting there or stalled, who left
+// (became inactive) along the way, how long visitors take to become members, and
+// how that differs by how_did_you_hear.
+app.get('/api/stats/journey', requireStaff, async (req, res) => {
+  const { from, to } = statsRange(req.query, 365);
+
+  try {
+    const stages = await getJourneyStages(pool, { all: true });
+    const [rows] = await pool.execute(
+      `SELECT js.member_id, js.stage_id, DATEDIFF(NOW(), js.reached_at) as days_ago,
+        DATEDIFF(js.reached_at, f.started_at) as day, m.status, m.how_did_you_hear
+      FROM member_journey_steps js
+      JOIN members m ON m.id = js.member_id
+      JOIN (
+        SELECT member_id, MIN(reached_at) as started_at
+        FROM member_journey_steps
+        GROUP BY member_id
+      ) f ON f.member_id = js.member_id
+      WHERE f.started_at >= ? AND f.started_at < ?
+      ORDER BY js.member_id, js.id`,
+      [from, nextDay(to)]
+    );
+
+    const people = new Map();
+    for (const row of rows) {
+      people.set(row.member_id, [...(people.get(row.member_id) || []), row]);
+    }
+
+    const shown = stages.filter(stage => stage.active || rows.some(row => row.stage_id === stage.id));
+    const counts = new Map(shown.map(stage => [stage.id, { reached: 0, waiting: 0, stalled: 0, left: 0, days: [] }]));
+    const memberStages = new Set(stages.filter(stage => stage.membership_type).map(stage => stage.id));
+    const daysToMember = [];
+    const sources = new Map();
+
+    for (const steps of people.values()) {
+      const { current, next } = journeyProgress(steps, stages);
+      const day = new Map(steps.map(step => [step.stage_id, Number(step.day)]));
+
+      shown.forEach((stage, index) => {
+        if (!day.has(stage.id)) return;
+        const entry = counts.get(stage.id);
+        entry.reached += 1;
+        const previous = shown.slice(0, index).reverse().find(s => day.has(s.id));
+        if (previous) entry.days.push(day.get(stage.id) - day.get(previous.id));
+      });
+
+      if (next && counts.has(current.stage_id)) {
+        const entry = counts.get(current.stage_id);
+        if (current.status !== 'active') {
+          entry.left += 1;
+        } else {
+          entry.waiting += 1;
+          if (isStalled(current, stages)) entry.stalled += 1;
+        }
+      }
+
+      const becameMember = steps.filter(step => memberStages.has(step.stage_id)).map(step => Number(step.day));
+      const memberDay = becameMember.length > 0 ? Math.min(...becameMember) : null;
+      if (memberDay !== null) daysToMember.push(memberDay);
+
+      const source = current.how_did_you_hear || 'unknown';
+      const entry = sources.get(source) || { visitors: 0, members: 0, days: 0 };
+      entry.visitors += 1;
+      if (memberDay !== null) {
+        entry.members += 1;
+        entry.days += memberDay;
+      }
+      sources.set(source, entry);
+    }
+
+    const average = values => (values.length > 0 ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null);
+    const sorted = [...daysToMember].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const bySource = [...sources.entries()].sort((a, b) => b[1].visitors - a[1].visitors);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      people: people.size,
+      labels: shown.map(stage => stage.name),
+      series: [
+        { name: 'Reached', data: shown.map(stage => counts.get(stage.id).reached) },
+        { name: 'Waiting here', data: shown.map(stage => counts.get(stage.id).waiting) },
+        { name: 'Stalled', data: shown.map(stage => counts.get(stage.id).stalled) },
+        { name: 'Left', data: shown.map(stage => counts.get(stage.id).left) }
+      ],
+      stages: shown.map(stage => ({
+        code: stage.code,
+        name: stage.name,
+        stallAfterDays: stage.stall_after_days,
+        averageDaysFromPrevious: average(counts.get(stage.id).days)
+      })),
+      timeToMember: {
+        members: sorted.length,
+        rate: people.size > 0 ? Math.round((sorted.length / people.size) * 1000) / 10 : null,
+        averageDays: average(sorted),
+        medianDays: sorted.length === 0 ? null
+          : sorted.length % 2 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2)
+      },
+      sources: {
+        labels: bySource.map(([source]) => source),
+        series: [
+          { name: 'Visitors', data: bySource.map(([, entry]) => entry.visitors) },
+          { name: 'Became members', data: bySource.map(([, entry]) => entry.members) },
+          {
+            name: 'Conversion rate (%)',
+            data: bySource.map(([, entry]) => Math.round((entry.members / entry.visitors) * 1000) / 10)
+          },
+          {
+            name: 'Average days to member',
+            data: bySource.map(([, entry]) => (entry.members > 0 ? Math.round(entry.days / entry.members) : null))
+          }
+        ]
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching journey stats:', error);
+    res.status(500).json({
+      error: 'Failed to fetch journey statistics'
+    });
+  }
+});
+
+// Active members who used to attend but have missed their group's last
+// `sundays` (default 4) Sundays in a row
+app.get('/api/stats/absentees', requireStaff, async (req, res) => {
+  const sundays = Math.max(Number.parseInt(req.query.sundays, 10) || ABSENT_SUNDAYS_DEFAULT, 1);
+  const today = formatDate(new Date());
+  const params = [today, today, today];
+  let groupFilter = '';
+  if (req.query.group) {
+    groupFilter = 'AND (g.id = ? OR g.code = ?)';
+    params.push(Number(req.query.group) || 0, req.query.group);
+  }
+
+  try {
+    const [rows] = await pool.execute(
+      `SELECT * FROM (
+        SELECT m.id, m.title, m.first_name, m.last_name, m.phone, m.email, g.code as group_code,
+          DATE_FORMAT(last.last_attended, '%Y-%m-%d') as last_attended,
+          (SELECT COUNT(*) FROM services s
+            WHERE s.roll = g.code AND DAYOFWEEK(s.service_date) = 1
+              AND s.service_date > last.last_attended AND s.service_date <= ?) as missed_sundays
+        FROM group_members gm
+        JOIN church_groups g ON g.id = gm.group_id
+        JOIN members m ON m.id = gm.member_id
+        JOIN (
+          SELECT a.member_id, MAX(s.service_date) as last_attended
+          FROM attendance a
+          JOIN services s ON s.id = a.service_id
+          LEFT JOIN attendance_codes ac ON ac.code = a.status
+          WHERE ${PRESENT_CONDITION}
+          GROUP BY a.member_id
+        ) last ON last.member_id = m.id
+        WHERE m.status = 'active' AND ${ACTIVE_ASSIGNMENT} ${groupFilter}
+      ) absent
+      WHERE missed_sundays >= ?
+      ORDER BY missed_sundays DESC, last_name, first_name`,
+      [...params, sundays]
+    );
+
+    const hidden = await hiddenMemberColumns(req.admin.role);
+    const byGroup = pivotSeries(
+      Object.entries(rows.reduce((counts, row) => {
+        counts[row.group_code] = (counts[row.group_code] || 0) + 1;
+        return counts;
+      }, {})).map(([label, value]) => ({ label, name: 'Absent members', value }))
+    );
+
+    res.json({
+      success: true,
+      sundays,
+      count: rows.length,
+      ...byGroup,
+      members: rows.map(row => redactMember(row, hidden))
+    });
+  } catch (error) {
+    console.error('Error fetching absentees:', error);
+    res.status(500).json({
+      error: 'Failed to fetch absentees'
+    });
+  }
+});
+
+// Signups by how they heard about the church, overall and per month
+app.get('/api/stats/signups', requireStaff, async (req, res) => {
+  const { from, to } = statsRange(req.query, 365);
+
+  try {
+    const [rows] = await pool.execute(
+      `SELECT DATE_FORMAT(created_at, '%Y-%m') as label,
+        COALESCE(NULLIF(how_did_you_hear, ''), 'unknown') as name,
+        COUNT(*) as value
+      FROM members
+      WHERE created_at >= ? AND created_at < ?
+      GROUP BY label, name`,
+      [from, nextDay(to)]
+    );
+
+    const bySource = new Map();
+    rows.forEach(row => bySource.set(row.name, (bySource.get(row.name) || 0) + Number(row.value)));
+    const sources = [...bySource.entries()].sort((a, b) => b[1] - a[1]);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      labels: sources.map(([name]) => name),
+      series: [{ name: 'Signups', data: sources.map(([, count]) => count) }],
+      byMonth: pivotSeries(rows)
+    });
+  } catch (error) {
+    console.error('Error fetching signup stats:', error);
+    res.status(500).json({
+      error: 'Failed to fetch signup statistics'
+    });
+  }
+});
+
+// Active members in each active ministry
+app.get('/api/stats/ministries', requireStaff, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT mi.name, COUNT(m.id) as count
+      FROM ministries mi
+      LEFT JOIN member_ministries mm ON mm.ministry_id = mi.id
+      LEFT JOIN members m ON m.id = mm.member_id AND m.status = 'active'
+      WHERE mi.active = TRUE
+      GROUP BY mi.id, mi.name
+      ORDER BY count DESC, mi.name`
+    );
+
+    res.json({
+      success: true,
+      labels: rows.map(row => row.name),
+      series: [{ name: 'Members', data: rows.map(row => Number(row.count)) }]
+    });
+  } catch (error) {
+    console.error('Error fetching ministry stats:', error);
+    res.status(500).json({
+      error: 'Failed to fetch ministry statistics'
+    });
+  }
+});
+
+// Members by membership type and status
+app.get('/api/stats/membership', requireStaff, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT membership_type as label, status as name, COUNT(*) as value
+      FROM members
+      GROUP BY membership_type, status`
+    );
+
+    res.json({
+      success: true,
+      ...pivotSeries(rows.map(row => ({ ...row, label: row.label || 'unknown' })))
+    });
+  } catch (error) {
+    console.error('Error fetching membership stats:', error);
+    res.status(500).json({
+      error: 'Failed to fetch membership statistics'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Events: retreats, VBS and special services with capacity, per-attendee
+// details, a waitlist and optional fees
+// ---------------------------------------------------------------------------
+
+const EVENT_STATUSES = ['draft', 'open', 'closed', 'cancelled'];
+const REGISTRATION_STATUSES = ['confirmed', 'waitlisted', 'cancelled'];
+
+const EVENT_FIELDS = {
+  title: 'title',
+  description: 'description',
+  location: 'location',
+  startsAt: 'starts_at',
+  endsAt: 'ends_at',
+  registrationClosesAt: 'registration_closes_at',
+  capacity: 'capacity',
+  fee: 'fee',
+  allowWaitlist: 'allow_waitlist',
+  status: 'status'
+};
+
+// The most people one public registration can bring, whatever the capacity
+const MAX_EVENT_ATTENDEES = 20;
+
+// Registration fields with the event_registrations / event_attendees column sizes
+const EVENT_REGISTRATION_SCHEMA = {
+  firstName: { maxLength: 100 },
+  lastName: { maxLength: 100 },
+  email: { maxLength: 255, required: 'Email is required', pattern: EMAIL_PATTERN, invalid: 'Please enter a valid email address' },
+  phone: { maxLength: 20, pattern: PHONE_PATTERN, invalid: 'Please enter a valid phone number' },
+  notes: { maxLength: 5000 }
+};
+
+const EVENT_ATTENDEE_SCHEMA = {
+  firstName: { maxLength: 100 },
+  lastName: { maxLength: 100 },
+  dietaryNeeds: { maxLength: 255 },
+  notes: { maxLength: 5000 }
+};
+
+// Field errors for a registration (attendees.<index> for one attendee)
+function validateEventRegistration(body) {
+  const errors = validateFields(body, EVENT_REGISTRATION_SCHEMA);
+
+  if (body.preferredLanguage && !EMAIL_LANGUAGES.includes(body.preferredLanguage)) {
+    errors.preferredLanguage = 'Please choose a language';
+  }
+
+  if (body.attendees.length > MAX_EVENT_ATTENDEES) {
+    errors.attendees = `Please register at most ${MAX_EVENT_ATTENDEES} people at once`;
+  } else {
+    body.attendees.forEach((attendee, index) => {
+      const [message] = Object.values(attendee && typeof attendee === 'object'
+        ? validateFields(attendee, EVENT_ATTENDEE_SCHEMA)
+        : {});
+      if (message) errors[`attendees.${index}`] = message;
+    });
+  }
+
+  return errors;
+}
+
+function formatAmount(value) {
+  return Number(value || 0).toFixed(2);
+}
+
+// Event details for the confirmation and waitlist emails
+function eventEmailValues(event, registration, attendees, language) {
+  const startsAt = new Date(event.starts_at);
+  return {
+    eventTitle: event.title,
+    eventDate: formatServiceTime(startsAt, language, startsAt.toLocaleTimeString(EMAIL_TEXT[language].locale, {
+      hour: '2-digit', minute: '2-digit', hour12: false
+    })),
+    eventLocation: event.location || '',
+    attendeeNames: attendees.map(a => (language === 'vi' ? `${a.lastName} ${a.firstName}` : `${a.firstName} ${a.lastName}`)).join(', '),
+    amountDue: formatAmount(registration.amountDue)
+  };
+}
+
+// Lock the event and count the people already confirmed, so two registrations
+// can't both take the last places
+async function lockEvent(connection, eventId) {
+  const [events] = await connection.execute('SELECT * FROM events WHERE id = ? FOR UPDATE', [eventId]);
+  if (events.length === 0) return null;
+
+  const [counts] = await connection.execute(
+    `SELECT COALESCE(SUM(attendee_count), 0) as confirmed
+    FROM event_registrations WHERE event_id = ? AND status = 'confirmed'`,
+    [eventId]
+  );
+
+  return { ...events[0], confirmed: Number(counts[0].confirmed) };
+}
+
+function spotsLeft(event) {
+  return event.capacity === null ? null : Math.max(event.capacity - event.confirmed, 0);
+}
+
+async function queueRegistrationEmail(connection, templateKey, event, registrationId) {
+  const [rows] = await connection.execute(
+    `SELECT r.*, m.preferred_language
+    FROM event_registrations r
+    LEFT JOIN members m ON m.id = r.member_id
+    WHERE r.id = ?`,
+    [registrationId]
+  );
+  const registration = rows[0];
+  if (!registration.contact_email) return null;
+
+  const [attendees] = await connection.execute(
+    'SELECT first_name, last_name FROM event_attendees WHERE registration_id = ? ORDER BY id',
+    [registrationId]
+  );
+  const language = preferredLanguage(registration.preferred_language || registration.language);
+  const values = await memberEmailValues({
+    firstName: registration.contact_first_name,
+    lastName: registration.contact_last_name,
+    email: registration.contact_email,
+    phone: registration.contact_phone,
+    membershipType: registration.member_id ? 'member' : 'visitor'
+  }, language);
+
+  return queueEmail(connection, {
+    templateKey,
+    language,
+    to: registration.contact_email,
+    values: {
+      ...values,
+      ...eventEmailValues(
+        event,
+        { amountDue: registration.amount_due },
+        attendees.map(a => ({ firstName: a.first_name, lastName: a.last_name })),
+        language
+      )
+    },
+    memberId: registration.member_id
+  });
+}
+
+// Confirm waitlisted registrations, oldest first, while there's room. A family
+// that doesn't fit is passed over for a smaller one behind it, but keeps its place.
+async function promoteWaitlist(connection, eventId) {
+  const event = await lockEvent(connection, eventId);
+  if (!event || event.status === 'cancelled') return [];
+
+  const [waitlist] = await connection.execute(
+    `SELECT id, attendee_count FROM event_registrations
+    WHERE event_id = ? AND status = 'waitlisted'
+    ORDER BY created_at, id`,
+    [eventId]
+  );
+
+  const promoted = [];
+  let left = spotsLeft(event);
+
+  for (const registration of waitlist) {
+    if (left !== null && registration.attendee_count > left) continue;
+
+    await connection.execute("UPDATE event_registrations SET status = 'confirmed' WHERE id = ?", [registration.id]);
+    await queueRegistrationEmail(connection, 'event_promoted', event, registration.id);
+    promoted.push(registration.id);
+    if (left !== null) left -= registration.attendee_count;
+  }
+
+  return promoted;
+}
+
+// Find a member by email and phone (both must match, so an email address alone
+// doesn't reveal who lives in a household) and list their household
+async function findRegisteringHousehold(connection, { email, phone }, eventStartsAt) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (!email || !digits) return null;
+
+  const [members] = await connection.execute(
+    `SELECT id, first_name, last_name, email, phone, household_id, preferred_language
+    FROM members WHERE email = ? AND status = 'active'`,
+    [email]
+  );
+  const member = members.find(m => String(m.phone || '').replace(/\D/g, '') === digits);
+  if (!member) return null;
+
+  const [people] = await connection.execute(
+    `SELECT id, first_name, last_name, household_role, TIMESTAMPDIFF(YEAR, birth_date, ?) as age
+    FROM members
+    WHERE status = 'active' AND (id = ? OR (household_id IS NOT NULL AND household_id = ?))
+    ORDER BY id = ? DESC, birth_date`,
+    [eventStartsAt, member.id, member.household_id, member.id]
+  );
+
+  return { member, people };
+}
+
+function eventNotOpen(event) {
+  if (event.status !== 'open') return `Registration is ${event.status === 'draft' ? 'not open yet' : event.status}`;
+  if (event.registration_closes_at && new Date(event.registration_closes_at) < new Date()) return 'Registration has closed';
+  return null;
+}
+
+const EVENT_LIST_SELECT = `
+  SELECT e.id, e.title, e.description, e.location, e.starts_at, e.ends_at, e.registration_closes_at,
+    e.capacity, e.fee, e.allow_waitlist, e.status,
+    COALESCE(SUM(CASE WHEN r.status = 'confirmed' THEN r.attendee_count END), 0) as confirmed,
+    COALESCE(SUM(CASE WHEN r.status = 'waitlisted' THEN r.attendee_count END), 0) as waitlisted
+  FROM events e
+  LEFT JOIN event_registrations r ON r.event_id = e.id`;
+
+function publicEvent(event) {
+  const confirmed = Number(event.confirmed);
+  return {
+    ...event,
+    confirmed,
+    waitlisted: Number(event.waitlisted),
+    spots_left: spotsLeft({ capacity: event.capacity, confirmed })
+  };
+}
+
+// Upcoming events open for registration (?past=true includes finished ones)
+app.get('/api/events', async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `${EVENT_LIST_SELECT}
+      WHERE e.status IN ('open', 'closed') ${req.query.past === 'true' ? '' : 'AND COALESCE(e.ends_at, e.starts_at) >= NOW()'}
+      GROUP BY e.id
+      ORDER BY e.starts_at`
+    );
+
+    res.json({
+      success: true,
+      count: rows.length,
+      events: rows.map(publicEvent)
+    });
+  } catch (error) {
+    console.error('Error fetching events:', error);
+    res.status(500).json({
+      error: 'Failed to fetch events'
+    });
+  }
+});
+
+// Get an event with places left
+app.get('/api/events/:id', async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `${EVENT_LIST_SELECT}
+      WHERE e.id = ? AND e.status <> 'draft'
+      GROUP BY e.id`,
+      [req.params.id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      event: publicEvent(rows[0])
+    });
+  } catch (error) {
+    console.error('Error fetching event:', error);
+    res.status(500).json({
+      error: 'Failed to fetch event'
+    });
+  }
+});
+
+// Look up a member's household by email and phone so the registration form
+// can be filled in without typing everyone's details again
+const eventLookupRateLimit = rateLimit({
+  max: SIGNUP_RATE_LIMIT,
+  windowMinutes: SIGNUP_RATE_WINDOW_MINUTES,
+  message: 'Too many lookups from your network. Please try again later.'
+});
+
+const eventRegisterRateLimit = rateLimit({
+  max: SIGNUP_RATE_LIMIT,
+  windowMinutes: SIGNUP_RATE_WINDOW_MINUTES,
+  message: 'Too many registrations from your network. Please try again later.'
+});
+
+const checkEventLookupSpam = checkFormSpam('Household lookup', {
+  status: 404,
+  body: {
+    error: 'Member not found',
+    message: 'No member matches that email and phone number. You can still register by filling in the form.'
+  }
+});
+
+const checkEventRegisterSpam = checkFormSpam('Event registration', {
+  status: 201,
+  body: { success: true, message: 'Registration confirmed' }
+});
+
+app.post('/api/events/:id/household', eventLookupRateLimit, checkEventLookupSpam, async (req, res) => {
+  const { email, phone } = req.body;
+
+  if (!email || !phone) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['email', 'phone']
+    });
+  }
+
+  try {
+    const [events] = await pool.execute("SELECT starts_at FROM events WHERE id = ? AND status <> 'draft'", [req.params.id]);
+
+    if (events.length === 0) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    const household = await findRegisteringHousehold(pool, { email, phone }, events[0].starts_at);
+
+    if (!household) {
+      return res.status(404).json({
+        error: 'Member not found',
+        message: 'No member matches that email and phone number. You can still register by filling in the form.'
+      });
+    }
+
+    // Only enough to tick who is coming; ages and surnames are filled in at registration
+    res.json({
+      success: true,
+      contact: {
+        firstName: household.member.first_name
+      },
+      attendees: household.people.map(person => ({
+        memberId: person.id,
+        firstName: person.first_name,
+        householdRole: person.household_role
+      }))
+    });
+  } catch (error) {
+    console.error('Error looking up household:', error);
+    res.status(500).json({
+      error: 'Failed to look up household'
+    });
+  }
+});
+
+// Register for an event. attendees: [{ memberId } for people in the member's
+// household (with email and phone matching the member), or { firstName, lastName }
+// for anyone else, each with optional age, dietaryNeeds and notes]. If the whole
+// party doesn't fit, the registration goes on the waitlist together.
+app.post('/api/events/:id/register', eventRegisterRateLimit, checkEventRegisterSpam, async (req, res) => {
+  const { firstName, lastName, email, phone, notes, attendees, preferredLanguage: requestedLanguage } = req.body;
+
+  if (!email || !Array.isArray(attendees) || attendees.length === 0) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['email', 'attendees']
+    });
+  }
+
+  const fieldErrors = validateEventRegistration(req.body);
+  if (Object.keys(fieldErrors).length > 0) {
+    return invalidFieldsResponse(res, fieldErrors);
+  }
+
+  const invalidAttendees = attendees.filter(a => !a
+    || (!a.memberId && (!a.firstName || !a.lastName))
+    || (a.age !== undefined && a.age !== null && a.age !== '' && !(Number.isInteger(Number(a.age)) && a.age >= 0 && a.age <= 120)));
+  if (invalidAttendees.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid attendees',
+      message: 'Each attendee needs a memberId or a first and last name; age must be a whole number',
+      invalid: invalidAttendees
+    });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const event = await lockEvent(connection, req.params.id);
+
+    if (!event || event.status === 'draft') {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    const closed = eventNotOpen(event);
+    if (closed) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: 'Registration is closed',
+        message: closed
+      });
+    }
+
+    // Household members are filled in from their member records
+    let household = null;
+    if (attendees.some(a => a.memberId)) {
+      household = await findRegisteringHousehold(connection, { email, phone }, event.starts_at);
+      const unknown = attendees.filter(a => a.memberId && !(household && household.people.some(p => p.id === Number(a.memberId))));
+
+      if (!household || unknown.length > 0) {
+        await connection.rollback();
+        return res.status(400).json({
+          error: 'Invalid attendees',
+          message: 'memberId can only be used for your own household, with the email and phone on your member record',
+          invalid: unknown.length > 0 ? unknown : attendees.filter(a => a.memberId)
+        });
+      }
+    }
+
+    // One registration per contact email, and per member, for each event
+    const memberIds = attendees.filter(a => a.memberId).map(a => Number(a.memberId));
+    const [existing] = await connection.query(
+      `SELECT DISTINCT r.id FROM event_registrations r
+      LEFT JOIN event_attendees a ON a.registration_id = r.id
+      WHERE r.event_id = ? AND r.status <> 'cancelled'
+        AND (LOWER(r.contact_email) = LOWER(?) OR a.member_id IN (?))`,
+      [event.id, email, memberIds.length > 0 ? memberIds : [0]]
+    );
+    if (existing.length > 0) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: 'Already registered',
+        message: 'You, or someone in your party, are already registered for this event. Please contact the church office to change the registration.'
+      });
+    }
+
+    const people = attendees.map(a => {
+      const person = a.memberId && household.people.find(p => p.id === Number(a.memberId));
+      return {
+        memberId: person ? person.id : null,
+        firstName: person ? person.first_name : String(a.firstName).trim(),
+        lastName: person ? person.last_name : String(a.lastName).trim(),
+        age: a.age !== undefined && a.age !== null && a.age !== '' ? Number(a.age) : (person ? person.age : null),
+        dietaryNeeds: a.dietaryNeeds || null,
+        notes: a.notes || null
+      };
+    });
+
+    // A party bigger than the whole event could never come off the waitlist
+    if (event.capacity !== null && people.length > event.capacity) {
+      await connection.rollback();
+      return res.status(400).json({
+        error: 'Too many attendees',
+        message: `This event has room for ${event.capacity} people`,
+        capacity: event.capacity
+      });
+    }
+
+    const left = spotsLeft(event);
+    const fits = left === null || people.length <= left;
+
+    if (!fits && !event.allow_waitlist) {
+      await connection.rollback();
+      return res.status(409).json({
+        error: 'Event is full',
+        spotsLeft: left
+      });
+    }
+
+    const contact = household ? household.member : null;
+    const status = fits ? 'confirmed' : 'waitlisted';
+    const amountDue = Number(event.fee || 0) * people.length;
+
+    const [result] = await connection.execute(
+      `INSERT INTO event_registrations (
+        event_id, member_id, contact_first_name, contact_last_name, contact_email, contact_phone,
+        language, status, attendee_count, amount_due, notes
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        event.id, contact ? contact.id : null,
+        contact ? contact.first_name : firstName || people[0].firstName,
+        contact ? contact.last_name : lastName || people[0].lastName,
+        email, phone || null, preferredLanguage(contact ? contact.preferred_language : requestedLanguage),
+        status, people.length, amountDue, notes || null
+      ]
+    );
+    const registrationId = result.insertId;
+
+    await connection.query(
+      `INSERT INTO event_attendees (registration_id, member_id, first_name, last_name, age, dietary_needs, notes)
+      VALUES ?`,
+      [people.map(p => [registrationId, p.memberId, p.firstName, p.lastName, p.age, p.dietaryNeeds, p.notes])]
+    );
+
+    await queueRegistrationEmail(connection, fits ? 'event_confirmation' : 'event_waitlist', event, registrationId);
+
+    await connection.commit();
+
+    res.status(201).json({
+      success: true,
+      message: fits ? 'Registration confirmed' : 'The event is full; you are on the waitlist',
+      registrationId,
+      status,
+      attendeeCount: people.length,
+      amountDue: formatAmount(amountDue)
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Event registration error:', error);
+    res.status(500).json({
+      error: 'Registration failed',
+      message: 'An error occurred during registration. Please try again.'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+function eventValues(body, updates) {
+  return updates.map(field => {
+    const value = body[field];
+    if (field === 'allowWaitlist') return Boolean(value);
+    if (field === 'capacity') return value === '' || value === null ? null : Number(value);
+    if (field === 'fee') return value === '' || value === null ? 0 : Number(value);
+    return value === '' ? null : value;
+  });
+}
+
+function invalidEventFields(body) {
+  if (body.status !== undefined && !EVENT_STATUSES.includes(body.status)) {
+    return { error: 'Invalid status', allowed: EVENT_STATUSES };
+  }
+  if (body.capacity !== undefined && body.capacity !== null && body.capacity !== ''
+    && !(Number.isInteger(Number(body.capacity)) && Number(body.capacity) > 0)) {
+    return { error: 'Invalid capacity', message: 'capacity must be a whole number above 0, or null for no limit' };
+  }
+  if (body.fee !== undefined && body.fee !== null && body.fee !== '' && !(Number(body.fee) >= 0)) {
+    return { error: 'Invalid fee', message: 'fee must be 0 or more' };
+  }
+  return null;
+}
+
+// Create an event (status defaults to draft, hidden until opened)
+app.post('/api/events', requireAdmin, async (req, res) => {
+  const { title, startsAt } = req.body;
+
+  if (!title || !startsAt) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['title', 'startsAt']
+    });
+  }
+
+  const invalid = invalidEventFields(req.body);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  const fields = Object.keys(EVENT_FIELDS).filter(field => req.body[field] !== undefined);
+
+  try {
+    const [result] = await pool.execute(
+      `INSERT INTO events (${fields.map(field => EVENT_FIELDS[field]).join(', ')}, created_by)
+      VALUES (${fields.map(() => '?').join(', ')}, ?)`,
+      [...eventValues(req.body, fields), req.admin.id]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Event created',
+      eventId: result.insertId
+    });
+  } catch (error) {
+    console.error('Error creating event:', error);
+    res.status(500).json({
+      error: 'Failed to create event'
+    });
+  }
+});
+
+// Update an event. Raising the capacity confirms waitlisted registrations that now fit.
+app.put('/api/events/:id', requireAdmin, async (req, res) => {
+  const updates = Object.keys(EVENT_FIELDS).filter(field => req.body[field] !== undefined);
+
+  if (updates.length === 0) {
+    return res.status(400).json({
+      error: 'No changes',
+      allowedFields: Object.keys(EVENT_FIELDS)
+    });
+  }
+
+  const invalid = invalidEventFields(req.body);
+  if (invalid) {
+    return res.status(400).json(invalid);
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [result] = await connection.execute(
+      `UPDATE events SET ${updates.map(field => `${EVENT_FIELDS[field]} = ?`).join(', ')} WHERE id = ?`,
+      [...eventValues(req.body, updates), req.params.id]
+    );
+
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    const promoted = await promoteWaitlist(connection, req.params.id);
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Event updated',
+      promoted
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error updating event:', error);
+    res.status(500).json({
+      error: 'Failed to update event'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Registration and attendee columns that hold a member field, by members column
+const EVENT_REGISTRATION_COLUMNS = { email: 'contact_email', phone: 'contact_phone' };
+const EVENT_ATTENDEE_COLUMNS = { birth_date: 'age' };
+
+async function getEventRoster(eventId, status, hidden) {
+  const [registrations] = await pool.execute(
+    `SELECT * FROM event_registrations
+    WHERE event_id = ? ${status ? 'AND status = ?' : ''}
+    ORDER BY FIELD(status, 'confirmed', 'waitlisted', 'cancelled'), created_at, id`,
+    status ? [eventId, status] : [eventId]
+  );
+
+  const [attendees] = await pool.execute(
+    `SELECT a.* FROM event_attendees a
+    JOIN event_registrations r ON r.id = a.registration_id
+    WHERE r.event_id = ?
+    ORDER BY a.id`,
+    [eventId]
+  );
+
+  // Columns in `hidden` (see hiddenMemberColumns) are left out
+  const hiddenColumns = columns => hidden.filter(column => columns[column]).map(column => columns[column]);
+  return registrations.map(registration => ({
+    ...redactMember(registration, hiddenColumns(EVENT_REGISTRATION_COLUMNS)),
+    attendees: attendees
+      .filter(a => a.registration_id === registration.id)
+      .map(a => redactMember(a, hiddenColumns(EVENT_ATTENDEE_COLUMNS)))
+  }));
+}
+
+// Registrations for an event with their attendees, plus headcounts and money owed
+app.get('/api/events/:id/registrations', requireStaff, async (req, res) => {
+  const { status } = req.query;
+
+  if (status && !REGISTRATION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      allowed: REGISTRATION_STATUSES
+    });
+  }
+
+  try {
+    const [events] = await pool.execute('SELECT * FROM events WHERE id = ?', [req.params.id]);
+
+    if (events.length === 0) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    const hidden = await hiddenMemberColumns(req.admin.role);
+    const registrations = await getEventRoster(req.params.id, status, hidden);
+    const active = registrations.filter(r => r.status !== 'cancelled');
+    const count = (list, state) => list.filter(r => r.status === state).reduce((sum, r) => sum + r.attendee_count, 0);
+
+    res.json({
+      success: true,
+      hiddenFields: hidden,
+      event: events[0],
+      totals: {
+        confirmed: count(registrations, 'confirmed'),
+        waitlisted: count(registrations, 'waitlisted'),
+        amountDue: formatAmount(active.reduce((sum, r) => sum + Number(r.amount_due), 0)),
+        amountPaid: formatAmount(active.reduce((sum, r) => sum + Number(r.amount_paid), 0))
+      },
+      count: registrations.length,
+      registrations
+    });
+  } catch (error) {
+    console.error('Error fetching event registrations:', error);
+    res.status(500).json({
+      error: 'Failed to fetch event registrations'
+    });
+  }
+});
+
+// Cancel a registration or record a payment ({ status: 'cancelled' } / { amountPaid }).
+// A cancellation frees places for the waitlist.
+app.patch('/api/event-registrations/:id', requireStaff, async (req, res) => {
+  const { status, amountPaid } = req.body;
+
+  if (status === undefined && amountPaid === undefined) {
+    return res.status(400).json({
+      error: 'No changes',
+      allowedFields: ['status', 'amountPaid']
+    });
+  }
+
+  if (status !== undefined && status !== 'cancelled') {
+    return res.status(400).json({
+      error: 'Invalid status',
+      message: 'Registrations can only be cancelled here; the waitlist is promoted automatically',
+      allowed: ['cancelled']
+    });
+  }
+
+  if (amountPaid !== undefined && !(Number(amountPaid) >= 0)) {
+    return res.status(400).json({
+      error: 'Invalid amountPaid',
+      message: 'amountPaid must be 0 or more'
+    });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.execute('SELECT * FROM event_registrations WHERE id = ? FOR UPDATE', [req.params.id]);
+
+    if (rows.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Registration not found'
+      });
+    }
+
+    const registration = rows[0];
+
+    if (amountPaid !== undefined) {
+      await connection.execute(
+        `UPDATE event_registrations
+        SET amount_paid = ?, paid_at = CASE WHEN ? > 0 THEN COALESCE(paid_at, NOW()) ELSE NULL END
+        WHERE id = ?`,
+        [Number(amountPaid), Number(amountPaid), registration.id]
+      );
+    }
+
+    let promoted = [];
+    if (status === 'cancelled' && registration.status !== 'cancelled') {
+      await connection.execute(
+        "UPDATE event_registrations SET status = 'cancelled', cancelled_at = NOW() WHERE id = ?",
+        [registration.id]
+      );
+      promoted = await promoteWaitlist(connection, registration.event_id);
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Registration updated',
+      promoted
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error updating registration:', error);
+    res.status(500).json({
+      error: 'Failed to update registration'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Export an event's attendee list, one row per person (confirmed first, then the waitlist)
+app.get('/api/exports/events/:id/roster', requireStaff, async (req, res) => {
+  const format = exportFormat(req, res);
+  if (!format) return;
+
+  try {
+    const [events] = await pool.execute('SELECT * FROM events WHERE id = ?', [req.params.id]);
+
+    if (events.length === 0) {
+      return res.status(404).json({
+        error: 'Event not found'
+      });
+    }
+
+    const event = events[0];
+    const hidden = await hiddenMemberColumns(req.admin.role);
+    const registrations = (await getEventRoster(event.id, null, hidden)).filter(r => r.status !== 'cancelled');
+
+    sendSpreadsheet(res, {
+      format,
+      fileName: `${event.title}-${formatDate(new Date(event.starts_at))}`,
+      sheetName: 'Roster',
+      rows: [
+        [
+          'Registration #', 'Status', 'Surname/ Tên Họ', 'First Name/ Tên Riêng', 'Age', 'Dietary Needs', 'Notes',
+          'Contact', 'Email', 'Phone', 'Amount Due', 'Amount Paid'
+        ],
+        ...registrations.flatMap(r => r.attendees.map(a => [
+          r.id, r.status, a.last_name, a.first_name, a.age, a.dietary_needs, a.notes,
+          `${r.contact_last_name} ${r.contact_first_name}`, r.contact_email, r.contact_phone,
+          formatAmount(r.amount_due), formatAmount(r.amount_paid)
+        ]))
+      ]
+    });
+  } catch (error) {
+    console.error('Error exporting event roster:', error);
+    res.status(500).json({
+      error: 'Failed to export event roster'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Member portal: members sign in with a link emailed to them (no password) to
+// see and correct their own details. Changes to names, email and birth date
+// wait in member_change_requests until staff approve them.
+// ---------------------------------------------------------------------------
+
+const LOGIN_LINK_TTL_MINUTES = Number(process.env.LOGIN_LINK_TTL_MINUTES) || 30;
+// Login links sent to one address per LOGIN_LINK_TTL_MINUTES
+const LOGIN_LINKS_PER_EMAIL = Number(process.env.LOGIN_LINKS_PER_EMAIL) || 3;
+const MEMBER_SESSION_TTL_HOURS = Number(process.env.MEMBER_SESSION_TTL_HOURS) || 24 * 7;
+// Where the signup form is served; login links open PORTAL_URL?login=<token>
+const PORTAL_URL = process.env.PORTAL_URL || 'http://localhost:3000';
+
+// Fields members change themselves, and the ones that need staff approval
+const PORTAL_FIELDS = [
+  'preferredName', 'phone', 'address', 'city', 'state', 'zipCode',
+  'emergencyContactName', 'emergencyContactPhone'
+];
+const PORTAL_APPROVAL_FIELDS = ['title', 'firstName', 'lastName', 'email', 'birthDate'];
+const CHANGE_REQUEST_STATUSES = ['pending', 'approved', 'rejected'];
+
+// The active member behind a portal session token, or undefined
+async function findMemberSession(token) {
+  const [rows] = await pool.execute(
+    `SELECT m.id, m.first_name, m.last_name, m.email, m.preferred_language
+    FROM member_sessions s
+    JOIN members m ON m.id = s.member_id
+    WHERE s.token_hash = ? AND s.expires_at > NOW() AND m.status = 'active'`,
+    [hashToken(token)]
+  );
+  return rows[0];
+}
+
+// Middleware: require a valid member session (the token from POST /api/portal/session)
+async function requireMember(req, res, next) {
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+
+  if (!match) {
+    return res.status(401).json({
+      error: 'Authentication required'
+    });
+  }
+
+  try {
+    const member = await findMemberSession(match[1]);
+
+    if (!member) {
+      return res.status(401).json({
+        error: 'Session expired or invalid'
+      });
+    }
+
+    req.member = member;
+    next();
+  } catch (error) {
+    console.error('Member authentication error:', error);
+    res.status(500).json({
+      error: 'Authentication failed'
+    });
+  }
+}
+
+// What a member sees of their own record
+async function getPortalProfile(memberId) {
+  const [rows] = await pool.execute(
+    `SELECT id, title, first_name, last_name, preferred_name, email, phone, address, city, state,
+      zip_code, birth_date, emergency_contact_name, emergency_contact_phone, membership_type,
+      preferred_language, serving_reminders, consent_photos, consent_directory, consent_emails,
+      consent_updated_at, created_at
+    FROM members WHERE id = ?`,
+    [memberId]
+  );
+
+  const [ministries] = await pool.execute(
+    `SELECT mi.id, mi.name, mm.role FROM member_ministries mm
+    JOIN ministries mi ON mi.id = mm.ministry_id
+    WHERE mm.member_id = ? ORDER BY mi.name`,
+    [memberId]
+  );
+
+  const [pendingChanges] = await pool.execute(
+    `SELECT id, field_name, old_value, new_value, created_at FROM member_change_requests
+    WHERE member_id = ? AND status = 'pending'
+    ORDER BY created_at, id`,
+    [memberId]
+  );
+
+  return {
+    ...rows[0],
+    ministries,
+    pending_changes: pendingChanges
+  };
+}
+
+const portalLoginRateLimit = rateLimit({
+  max: SIGNUP_RATE_LIMIT,
+  windowMinutes: SIGNUP_RATE_WINDOW_MINUTES,
+  message: 'Too many sign-in requests from your network. Please try again later.'
+});
+
+// Keeps the form from filling one member's inbox
+const portalLoginEmailRateLimit = rateLimit({
+  max: LOGIN_LINKS_PER_EMAIL,
+  windowMinutes: LOGIN_LINK_TTL_MINUTES,
+  message: 'A sign-in link was sent to this address a few times already. Please use the latest one, or try again later.',
+  key: req => String(req.body.email || '').trim().toLowerCase()
+});
+
+// Email a login link. The answer is the same whether or not the address belongs
+// to a member, so the form can't be used to find out who attends. Without a
+// mail transport the link could only reach the server log, so members can't
+// sign in until EMAIL_TRANSPORT is set up.
+app.post('/api/portal/login', portalLoginRateLimit, portalLoginEmailRateLimit, async (req, res) => {
+  const email = String(req.body.email || '').trim();
+
+  if (EMAIL_TRANSPORT === 'console') {
+    return res.status(503).json({
+      error: 'Portal sign-in unavailable',
+      message: 'Signing in by email isn\'t set up yet. Please contact the church office to update your details.'
+    });
+  }
+
+  if (!email) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['email']
+    });
+  }
+
+  try {
+    // Members sharing the address (e.g. spouses) each get their own link
+    for (const member of await memberRepository.findByEmail(pool, email, { status: 'active' })) {
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + LOGIN_LINK_TTL_MINUTES * 60 * 1000);
+
+      await pool.execute(
+        'INSERT INTO member_login_links (token_hash, member_id, expires_at) VALUES (?, ?, ?)',
+        [hashToken(token), member.id, expiresAt]
+      );
+
+      const language = preferredLanguage(member.preferred_language);
+      const values = await memberEmailValues({
+        firstName: member.first_name,
+        lastName: member.last_name,
+        email: member.email,
+        phone: member.phone,
+        membershipType: member.membership_type,
+        ministry: await getMemberMinistries(pool, member.id)
+      }, language);
+
+      // Sent at once rather than through the outbox, which would keep the token in email_outbox
+      const { subject, html } = await renderEmail('portal_login', language, {
+        ...values,
+        loginLink: `${PORTAL_URL}?login=${token}`,
+        linkMinutes: LOGIN_LINK_TTL_MINUTES
+      });
+      await deliverMail({ from: EMAIL_FROM, to: member.email, subject, html });
+    }
+
+    res.json({
+      success: true,
+      message: 'If this email belongs to a member, a login link is on its way'
+    });
+  } catch (error) {
+    console.error('Error sending login link:', error);
+    res.status(500).json({
+      error: 'Failed to send login link'
+    });
+  }
+});
+
+const portalSessionRateLimit = rateLimit({
+  max: SIGNUP_RATE_LIMIT,
+  windowMinutes: SIGNUP_RATE_WINDOW_MINUTES,
+  message: 'Too many sign-in attempts from your network. Please try again later.'
+});
+
+// Exchange a login link's token for a member session. Each link works once.
+app.post('/api/portal/session', portalSessionRateLimit, async (req, res) => {
+  const { token } = req.body;
+
+  if (!token) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['token']
+    });
+  }
+
+  const tokenHash = hashToken(String(token));
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [result] = await connection.execute(
+      `UPDATE member_login_links SET used_at = NOW()
+      WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+      [tokenHash]
+    );
+    const [links] = await connection.execute(
+      `SELECT l.member_id FROM member_login_links l
+      JOIN members m ON m.id = l.member_id
+      WHERE l.token_hash = ? AND m.status = 'active'`,
+      [tokenHash]
+    );
+
+    if (result.affectedRows === 0 || links.length === 0) {
+      await connection.rollback();
+      return res.status(401).json({
+        error: 'Login link expired or already used'
+      });
+    }
+
+    const sessionToken = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + MEMBER_SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+    await connection.execute(
+      'INSERT INTO member_sessions (token_hash, member_id, expires_at) VALUES (?, ?, ?)',
+      [hashToken(sessionToken), links[0].member_id, expiresAt]
+    );
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      token: sessionToken,
+      expiresAt,
+      member: await getPortalProfile(links[0].member_id)
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error starting member session:', error);
+    res.status(500).json({
+      error: 'Login failed'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Log out (ends the current session)
+app.post('/api/portal/logout', requireMember, async (req, res) => {
+  const token = req.headers.authorization.split(/\s+/)[1];
+
+  try {
+    await pool.execute('DELETE FROM member_sessions WHERE token_hash = ?', [hashToken(token)]);
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+  } catch (error) {
+    console.error('Member logout error:', error);
+    res.status(500).json({
+      error: 'Logout failed'
+    });
+  }
+});
+
+// Your details, ministries and changes waiting for approval
+app.get('/api/portal/me', requireMember, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      member: await getPortalProfile(req.member.id)
+    });
+  } catch (error) {
+    console.error('Error fetching member profile:', error);
+    res.status(500).json({
+      error: 'Failed to fetch your details'
+    });
+  }
+});
+
+// Update your details. PORTAL_FIELDS change at once; PORTAL_APPROVAL_FIELDS are
+// sent to staff as change requests. A new request for a field replaces the
+// pending one, and asking for the current value withdraws it.
+app.patch('/api/portal/me', requireMember, async (req, res) => {
+  const direct = PORTAL_FIELDS.filter(field => req.body[field] !== undefined);
+  const requested = PORTAL_APPROVAL_FIELDS.filter(field => req.body[field] !== undefined);
+
+  if (direct.length === 0 && requested.length === 0) {
+    return res.status(400).json({
+      error: 'No changes',
+      allowedFields: [...PORTAL_FIELDS, ...PORTAL_APPROVAL_FIELDS]
+    });
+  }
+
+  const fieldErrors = validateMemberUpdate(req.body, [...direct, ...requested], {
+    required: ['firstName', 'lastName', 'email']
+  });
+  if (Object.keys(fieldErrors).length > 0) {
+    return invalidFieldsResponse(res, fieldErrors);
+  }
+
+  const memberId = req.member.id;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const current = await memberRepository.findForUpdate(connection, memberId);
+
+    const changes = memberChanges(current, req.body, direct);
+    await memberRepository.update(connection, memberId, changes);
+
+    if (changes.length > 0) {
+      await recordMemberAudit(connection, { memberId, action: 'update', changes });
+    }
+
+    const requests = memberChanges(current, req.body, requested);
+
+    if (requested.length > 0) {
+      await connection.query(
+        `DELETE FROM member_change_requests
+        WHERE member_id = ? AND status = 'pending' AND field_name IN (?)`,
+        [memberId, requested]
+      );
+    }
+
+    if (requests.length > 0) {
+      await connection.query(
+        'INSERT INTO member_change_requests (member_id, field_name, old_value, new_value) VALUES ?',
+        [requests.map(c => [memberId, c.field, auditValue(c.oldValue), auditValue(c.newValue)])]
+      );
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: requests.length > 0
+        ? 'Details updated; some changes are waiting for staff approval'
+        : (changes.length > 0 ? 'Details updated' : 'No changes'),
+      changed: changes.map(c => c.field),
+      pendingApproval: requests.map(c => c.field),
+      member: await getPortalProfile(memberId)
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error updating member profile:', error);
+    res.status(500).json({
+      error: 'Failed to update your details'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Replace your ministry interests
+app.put('/api/portal/ministries', requireMember, async (req, res) => {
+  const { ministry } = req.body;
+
+  if (!Array.isArray(ministry)) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['ministry']
+    });
+  }
+
+  const memberId = req.member.id;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const { ministries, invalid } = await resolveMinistries(connection, ministry, { memberId });
+    if (invalid.length > 0) {
+      await connection.rollback();
+      return invalidMinistriesResponse(res, invalid);
+    }
+
+    const change = await replaceMemberMinistries(connection, memberId, ministries);
+    if (change) {
+      await recordMemberAudit(connection, { memberId, action: 'update', changes: [change] });
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      ministries: await getMemberMinistries(pool, memberId)
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error updating member ministries:', error);
+    res.status(500).json({
+      error: 'Failed to update ministries'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Join a ministry (active ones with room only)
+app.post('/api/portal/ministries/:id', requireMember, async (req, res) => {
+  const { id } = req.params;
+  const memberId = req.member.id;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const { ministries, invalid } = await resolveMinistries(connection, [id], { memberId });
+    if (ministries.length === 0) {
+      await connection.rollback();
+      if (invalid.length > 0 && invalid[0].reason === 'unknown') {
+        return res.status(404).json({
+          error: 'Ministry not found'
+        });
+      }
+      return res.status(409).json({
+        error: invalid[0].reason === 'full' ? 'Ministry is full' : 'Ministry is not active'
+      });
+    }
+
+    const before = await getMemberMinistries(connection, memberId);
+    await connection.execute(
+      "INSERT IGNORE INTO member_ministries (member_id, ministry_id, role) VALUES (?, ?, 'member')",
+      [memberId, ministries[0].id]
+    );
+    const after = await getMemberMinistries(connection, memberId);
+
+    if (before.join(',') !== after.join(',')) {
+      await recordMemberAudit(connection, {
+        memberId,
+        action: 'update',
+        changes: [{ field: 'ministries', oldValue: before.join(', '), newValue: after.join(', ') }]
+      });
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: before.length === after.length ? 'Already in this ministry' : 'Joined ministry',
+      ministries: after
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error joining ministry:', error);
+    res.status(500).json({
+      error: 'Failed to join ministry'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Leave a ministry
+app.delete('/api/portal/ministries/:id', requireMember, async (req, res) => {
+  const { id } = req.params;
+  const memberId = req.member.id;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const before = await getMemberMinistries(connection, memberId);
+    const [result] = await connection.execute(
+      'DELETE FROM member_ministries WHERE ministry_id = ? AND member_id = ?',
+      [id, memberId]
+    );
+
+    if (result.affectedRows === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'You are not in this ministry'
+      });
+    }
+
+    const after = await getMemberMinistries(connection, memberId);
+    await recordMemberAudit(connection, {
+      memberId,
+      action: 'update',
+      changes: [{ field: 'ministries', oldValue: before.join(', '), newValue: after.join(', ') }]
+    });
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: 'Left ministry',
+      ministries: after
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error leaving ministry:', error);
+    res.status(500).json({
+      error: 'Failed to leave ministry'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Ministries you lead, with their rosters. Portal sessions have no staff role,
+// so columns with a visibility level (see /api/privacy/field-visibility) are left out.
+app.get('/api/portal/ministries/led', requireMember, async (req, res) => {
+  try {
+    const ministries = await getLedMinistries(req.member.id, await hiddenMemberColumns(null));
+
+    res.json({
+      success: true,
+      count: ministries.length,
+      ministries
+    });
+  } catch (error) {
+    console.error('Error fetching led ministries:', error);
+    res.status(500).json({
+      error: 'Failed to fetch ministries'
+    });
+  }
+});
+
+// Your blackout dates (Sundays you can't serve), current and upcoming
+app.get('/api/portal/blackouts', requireMember, async (req, res) => {
+  try {
+    const rows = await getBlackouts(req.member.id);
+
+    res.json({
+      success: true,
+      count: rows.length,
+      blackouts: rows
+    });
+  } catch (error) {
+    console.error('Error fetching blackout dates:', error);
+    res.status(500).json({
+      error: 'Failed to fetch blackout dates'
+    });
+  }
+});
+
+// Mark yourself unavailable from startDate to endDate (one day if endDate is left out).
+// Sundays you were already scheduled for come back in needsSwap for your leader to swap.
+app.post('/api/portal/blackouts', requireMember, async (req, res) => {
+  if (invalidBlackoutResponse(res, req.body)) return;
+
+  try {
+    const { blackoutId, needsSwap } = await addBlackout(req.member.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Blackout dates saved',
+      blackoutId,
+      needsSwap
+    });
+  } catch (error) {
+    console.error('Error saving blackout dates:', error);
+    res.status(500).json({
+      error: 'Failed to save blackout dates'
+    });
+  }
+});
+
+// Remove your blackout dates
+app.delete('/api/portal/blackouts/:id', requireMember, async (req, res) => {
+  try {
+    const [result] = await pool.execute(
+      'DELETE FROM volunteer_blackouts WHERE id = ? AND member_id = ?',
+      [req.params.id, req.member.id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({
+        error: 'Blackout dates not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Blackout dates removed'
+    });
+  } catch (error) {
+    console.error('Error removing blackout dates:', error);
+    res.status(500).json({
+      error: 'Failed to remove blackout dates'
+    });
+  }
+});
+
+// Your attendance record (?from= / ?to= as YYYY-MM-DD)
+app.get('/api/portal/attendance', requireMember, async (req, res) => {
+  const { from, to } = req.query;
+
+  try {
+    const rows = await getMemberAttendance(req.member.id, { from, to });
+
+    res.json({
+      success: true,
+      count: rows.length,
+      summary: await getAttendanceSummary(req.member.id),
+      attendance: rows
+    });
+  } catch (error) {
+    console.error('Error fetching member attendance:', error);
+    res.status(500).json({
+      error: 'Failed to fetch attendance'
+    });
+  }
+});
+
+// Event registrations you made, or that include you, newest event first
+app.get('/api/portal/events', requireMember, async (req, res) => {
+  const { id, email } = req.member;
+
+  try {
+    const [registrations] = await pool.execute(
+      `SELECT r.id, r.event_id, e.title, e.location, e.starts_at, e.ends_at, e.status as event_status,
+        r.status, r.attendee_count, r.amount_due, r.amount_paid, r.created_at
+      FROM event_registrations r
+      JOIN events e ON e.id = r.event_id
+      WHERE r.member_id = ? OR r.contact_email = ?
+        OR EXISTS (SELECT 1 FROM event_attendees a WHERE a.registration_id = r.id AND a.member_id = ?)
+      ORDER BY e.starts_at DESC, r.id DESC`,
+      [id, email || '', id]
+    );
+
+    let attendees = [];
+    if (registrations.length > 0) {
+      [attendees] = await pool.query(
+        `SELECT registration_id, first_name, last_name FROM event_attendees
+        WHERE registration_id IN (?)
+        ORDER BY id`,
+        [registrations.map(r => r.id)]
+      );
+    }
+
+    res.json({
+      success: true,
+      count: registrations.length,
+      registrations: registrations.map(registration => ({
+        ...registration,
+        attendees: attendees.filter(a => a.registration_id === registration.id)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching member events:', error);
+    res.status(500).json({
+      error: 'Failed to fetch events'
+    });
+  }
+});
+
+// Email preferences: the language emails are written in and whether to get serving reminders
+app.put('/api/portal/email-preferences', requireMember, async (req, res) => {
+  const { preferredLanguage: language, servingReminders } = req.body;
+
+  if (language !== undefined && !EMAIL_LANGUAGES.includes(language)) {
+    return res.status(400).json({
+      error: 'Invalid preferredLanguage',
+      allowed: EMAIL_LANGUAGES
+    });
+  }
+
+  if (servingReminders !== undefined && typeof servingReminders !== 'boolean') {
+    return res.status(400).json({
+      error: 'Invalid servingReminders',
+      message: 'servingReminders must be true or false'
+    });
+  }
+
+  const memberId = req.member.id;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const current = await memberRepository.findForUpdate(connection, memberId);
+    const changes = memberChanges(current, req.body, ['preferredLanguage', 'servingReminders'].filter(field => req.body[field] !== undefined));
+
+    await memberRepository.update(connection, memberId, changes);
+    if (changes.length > 0) {
+      await recordMemberAudit(connection, { memberId, action: 'update', changes });
+    }
+
+    await connection.commit();
+
+    const updated = await memberRepository.findById(pool, memberId);
+
+    res.json({
+      success: true,
+      message: changes.length > 0 ? 'Email preferences saved' : 'No changes',
+      preferences: {
+        preferred_language: updated.preferred_language,
+        serving_reminders: updated.serving_reminders
+      }
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error updating email preferences:', error);
+    res.status(500).json({
+      error: 'Failed to update email preferences'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// Photo, directory and email consent ({ consentPhotos, consentDirectory, consentEmails })
+app.put('/api/portal/consent', requireMember, async (req, res) => {
+  const fields = CONSENT_FIELDS.filter(field => req.body[field] !== undefined);
+  const invalid = fields.filter(field => typeof req.body[field] !== 'boolean');
+
+  if (fields.length === 0 || invalid.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid consent',
+      message: `Send ${CONSENT_FIELDS.join(', ')} as true or false`
+    });
+  }
+
+  const memberId = req.member.id;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const current = await memberRepository.findForUpdate(connection, memberId);
+    const changes = memberChanges(current, req.body, fields);
+
+    await memberRepository.update(connection, memberId, changes);
+    if (changes.length > 0) {
+      await recordMemberAudit(connection, { memberId, action: 'update', changes });
+    }
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: changes.length > 0 ? 'Consent saved' : 'No changes',
+      member: await getPortalProfile(memberId)
+    });
+  } catch (error) {
+    await connection.rollback();
+    console.error('Error updating consent:', error);
+    res.status(500).json({
+      error: 'Failed to update consent'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// A copy of everything the church stores about you, as JSON
+app.get('/api/portal/export', requireMember, async (req, res) => {
+  try {
+    sendMemberData(res, req.member.id, await collectMemberData(req.member.id));
+  } catch (error) {
+    console.error('Error exporting member data:', error);
+    res.status(500).json({
+      error: 'Failed to export your data'
+    });
+  }
+});
+
+// Change requests from the portal, oldest first (pending unless ?status= says otherwise, or 'all')
+app.get('/api/change-requests', requireStaff, async (req, res) => {
+  const status = req.query.status || 'pending';
+
+  if (status !== 'all' && !CHANGE_REQUEST_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      allowed: [...CHANGE_REQUEST_STATUSES, 'all']
+    });
+  }
+
+  try {
+    const [rows] = await pool.execute(
+      `SELECT cr.*, m.first_name, m.last_name, m.email as member_email, u.username as reviewed_by_username
+      FROM member_change_requests cr
+      JOIN members m ON m.id = cr.member_id
+      LEFT JOIN admin_users u ON u.id = cr.reviewed_by
+      ${status === 'all' ? '' : 'WHERE cr.status = ?'}
+      ORDER BY cr.created_at, cr.id`,
+      status === 'all' ? [] : [status]
+    );
+    const hidden = await hiddenMemberColumns(req.admin.role);
+    const hiddenEmail = hidden.includes('email') ? ['member_email'] : [];
+
+    res.json({
+      success: true,
+      hiddenFields: hidden,
+      count: rows.length,
+      changeRequests: redactHistory(rows, hidden).map(row => redactMember(row, hiddenEmail))
+    });
+  } catch (error) {
+    console.error('Error fetching change requests:', error);
+    res.status(500).json({
+      error: 'Failed to fetch change requests'
+    });
+  }
+});
+
+// Approve or reject a change request ({ status: 'approved' | 'rejected', note }).
+// Approving writes the new value to the member and the audit log.
+app.patch('/api/change-requests/:id', requireStaff, async (req, res) => {
+  const { status, note } = req.body;
+
+  if (!['approved', 'rejected'].includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      allowed: ['approved', 'rejected']
+    });
+  }
+
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [requests] = await connection.execute(
+      'SELECT * FROM member_change_requests WHERE id = ? FOR UPDATE',
+      [req.params.id]
+    );
+
+    if (requests.length === 0) {
+      await connection.rollback();
+      return res.status(404).json({
+        error: 'Change request not found'
+      });
+    }
+
+    const request = requests[0];
+
+    if (request.status !== 'pending') {
+      await connection.rollback();
+      return res.status(409).json({
+        error: 'Change request already reviewed',
+        status: request.status
+      });
+    }
+
+    if (status === 'approved') {
+      const current = await memberRepository.findForUpdate(connection, request.member_id);
+      const changes = memberChanges(current, { [request.field_name]: request.new_value }, [request.field_name]);
+
+      await memberRepository.update(connection, request.member_id, changes);
+      if (changes.length > 0) {
+        await recordMemberAudit(connection, {
+          memberId: request.member_id,
+          adminUserId: req.admin.id,
+          action: 'update',
+          changes
+        });
+      }
+    }
+
+    await connection.execute(
+      `UPDATE member_change_requests
+      SET status = ?, reviewed_by = ?, reviewed_at = NOW(), review_note = ?
+      WHERE id = ?`,
+      [status, req.admin.id, note || null, request.id]
+    );
+
+    await connection.commit();
+
+    res.json({
+      success: true,
+      message: status === 'approved' ? 'Change approved' : 'Change rejected'
+    });
+  } catch (error) {
+    await connection.rollback();
+
+    if (error.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({
+        error: 'Email already registered',
+        message: 'Another member already uses this email'
+      });
+    }
+
+    console.error('Error reviewing change request:', error);
+    res.status(500).json({
+      error: 'Failed to review change request'
+    });
+  } finally {
+    connection.release();
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Email templates (email_templates, one row per template and language)
+// ---------------------------------------------------------------------------
+
+const EMAIL_LANGUAGES = ['vi', 'en'];
+const DEFAULT_LANGUAGE = EMAIL_LANGUAGES.includes(process.env.DEFAULT_LANGUAGE) ? process.env.DEFAULT_LANGUAGE : 'vi';
+const EMAIL_FROM = process.env.EMAIL_FROM || process.env.EMAIL_USER;
+// Start time of the Sunday service, shown in {{nextService}}
+const SERVICE_TIME = process.env.SERVICE_TIME || '10:00';
+
+// Placeholders a template may use, written as {{name}}. The serving* ones are
+// only filled in serving_reminder emails, the event ones in event_* emails and
+// the link ones in portal_login.
+const EMAIL_PLACEHOLDERS = [
+  'firstName', 'lastName', 'fullName', 'email', 'phone', 'membershipType', 'ministries', 'nextService',
+  'servingRole', 'servingMinistry', 'servingDate',
+  'eventTitle', 'eventDate', 'eventLocation', 'attendeeNames', 'amountDue',
+  'loginLink', 'linkMinutes'
+];
+
+const EMAIL_TEXT = {
+  vi: { locale: 'vi-VN', at: 'lúc', noMinistries: 'Chưa chọn' },
+  en: { locale: 'en-US', at: 'at', noMinistries: 'None selected yet' }
+};
+
+function preferredLanguage(value) {
+  return EMAIL_LANGUAGES.includes(value) ? value : DEFAULT_LANGUAGE;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Fill {{placeholders}}. Values are HTML-escaped for bodies; unknown names are left as written.
+function renderTemplate(text, values, { html = false } = {}) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    if (!(name in values)) return match;
+    const value = values[name] === null || values[name] === undefined ? '' : values[name];
+    return html ? escapeHtml(value) : String(value);
+  });
+}
+
+// The next open service on or after today, or else next Sunday, e.g. "Chủ Nhật, 21/10/2026 lúc 10:00"
+async function getNextServiceTime(language) {
+  const [rows] = await pool.execute(
+    `SELECT service_date FROM services
+    WHERE service_date >= CURDATE() AND status = 'open'
+    ORDER BY service_date
+    LIMIT 1`
+  );
+
+  let date;
+  if (rows.length > 0) {
+    date = new Date(rows[0].service_date);
+  } else {
+    date = new Date();
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + ((7 - date.getDay()) % 7));
+  }
+
+  return formatServiceTime(date, language);
+}
+
+function formatServiceTime(date, language, time = SERVICE_TIME) {
+  const text = EMAIL_TEXT[language];
+  const day = date.toLocaleDateString(text.locale, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' });
+  return `${day} ${text.at} ${time}`;
+}
+
+// Placeholder values for a member, in their language. Vietnamese names are written family name first.
+async function memberEmailValues(member, language) {
+  const ministries = Array.isArray(member.ministry) ? member.ministry.filter(Boolean) : [];
+
+  return {
+    firstName: member.firstName,
+    lastName: member.lastName,
+    fullName: language === 'vi'
+      ? `${member.lastName} ${member.firstName}`
+      : `${member.firstName} ${member.lastName}`,
+    email: member.email,
+    phone: member.phone,
+    membershipType: member.membershipType || 'member',
+    ministries: ministries.length > 0 ? ministries.join(', ') : EMAIL_TEXT[language].noMinistries,
+    nextService: await getNextServiceTime(language)
+  };
+}
+
+// Load a template in the given language, falling back to the default language and then English
+async function loadEmailTemplate(templateKey, language) {
+  const [rows] = await pool.execute(
+    `SELECT template_key, language, subject, body_html
+    FROM email_templates
+    WHERE template_key = ?
+    ORDER BY language = ? DESC, language = ? DESC, language = 'en' DESC
+    LIMIT 1`,
+    [templateKey, language, DEFAULT_LANGUAGE]
+  );
+
+  if (rows.length === 0) {
+    throw new Error(`Email template "${templateKey}" not found`);
+  }
+  return rows[0];
+}
+
+async function renderEmail(templateKey, language, values) {
+  const template = await loadEmailTemplate(templateKey, language);
+  return {
+    language: template.language,
+    subject: renderTemplate(template.subject, values),
+    html: renderTemplate(template.body_html, values, { html: true })
+  };
+}
+
+// List templates
+app.get('/api/email-templates', requireStaff, async (req, res) => {
+  try {
+    const [rows] = await pool.execute(
+      `SELECT t.template_key, t.language, t.subject, t.updated_at, u.username as updated_by
+      FROM email_templates t
+      LEFT JOIN admin_users u ON u.id = t.updated_by
+      ORDER BY t.template_key, t.language`
+    );
+
+    res.json({
+      success: true,
+      count: rows.length,
+      placeholders: EMAIL_PLACEHOLDERS,
+      templates: rows
+    });
+  } catch (error) {
+    console.error('Error fetching email templates:', error);
+    res.status(500).json({
+      error: 'Failed to fetch email templates'
+    });
+  }
+});
+
+// Get one template
+app.get('/api/email-templates/:key/:language', requireStaff, async (req, res) => {
+  const { key, language } = req.params;
+
+  try {
+    const [rows] = await pool.execute(
+      'SELECT * FROM email_templates WHERE template_key = ? AND language = ?',
+      [key, language]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        error: 'Email template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      placeholders: EMAIL_PLACEHOLDERS,
+      template: rows[0]
+    });
+  } catch (error) {
+    console.error('Error fetching email template:', error);
+    res.status(500).json({
+      error: 'Failed to fetch email template'
+    });
+  }
+});
+
+// Create or replace a template
+app.put('/api/email-templates/:key/:language', requireAdmin, async (req, res) => {
+  const { key, language } = req.params;
+  const { subject, bodyHtml } = req.body;
+
+  if (!subject || !bodyHtml) {
+    return res.status(400).json({
+      error: 'Missing required fields',
+      required: ['subject', 'bodyHtml']
+    });
+  }
+
+  if (!EMAIL_LANGUAGES.includes(language)) {
+    return res.status(400).json({
+      error: 'Invalid language',
+      allowed: EMAIL_LANGUAGES
+    });
+  }
+
+  try {
+    await pool.execute(
+      `INSERT INTO email_templates (template_key, language, subject, body_html, updated_by)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE subject = VALUES(subject), body_html = VALUES(body_html),
+        updated_by = VALUES(updated_by)`,
+      [key, language, subject, bodyHtml, req.admin.id]
+    );
+
+    res.json({
+      success: true,
+      message: 'Email template saved'
+    });
+  } catch (error) {
+    console.error('Error saving email template:', error);
+    res.status(500).json({
+      error: 'Failed to save email template'
+    });
+  }
+});
+
+// Render a template for a member (or sample values) without sending it
+app.post('/api/email-templates/:key/:language/preview', requireStaff, async (req, res) => {
+  const { key, language } = req.params;
+  const { memberId } = req.body;
+
+  if (!EMAIL_LANGUAGES.includes(language)) {
+    return res.status(400).json({
+      error: 'Invalid language',
+      allowed: EMAIL_LANGUAGES
+    });
+  }
+
+  try {
+    let member = {
+      firstName: 'An',
+      lastName: 'Nguyễn',
+      email: 'an.nguyen@example.com',
+      phone: '(555) 123-4567',
+      membershipType: 'visitor',
+      ministry: ['Worship Team']
+    };
+
+    if (memberId) {
+      const row = await memberRepository.findById(pool, memberId);
+
+      if (!row) {
+        return res.status(404).json({
+          error: 'Member not found'
+        });
+      }
+
+      member = {
+        firstName: row.first_name,
+        lastName: row.last_name,
+        email: row.email,
+        phone: row.phone,
+        membershipType: row.membership_type,
+        ministry: await getMemberMinistries(pool, memberId)
+      };
+    }
+
+    const email = await renderEmail(key, language, await memberEmailValues(member, language));
+
+    res.json({
+      success: true,
+      email
+    });
+  } catch (error) {
+    if (error.message.startsWith('Email template')) {
+      return res.status(404).json({
+        error: 'Email template not found'
+      });
+    }
+
+    console.error('Error previewing email template:', error);
+    res.status(500).json({
+      error: 'Failed to preview email template'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Email outbox: messages are queued in email_outbox and sent by a background
+// worker, so a mail server outage delays emails instead of losing them
+// ---------------------------------------------------------------------------
+
+const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+// Minutes to wait before each retry; a message fails for good after the last one
+const EMAIL_RETRY_MINUTES = [1, 5, 15, 60, 240];
+const EMAIL_WORKER_INTERVAL_SECONDS = Number(process.env.EMAIL_WORKER_INTERVAL_SECONDS) || 30;
+const EMAIL_WORKER_BATCH = 20;
+// A message left in 'sending' this long (the server stopped mid-send) is picked up again
+const EMAIL_SENDING_TIMEOUT_MINUTES = 10;
+
+// Queue a templated email. Pass the signup transaction so the email is only
+// queued if the signup commits.
+async function queueEmail(connection, { templateKey, language, to, values, memberId = null }) {
+  const [result] = await connection.execute(
+    `INSERT INTO email_outbox (template_key, language, to_address, template_values, member_id, max_attempts)
+    VALUES (?, ?, ?, ?, ?, ?)`,
+    [templateKey, language, to, JSON.stringify(values), memberId, EMAIL_RETRY_MINUTES.length + 1]
+  );
+  return result.insertId;
+}
+
+// Queue the welcome email for a new member, in their preferred language
+async function queueConfirmationEmail(connection, member) {
+  const language = preferredLanguage(member.preferredLanguage);
+  return queueEmail(connection, {
+    templateKey: 'welcome',
+    language,
+    to: member.email,
+    values: await memberEmailValues(member, language),
+    memberId: member.id
+  });
+}
+
+// Queue a notification to church staff about a new signup
+// Goes to STAFF_EMAIL, or EMAIL_FROM; skipped (returns null) when neither is set
+async function queueStaffNotification(connection, member) {
+  const to = process.env.STAFF_EMAIL || EMAIL_FROM;
+  if (!to) {
+    console.log('⚠️  No STAFF_EMAIL or EMAIL_FROM set; skipped the staff signup notification');
+    return null;
+  }
+
+  const language = preferredLanguage(process.env.STAFF_LANGUAGE);
+  return queueEmail(connection, {
+    templateKey: 'staff_signup',
+    language,
+    to,
+    values: await memberEmailValues(member, language),
+    memberId: member.id
+  });
+}
+
+function parseTemplateValues(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// Send one claimed outbox message, recording the result
+async function sendOutboxEmail(message) {
+  try {
+    const { subject, html } = await renderEmail(
+      message.template_key, message.language, parseTemplateValues(message.template_values)
+    );
+    const info = await deliverMail({
+      from: EMAIL_FROM,
+      to: message.to_address,
+      subject,
+      html
+    });
+
+    await pool.execute(
+      `UPDATE email_outbox
+      SET status = 'sent', subject = ?, message_id = ?, last_error = NULL, sent_at = NOW()
+      WHERE id = ?`,
+      [subject, info.messageId || null, message.id]
+    );
+    return true;
+  } catch (error) {
+    const finalAttempt = message.attempts >= message.max_attempts;
+    const retryMinutes = EMAIL_RETRY_MINUTES[Math.min(message.attempts, EMAIL_RETRY_MINUTES.length) - 1];
+
+    await pool.execute(
+      `UPDATE email_outbox
+      SET status = ?, last_error = ?, next_attempt_at = ?
+      WHERE id = ?`,
+      [
+        finalAttempt ? 'failed' : 'pending',
+        error.message.slice(0, 1000),
+        new Date(Date.now() + (finalAttempt ? 0 : retryMinutes) * 60000),
+        message.id
+      ]
+    );
+    console.error(`Email ${message.id} to ${message.to_address} failed (attempt ${message.attempts}):`, error.message);
+    return false;
+  }
+}
+
+// Send due messages. Each message is claimed with a conditional UPDATE so two
+// workers never send the same one.
+async function processEmailOutbox({ limit = EMAIL_WORKER_BATCH } = {}) {
+  await pool.execute(
+    `UPDATE email_outbox SET status = 'pending'
+    WHERE status = 'sending' AND updated_at < ?`,
+    [new Date(Date.now() - EMAIL_SENDING_TIMEOUT_MINUTES * 60000)]
+  );
+
+  const [due] = await pool.query(
+    `SELECT id FROM email_outbox
+    WHERE status = 'pending' AND next_attempt_at <= NOW()
+    ORDER BY next_attempt_at, id
+    LIMIT ?`,
+    [Number(limit)]
+  );
+
+  const result = { sent: 0, failed: 0 };
+
+  for (const { id } of due) {
+    const [claim] = await pool.execute(
+      `UPDATE email_outbox SET status = 'sending', attempts = attempts + 1
+      WHERE id = ? AND status = 'pending'`,
+      [id]
+    );
+    if (claim.affectedRows === 0) continue;
+
+    const [rows] = await pool.execute('SELECT * FROM email_outbox WHERE id = ?', [id]);
+    if (await sendOutboxEmail(rows[0])) {
+      result.sent++;
+    } else {
+      result.failed++;
+    }
+  }
+
+  return result;
+}
+
+// Run the outbox worker on a timer while the server is up. Each run also
+// queues any serving reminders that have come due.
+function startEmailWorker() {
+  let running = false;
+
+  const timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await queueServingReminders();
+      await processEmailOutbox();
+    } catch (error) {
+      console.error('Email worker error:', error);
+    } finally {
+      running = false;
+    }
+  }, EMAIL_WORKER_INTERVAL_SECONDS * 1000);
+
+  timer.unref();
+  return timer;
+}
+
+// List outbox messages, newest first (e.g. ?status=failed)
+app.get('/api/email-outbox', requireAdmin, async (req, res) => {
+  const { status, memberId } = req.query;
+  const limit = Math.min(Number.parseInt(req.query.limit, 10) || 50, 500);
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    if (!OUTBOX_STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid status',
+        allowed: OUTBOX_STATUSES
+      });
+    }
+    conditions.push('status = ?');
+    params.push(status);
+  }
+
+  if (memberId) {
+    conditions.push('member_id = ?');
+    params.push(memberId);
+  }
+
+  try {
+    const [rows] = await pool.query(
+      `SELECT id, template_key, language, to_address, subject, member_id, status, attempts,
+        max_attempts, next_attempt_at, last_error, sent_at, created_at
+      FROM email_outbox
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?`,
+      [...params, limit]
+    );
+
+    const [counts] = await pool.execute(
+      'SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status'
+    );
+
+    res.json({
+      success: true,
+      count: rows.length,
+      totals: Object.fromEntries(counts.map(row => [row.status, row.count])),
+      messages: rows
+    });
+  } catch (error) {
+    console.error('Error fetching email outbox:', error);
+    res.status(500).json({
+      error: 'Failed to fetch email outbox'
+    });
+  }
+});
+
+// Inspect one message, rendered with the current template
+app.get('/api/email-outbox/:id', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [rows] = await pool.execute('SELECT * FROM email_outbox WHERE id = ?', [id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        error: 'Email not found'
+      });
+    }
+
+    const message = rows[0];
+    let rendered = null;
+    try {
+      rendered = await renderEmail(message.template_key, message.language, parseTemplateValues(message.template_values));
+    } catch (renderError) {
+      rendered = { error: renderError.message };
+    }
+
+    res.json({
+      success: true,
+      message: {
+        ...message,
+        template_values: parseTemplateValues(message.template_values),
+        rendered
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching email:', error);
+    res.status(500).json({
+      error: 'Failed to fetch email'
+    });
+  }
+});
+
+// Resend a message. Failed or pending messages are retried from scratch;
+// a sent message is queued again as a new copy.
+app.post('/api/email-outbox/:id/resend', requireAdmin, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const [rows] = await pool.execute('SELECT * FROM email_outbox WHERE id = ?', [id]);
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        error: 'Email not found'
+      });
+    }
+
+    const message = rows[0];
+
+    if (message.status === 'sending') {
+      return res.status(409).json({
+        error: 'Email is being sent'
+      });
+    }
+
+    let messageId = message.id;
+    if (message.status === 'sent') {
+      messageId = await queueEmail(pool, {
+        templateKey: message.template_key,
+        language: message.language,
+        to: message.to_address,
+        values: parseTemplateValues(message.template_values),
+        memberId: message.member_id
+      });
+    } else {
+      await pool.execute(
+        `UPDATE email_outbox
+        SET status = 'pending', attempts = 0, next_attempt_at = NOW(), last_error = NULL
+        WHERE id = ?`,
+        [message.id]
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Email queued',
+      emailId: messageId
+    });
+  } catch (error) {
+    console.error('Error resending email:', error);
+    res.status(500).json({
+      error: 'Failed to resend email'
+    });
+  }
+});
+
+// ---------------------------------------------------------------------------
+// Schema migrations: migrations/NNN_name.up.sql (and an optional .down.sql),
+// applied in order and recorded in schema_migrations. Dev seed data lives in seeds/.
+// SQLite has its own copies in migrations/sqlite/ and seeds/sqlite/.
+// ---------------------------------------------------------------------------
+
+const SQL_DIALECT_DIR = DB_CLIENT === 'sqlite' ? 'sqlite' : '';
+const MIGRATIONS_DIR = process.env.MIGRATIONS_DIR || path.join(__dirname, 'migrations', SQL_DIALECT_DIR);
+const SEEDS_DIR = process.env.SEEDS_DIR || path.join(__dirname, 'seeds', SQL_DIALECT_DIR);
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Migration files hold several statements, so on MySQL they run on their own
+// connection; the SQLite storage runs them as they are
+function openMigrationConnection() {
+  if (DB_CLIENT === 'sqlite') {
+    return pool.getConnection();
+  }
+  return mysql.createConnection({ ...DB_CONFIG, multipleStatements: true });
+}
+
+function checksum(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+// Migrations on disk, oldest first: [{ version, name, up, down }]
+function loadMigrations() {
+  const migrations = new Map();
+
+  for (const file of fs.readdirSync(MIGRATIONS_DIR).sort()) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    if (!migrations.has(version)) migrations.set(version, { version, name });
+    const migration = migrations.get(version);
+
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has files with different names: ${migration.name}, ${name}`);
+    }
+    migration[direction] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+  }
+
+  const list = [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+  const missingUp = list.filter(m => !m.up);
+  if (missingUp.length > 0) {
+    throw new Error(`Missing .up.sql for migration(s): ${missingUp.map(m => m.version).join(', ')}`);
+  }
+  return list;
+}
+
+async function ensureMigrationsTable(connection) {
+  await connection.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+  );
+}
+
+// Every migration with its state: applied, pending, or changed since it was applied
+async function migrationStatus(connection) {
+  await ensureMigrationsTable(connection);
+  const [rows] = await connection.query('SELECT version, checksum, applied_at FROM schema_migrations');
+  const applied = new Map(rows.map(row => [row.version, row]));
+
+  const status = loadMigrations().map(migration => {
+    const row = applied.get(migration.version);
+    applied.delete(migration.version);
+    return {
+      ...migration,
+      appliedAt: row ? row.applied_at : null,
+      state: !row ? 'pending' : row.checksum === checksum(migration.up) ? 'applied' : 'changed'
+    };
+  });
+
+  // Applied versions whose files are gone (e.g. an older checkout) are listed too
+  for (const row of applied.values()) {
+    status.push({ version: row.version, name: '(file missing)', appliedAt: row.applied_at, state: 'missing' });
+  }
+
+  return status.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+async function pendingMigrations() {
+  const connection = await openMigrationConnection();
+  try {
+    return (await migrationStatus(connection)).filter(m => m.state === 'pending');
+  } finally {
+    await connection.end();
+  }
+}
+
+// A database built by hand from the old Database Schema.sql (or the one
+// quick-start-script.sh used to write) already has members, member_ministries
+// and admin_users, which 001's CREATE TABLE IF NOT EXISTS would leave as they
+// are. Before 001 runs, they get the columns 001 gives them.
+const LEGACY_MEMBER_COLUMNS = [
+  ['title', 'VARCHAR(20) AFTER id'],
+  ['preferred_name', 'VARCHAR(100) AFTER last_name'],
+  ['preferred_language', "ENUM('vi', 'en') DEFAULT 'vi'"],
+  ['household_id', 'INT, ADD INDEX idx_household_id (household_id)'],
+  ['household_role', "ENUM('head', 'spouse', 'child', 'other')"],
+  ['status', "ENUM('active', 'inactive') DEFAULT 'active', ADD INDEX idx_status (status)"],
+  ['deactivated_at', 'TIMESTAMP NULL'],
+  ['search_name', `VARCHAR(400) GENERATED ALWAYS AS (
+    REPLACE(REPLACE(CONCAT_WS(' ', title, last_name, first_name, preferred_name), 'đ', 'd'), 'Đ', 'd')
+  ) STORED, ADD INDEX idx_search_name (search_name)`]
+];
+
+// Ministry names become rows of the ministries catalog (the same table as in 001)
+const LEGACY_MINISTRY_UPGRADE = `
+  CREATE TABLE IF NOT EXISTS ministries (
+    id INT PRIMARY KEY AUTO_INCREMENT,
+    name VARCHAR(100) NOT NULL UNIQUE,
+    description TEXT,
+    capacity INT,
+    active BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+  INSERT IGNORE INTO ministries (name)
+  SELECT DISTINCT TRIM(ministry_name) FROM member_ministries WHERE TRIM(ministry_name) <> '';
+
+  ALTER TABLE member_ministries ADD COLUMN ministry_id INT AFTER member_id;
+  UPDATE member_ministries mm JOIN ministries mi ON mi.name = TRIM(mm.ministry_name) SET mm.ministry_id = mi.id;
+
+  -- Blank names, and the same ministry picked twice, aren't kept
+  DELETE FROM member_ministries WHERE ministry_id IS NULL;
+  DELETE mm FROM member_ministries mm
+  JOIN member_ministries earlier
+    ON earlier.member_id = mm.member_id AND earlier.ministry_id = mm.ministry_id AND earlier.id < mm.id;
+
+  ALTER TABLE member_ministries
+    DROP COLUMN ministry_name,
+    MODIFY ministry_id INT NOT NULL,
+    ADD FOREIGN KEY (ministry_id) REFERENCES ministries(id) ON DELETE CASCADE,
+    ADD UNIQUE KEY uniq_member_ministry (member_id, ministry_id);
+`;
+
+async function tableColumns(connection, table) {
+  const [rows] = await connection.query(
+    `SELECT COLUMN_NAME AS name FROM information_schema.COLUMNS
+    WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+    [table]
+  );
+  return new Set(rows.map(row => row.name));
+}
+
+// Returns the tables it changed; none on a new database
+async function upgradeLegacySchema(connection) {
+  const members = await tableColumns(connection, 'members');
+  if (members.size === 0) return [];
+
+  // The old schema required an email, phone and birth date for everyone
+  await connection.query('ALTER TABLE members MODIFY email VARCHAR(255), MODIFY phone VARCHAR(20), MODIFY birth_date DATE');
+  for (const [column, definition] of LEGACY_MEMBER_COLUMNS) {
+    if (!members.has(column)) {
+      await connection.query(`ALTER TABLE members ADD COLUMN ${column} ${definition}`);
+    }
+  }
+  const upgraded = ['members'];
+
+  const memberMinistries = await tableColumns(connection, 'member_ministries');
+  if (memberMinistries.has('ministry_name')) {
+    await connection.query(LEGACY_MINISTRY_UPGRADE);
+  }
+  if (memberMinistries.size > 0 && !memberMinistries.has('role')) {
+    await connection.query(
+      `ALTER TABLE member_ministries ADD COLUMN role ENUM('member', 'leader') DEFAULT 'member' AFTER ministry_id,
+      ADD INDEX idx_ministry_role (ministry_id, role)`
+    );
+  }
+  if (memberMinistries.size > 0) upgraded.push('member_ministries');
+
+  const adminUsers = await tableColumns(connection, 'admin_users');
+  if (adminUsers.size > 0 && !adminUsers.has('member_id')) {
+    await connection.query(
+      `ALTER TABLE admin_users ADD COLUMN member_id INT AFTER role,
+      ADD FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL`
+    );
+    upgraded.push('admin_users');
+  }
+
+  return upgraded;
+}
+
+// Apply pending migrations up to and including `to` (all when left out).
+// MySQL commits each DDL statement as it runs, so a failed migration may be half
+// applied; it is not recorded, and the error says which one to fix.
+async function migrateUp({ to = null } = {}) {
+  const connection = await openMigrationConnection();
+  const applied = [];
+
+  try {
+    const pending = (await migrationStatus(connection))
+      .filter(m => m.state === 'pending' && (to === null || Number(m.version) <= Number(to)));
+
+    // SQLite databases were always created by the migrations
+    if (DB_CLIENT !== 'sqlite' && pending.some(m => Number(m.version) === 1)) {
+      const upgraded = await upgradeLegacySchema(connection);
+      if (upgraded.length > 0) {
+        console.log(`✅ Upgraded ${upgraded.join(', ')} from the old schema`);
+      }
+    }
+
+    for (const migration of pending) {
+      try {
+        await connection.query(migration.up);
+      } catch (error) {
+        throw new Error(`Migration ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+      await connection.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES (?, ?, ?)',
+        [migration.version, migration.name, checksum(migration.up)]
+      );
+      applied.push(migration);
+    }
+
+    return applied;
+  } finally {
+    await connection.end();
+  }
+}
+
+// Roll back the last `steps` applied migrations, newest first
+async function migrateDown({ steps = 1 } = {}) {
+  const connection = await openMigrationConnection();
+  const reverted = [];
+
+  try {
+    const applied = (await migrationStatus(connection))
+      .filter(m => m.state !== 'pending')
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of applied) {
+      if (!migration.down) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no .down.sql and can't be rolled back`);
+      }
+      try {
+        await connection.query(migration.down);
+      } catch (error) {
+        throw new Error(`Rolling back ${migration.version}_${migration.name} failed: ${error.message}`);
+      }
+      await connection.query('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      reverted.push(migration);
+    }
+
+    return reverted;
+  } finally {
+    await connection.end();
+  }
+}
+
+// Load seeds/<name>.sql (sample data for development)
+async function runSeed(name) {
+  const file = path.join(SEEDS_DIR, `${path.basename(name, '.sql')}.sql`);
+  if (!fs.existsSync(file)) {
+    throw new Error(`Seed file not found: ${file}`);
+  }
+
+  const connection = await openMigrationConnection();
+  try {
+    await connection.query(fs.readFileSync(file, 'utf8'));
+  } finally {
+    await connection.end();
+  }
+  return file;
+}
+
+// ---------------------------------------------------------------------------
+// Command line tasks: node server.js <command> [options]
+// ---------------------------------------------------------------------------
+
+function parseCommandArgs(args) {
+  const options = { files: [] };
+  for (const arg of args) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    if (match) {
+      options[match[1]] = match[2] === undefined ? true : match[2];
+    } else {
+      options.files.push(arg);
+    }
+  }
+  return options;
+}
+
+// node server.js send-emails [--limit=N]
+// Queues due serving reminders first, as the server's email worker does.
+async function sendEmailsCommand(args) {
+  const options = parseCommandArgs(args);
+  const reminders = await queueServingReminders();
+  if (reminders.queued > 0) console.log(`Queued ${reminders.queued} serving reminder(s)`);
+  const result = await processEmailOutbox({ limit: Number(options.limit) || EMAIL_WORKER_BATCH });
+  console.log(`Sent ${result.sent} email(s), ${result.failed} failed`);
+}
+
+// node server.js import-attendance <file...> [--dry-run] [--roll=CM] [--year=2024]
+async function importAttendanceCommand(args) {
+  const options = parseCommandArgs(args);
+
+  if (options.files.length === 0) {
+    throw new Error('Usage: node server.js import-attendance <file...> [--dry-run] [--roll=NAME] [--year=YYYY]');
+  }
+
+  for (const file of options.files) {
+    const sheets = readRollBook(fs.readFileSync(file), path.basename(file), {
+      roll: options.roll,
+      year: options.year && Number(options.year)
+    });
+    const report = await importAttendance(sheets, {
+      dryRun: Boolean(options['dry-run']),
+      source: path.basename(file)
+    });
+
+    console.log(`\n📄 ${file}${report.dryRun ? ' (dry run)' : ''}`);
+    report.sheets
+      .filter(sheet => sheet.entries > 0)
+      .forEach(sheet => console.log(`   ${sheet.roll} ${sheet.year}: ${sheet.entries} roster entries`));
+    console.log(`   Matched members: ${report.matched}`);
+    console.log(`   ${report.dryRun ? 'Would create' : 'Created'}: ${report.unmatched.length}`);
+    console.log(`   Attendance rows: ${report.attendanceRows}`);
+    if (!report.dryRun) console.log(`   Group roster entries: ${report.groupAssignments}`);
+    if (!report.dryRun) console.log(`   Households created: ${report.households}`);
+
+    if (report.unmatched.length > 0) {
+      console.log('\n   Unmatched names:');
+      report.unmatched.forEach(u => console.log(`     - ${u.name} (${u.roll}, row ${u.row})`));
+    }
+    if (report.ambiguous.length > 0) {
+      console.log('\n   Ambiguous names (skipped):');
+      report.ambiguous.forEach(a => console.log(`     - ${a.name} (${a.roll}, row ${a.row}) -> members ${a.candidates.join(', ')}`));
+    }
+    if (report.unknownCodes.length > 0) {
+      console.log('\n   Unknown cell codes (skipped):');
+      report.unknownCodes.forEach(u => console.log(`     - ${u.name} ${u.date}: "${u.code}"`));
+    }
+  }
+}
+
+// node server.js run-promotions [--date=YYYY-MM-DD] [--dry-run]
+async function runPromotionsCommand(args) {
+  const options = parseCommandArgs(args);
+  const promotions = await runGroupPromotions({
+    date: options.date || formatDate(new Date()),
+    dryRun: Boolean(options['dry-run'])
+  });
+
+  console.log(`${options['dry-run'] ? 'Would promote' : 'Promoted'} ${promotions.length} member(s)`);
+  promotions.forEach(p => console.log(`   - ${p.last_name} ${p.first_name} (age ${p.age})`));
+}
+
+// node server.js create-admin --username=NAME --email=EMAIL [--password=PASS] [--role=admin|staff] [--member-id=ID]
+// Without --password a random one is generated and printed once. --member-id links
+// the account to the person's member record so ministry leaders see their rosters.
+async function createAdminCommand(args) {
+  const options = parseCommandArgs(args);
+  const role = options.role || 'admin';
+
+  if (!options.username || !options.email) {
+    throw new Error('Usage: node server.js create-admin --username=NAME --email=EMAIL [--password=PASS] [--role=admin|staff] [--member-id=ID]');
+  }
+  if (!ADMIN_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ADMIN_ROLES.join(', ')}`);
+  }
+
+  const password = options.password || crypto.randomBytes(12).toString('base64url');
+  if (password.length < 8) {
+    throw new Error('Password must be at least 8 characters long');
+  }
+
+  try {
+    await createAdminUser({
+      username: options.username, email: options.email, password, role,
+      memberId: options['member-id'] || null
+    });
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new Error(`Username "${options.username}" already exists`);
+    }
+    if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+      throw new Error(`Member ${options['member-id']} not found`);
+    }
+    throw error;
+  }
+
+  console.log(`✅ Created ${role} account "${options.username}"`);
+  if (!options.password) {
+    console.log(`   Password: ${password}`);
+    console.log('   Store it somewhere safe - it will not be shown again.');
+  }
+}
+
+// node server.js migrate [--to=VERSION]
+async function migrateCommand(args) {
+  const options = parseCommandArgs(args);
+  const applied = await migrateUp({ to: options.to || null });
+
+  if (applied.length === 0) {
+    console.log('✅ Database is up to date');
+  }
+  applied.forEach(m => console.log(`✅ Applied ${m.version}_${m.name}`));
+}
+
+// node server.js migrate-down [--steps=N]
+async function migrateDownCommand(args) {
+  const options = parseCommandArgs(args);
+  const reverted = await migrateDown({ steps: Number(options.steps) || 1 });
+
+  if (reverted.length === 0) {
+    console.log('Nothing to roll back');
+  }
+  reverted.forEach(m => console.log(`↩️  Rolled back ${m.version}_${m.name}`));
+}
+
+// node server.js migrate-status
+async function migrateStatusCommand() {
+  const connection = await openMigrationConnection();
+  try {
+    const status = await migrationStatus(connection);
+    status.forEach(m => {
+      const applied = m.appliedAt ? ` (${formatDate(new Date(m.appliedAt))})` : '';
+      console.log(`${m.state.padEnd(8)} ${m.version}_${m.name}${applied}`);
+    });
+    if (status.some(m => m.state === 'changed')) {
+      console.log('\n⚠️  "changed" migrations were edited after they ran; add a new migration instead.');
+    }
+  } finally {
+    await connection.end();
+  }
+}
+
+// node server.js seed [name] [--force]
+// Loads seeds/<name>.sql (default: dev). Refused when NODE_ENV=production unless --force.
+async function seedCommand(args) {
+  const options = parseCommandArgs(args);
+
+  if (process.env.NODE_ENV === 'production' && !options.force) {
+    throw new Error('Refusing to load seed data with NODE_ENV=production (use --force if you really mean it)');
+  }
+
+  const file = await runSeed(options.files[0] || 'dev');
+  console.log(`✅ Loaded ${path.basename(file)}`);
+}
+
+const commands = {
+  'create-admin': createAdminCommand,
+  'import-attendance': importAttendanceCommand,
+  'migrate': migrateCommand,
+  'migrate-down': migrateDownCommand,
+  'migrate-status': migrateStatusCommand,
+  'run-promotions': runPromotionsCommand,
+  'seed': seedCommand,
+  'send-emails': sendEmailsCommand
+};
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+
+  if (command) {
+    if (!commands[command]) {
+      console.error(`Unknown command: ${command}`);
+      console.error(`Available commands: ${Object.keys(commands).join(', ')}`);
+      process.exit(1);
+    }
+
+    commands[command](args)
+      .then(() => pool.end())
+      .catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+        return pool.end();
+      });
+  } else {
+    // Start server, unless the database is missing migrations
+    pendingMigrations()
+      .then(pending => {
+        if (pending.length > 0) {
+          console.error(`❌ ${pending.length} pending migration(s): ${pending.map(m => `${m.version}_${m.name}`).join(', ')}`);
+          console.error('   Run "node server.js migrate" first.');
+          process.exitCode = 1;
+          return pool.end();
+        }
+
+        app.listen(PORT, () => {
+          console.log(`🚀 Server running on http://localhost:${PORT}`);
+          console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
+        });
+        startEmailWorker();
+        startPromotionScheduler();
+      })
+      .catch(error => {
+        console.error(`❌ Could not check migrations: ${error.message}`);
+        process.exitCode = 1;
+        return pool.end();
+      });
+  }
+}
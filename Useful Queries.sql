@@ -0,0 +1,68 @@
+-- Useful queries for managing the church database
+-- Run them in the MySQL command line or MySQL Workbench against church_db.
+
+-- View all members with their ministries
+SELECT * FROM member_overview;
+
+-- Count members by membership type (charted by /api/stats/membership)
+SELECT membership_type, COUNT(*) as count
+FROM members
+GROUP BY membership_type;
+
+-- Count members by how they heard about the church (charted by /api/stats/signups)
+SELECT how_did_you_hear, COUNT(*) as count
+FROM members
+WHERE how_did_you_hear IS NOT NULL
+GROUP BY how_did_you_hear
+ORDER BY count DESC;
+
+-- Find members interested in specific ministry
+SELECT m.first_name, m.last_name, m.email, m.phone, mm.role
+FROM members m
+JOIN member_ministries mm ON m.id = mm.member_id
+JOIN ministries mi ON mi.id = mm.ministry_id
+WHERE mi.name = 'Worship Team';
+
+-- Get recent signups (last 30 days)
+SELECT first_name, last_name, email, membership_type, created_at
+FROM members
+WHERE created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
+ORDER BY created_at DESC;
+
+-- Open follow-ups per staff member (the API serves this at /api/follow-ups/by-assignee)
+SELECT u.username, t.type, COUNT(*) as open_tasks
+FROM follow_up_tasks t
+LEFT JOIN admin_users u ON u.id = t.assigned_to
+WHERE t.status != 'closed'
+GROUP BY u.username, t.type;
+
+-- Members who need baptism follow-up
+SELECT first_name, last_name, email, phone, baptized
+FROM members
+WHERE baptized IN ('no', 'interested')
+ORDER BY created_at DESC;
+
+-- Members who want to learn about salvation
+SELECT first_name, last_name, email, phone, salvation
+FROM members
+WHERE salvation IN ('no', 'unsure')
+ORDER BY created_at DESC;
+
+-- Prayer requests (non-empty)
+SELECT first_name, last_name, email, phone, prayer_request, created_at
+FROM members
+WHERE prayer_request IS NOT NULL AND prayer_request != ''
+ORDER BY created_at DESC;
+
+-- Attendance for a given Sunday by roll
+SELECT s.roll, a.status, COUNT(*) as count
+FROM attendance a
+JOIN services s ON s.id = a.service_id
+WHERE s.service_date = '2024-01-07'
+GROUP BY s.roll, a.status;
+
+-- Backup command (run from terminal)
+-- mysqldump -u root -p church_db > church_db_backup_$(date +%Y%m%d).sql
+
+-- Restore from backup (run from terminal)
+-- mysql -u root -p church_db < church_db_backup_YYYYMMDD.sql
\ No newline at end of file
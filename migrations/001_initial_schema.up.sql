@@ -0,0 +1,572 @@
+-- Church Signup Database Schema: initial version
+-- Applied by `node server.js migrate`. Creates every table, the member_overview
+-- view and the reference data (ministries, groups, attendance codes, email templates).
+-- The IF NOT EXISTS / INSERT IGNORE statements leave a database built by hand
+-- from the old schema file untouched.
+
+-- Members table - stores all member information
+CREATE TABLE IF NOT EXISTS members (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  title VARCHAR(20),
+  first_name VARCHAR(100) NOT NULL,
+  last_name VARCHAR(100) NOT NULL,
+  preferred_name VARCHAR(100),
+  email VARCHAR(255) UNIQUE,
+  phone VARCHAR(20),
+  address VARCHAR(255),
+  city VARCHAR(100),
+  state VARCHAR(50),
+  zip_code VARCHAR(10),
+  birth_date DATE,
+  membership_type ENUM('visitor', 'member', 'volunteer') DEFAULT 'member',
+  attendance_preference VARCHAR(50),
+  baptized VARCHAR(20),
+  salvation VARCHAR(20),
+  emergency_contact_name VARCHAR(100),
+  emergency_contact_phone VARCHAR(20),
+  prayer_request TEXT,
+  how_did_you_hear VARCHAR(100),
+  preferred_language ENUM('vi', 'en') DEFAULT 'vi',
+  household_id INT,
+  household_role ENUM('head', 'spouse', 'child', 'other'),
+  status ENUM('active', 'inactive') DEFAULT 'active',
+  deactivated_at TIMESTAMP NULL,
+  -- Name search key: the collation ignores accents and case, but treats "Đ" as its own letter
+  search_name VARCHAR(400) GENERATED ALWAYS AS (
+    REPLACE(REPLACE(CONCAT_WS(' ', title, last_name, first_name, preferred_name), 'đ', 'd'), 'Đ', 'd')
+  ) STORED,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_email (email),
+  INDEX idx_household_id (household_id),
+  INDEX idx_status (status),
+  INDEX idx_search_name (search_name),
+  INDEX idx_created_at (created_at),
+  INDEX idx_membership_type (membership_type)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Households table - families share an address and phone
+-- Spouses and children link through members.household_id and may have no email of their own
+CREATE TABLE IF NOT EXISTS households (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(200) NOT NULL,
+  head_member_id INT,
+  address VARCHAR(255),
+  city VARCHAR(100),
+  state VARCHAR(50),
+  zip_code VARCHAR(10),
+  phone VARCHAR(20),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (head_member_id) REFERENCES members(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Ministries catalog - signup and staff edits only accept ministries listed here.
+-- capacity NULL means no limit; inactive ministries are hidden from the signup form.
+CREATE TABLE IF NOT EXISTS ministries (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(100) NOT NULL UNIQUE,
+  description TEXT,
+  capacity INT,
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO ministries (name, description) VALUES
+('Worship Team', 'Music and singing for Sunday services'),
+('Youth Ministry', 'Helping with the YEM youth group'),
+('Children''s Ministry', 'Teaching and caring for the CM children'),
+('Prayer Team', 'Praying for the requests the church receives'),
+('Hospitality', 'Welcoming guests and serving fellowship meals'),
+('Outreach', 'Serving the neighborhood and community events'),
+('Media & Tech', 'Sound, slides and livestream'),
+('Bible Study', 'Leading or hosting small group Bible study');
+
+-- Ministry membership - who serves in each ministry, and who leads it
+CREATE TABLE IF NOT EXISTS member_ministries (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  member_id INT NOT NULL,
+  ministry_id INT NOT NULL,
+  role ENUM('member', 'leader') DEFAULT 'member',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (ministry_id) REFERENCES ministries(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_member_ministry (member_id, ministry_id),
+  INDEX idx_ministry_role (ministry_id, role)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Serving roles - the positions a ministry fills every Sunday (e.g. Piano, Nursery)
+CREATE TABLE IF NOT EXISTS serving_roles (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  ministry_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  people_needed INT NOT NULL DEFAULT 1,
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (ministry_id) REFERENCES ministries(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_ministry_role (ministry_id, name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Blackout dates - days a volunteer can't serve, start_date to end_date inclusive
+CREATE TABLE IF NOT EXISTS volunteer_blackouts (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  member_id INT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  INDEX idx_member_dates (member_id, start_date, end_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Serving schedule - who serves in which role each Sunday.
+-- reminder_queued_at is set once the reminder email is in email_outbox.
+CREATE TABLE IF NOT EXISTS serving_assignments (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  service_date DATE NOT NULL,
+  serving_role_id INT NOT NULL,
+  member_id INT NOT NULL,
+  reminder_queued_at TIMESTAMP NULL,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (serving_role_id) REFERENCES serving_roles(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_date_role_member (service_date, serving_role_id, member_id),
+  INDEX idx_member_date (member_id, service_date),
+  INDEX idx_reminder (reminder_queued_at, service_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Groups table - the Adult, Children's Ministry (CM) and Youth (YEM) rolls
+-- code matches services.roll and the roll name used by the attendance importer
+CREATE TABLE IF NOT EXISTS church_groups (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  code VARCHAR(20) NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  roster_order ENUM('order', 'name') DEFAULT 'order',
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO church_groups (code, name) VALUES
+('Adult', 'Adult'),
+('CM', 'Children''s Ministry'),
+('YEM', 'Youth (YEM)');
+
+-- Group assignments - a member is on the roster while start_date <= date < end_date
+-- roster_order is the "Order #" column of the roll sheets
+CREATE TABLE IF NOT EXISTS group_members (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  group_id INT NOT NULL,
+  member_id INT NOT NULL,
+  roster_order INT,
+  start_date DATE NOT NULL,
+  end_date DATE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (group_id) REFERENCES church_groups(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  INDEX idx_group_dates (group_id, start_date, end_date),
+  INDEX idx_member_id (member_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Promotion rules - move members to the next group once they reach min_age
+CREATE TABLE IF NOT EXISTS group_promotion_rules (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  from_group_id INT NOT NULL,
+  to_group_id INT NOT NULL,
+  min_age INT NOT NULL,
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (from_group_id) REFERENCES church_groups(id) ON DELETE CASCADE,
+  FOREIGN KEY (to_group_id) REFERENCES church_groups(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Default rules: CM -> YEM at 12, YEM -> Adult at 18
+INSERT INTO group_promotion_rules (from_group_id, to_group_id, min_age)
+SELECT f.id, t.id, r.min_age
+FROM (SELECT 'CM' as from_code, 'YEM' as to_code, 12 as min_age
+      UNION ALL SELECT 'YEM', 'Adult', 18) r
+JOIN church_groups f ON f.code = r.from_code
+JOIN church_groups t ON t.code = r.to_code
+WHERE NOT EXISTS (SELECT 1 FROM group_promotion_rules);
+
+-- Services table - one row per Sunday service or class session, per roll (Adult, CM, YEM)
+CREATE TABLE IF NOT EXISTS services (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  service_date DATE NOT NULL,
+  name VARCHAR(100) NOT NULL DEFAULT 'Sunday Service',
+  roll VARCHAR(20) NOT NULL DEFAULT '',
+  status ENUM('open', 'closed') DEFAULT 'open',
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_service_date_roll (service_date, roll),
+  INDEX idx_service_date (service_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Attendance codes - status codes besides present/absent used on the roll books
+CREATE TABLE IF NOT EXISTS attendance_codes (
+  code VARCHAR(10) PRIMARY KEY,
+  label VARCHAR(100) NOT NULL,
+  counts_as_present BOOLEAN DEFAULT FALSE,
+  active BOOLEAN DEFAULT TRUE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Both codes are counted in the "Hiện diện" totals of the 2024 roll books
+INSERT IGNORE INTO attendance_codes (code, label, counts_as_present) VALUES
+('C', 'C', TRUE),
+('HD', 'HD', TRUE);
+
+-- Attendance table - one row per member per service
+-- status is 'present', 'absent' or a code from attendance_codes
+CREATE TABLE IF NOT EXISTS attendance (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  service_id INT NOT NULL,
+  member_id INT NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  source VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_service_member (service_id, member_id),
+  INDEX idx_member_id (member_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Optional: Create a view for easy member overview
+CREATE OR REPLACE VIEW member_overview AS
+SELECT 
+  m.id,
+  m.first_name,
+  m.last_name,
+  m.email,
+  m.phone,
+  m.membership_type,
+  m.attendance_preference,
+  m.baptized,
+  m.salvation,
+  GROUP_CONCAT(mi.name SEPARATOR ', ') as ministries,
+  m.created_at
+FROM members m
+LEFT JOIN member_ministries mm ON m.id = mm.member_id
+LEFT JOIN ministries mi ON mi.id = mm.ministry_id
+GROUP BY m.id
+ORDER BY m.created_at DESC;
+
+-- Admin user table - staff accounts for the admin API (create the first one with: node server.js create-admin)
+CREATE TABLE IF NOT EXISTS admin_users (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  username VARCHAR(50) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  role ENUM('admin', 'staff') DEFAULT 'staff',
+  -- The staff member's own member record, e.g. so ministry leaders can see their rosters
+  member_id INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_login TIMESTAMP NULL,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL,
+  INDEX idx_username (username)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Admin sessions - one row per login; the API stores only a SHA-256 of the token
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  token_hash CHAR(64) PRIMARY KEY,
+  admin_user_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  FOREIGN KEY (admin_user_id) REFERENCES admin_users(id) ON DELETE CASCADE,
+  INDEX idx_expires_at (expires_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Member audit log - who changed which field, with old and new values
+-- No foreign key on member_id so the history of deleted members is kept
+CREATE TABLE IF NOT EXISTS member_audit_log (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  member_id INT NOT NULL,
+  admin_user_id INT,
+  action ENUM('create', 'update', 'deactivate', 'reactivate', 'delete', 'merge') NOT NULL,
+  field_name VARCHAR(64),
+  old_value TEXT,
+  new_value TEXT,
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (admin_user_id) REFERENCES admin_users(id) ON DELETE SET NULL,
+  INDEX idx_member_changed (member_id, changed_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Duplicate dismissals - pairs staff marked as different people, so the
+-- duplicate finder stops listing them (member_id_a is the lower id)
+CREATE TABLE IF NOT EXISTS duplicate_dismissals (
+  member_id_a INT NOT NULL,
+  member_id_b INT NOT NULL,
+  dismissed_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (member_id_a, member_id_b),
+  FOREIGN KEY (member_id_a) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id_b) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (dismissed_by) REFERENCES admin_users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Follow-up tasks - created at signup from the baptism, salvation and prayer answers,
+-- then assigned and closed by staff
+CREATE TABLE IF NOT EXISTS follow_up_tasks (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  member_id INT NOT NULL,
+  type ENUM('baptism', 'salvation', 'prayer', 'other') NOT NULL,
+  summary VARCHAR(255) NOT NULL,
+  status ENUM('open', 'in_progress', 'closed') DEFAULT 'open',
+  assigned_to INT,
+  due_date DATE,
+  resolution TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  closed_at TIMESTAMP NULL,
+  closed_by INT,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (assigned_to) REFERENCES admin_users(id) ON DELETE SET NULL,
+  FOREIGN KEY (closed_by) REFERENCES admin_users(id) ON DELETE SET NULL,
+  INDEX idx_status_assigned (status, assigned_to),
+  INDEX idx_due_date (due_date)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS follow_up_notes (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  task_id INT NOT NULL,
+  admin_user_id INT,
+  note TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (task_id) REFERENCES follow_up_tasks(id) ON DELETE CASCADE,
+  FOREIGN KEY (admin_user_id) REFERENCES admin_users(id) ON DELETE SET NULL,
+  INDEX idx_task_id (task_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Email templates - editable subject and body per language, with {{placeholders}}
+-- (firstName, lastName, fullName, email, phone, membershipType, ministries, nextService;
+-- serving_reminder also has servingRole, servingMinistry and servingDate; the event_*
+-- templates have eventTitle, eventDate, eventLocation, attendeeNames and amountDue)
+CREATE TABLE IF NOT EXISTS email_templates (
+  template_key VARCHAR(50) NOT NULL,
+  language ENUM('vi', 'en') NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  body_html TEXT NOT NULL,
+  updated_by INT,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (template_key, language),
+  FOREIGN KEY (updated_by) REFERENCES admin_users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO email_templates (template_key, language, subject, body_html) VALUES
+('welcome', 'vi', 'Chào mừng {{firstName}} đến với đại gia đình Hội Thánh!',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Chào mừng {{fullName}}!</h2>
+  <p>Cảm ơn anh chị đã gia nhập đại gia đình Hội Thánh. Chúng tôi rất vui được đón tiếp anh chị!</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <h3 style="margin-top: 0;">Bước tiếp theo</h3>
+    <ul style="line-height: 1.8;">
+      <li>Ban mục vụ sẽ liên lạc với anh chị trong vòng 48 giờ</li>
+      <li>Buổi nhóm kế tiếp: {{nextService}}</li>
+      <li>Mục vụ anh chị quan tâm: {{ministries}}</li>
+    </ul>
+  </div>
+  <p>Nếu có thắc mắc, xin anh chị trả lời email này hoặc gọi cho chúng tôi.</p>
+  <p style="color: #6b7280;">Thân mến,<br>Hội Thánh</p>
+</div>'),
+('welcome', 'en', 'Welcome to Our Church Family!',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Welcome, {{firstName}}!</h2>
+  <p>Thank you for joining our church family. We''re excited to have you!</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <h3 style="margin-top: 0;">What''s Next?</h3>
+    <ul style="line-height: 1.8;">
+      <li>Our pastoral team will reach out within 48 hours</li>
+      <li>Our next service: {{nextService}}</li>
+      <li>Ministries you''re interested in: {{ministries}}</li>
+    </ul>
+  </div>
+  <p>If you have any questions, feel free to reply to this email or call us.</p>
+  <p style="color: #6b7280;">Blessings,<br>The Church Team</p>
+</div>'),
+('staff_signup', 'vi', 'Đăng ký mới: {{fullName}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Thành viên mới đăng ký</h2>
+  <p><strong>Họ tên:</strong> {{fullName}}</p>
+  <p><strong>Email:</strong> {{email}}</p>
+  <p><strong>Điện thoại:</strong> {{phone}}</p>
+  <p><strong>Loại thành viên:</strong> {{membershipType}}</p>
+  <p><strong>Mục vụ:</strong> {{ministries}}</p>
+</div>'),
+('staff_signup', 'en', 'New Signup: {{fullName}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">New Member Signup</h2>
+  <p><strong>Name:</strong> {{fullName}}</p>
+  <p><strong>Email:</strong> {{email}}</p>
+  <p><strong>Phone:</strong> {{phone}}</p>
+  <p><strong>Membership Type:</strong> {{membershipType}}</p>
+  <p><strong>Ministries:</strong> {{ministries}}</p>
+</div>'),
+('serving_reminder', 'vi', 'Nhắc nhở: {{servingRole}} - {{servingMinistry}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Chào {{fullName}},</h2>
+  <p>Xin nhắc anh chị về phần phục vụ sắp tới:</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <p style="margin: 0;"><strong>{{servingRole}}</strong> - {{servingMinistry}}</p>
+    <p style="margin: 8px 0 0;">{{servingDate}}</p>
+  </div>
+  <p>Nếu anh chị không thể phục vụ, xin báo cho trưởng ban để đổi người.</p>
+  <p style="color: #6b7280;">Cảm ơn anh chị,<br>Hội Thánh</p>
+</div>'),
+('serving_reminder', 'en', 'Reminder: you''re serving as {{servingRole}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Hi {{firstName}},</h2>
+  <p>A reminder that you''re on the schedule:</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <p style="margin: 0;"><strong>{{servingRole}}</strong> - {{servingMinistry}}</p>
+    <p style="margin: 8px 0 0;">{{servingDate}}</p>
+  </div>
+  <p>If you can''t make it, please let your ministry leader know so they can arrange a swap.</p>
+  <p style="color: #6b7280;">Thank you for serving,<br>The Church Team</p>
+</div>'),
+('event_confirmation', 'vi', 'Xác nhận đăng ký: {{eventTitle}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Chào {{fullName}},</h2>
+  <p>Cảm ơn anh chị đã đăng ký <strong>{{eventTitle}}</strong>.</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <p style="margin: 0;"><strong>Thời gian:</strong> {{eventDate}}</p>
+    <p style="margin: 8px 0 0;"><strong>Địa điểm:</strong> {{eventLocation}}</p>
+    <p style="margin: 8px 0 0;"><strong>Người tham dự:</strong> {{attendeeNames}}</p>
+    <p style="margin: 8px 0 0;"><strong>Lệ phí:</strong> {{amountDue}}</p>
+  </div>
+  <p style="color: #6b7280;">Thân mến,<br>Hội Thánh</p>
+</div>'),
+('event_confirmation', 'en', 'You''re registered: {{eventTitle}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Hi {{firstName}},</h2>
+  <p>Thank you for registering for <strong>{{eventTitle}}</strong>.</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <p style="margin: 0;"><strong>When:</strong> {{eventDate}}</p>
+    <p style="margin: 8px 0 0;"><strong>Where:</strong> {{eventLocation}}</p>
+    <p style="margin: 8px 0 0;"><strong>Attending:</strong> {{attendeeNames}}</p>
+    <p style="margin: 8px 0 0;"><strong>Amount due:</strong> {{amountDue}}</p>
+  </div>
+  <p style="color: #6b7280;">Blessings,<br>The Church Team</p>
+</div>'),
+('event_waitlist', 'vi', 'Danh sách chờ: {{eventTitle}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Chào {{fullName}},</h2>
+  <p><strong>{{eventTitle}}</strong> ({{eventDate}}) đã đủ chỗ. Chúng tôi đã ghi tên {{attendeeNames}} vào danh sách chờ.</p>
+  <p>Khi có chỗ trống, chúng tôi sẽ gửi email xác nhận cho anh chị.</p>
+  <p style="color: #6b7280;">Thân mến,<br>Hội Thánh</p>
+</div>'),
+('event_waitlist', 'en', 'You''re on the waitlist: {{eventTitle}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Hi {{firstName}},</h2>
+  <p><strong>{{eventTitle}}</strong> ({{eventDate}}) is full, so we''ve put {{attendeeNames}} on the waitlist.</p>
+  <p>We''ll email you as soon as a place opens up.</p>
+  <p style="color: #6b7280;">Blessings,<br>The Church Team</p>
+</div>'),
+('event_promoted', 'vi', 'Đã có chỗ: {{eventTitle}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Chào {{fullName}},</h2>
+  <p>Tin vui! Đã có chỗ cho {{attendeeNames}} tại <strong>{{eventTitle}}</strong>. Đăng ký của anh chị đã được xác nhận.</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <p style="margin: 0;"><strong>Thời gian:</strong> {{eventDate}}</p>
+    <p style="margin: 8px 0 0;"><strong>Địa điểm:</strong> {{eventLocation}}</p>
+    <p style="margin: 8px 0 0;"><strong>Lệ phí:</strong> {{amountDue}}</p>
+  </div>
+  <p style="color: #6b7280;">Thân mến,<br>Hội Thánh</p>
+</div>'),
+('event_promoted', 'en', 'A place opened up: {{eventTitle}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Hi {{firstName}},</h2>
+  <p>Good news! A place opened up at <strong>{{eventTitle}}</strong> and your registration for {{attendeeNames}} is now confirmed.</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <p style="margin: 0;"><strong>When:</strong> {{eventDate}}</p>
+    <p style="margin: 8px 0 0;"><strong>Where:</strong> {{eventLocation}}</p>
+    <p style="margin: 8px 0 0;"><strong>Amount due:</strong> {{amountDue}}</p>
+  </div>
+  <p style="color: #6b7280;">Blessings,<br>The Church Team</p>
+</div>');
+
+-- Email outbox - queued messages sent by the server's email worker with retries.
+-- The template is rendered when sending, from template_values captured at queue time.
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  template_key VARCHAR(50) NOT NULL,
+  language ENUM('vi', 'en') NOT NULL,
+  to_address VARCHAR(255) NOT NULL,
+  template_values JSON NOT NULL,
+  subject VARCHAR(255),
+  member_id INT,
+  status ENUM('pending', 'sending', 'sent', 'failed') DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 6,
+  next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_error TEXT,
+  message_id VARCHAR(255),
+  sent_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL,
+  INDEX idx_status_next_attempt (status, next_attempt_at),
+  INDEX idx_member_id (member_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Events - retreats, VBS and special services. capacity counts attendees (NULL means
+-- no limit); fee is charged per attendee. Drafts are hidden from the public routes.
+CREATE TABLE IF NOT EXISTS events (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  location VARCHAR(255),
+  starts_at DATETIME NOT NULL,
+  ends_at DATETIME,
+  registration_closes_at DATETIME,
+  capacity INT,
+  fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  allow_waitlist BOOLEAN DEFAULT TRUE,
+  status ENUM('draft', 'open', 'closed', 'cancelled') DEFAULT 'draft',
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES admin_users(id) ON DELETE SET NULL,
+  INDEX idx_status_starts (status, starts_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Event registrations - one per party. member_id is set when a member registered
+-- their household; a party that doesn't fit waits on the list together.
+CREATE TABLE IF NOT EXISTS event_registrations (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  event_id INT NOT NULL,
+  member_id INT,
+  contact_first_name VARCHAR(100) NOT NULL,
+  contact_last_name VARCHAR(100) NOT NULL,
+  contact_email VARCHAR(255) NOT NULL,
+  contact_phone VARCHAR(20),
+  language ENUM('vi', 'en') DEFAULT 'vi',
+  status ENUM('confirmed', 'waitlisted', 'cancelled') NOT NULL,
+  attendee_count INT NOT NULL,
+  amount_due DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  amount_paid DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  paid_at TIMESTAMP NULL,
+  notes TEXT,
+  cancelled_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL,
+  INDEX idx_event_status (event_id, status, created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Event attendees - each person in a registration, with their own details
+CREATE TABLE IF NOT EXISTS event_attendees (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  registration_id INT NOT NULL,
+  member_id INT,
+  first_name VARCHAR(100) NOT NULL,
+  last_name VARCHAR(100) NOT NULL,
+  age INT,
+  dietary_needs VARCHAR(255),
+  notes TEXT,
+  FOREIGN KEY (registration_id) REFERENCES event_registrations(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL,
+  INDEX idx_registration (registration_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -0,0 +1,7 @@
+-- Undo 002_member_portal
+
+DELETE FROM email_templates WHERE template_key = 'portal_login';
+DROP TABLE IF EXISTS member_change_requests;
+DROP TABLE IF EXISTS member_sessions;
+DROP TABLE IF EXISTS member_login_links;
+ALTER TABLE members DROP COLUMN serving_reminders;
@@ -0,0 +1,14 @@
+-- Undo 003_privacy. Pastor accounts become staff accounts.
+
+DROP TABLE IF EXISTS member_field_visibility;
+ALTER TABLE members
+  DROP COLUMN consent_photos,
+  DROP COLUMN consent_directory,
+  DROP COLUMN consent_emails,
+  DROP COLUMN consent_updated_at,
+  DROP COLUMN anonymized_at;
+DELETE FROM member_audit_log WHERE action = 'anonymize';
+ALTER TABLE member_audit_log
+  MODIFY action ENUM('create', 'update', 'deactivate', 'reactivate', 'delete', 'merge') NOT NULL;
+UPDATE admin_users SET role = 'staff' WHERE role = 'pastor';
+ALTER TABLE admin_users MODIFY role ENUM('admin', 'staff') DEFAULT 'staff';
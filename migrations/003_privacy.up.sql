@@ -0,0 +1,29 @@
+-- Privacy: a pastor role, per-field visibility for member details, consent flags
+-- given at signup, and the audit action recorded when a member is anonymized.
+
+ALTER TABLE admin_users MODIFY role ENUM('admin', 'staff', 'pastor') DEFAULT 'staff';
+
+ALTER TABLE member_audit_log
+  MODIFY action ENUM('create', 'update', 'deactivate', 'reactivate', 'delete', 'merge', 'anonymize') NOT NULL;
+
+-- Consent: NULL means the member was never asked (signed up before consent was recorded)
+ALTER TABLE members
+  ADD COLUMN consent_photos BOOLEAN NULL AFTER serving_reminders,
+  ADD COLUMN consent_directory BOOLEAN NULL AFTER consent_photos,
+  ADD COLUMN consent_emails BOOLEAN NULL AFTER consent_directory,
+  ADD COLUMN consent_updated_at TIMESTAMP NULL AFTER consent_emails,
+  ADD COLUMN anonymized_at TIMESTAMP NULL AFTER deactivated_at;
+
+-- Field visibility - who may see a members column: every signed-in account (staff),
+-- admins and pastors (admin), or pastors only (pastor). Columns without a row are
+-- visible to everyone signed in.
+CREATE TABLE member_field_visibility (
+  column_name VARCHAR(64) PRIMARY KEY,
+  visible_to ENUM('staff', 'admin', 'pastor') NOT NULL,
+  updated_by INT,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (updated_by) REFERENCES admin_users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+INSERT IGNORE INTO member_field_visibility (column_name, visible_to) VALUES
+('prayer_request', 'pastor');
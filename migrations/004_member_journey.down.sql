@@ -0,0 +1,4 @@
+-- Undo 004_member_journey
+
+DROP TABLE IF EXISTS member_journey_steps;
+DROP TABLE IF EXISTS journey_stages;
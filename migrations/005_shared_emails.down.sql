@@ -0,0 +1,4 @@
+-- Undo 005_shared_emails. Fails while two members share an email; merge the
+-- duplicates or clear one of the addresses first.
+
+ALTER TABLE members ADD UNIQUE KEY email (email);
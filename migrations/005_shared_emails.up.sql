@@ -0,0 +1,5 @@
+-- Shared emails: spouses often sign up with one address, so members.email is
+-- no longer unique. idx_email keeps lookups fast; signup refuses the same
+-- name and email twice, and the duplicate finder scores shared emails.
+
+ALTER TABLE members DROP INDEX email;
@@ -0,0 +1,29 @@
+-- Undo 001_initial_schema (SQLite): drops every table and the member_overview view.
+-- All data is lost; copy the database file first.
+
+DROP VIEW IF EXISTS member_overview;
+
+DROP TABLE IF EXISTS event_attendees;
+DROP TABLE IF EXISTS event_registrations;
+DROP TABLE IF EXISTS events;
+DROP TABLE IF EXISTS email_outbox;
+DROP TABLE IF EXISTS email_templates;
+DROP TABLE IF EXISTS follow_up_notes;
+DROP TABLE IF EXISTS follow_up_tasks;
+DROP TABLE IF EXISTS duplicate_dismissals;
+DROP TABLE IF EXISTS member_audit_log;
+DROP TABLE IF EXISTS admin_sessions;
+DROP TABLE IF EXISTS admin_users;
+DROP TABLE IF EXISTS attendance;
+DROP TABLE IF EXISTS attendance_codes;
+DROP TABLE IF EXISTS services;
+DROP TABLE IF EXISTS group_promotion_rules;
+DROP TABLE IF EXISTS group_members;
+DROP TABLE IF EXISTS church_groups;
+DROP TABLE IF EXISTS serving_assignments;
+DROP TABLE IF EXISTS volunteer_blackouts;
+DROP TABLE IF EXISTS serving_roles;
+DROP TABLE IF EXISTS member_ministries;
+DROP TABLE IF EXISTS ministries;
+DROP TABLE IF EXISTS households;
+DROP TABLE IF EXISTS members;
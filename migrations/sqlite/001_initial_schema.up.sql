@@ -0,0 +1,629 @@
+-- Church Signup Database Schema for SQLite (DB_CLIENT=sqlite): initial version
+-- Applied by `node server.js migrate`. The same tables, view and reference data as
+-- migrations/001_initial_schema.up.sql; keep the two in step.
+-- Differences from MySQL: ENUMs are CHECK constraints, columns looked up by name,
+-- code or email are COLLATE NOCASE (utf8mb4_unicode_ci ignores case), and
+-- updated_at is kept current by the triggers at the end of this file.
+
+-- Members table - stores all member information
+CREATE TABLE IF NOT EXISTS members (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  title VARCHAR(20),
+  first_name VARCHAR(100) NOT NULL,
+  last_name VARCHAR(100) NOT NULL,
+  preferred_name VARCHAR(100),
+  email VARCHAR(255) COLLATE NOCASE UNIQUE,
+  phone VARCHAR(20),
+  address VARCHAR(255),
+  city VARCHAR(100),
+  state VARCHAR(50),
+  zip_code VARCHAR(10),
+  birth_date DATE,
+  membership_type VARCHAR(20) CHECK (membership_type IN ('visitor', 'member', 'volunteer')) DEFAULT 'member',
+  attendance_preference VARCHAR(50),
+  baptized VARCHAR(20),
+  salvation VARCHAR(20),
+  emergency_contact_name VARCHAR(100),
+  emergency_contact_phone VARCHAR(20),
+  prayer_request TEXT,
+  how_did_you_hear VARCHAR(100),
+  preferred_language VARCHAR(20) CHECK (preferred_language IN ('vi', 'en')) DEFAULT 'vi',
+  household_id INT,
+  household_role VARCHAR(20) CHECK (household_role IN ('head', 'spouse', 'child', 'other')),
+  status VARCHAR(20) CHECK (status IN ('active', 'inactive')) DEFAULT 'active',
+  deactivated_at TIMESTAMP,
+  -- Name search key without accents or case. NORMALIZE_TEXT is registered by the
+  -- server, so read this column through the app rather than the sqlite3 shell.
+  search_name VARCHAR(400) GENERATED ALWAYS AS (
+    NORMALIZE_TEXT(CONCAT_WS(' ', title, last_name, first_name, preferred_name))
+  ) VIRTUAL,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  updated_at TIMESTAMP DEFAULT (datetime('now', 'localtime'))
+);
+CREATE INDEX IF NOT EXISTS idx_members_email ON members (email);
+CREATE INDEX IF NOT EXISTS idx_members_household_id ON members (household_id);
+CREATE INDEX IF NOT EXISTS idx_members_status ON members (status);
+CREATE INDEX IF NOT EXISTS idx_members_created_at ON members (created_at);
+CREATE INDEX IF NOT EXISTS idx_members_membership_type ON members (membership_type);
+
+-- Households table - families share an address and phone
+-- Spouses and children link through members.household_id and may have no email of their own
+CREATE TABLE IF NOT EXISTS households (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(200) NOT NULL,
+  head_member_id INT,
+  address VARCHAR(255),
+  city VARCHAR(100),
+  state VARCHAR(50),
+  zip_code VARCHAR(10),
+  phone VARCHAR(20),
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  updated_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (head_member_id) REFERENCES members(id) ON DELETE SET NULL
+);
+
+-- Ministries catalog - signup and staff edits only accept ministries listed here.
+-- capacity NULL means no limit; inactive ministries are hidden from the signup form.
+CREATE TABLE IF NOT EXISTS ministries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name VARCHAR(100) NOT NULL COLLATE NOCASE UNIQUE,
+  description TEXT,
+  capacity INT,
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  updated_at TIMESTAMP DEFAULT (datetime('now', 'localtime'))
+);
+
+INSERT OR IGNORE INTO ministries (name, description) VALUES
+('Worship Team', 'Music and singing for Sunday services'),
+('Youth Ministry', 'Helping with the YEM youth group'),
+('Children''s Ministry', 'Teaching and caring for the CM children'),
+('Prayer Team', 'Praying for the requests the church receives'),
+('Hospitality', 'Welcoming guests and serving fellowship meals'),
+('Outreach', 'Serving the neighborhood and community events'),
+('Media & Tech', 'Sound, slides and livestream'),
+('Bible Study', 'Leading or hosting small group Bible study');
+
+-- Ministry membership - who serves in each ministry, and who leads it
+CREATE TABLE IF NOT EXISTS member_ministries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  member_id INT NOT NULL,
+  ministry_id INT NOT NULL,
+  role VARCHAR(20) CHECK (role IN ('member', 'leader')) DEFAULT 'member',
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (ministry_id) REFERENCES ministries(id) ON DELETE CASCADE,
+  UNIQUE (member_id, ministry_id)
+);
+CREATE INDEX IF NOT EXISTS idx_member_ministries_ministry_role ON member_ministries (ministry_id, role);
+
+-- Serving roles - the positions a ministry fills every Sunday (e.g. Piano, Nursery)
+CREATE TABLE IF NOT EXISTS serving_roles (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ministry_id INT NOT NULL,
+  name VARCHAR(100) NOT NULL COLLATE NOCASE,
+  people_needed INT NOT NULL DEFAULT 1,
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (ministry_id) REFERENCES ministries(id) ON DELETE CASCADE,
+  UNIQUE (ministry_id, name)
+);
+
+-- Blackout dates - days a volunteer can't serve, start_date to end_date inclusive
+CREATE TABLE IF NOT EXISTS volunteer_blackouts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  member_id INT NOT NULL,
+  start_date DATE NOT NULL,
+  end_date DATE NOT NULL,
+  reason VARCHAR(255),
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_volunteer_blackouts_member_dates ON volunteer_blackouts (member_id, start_date, end_date);
+
+-- Serving schedule - who serves in which role each Sunday.
+-- reminder_queued_at is set once the reminder email is in email_outbox.
+CREATE TABLE IF NOT EXISTS serving_assignments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  service_date DATE NOT NULL,
+  serving_role_id INT NOT NULL,
+  member_id INT NOT NULL,
+  reminder_queued_at TIMESTAMP,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  updated_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (serving_role_id) REFERENCES serving_roles(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  UNIQUE (service_date, serving_role_id, member_id)
+);
+CREATE INDEX IF NOT EXISTS idx_serving_assignments_member_date ON serving_assignments (member_id, service_date);
+CREATE INDEX IF NOT EXISTS idx_serving_assignments_reminder ON serving_assignments (reminder_queued_at, service_date);
+
+-- Groups table - the Adult, Children's Ministry (CM) and Youth (YEM) rolls
+-- code matches services.roll and the roll name used by the attendance importer
+CREATE TABLE IF NOT EXISTS church_groups (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  code VARCHAR(20) NOT NULL COLLATE NOCASE UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  roster_order VARCHAR(20) CHECK (roster_order IN ('order', 'name')) DEFAULT 'order',
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime'))
+);
+
+INSERT OR IGNORE INTO church_groups (code, name) VALUES
+('Adult', 'Adult'),
+('CM', 'Children''s Ministry'),
+('YEM', 'Youth (YEM)');
+
+-- Group assignments - a member is on the roster while start_date <= date < end_date
+-- roster_order is the "Order #" column of the roll sheets
+CREATE TABLE IF NOT EXISTS group_members (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  group_id INT NOT NULL,
+  member_id INT NOT NULL,
+  roster_order INT,
+  start_date DATE NOT NULL,
+  end_date DATE,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (group_id) REFERENCES church_groups(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_group_members_group_dates ON group_members (group_id, start_date, end_date);
+CREATE INDEX IF NOT EXISTS idx_group_members_member_id ON group_members (member_id);
+
+-- Promotion rules - move members to the next group once they reach min_age
+CREATE TABLE IF NOT EXISTS group_promotion_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  from_group_id INT NOT NULL,
+  to_group_id INT NOT NULL,
+  min_age INT NOT NULL,
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (from_group_id) REFERENCES church_groups(id) ON DELETE CASCADE,
+  FOREIGN KEY (to_group_id) REFERENCES church_groups(id) ON DELETE CASCADE
+);
+
+-- Default rules: CM -> YEM at 12, YEM -> Adult at 18
+INSERT INTO group_promotion_rules (from_group_id, to_group_id, min_age)
+SELECT f.id, t.id, r.min_age
+FROM (SELECT 'CM' as from_code, 'YEM' as to_code, 12 as min_age
+      UNION ALL SELECT 'YEM', 'Adult', 18) r
+JOIN church_groups f ON f.code = r.from_code
+JOIN church_groups t ON t.code = r.to_code
+WHERE NOT EXISTS (SELECT 1 FROM group_promotion_rules);
+
+-- Services table - one row per Sunday service or class session, per roll (Adult, CM, YEM)
+CREATE TABLE IF NOT EXISTS services (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  service_date DATE NOT NULL,
+  name VARCHAR(100) NOT NULL DEFAULT 'Sunday Service',
+  roll VARCHAR(20) NOT NULL COLLATE NOCASE DEFAULT '',
+  status VARCHAR(20) CHECK (status IN ('open', 'closed')) DEFAULT 'open',
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  UNIQUE (service_date, roll)
+);
+CREATE INDEX IF NOT EXISTS idx_services_service_date ON services (service_date);
+
+-- Attendance codes - status codes besides present/absent used on the roll books
+CREATE TABLE IF NOT EXISTS attendance_codes (
+  code VARCHAR(10) COLLATE NOCASE PRIMARY KEY,
+  label VARCHAR(100) NOT NULL,
+  counts_as_present BOOLEAN DEFAULT FALSE,
+  active BOOLEAN DEFAULT TRUE
+);
+
+-- Both codes are counted in the "Hiện diện" totals of the 2024 roll books
+INSERT OR IGNORE INTO attendance_codes (code, label, counts_as_present) VALUES
+('C', 'C', TRUE),
+('HD', 'HD', TRUE);
+
+-- Attendance table - one row per member per service
+-- status is 'present', 'absent' or a code from attendance_codes
+CREATE TABLE IF NOT EXISTS attendance (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  service_id INT NOT NULL,
+  member_id INT NOT NULL,
+  status VARCHAR(20) NOT NULL,
+  source VARCHAR(255),
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  updated_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (service_id) REFERENCES services(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  UNIQUE (service_id, member_id)
+);
+CREATE INDEX IF NOT EXISTS idx_attendance_member_id ON attendance (member_id);
+
+-- Optional: Create a view for easy member overview
+CREATE VIEW IF NOT EXISTS member_overview AS
+SELECT 
+  m.id,
+  m.first_name,
+  m.last_name,
+  m.email,
+  m.phone,
+  m.membership_type,
+  m.attendance_preference,
+  m.baptized,
+  m.salvation,
+  GROUP_CONCAT(mi.name, ', ') as ministries,
+  m.created_at
+FROM members m
+LEFT JOIN member_ministries mm ON m.id = mm.member_id
+LEFT JOIN ministries mi ON mi.id = mm.ministry_id
+GROUP BY m.id
+ORDER BY m.created_at DESC;
+
+-- Admin user table - staff accounts for the admin API (create the first one with: node server.js create-admin)
+CREATE TABLE IF NOT EXISTS admin_users (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username VARCHAR(50) NOT NULL COLLATE NOCASE UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) CHECK (role IN ('admin', 'staff')) DEFAULT 'staff',
+  -- The staff member's own member record, e.g. so ministry leaders can see their rosters
+  member_id INT,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  last_login TIMESTAMP,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_admin_users_username ON admin_users (username);
+
+-- Admin sessions - one row per login; the API stores only a SHA-256 of the token
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  token_hash CHAR(64) PRIMARY KEY,
+  admin_user_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  expires_at DATETIME NOT NULL,
+  FOREIGN KEY (admin_user_id) REFERENCES admin_users(id) ON DELETE CASCADE
+);
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires_at ON admin_sessions (expires_at);
+
+-- Member audit log - who changed which field, with old and new values
+-- No foreign key on member_id so the history of deleted members is kept
+CREATE TABLE IF NOT EXISTS member_audit_log (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  member_id INT NOT NULL,
+  admin_user_id INT,
+  action VARCHAR(20) CHECK (action IN ('create', 'update', 'deactivate', 'reactivate', 'delete', 'merge')) NOT NULL,
+  field_name VARCHAR(64),
+  old_value TEXT,
+  new_value TEXT,
+  changed_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (admin_user_id) REFERENCES admin_users(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_member_audit_log_member_changed ON member_audit_log (member_id, changed_at);
+
+-- Duplicate dismissals - pairs staff marked as different people, so the
+-- duplicate finder stops listing them (member_id_a is the lower id)
+CREATE TABLE IF NOT EXISTS duplicate_dismissals (
+  member_id_a INT NOT NULL,
+  member_id_b INT NOT NULL,
+  dismissed_by INT,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  PRIMARY KEY (member_id_a, member_id_b),
+  FOREIGN KEY (member_id_a) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id_b) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (dismissed_by) REFERENCES admin_users(id) ON DELETE SET NULL
+);
+
+-- Follow-up tasks - created at signup from the baptism, salvation and prayer answers,
+-- then assigned and closed by staff
+CREATE TABLE IF NOT EXISTS follow_up_tasks (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  member_id INT NOT NULL,
+  type VARCHAR(20) CHECK (type IN ('baptism', 'salvation', 'prayer', 'other')) NOT NULL,
+  summary VARCHAR(255) NOT NULL,
+  status VARCHAR(20) CHECK (status IN ('open', 'in_progress', 'closed')) DEFAULT 'open',
+  assigned_to INT,
+  due_date DATE,
+  resolution TEXT,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  closed_at TIMESTAMP,
+  closed_by INT,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (assigned_to) REFERENCES admin_users(id) ON DELETE SET NULL,
+  FOREIGN KEY (closed_by) REFERENCES admin_users(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_follow_up_tasks_status_assigned ON follow_up_tasks (status, assigned_to);
+CREATE INDEX IF NOT EXISTS idx_follow_up_tasks_due_date ON follow_up_tasks (due_date);
+
+CREATE TABLE IF NOT EXISTS follow_up_notes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  task_id INT NOT NULL,
+  admin_user_id INT,
+  note TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (task_id) REFERENCES follow_up_tasks(id) ON DELETE CASCADE,
+  FOREIGN KEY (admin_user_id) REFERENCES admin_users(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_follow_up_notes_task_id ON follow_up_notes (task_id);
+
+-- Email templates - editable subject and body per language, with {{placeholders}}
+-- (firstName, lastName, fullName, email, phone, membershipType, ministries, nextService;
+-- serving_reminder also has servingRole, servingMinistry and servingDate; the event_*
+-- templates have eventTitle, eventDate, eventLocation, attendeeNames and amountDue)
+CREATE TABLE IF NOT EXISTS email_templates (
+  template_key VARCHAR(50) NOT NULL,
+  language VARCHAR(20) CHECK (language IN ('vi', 'en')) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  body_html TEXT NOT NULL,
+  updated_by INT,
+  updated_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  PRIMARY KEY (template_key, language),
+  FOREIGN KEY (updated_by) REFERENCES admin_users(id) ON DELETE SET NULL
+);
+
+INSERT OR IGNORE INTO email_templates (template_key, language, subject, body_html) VALUES
+('welcome', 'vi', 'Chào mừng {{firstName}} đến với đại gia đình Hội Thánh!',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Chào mừng {{fullName}}!</h2>
+  <p>Cảm ơn anh chị đã gia nhập đại gia đình Hội Thánh. Chúng tôi rất vui được đón tiếp anh chị!</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <h3 style="margin-top: 0;">Bước tiếp theo</h3>
+    <ul style="line-height: 1.8;">
+      <li>Ban mục vụ sẽ liên lạc với anh chị trong vòng 48 giờ</li>
+      <li>Buổi nhóm kế tiếp: {{nextService}}</li>
+      <li>Mục vụ anh chị quan tâm: {{ministries}}</li>
+    </ul>
+  </div>
+  <p>Nếu có thắc mắc, xin anh chị trả lời email này hoặc gọi cho chúng tôi.</p>
+  <p style="color: #6b7280;">Thân mến,<br>Hội Thánh</p>
+</div>'),
+('welcome', 'en', 'Welcome to Our Church Family!',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Welcome, {{firstName}}!</h2>
+  <p>Thank you for joining our church family. We''re excited to have you!</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <h3 style="margin-top: 0;">What''s Next?</h3>
+    <ul style="line-height: 1.8;">
+      <li>Our pastoral team will reach out within 48 hours</li>
+      <li>Our next service: {{nextService}}</li>
+      <li>Ministries you''re interested in: {{ministries}}</li>
+    </ul>
+  </div>
+  <p>If you have any questions, feel free to reply to this email or call us.</p>
+  <p style="color: #6b7280;">Blessings,<br>The Church Team</p>
+</div>'),
+('staff_signup', 'vi', 'Đăng ký mới: {{fullName}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Thành viên mới đăng ký</h2>
+  <p><strong>Họ tên:</strong> {{fullName}}</p>
+  <p><strong>Email:</strong> {{email}}</p>
+  <p><strong>Điện thoại:</strong> {{phone}}</p>
+  <p><strong>Loại thành viên:</strong> {{membershipType}}</p>
+  <p><strong>Mục vụ:</strong> {{ministries}}</p>
+</div>'),
+('staff_signup', 'en', 'New Signup: {{fullName}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">New Member Signup</h2>
+  <p><strong>Name:</strong> {{fullName}}</p>
+  <p><strong>Email:</strong> {{email}}</p>
+  <p><strong>Phone:</strong> {{phone}}</p>
+  <p><strong>Membership Type:</strong> {{membershipType}}</p>
+  <p><strong>Ministries:</strong> {{ministries}}</p>
+</div>'),
+('serving_reminder', 'vi', 'Nhắc nhở: {{servingRole}} - {{servingMinistry}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Chào {{fullName}},</h2>
+  <p>Xin nhắc anh chị về phần phục vụ sắp tới:</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <p style="margin: 0;"><strong>{{servingRole}}</strong> - {{servingMinistry}}</p>
+    <p style="margin: 8px 0 0;">{{servingDate}}</p>
+  </div>
+  <p>Nếu anh chị không thể phục vụ, xin báo cho trưởng ban để đổi người.</p>
+  <p style="color: #6b7280;">Cảm ơn anh chị,<br>Hội Thánh</p>
+</div>'),
+('serving_reminder', 'en', 'Reminder: you''re serving as {{servingRole}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Hi {{firstName}},</h2>
+  <p>A reminder that you''re on the schedule:</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <p style="margin: 0;"><strong>{{servingRole}}</strong> - {{servingMinistry}}</p>
+    <p style="margin: 8px 0 0;">{{servingDate}}</p>
+  </div>
+  <p>If you can''t make it, please let your ministry leader know so they can arrange a swap.</p>
+  <p style="color: #6b7280;">Thank you for serving,<br>The Church Team</p>
+</div>'),
+('event_confirmation', 'vi', 'Xác nhận đăng ký: {{eventTitle}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Chào {{fullName}},</h2>
+  <p>Cảm ơn anh chị đã đăng ký <strong>{{eventTitle}}</strong>.</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <p style="margin: 0;"><strong>Thời gian:</strong> {{eventDate}}</p>
+    <p style="margin: 8px 0 0;"><strong>Địa điểm:</strong> {{eventLocation}}</p>
+    <p style="margin: 8px 0 0;"><strong>Người tham dự:</strong> {{attendeeNames}}</p>
+    <p style="margin: 8px 0 0;"><strong>Lệ phí:</strong> {{amountDue}}</p>
+  </div>
+  <p style="color: #6b7280;">Thân mến,<br>Hội Thánh</p>
+</div>'),
+('event_confirmation', 'en', 'You''re registered: {{eventTitle}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Hi {{firstName}},</h2>
+  <p>Thank you for registering for <strong>{{eventTitle}}</strong>.</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <p style="margin: 0;"><strong>When:</strong> {{eventDate}}</p>
+    <p style="margin: 8px 0 0;"><strong>Where:</strong> {{eventLocation}}</p>
+    <p style="margin: 8px 0 0;"><strong>Attending:</strong> {{attendeeNames}}</p>
+    <p style="margin: 8px 0 0;"><strong>Amount due:</strong> {{amountDue}}</p>
+  </div>
+  <p style="color: #6b7280;">Blessings,<br>The Church Team</p>
+</div>'),
+('event_waitlist', 'vi', 'Danh sách chờ: {{eventTitle}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Chào {{fullName}},</h2>
+  <p><strong>{{eventTitle}}</strong> ({{eventDate}}) đã đủ chỗ. Chúng tôi đã ghi tên {{attendeeNames}} vào danh sách chờ.</p>
+  <p>Khi có chỗ trống, chúng tôi sẽ gửi email xác nhận cho anh chị.</p>
+  <p style="color: #6b7280;">Thân mến,<br>Hội Thánh</p>
+</div>'),
+('event_waitlist', 'en', 'You''re on the waitlist: {{eventTitle}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Hi {{firstName}},</h2>
+  <p><strong>{{eventTitle}}</strong> ({{eventDate}}) is full, so we''ve put {{attendeeNames}} on the waitlist.</p>
+  <p>We''ll email you as soon as a place opens up.</p>
+  <p style="color: #6b7280;">Blessings,<br>The Church Team</p>
+</div>'),
+('event_promoted', 'vi', 'Đã có chỗ: {{eventTitle}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Chào {{fullName}},</h2>
+  <p>Tin vui! Đã có chỗ cho {{attendeeNames}} tại <strong>{{eventTitle}}</strong>. Đăng ký của anh chị đã được xác nhận.</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <p style="margin: 0;"><strong>Thời gian:</strong> {{eventDate}}</p>
+    <p style="margin: 8px 0 0;"><strong>Địa điểm:</strong> {{eventLocation}}</p>
+    <p style="margin: 8px 0 0;"><strong>Lệ phí:</strong> {{amountDue}}</p>
+  </div>
+  <p style="color: #6b7280;">Thân mến,<br>Hội Thánh</p>
+</div>'),
+('event_promoted', 'en', 'A place opened up: {{eventTitle}}',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Hi {{firstName}},</h2>
+  <p>Good news! A place opened up at <strong>{{eventTitle}}</strong> and your registration for {{attendeeNames}} is now confirmed.</p>
+  <div style="background-color: #f3f4f6; padding: 20px; border-radius: 8px; margin: 20px 0;">
+    <p style="margin: 0;"><strong>When:</strong> {{eventDate}}</p>
+    <p style="margin: 8px 0 0;"><strong>Where:</strong> {{eventLocation}}</p>
+    <p style="margin: 8px 0 0;"><strong>Amount due:</strong> {{amountDue}}</p>
+  </div>
+  <p style="color: #6b7280;">Blessings,<br>The Church Team</p>
+</div>');
+
+-- Email outbox - queued messages sent by the server's email worker with retries.
+-- The template is rendered when sending, from template_values captured at queue time.
+CREATE TABLE IF NOT EXISTS email_outbox (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  template_key VARCHAR(50) NOT NULL,
+  language VARCHAR(20) CHECK (language IN ('vi', 'en')) NOT NULL,
+  to_address VARCHAR(255) NOT NULL COLLATE NOCASE,
+  template_values JSON NOT NULL,
+  subject VARCHAR(255),
+  member_id INT,
+  status VARCHAR(20) CHECK (status IN ('pending', 'sending', 'sent', 'failed')) DEFAULT 'pending',
+  attempts INT NOT NULL DEFAULT 0,
+  max_attempts INT NOT NULL DEFAULT 6,
+  next_attempt_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  last_error TEXT,
+  message_id VARCHAR(255),
+  sent_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  updated_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_status_next_attempt ON email_outbox (status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_member_id ON email_outbox (member_id);
+
+-- Events - retreats, VBS and special services. capacity counts attendees (NULL means
+-- no limit); fee is charged per attendee. Drafts are hidden from the public routes.
+CREATE TABLE IF NOT EXISTS events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  location VARCHAR(255),
+  starts_at DATETIME NOT NULL,
+  ends_at DATETIME,
+  registration_closes_at DATETIME,
+  capacity INT,
+  fee DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  allow_waitlist BOOLEAN DEFAULT TRUE,
+  status VARCHAR(20) CHECK (status IN ('draft', 'open', 'closed', 'cancelled')) DEFAULT 'draft',
+  created_by INT,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  updated_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (created_by) REFERENCES admin_users(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_events_status_starts ON events (status, starts_at);
+
+-- Event registrations - one per party. member_id is set when a member registered
+-- their household; a party that doesn't fit waits on the list together.
+CREATE TABLE IF NOT EXISTS event_registrations (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  event_id INT NOT NULL,
+  member_id INT,
+  contact_first_name VARCHAR(100) NOT NULL,
+  contact_last_name VARCHAR(100) NOT NULL,
+  contact_email VARCHAR(255) NOT NULL COLLATE NOCASE,
+  contact_phone VARCHAR(20),
+  language VARCHAR(20) CHECK (language IN ('vi', 'en')) DEFAULT 'vi',
+  status VARCHAR(20) CHECK (status IN ('confirmed', 'waitlisted', 'cancelled')) NOT NULL,
+  attendee_count INT NOT NULL,
+  amount_due DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  amount_paid DECIMAL(10, 2) NOT NULL DEFAULT 0,
+  paid_at TIMESTAMP,
+  notes TEXT,
+  cancelled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  updated_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (event_id) REFERENCES events(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_event_registrations_event_status ON event_registrations (event_id, status, created_at);
+
+-- Event attendees - each person in a registration, with their own details
+CREATE TABLE IF NOT EXISTS event_attendees (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  registration_id INT NOT NULL,
+  member_id INT,
+  first_name VARCHAR(100) NOT NULL,
+  last_name VARCHAR(100) NOT NULL,
+  age INT,
+  dietary_needs VARCHAR(255),
+  notes TEXT,
+  FOREIGN KEY (registration_id) REFERENCES event_registrations(id) ON DELETE CASCADE,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL
+);
+CREATE INDEX IF NOT EXISTS idx_event_attendees_registration ON event_attendees (registration_id);
+
+-- MySQL's ON UPDATE CURRENT_TIMESTAMP
+
+CREATE TRIGGER IF NOT EXISTS members_updated_at AFTER UPDATE ON members
+FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+  UPDATE members SET updated_at = datetime('now', 'localtime') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS households_updated_at AFTER UPDATE ON households
+FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+  UPDATE households SET updated_at = datetime('now', 'localtime') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS ministries_updated_at AFTER UPDATE ON ministries
+FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+  UPDATE ministries SET updated_at = datetime('now', 'localtime') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS serving_assignments_updated_at AFTER UPDATE ON serving_assignments
+FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+  UPDATE serving_assignments SET updated_at = datetime('now', 'localtime') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS attendance_updated_at AFTER UPDATE ON attendance
+FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+  UPDATE attendance SET updated_at = datetime('now', 'localtime') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS email_templates_updated_at AFTER UPDATE ON email_templates
+FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+  UPDATE email_templates SET updated_at = datetime('now', 'localtime') WHERE template_key = NEW.template_key AND language = NEW.language;
+END;
+
+CREATE TRIGGER IF NOT EXISTS email_outbox_updated_at AFTER UPDATE ON email_outbox
+FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+  UPDATE email_outbox SET updated_at = datetime('now', 'localtime') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS events_updated_at AFTER UPDATE ON events
+FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+  UPDATE events SET updated_at = datetime('now', 'localtime') WHERE id = NEW.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS event_registrations_updated_at AFTER UPDATE ON event_registrations
+FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+  UPDATE event_registrations SET updated_at = datetime('now', 'localtime') WHERE id = NEW.id;
+END;
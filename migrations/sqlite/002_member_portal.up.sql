@@ -0,0 +1,61 @@
+-- Member portal (SQLite): the same changes as migrations/002_member_portal.up.sql.
+
+ALTER TABLE members ADD COLUMN serving_reminders BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Login links - emailed to a member; only a SHA-256 of the token is stored
+CREATE TABLE member_login_links (
+  token_hash CHAR(64) PRIMARY KEY,
+  member_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  expires_at DATETIME NOT NULL,
+  used_at TIMESTAMP,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
+);
+CREATE INDEX idx_member_login_links_member_id ON member_login_links (member_id);
+
+-- Member sessions - one row per portal login, like admin_sessions
+CREATE TABLE member_sessions (
+  token_hash CHAR(64) PRIMARY KEY,
+  member_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  expires_at DATETIME NOT NULL,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
+);
+CREATE INDEX idx_member_sessions_expires_at ON member_sessions (expires_at);
+
+-- Change requests - a member's edits to name, email or birth date, applied once
+-- staff approve them. field_name is the request body name (e.g. birthDate).
+CREATE TABLE member_change_requests (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  member_id INT NOT NULL,
+  field_name VARCHAR(64) NOT NULL,
+  old_value TEXT,
+  new_value TEXT,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('pending', 'approved', 'rejected')) DEFAULT 'pending',
+  review_note VARCHAR(255),
+  reviewed_by INT,
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (reviewed_by) REFERENCES admin_users(id) ON DELETE SET NULL
+);
+CREATE INDEX idx_member_change_requests_status_created ON member_change_requests (status, created_at);
+CREATE INDEX idx_member_change_requests_member_status ON member_change_requests (member_id, status);
+
+INSERT OR IGNORE INTO email_templates (template_key, language, subject, body_html) VALUES
+('portal_login', 'vi', 'Đăng nhập trang thành viên',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Chào {{fullName}},</h2>
+  <p>Bấm vào nút dưới đây để xem và cập nhật thông tin của anh chị:</p>
+  <p style="margin: 24px 0;"><a href="{{loginLink}}" style="background-color: #2563eb; color: #ffffff; padding: 12px 20px; border-radius: 8px; text-decoration: none;">Mở trang thành viên</a></p>
+  <p>Đường dẫn này chỉ dùng được một lần và hết hạn sau {{linkMinutes}} phút.</p>
+  <p style="color: #6b7280;">Nếu anh chị không yêu cầu, xin bỏ qua email này.</p>
+</div>'),
+('portal_login', 'en', 'Your sign-in link',
+'<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #7c3aed;">Hi {{firstName}},</h2>
+  <p>Use the button below to see and update your details:</p>
+  <p style="margin: 24px 0;"><a href="{{loginLink}}" style="background-color: #2563eb; color: #ffffff; padding: 12px 20px; border-radius: 8px; text-decoration: none;">Open my member page</a></p>
+  <p>The link works once and expires in {{linkMinutes}} minutes.</p>
+  <p style="color: #6b7280;">If you didn''t ask for it, you can ignore this email.</p>
+</div>');
@@ -0,0 +1,49 @@
+-- Undo 003_privacy (SQLite). Pastor accounts become staff accounts.
+
+DROP TABLE IF EXISTS member_field_visibility;
+ALTER TABLE members DROP COLUMN consent_photos;
+ALTER TABLE members DROP COLUMN consent_directory;
+ALTER TABLE members DROP COLUMN consent_emails;
+ALTER TABLE members DROP COLUMN consent_updated_at;
+ALTER TABLE members DROP COLUMN anonymized_at;
+DELETE FROM member_audit_log WHERE action = 'anonymize';
+UPDATE admin_users SET role = 'staff' WHERE role = 'pastor';
+
+PRAGMA foreign_keys = OFF;
+
+CREATE TABLE admin_users_rebuilt (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username VARCHAR(50) NOT NULL COLLATE NOCASE UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) CHECK (role IN ('admin', 'staff')) DEFAULT 'staff',
+  -- The staff member's own member record, e.g. so ministry leaders can see their rosters
+  member_id INT,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  last_login TIMESTAMP,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL
+);
+INSERT INTO admin_users_rebuilt (id, username, password_hash, email, role, member_id, created_at, last_login)
+SELECT id, username, password_hash, email, role, member_id, created_at, last_login FROM admin_users;
+DROP TABLE admin_users;
+ALTER TABLE admin_users_rebuilt RENAME TO admin_users;
+CREATE INDEX idx_admin_users_username ON admin_users (username);
+
+CREATE TABLE member_audit_log_rebuilt (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  member_id INT NOT NULL,
+  admin_user_id INT,
+  action VARCHAR(20) CHECK (action IN ('create', 'update', 'deactivate', 'reactivate', 'delete', 'merge')) NOT NULL,
+  field_name VARCHAR(64),
+  old_value TEXT,
+  new_value TEXT,
+  changed_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (admin_user_id) REFERENCES admin_users(id) ON DELETE SET NULL
+);
+INSERT INTO member_audit_log_rebuilt (id, member_id, admin_user_id, action, field_name, old_value, new_value, changed_at)
+SELECT id, member_id, admin_user_id, action, field_name, old_value, new_value, changed_at FROM member_audit_log;
+DROP TABLE member_audit_log;
+ALTER TABLE member_audit_log_rebuilt RENAME TO member_audit_log;
+CREATE INDEX idx_member_audit_log_member_changed ON member_audit_log (member_id, changed_at);
+
+PRAGMA foreign_keys = ON;
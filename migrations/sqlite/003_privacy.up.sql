@@ -0,0 +1,68 @@
+-- Privacy (SQLite): the same changes as migrations/003_privacy.up.sql.
+-- SQLite can't change a CHECK constraint in place, so admin_users and
+-- member_audit_log are rebuilt with foreign keys switched off while they are swapped.
+
+PRAGMA foreign_keys = OFF;
+
+CREATE TABLE admin_users_rebuilt (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  username VARCHAR(50) NOT NULL COLLATE NOCASE UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) CHECK (role IN ('admin', 'staff', 'pastor')) DEFAULT 'staff',
+  -- The staff member's own member record, e.g. so ministry leaders can see their rosters
+  member_id INT,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  last_login TIMESTAMP,
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE SET NULL
+);
+INSERT INTO admin_users_rebuilt (id, username, password_hash, email, role, member_id, created_at, last_login)
+SELECT id, username, password_hash, email, role, member_id, created_at, last_login FROM admin_users;
+DROP TABLE admin_users;
+ALTER TABLE admin_users_rebuilt RENAME TO admin_users;
+CREATE INDEX idx_admin_users_username ON admin_users (username);
+
+CREATE TABLE member_audit_log_rebuilt (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  member_id INT NOT NULL,
+  admin_user_id INT,
+  action VARCHAR(20) CHECK (action IN ('create', 'update', 'deactivate', 'reactivate', 'delete', 'merge', 'anonymize')) NOT NULL,
+  field_name VARCHAR(64),
+  old_value TEXT,
+  new_value TEXT,
+  changed_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (admin_user_id) REFERENCES admin_users(id) ON DELETE SET NULL
+);
+INSERT INTO member_audit_log_rebuilt (id, member_id, admin_user_id, action, field_name, old_value, new_value, changed_at)
+SELECT id, member_id, admin_user_id, action, field_name, old_value, new_value, changed_at FROM member_audit_log;
+DROP TABLE member_audit_log;
+ALTER TABLE member_audit_log_rebuilt RENAME TO member_audit_log;
+CREATE INDEX idx_member_audit_log_member_changed ON member_audit_log (member_id, changed_at);
+
+PRAGMA foreign_keys = ON;
+
+-- Consent: NULL means the member was never asked (signed up before consent was recorded)
+ALTER TABLE members ADD COLUMN consent_photos BOOLEAN;
+ALTER TABLE members ADD COLUMN consent_directory BOOLEAN;
+ALTER TABLE members ADD COLUMN consent_emails BOOLEAN;
+ALTER TABLE members ADD COLUMN consent_updated_at TIMESTAMP;
+ALTER TABLE members ADD COLUMN anonymized_at TIMESTAMP;
+
+-- Field visibility - who may see a members column: every signed-in account (staff),
+-- admins and pastors (admin), or pastors only (pastor). Columns without a row are
+-- visible to everyone signed in.
+CREATE TABLE member_field_visibility (
+  column_name VARCHAR(64) PRIMARY KEY,
+  visible_to VARCHAR(20) NOT NULL CHECK (visible_to IN ('staff', 'admin', 'pastor')),
+  updated_by INT,
+  updated_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  FOREIGN KEY (updated_by) REFERENCES admin_users(id) ON DELETE SET NULL
+);
+CREATE TRIGGER member_field_visibility_updated_at AFTER UPDATE ON member_field_visibility
+FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+  UPDATE member_field_visibility SET updated_at = datetime('now', 'localtime') WHERE column_name = NEW.column_name;
+END;
+
+INSERT OR IGNORE INTO member_field_visibility (column_name, visible_to) VALUES
+('prayer_request', 'pastor');
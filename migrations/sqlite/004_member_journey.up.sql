@@ -0,0 +1,72 @@
+-- Member journey (SQLite): the same changes as migrations/004_member_journey.up.sql.
+
+-- Journey stages, in position order (numbered in tens to leave room between them).
+-- Reaching a stage with a membership_type moves a visitor to that type.
+-- stall_after_days is how long someone may wait at the stage before the
+-- statistics count them as stalled (NULL: never).
+CREATE TABLE journey_stages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  code VARCHAR(50) NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  position INT NOT NULL,
+  membership_type VARCHAR(20) CHECK (membership_type IN ('member', 'volunteer')),
+  stall_after_days INT,
+  active BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime'))
+);
+CREATE INDEX idx_journey_stages_position ON journey_stages (position);
+
+INSERT OR IGNORE INTO journey_stages (code, name, position, membership_type, stall_after_days) VALUES
+('first_visit', 'First visit', 10, NULL, 30),
+('newcomer_class', 'Newcomer class', 20, NULL, 60),
+('baptism', 'Baptism', 30, NULL, 90),
+('membership_interview', 'Membership interview', 40, NULL, 30),
+('member', 'Member', 50, 'member', NULL);
+
+-- Journey steps - one row per stage a person has reached. responsible_user_id is
+-- the staff member looking after them from this step to the next.
+CREATE TABLE member_journey_steps (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  member_id INT NOT NULL,
+  stage_id INT NOT NULL,
+  reached_at DATETIME NOT NULL,
+  responsible_user_id INT,
+  recorded_by INT,
+  note VARCHAR(255),
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  UNIQUE (member_id, stage_id),
+  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE,
+  FOREIGN KEY (stage_id) REFERENCES journey_stages(id) ON DELETE CASCADE,
+  FOREIGN KEY (responsible_user_id) REFERENCES admin_users(id) ON DELETE SET NULL,
+  FOREIGN KEY (recorded_by) REFERENCES admin_users(id) ON DELETE SET NULL
+);
+CREATE INDEX idx_member_journey_steps_stage_reached ON member_journey_steps (stage_id, reached_at);
+
+-- Everyone who signed up as a visitor starts with their signup as the first visit;
+-- those staff later changed from visitor (member_audit_log) reached membership then.
+-- Only members the signup form created (its audit row) are backfilled: imported
+-- and hand-entered records say nothing about when the person first came.
+INSERT OR IGNORE INTO member_journey_steps (member_id, stage_id, reached_at)
+SELECT m.id, s.id, m.created_at
+FROM members m
+JOIN journey_stages s ON s.code = 'first_visit'
+WHERE EXISTS (
+  SELECT 1 FROM member_audit_log
+  WHERE member_id = m.id AND action = 'create' AND field_name = 'source' AND new_value = 'signup'
+) AND (m.membership_type = 'visitor' OR m.id IN (
+  SELECT member_id FROM member_audit_log
+  WHERE action = 'update' AND field_name = 'membershipType' AND old_value = 'visitor'
+));
+
+INSERT OR IGNORE INTO member_journey_steps (member_id, stage_id, reached_at)
+SELECT a.member_id, s.id, MIN(a.changed_at)
+FROM member_audit_log a
+JOIN members m ON m.id = a.member_id
+JOIN journey_stages s ON s.code = 'member'
+WHERE a.action = 'update' AND a.field_name = 'membershipType'
+  AND a.old_value = 'visitor' AND a.new_value IN ('member', 'volunteer')
+  AND EXISTS (
+    SELECT 1 FROM member_audit_log c
+    WHERE c.member_id = a.member_id AND c.action = 'create' AND c.field_name = 'source' AND c.new_value = 'signup'
+  )
+GROUP BY a.member_id, s.id;
@@ -0,0 +1,108 @@
+-- Undo 005_shared_emails (SQLite). Fails while two members share an email;
+-- merge the duplicates or clear one of the addresses first.
+
+-- Refuse before anything changes: SQLite runs these statements one by one, so
+-- failing halfway through the rebuild would leave members_rebuilt behind and
+-- member_overview dropped
+CREATE TEMP TABLE IF NOT EXISTS shared_email_check (shared INTEGER);
+CREATE TEMP TRIGGER IF NOT EXISTS shared_email_check BEFORE INSERT ON shared_email_check
+WHEN NEW.shared > 0
+BEGIN
+  SELECT RAISE(ABORT, 'Members share an email; merge the duplicates or clear one of the addresses first');
+END;
+INSERT INTO shared_email_check
+SELECT COUNT(*) FROM (
+  SELECT email FROM members WHERE email IS NOT NULL GROUP BY email COLLATE NOCASE HAVING COUNT(*) > 1
+);
+DROP TABLE shared_email_check;
+
+PRAGMA foreign_keys = OFF;
+DROP VIEW IF EXISTS member_overview;
+DROP TABLE IF EXISTS members_rebuilt;
+
+CREATE TABLE members_rebuilt (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  title VARCHAR(20),
+  first_name VARCHAR(100) NOT NULL,
+  last_name VARCHAR(100) NOT NULL,
+  preferred_name VARCHAR(100),
+  email VARCHAR(255) COLLATE NOCASE UNIQUE,
+  phone VARCHAR(20),
+  address VARCHAR(255),
+  city VARCHAR(100),
+  state VARCHAR(50),
+  zip_code VARCHAR(10),
+  birth_date DATE,
+  membership_type VARCHAR(20) CHECK (membership_type IN ('visitor', 'member', 'volunteer')) DEFAULT 'member',
+  attendance_preference VARCHAR(50),
+  baptized VARCHAR(20),
+  salvation VARCHAR(20),
+  emergency_contact_name VARCHAR(100),
+  emergency_contact_phone VARCHAR(20),
+  prayer_request TEXT,
+  how_did_you_hear VARCHAR(100),
+  preferred_language VARCHAR(20) CHECK (preferred_language IN ('vi', 'en')) DEFAULT 'vi',
+  household_id INT,
+  household_role VARCHAR(20) CHECK (household_role IN ('head', 'spouse', 'child', 'other')),
+  status VARCHAR(20) CHECK (status IN ('active', 'inactive')) DEFAULT 'active',
+  deactivated_at TIMESTAMP,
+  search_name VARCHAR(400) GENERATED ALWAYS AS (
+    NORMALIZE_TEXT(CONCAT_WS(' ', title, last_name, first_name, preferred_name))
+  ) VIRTUAL,
+  created_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  updated_at TIMESTAMP DEFAULT (datetime('now', 'localtime')),
+  serving_reminders BOOLEAN NOT NULL DEFAULT TRUE,
+  consent_photos BOOLEAN,
+  consent_directory BOOLEAN,
+  consent_emails BOOLEAN,
+  consent_updated_at TIMESTAMP,
+  anonymized_at TIMESTAMP
+);
+INSERT INTO members_rebuilt (
+  id, title, first_name, last_name, preferred_name, email, phone, address, city, state, zip_code,
+  birth_date, membership_type, attendance_preference, baptized, salvation, emergency_contact_name,
+  emergency_contact_phone, prayer_request, how_did_you_hear, preferred_language, household_id,
+  household_role, status, deactivated_at, created_at, updated_at, serving_reminders, consent_photos,
+  consent_directory, consent_emails, consent_updated_at, anonymized_at
+)
+SELECT
+  id, title, first_name, last_name, preferred_name, email, phone, address, city, state, zip_code,
+  birth_date, membership_type, attendance_preference, baptized, salvation, emergency_contact_name,
+  emergency_contact_phone, prayer_request, how_did_you_hear, preferred_language, household_id,
+  household_role, status, deactivated_at, created_at, updated_at, serving_reminders, consent_photos,
+  consent_directory, consent_emails, consent_updated_at, anonymized_at
+FROM members;
+DROP TABLE members;
+ALTER TABLE members_rebuilt RENAME TO members;
+CREATE INDEX idx_members_email ON members (email);
+CREATE INDEX idx_members_household_id ON members (household_id);
+CREATE INDEX idx_members_status ON members (status);
+CREATE INDEX idx_members_created_at ON members (created_at);
+CREATE INDEX idx_members_membership_type ON members (membership_type);
+
+CREATE TRIGGER members_updated_at AFTER UPDATE ON members
+FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+BEGIN
+  UPDATE members SET updated_at = datetime('now', 'localtime') WHERE id = NEW.id;
+END;
+
+CREATE VIEW member_overview AS
+SELECT
+  m.id,
+  m.first_name,
+  m.last_name,
+  m.email,
+  m.phone,
+  m.membership_type,
+  m.attendance_preference,
+  m.baptized,
+  m.salvation,
+  GROUP_CONCAT(mi.name, ', ') as ministries,
+  m.created_at
+FROM members m
+LEFT JOIN member_ministries mm ON m.id = mm.member_id
+LEFT JOIN ministries mi ON mi.id = mm.ministry_id
+GROUP BY m.id
+ORDER BY m.created_at DESC;
+
+PRAGMA foreign_keys = ON;
@@ -1,7 +1,12 @@
 #!/bin/bash
 
 # Church Signup Website - Quick Start Installation Script
-# This script automates the setup process
+# This script automates the setup process. Run it from a checkout of this
+# repository; it copies the backend from there.
+
+REPO_DIR="$(cd "$(dirname "$0")" && pwd)"
+# DB_CLIENT=sqlite ./quick-start-script.sh keeps the database in one file instead of MySQL
+DB_CLIENT="${DB_CLIENT:-mysql}"
 
 echo "🏛️  Church Signup Website - Quick Start Installation"
 echo "======================================================"
@@ -17,8 +22,8 @@ echo "✅ Node.js version: $(node --version)"
 echo "✅ NPM version: $(npm --version)"
 echo ""
 
-# Check if MySQL is installed
-if ! command -v mysql &> /dev/null; then
+# Check if MySQL is installed (not needed with SQLite)
+if [ "$DB_CLIENT" = "mysql" ] && ! command -v mysql &> /dev/null; then
     echo "⚠️  MySQL is not installed. Please install MySQL from https://dev.mysql.com/downloads/"
     echo "   You can continue without MySQL, but you'll need to install it later."
     read -p "Continue anyway? (y/n) " -n 1 -r
@@ -48,12 +53,17 @@ npm init -y
 
 # Install backend dependencies
 echo "Installing backend dependencies..."
-npm install express cors mysql2 dotenv nodemailer
+npm install express cors mysql2 dotenv nodemailer xlsx bcryptjs pdfkit
+if [ "$DB_CLIENT" = "sqlite" ]; then
+    npm install better-sqlite3
+fi
 npm install --save-dev nodemon
 
 # Create .env file
 cat > .env << EOF
-# Database Configuration
+# Database Configuration (mysql, or sqlite for one file at SQLITE_FILE)
+DB_CLIENT=$DB_CLIENT
+SQLITE_FILE=./church.sqlite
 DB_HOST=localhost
 DB_USER=root
 DB_PASSWORD=your_password_here
@@ -63,151 +73,26 @@ DB_NAME=church_db
 PORT=5000
 
 # Email Configuration (Optional)
+# smtp sends through SMTP_HOST (or Gmail when SMTP_HOST is blank) as EMAIL_USER;
+# console sends nothing (for trying things out); file saves .eml files in ./mail
+EMAIL_TRANSPORT=smtp
+SMTP_HOST=smtp.gmail.com
+SMTP_PORT=587
+SMTP_SECURE=false
 EMAIL_USER=your_email@gmail.com
 EMAIL_PASSWORD=your_app_password_here
+EMAIL_FROM=your_email@gmail.com
 EOF
 
 echo "✅ Backend dependencies installed"
 echo ""
 
-# Create server.js
-cat > server.js << 'EOF'
-const express = require('express');
-const cors = require('cors');
-const mysql = require('mysql2/promise');
-const nodemailer = require('nodemailer');
-require('dotenv').config();
-
-const app = express();
-const PORT = process.env.PORT || 5000;
-
-app.use(cors());
-app.use(express.json());
-
-const pool = mysql.createPool({
-  host: process.env.DB_HOST || 'localhost',
-  user: process.env.DB_USER || 'root',
-  password: process.env.DB_PASSWORD || '',
-  database: process.env.DB_NAME || 'church_db',
-  waitForConnections: true,
-  connectionLimit: 10,
-  queueLimit: 0
-});
-
-pool.getConnection()
-  .then(connection => {
-    console.log('✅ Database connected successfully');
-    connection.release();
-  })
-  .catch(err => {
-    console.error('❌ Database connection failed:', err.message);
-    console.log('💡 Make sure to configure your .env file with correct database credentials');
-  });
-
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Church signup API is running' });
-});
-
-app.post('/api/signup', async (req, res) => {
-  const {
-    firstName, lastName, email, phone, address, city, state, zipCode,
-    birthDate, membershipType, ministry, attendancePreference, baptized,
-    salvation, emergencyContactName, emergencyContactPhone, prayer, howDidYouHear
-  } = req.body;
-
-  if (!firstName || !lastName || !email || !phone || !birthDate) {
-    return res.status(400).json({
-      error: 'Missing required fields',
-      required: ['firstName', 'lastName', 'email', 'phone', 'birthDate']
-    });
-  }
-
-  const connection = await pool.getConnection();
-
-  try {
-    await connection.beginTransaction();
-
-    const [result] = await connection.execute(
-      `INSERT INTO members (
-        first_name, last_name, email, phone, address, city, state, zip_code,
-        birth_date, membership_type, attendance_preference, baptized, salvation,
-        emergency_contact_name, emergency_contact_phone, prayer_request,
-        how_did_you_hear
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [
-        firstName, lastName, email, phone, address, city, state, zipCode,
-        birthDate, membershipType, attendancePreference, baptized, salvation,
-        emergencyContactName, emergencyContactPhone, prayer, howDidYouHear
-      ]
-    );
-
-    const memberId = result.insertId;
-
-    if (ministry && ministry.length > 0) {
-      const ministryValues = ministry.map(m => [memberId, m]);
-      await connection.query(
-        'INSERT INTO member_ministries (member_id, ministry_name) VALUES ?',
-        [ministryValues]
-      );
-    }
-
-    await connection.commit();
-
-    res.status(201).json({
-      success: true,
-      message: 'Signup successful',
-      memberId: memberId
-    });
-
-  } catch (error) {
-    await connection.rollback();
-    console.error('Signup error:', error);
-    
-    if (error.code === 'ER_DUP_ENTRY') {
-      return res.status(409).json({
-        error: 'Email already registered',
-        message: 'This email is already in our system'
-      });
-    }
-    
-    res.status(500).json({
-      error: 'Signup failed',
-      message: 'An error occurred during signup. Please try again.'
-    });
-  } finally {
-    connection.release();
-  }
-});
-
-app.get('/api/members', async (req, res) => {
-  try {
-    const [rows] = await pool.execute(
-      `SELECT m.*, 
-        GROUP_CONCAT(mm.ministry_name) as ministries
-      FROM members m
-      LEFT JOIN member_ministries mm ON m.id = mm.member_id
-      GROUP BY m.id
-      ORDER BY m.created_at DESC`
-    );
-
-    res.json({
-      success: true,
-      count: rows.length,
-      members: rows
-    });
-  } catch (error) {
-    console.error('Error fetching members:', error);
-    res.status(500).json({
-      error: 'Failed to fetch members'
-    });
-  }
-});
-
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📊 Health check: http://localhost:${PORT}/api/health`);
-});
-EOF
+# Copy the server, its migrations and the dev seeds from this repository
+cp "$REPO_DIR/SQL Back End.js" server.js
+cp -R "$REPO_DIR/migrations" "$REPO_DIR/seeds" .
+
+# PDFs use NotoSans-Regular.ttf and NotoSans-Bold.ttf from here (see Next Steps)
+mkdir -p fonts
 
 # Update package.json scripts
 node -e "
@@ -281,45 +166,9 @@ echo ""
 
 cd ..
 
-# Create database setup file
+# Create database setup file (the tables come from the migrations)
 cat > setup-database.sql << EOF
-CREATE DATABASE IF NOT EXISTS church_db;
-USE church_db;
-
-CREATE TABLE IF NOT EXISTS members (
-  id INT PRIMARY KEY AUTO_INCREMENT,
-  first_name VARCHAR(100) NOT NULL,
-  last_name VARCHAR(100) NOT NULL,
-  email VARCHAR(255) NOT NULL UNIQUE,
-  phone VARCHAR(20) NOT NULL,
-  address VARCHAR(255),
-  city VARCHAR(100),
-  state VARCHAR(50),
-  zip_code VARCHAR(10),
-  birth_date DATE NOT NULL,
-  membership_type ENUM('visitor', 'member', 'volunteer') DEFAULT 'member',
-  attendance_preference VARCHAR(50),
-  baptized VARCHAR(20),
-  salvation VARCHAR(20),
-  emergency_contact_name VARCHAR(100),
-  emergency_contact_phone VARCHAR(20),
-  prayer_request TEXT,
-  how_did_you_hear VARCHAR(100),
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-);
-
-CREATE TABLE IF NOT EXISTS member_ministries (
-  id INT PRIMARY KEY AUTO_INCREMENT,
-  member_id INT NOT NULL,
-  ministry_name VARCHAR(100) NOT NULL,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  FOREIGN KEY (member_id) REFERENCES members(id) ON DELETE CASCADE
-);
-
-CREATE INDEX idx_email ON members(email);
-CREATE INDEX idx_created_at ON members(created_at);
-CREATE INDEX idx_member_id ON member_ministries(member_id);
+CREATE DATABASE IF NOT EXISTS church_db CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci;
 EOF
 
 # Create README
@@ -334,10 +183,16 @@ Edit \`backend/.env\` and set your MySQL password:
 DB_PASSWORD=your_mysql_password
 \`\`\`
 
+With \`DB_CLIENT=sqlite\` there is no password to set, and in step 2 you can skip
+the \`mysql\` line.
+
 ### 2. Setup Database
-Run the SQL script:
+Create the database, then the tables and the first admin account:
 \`\`\`bash
 mysql -u root -p < setup-database.sql
+cd backend
+node server.js migrate
+node server.js create-admin --username=admin --email=you@example.com
 \`\`\`
 
 ### 3. Start Backend Server
@@ -358,13 +213,18 @@ Navigate to http://localhost:3000
 ## Project Structure
 - \`backend/\` - Node.js/Express API server
 - \`frontend/\` - React application
-- \`setup-database.sql\` - Database schema
+- \`setup-database.sql\` - Creates the empty database
+- \`backend/migrations/\` - The tables, applied by \`node server.js migrate\`
 
 ## Next Steps
 1. Copy the React component code into \`frontend/src/App.js\`
 2. Configure email settings in \`backend/.env\` (optional)
-3. Test the signup form
-4. Deploy to production
+3. For Vietnamese in the printed directory and roll sheets, download Noto Sans
+   (https://fonts.google.com/noto/specimen/Noto+Sans) and put
+   \`NotoSans-Regular.ttf\` and \`NotoSans-Bold.ttf\` in \`backend/fonts/\`.
+   Without them the PDFs use Helvetica, which drops most accents.
+4. Test the signup form
+5. Deploy to production
 
 ## Support
 For issues or questions, refer to the complete setup guide.
@@ -382,6 +242,8 @@ echo "   Edit backend/.env and set your MySQL password"
 echo ""
 echo "2. Setup database:"
 echo "   mysql -u root -p < setup-database.sql"
+echo "   cd backend && node server.js migrate"
+echo "   node server.js create-admin --username=admin --email=you@example.com"
 echo ""
 echo "3. Copy the React component code into frontend/src/App.js"
 echo ""
@@ -393,6 +255,9 @@ echo "   cd frontend && npm start"
 echo ""
 echo "6. Open http://localhost:3000 in your browser"
 echo ""
+echo "7. Optional: put NotoSans-Regular.ttf and NotoSans-Bold.ttf in backend/fonts/"
+echo "   so the PDF exports show Vietnamese accents"
+echo ""
 echo "📖 For detailed instructions, see README.md"
 echo ""
 EOF
@@ -0,0 +1,23 @@
+-- Development seed data for SQLite: the same sample member as seeds/dev.sql.
+-- Load with `node server.js seed` (refused when NODE_ENV=production).
+-- Safe to run more than once: existing sample rows are left alone.
+
+-- Members may share an email, so the sample member is only added when missing
+INSERT INTO members (
+  first_name, last_name, email, phone, address, city, state, zip_code,
+  birth_date, membership_type, attendance_preference, baptized, salvation,
+  how_did_you_hear
+)
+SELECT
+  'John', 'Doe', 'john.doe@example.com', '555-123-4567',
+  '123 Main St', 'Houston', 'TX', '77001',
+  '1985-05-15', 'member', 'sunday-morning', 'yes', 'yes',
+  'friend'
+WHERE NOT EXISTS (SELECT 1 FROM members WHERE email = 'john.doe@example.com');
+
+-- Insert sample ministries for the test member
+INSERT OR IGNORE INTO member_ministries (member_id, ministry_id)
+SELECT m.id, mi.id
+FROM members m
+JOIN ministries mi ON mi.name IN ('Worship Team', 'Youth Ministry')
+WHERE m.id = (SELECT MIN(id) FROM members WHERE email = 'john.doe@example.com');